@@ -26,6 +26,8 @@ import FileDownloadIcon from '@mui/icons-material/FileDownload';
 import VisibilityIcon from '@mui/icons-material/Visibility';
 import ErrorOutlineIcon from '@mui/icons-material/ErrorOutline';
 import CheckCircleOutlineIcon from '@mui/icons-material/CheckCircleOutline';
+import QrCode2Icon from '@mui/icons-material/QrCode2';
+import ShareProfileDialog from './ShareProfileDialog';
 
 /**
  * Component for interactively comparing YAML, JSON, and original data
@@ -39,7 +41,8 @@ const ConversionCompareViewer = ({
   fileType,
   onCertHandlingChange,
   currentCertHandling,
-  suggestedFilenames // New prop for suggested download filenames
+  suggestedFilenames, // New prop for suggested download filenames
+  profileYaml // Mapped profile YAML to publish; falls back to the YAML view
 }) => {
   const [activeTab, setActiveTab] = useState(0);
   const [yamlView, setYamlView] = useState(yamlData || '');
@@ -48,6 +51,7 @@ const ConversionCompareViewer = ({
     originalData ? JSON.stringify(originalData, null, 2) : ''
   );
   const [certificateDisplayMode, setCertificateDisplayMode] = useState(currentCertHandling || 'preserve');
+  const [shareDialogOpen, setShareDialogOpen] = useState(false);
 
   // Certificate display mode options
   const certificateDisplayModes = {
@@ -195,12 +199,24 @@ const ConversionCompareViewer = ({
                   onClick={() => handleDownload(yamlView, 'yaml')}
                   sx={{ 
                     backgroundColor: 'rgba(255, 255, 255, 0.8)',
-                    '&:hover': { backgroundColor: 'rgba(255, 255, 255, 0.9)' }
+                    '&:hover': { backgroundColor: 'rgba(255, 255, 255, 0.9)' },
+                    mr: 1
                   }}
                 >
                   <FileDownloadIcon />
                 </IconButton>
               </Tooltip>
+              <Tooltip title="Share to Device (QR Code)">
+                <IconButton 
+                  onClick={() => setShareDialogOpen(true)}
+                  sx={{ 
+                    backgroundColor: 'rgba(255, 255, 255, 0.8)',
+                    '&:hover': { backgroundColor: 'rgba(255, 255, 255, 0.9)' }
+                  }}
+                >
+                  <QrCode2Icon />
+                </IconButton>
+              </Tooltip>
             </Box>
           </Box>
         );
@@ -352,6 +368,13 @@ const ConversionCompareViewer = ({
           {renderActiveTabContent()}
         </Box>
       </Paper>
+
+      <ShareProfileDialog
+        open={shareDialogOpen}
+        onClose={() => setShareDialogOpen(false)}
+        yamlData={profileYaml || yamlView}
+        obfuscated={Boolean(obfuscationInfo && obfuscationInfo.applied)}
+      />
     </Box>
   );
 };
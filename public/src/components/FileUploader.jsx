@@ -204,6 +204,11 @@ const FileUploader = ({ onFileUploaded }) => {
           <li><code>.eap-config</code> - EAP configuration files</li>
           <li><code>.yml/.yaml</code> - YAML configuration files</li>
           <li><code>.json</code> - JSON configuration files</li>
+          <li><code>.onc</code> - ChromeOS / Android Enterprise Open Network Configuration</li>
+          <li><code>.p12/.pfx</code> - PKCS#12 certificate bundles (certificate details only, keys are never shown)</li>
+          <li><code>.pem/.crt/.cer/.der/.p7b</code> - Certificates, PEM bundles and PKCS#7 chains</li>
+          <li><code>.ini/.properties/.toml/.env</code> - INI, Java properties, TOML and dotenv files</li>
+          <li><code>.zip</code> - Vendor bundles; every file inside is converted and listed in a manifest</li>
           <li><code>.txt/.conf/.cfg</code> - Text-based configuration files</li>
         </ul>
       </div>
@@ -211,7 +216,7 @@ const FileUploader = ({ onFileUploaded }) => {
         <div className="form-group">
           <input
             type="file"
-            accept="*/*,.eap-config,.xml,.mobileconfig,.yml,.yaml,.txt,.json,.conf,.cfg,.pem,.crt,.cer,.ovpn,.profile,application/xml,text/xml,text/plain,application/json"
+            accept="*/*,.eap-config,.xml,.mobileconfig,.yml,.yaml,.txt,.json,.onc,.conf,.cfg,.pem,.crt,.cer,.der,.p7b,.p12,.pfx,.ini,.properties,.toml,.env,.zip,.ovpn,.profile,application/xml,text/xml,text/plain,application/json"
             onChange={handleFileChange}
             className="file-input"
           />
@@ -27,6 +27,7 @@ function PasspointProfileConverter() {
   const [jsonOutput, setJsonOutput] = useState(''); // Store JSON representation of the file
   const [originalDataOutput, setOriginalDataOutput] = useState(''); // Store only the original file data
   const [comprehensiveYamlOutput, setComprehensiveYamlOutput] = useState(''); // Store comprehensive YAML with all data
+  const [profileYamlOutput, setProfileYamlOutput] = useState(''); // Store the mapped profile YAML, used for sharing
   const [mappingInfo, setMappingInfo] = useState(null); // Store information about data filtering
   const [obfuscationInfo, setObfuscationInfo] = useState(null); // Store obfuscation information
   const [certificateInfo, setCertificateInfo] = useState(null); // Store certificate information
@@ -36,6 +37,7 @@ function PasspointProfileConverter() {
   const [loadingConvert, setLoadingConvert] = useState(false);
   const [obfuscationLevel, setObfuscationLevel] = useState('none'); // Password obfuscation level
   const [certHandling, setCertHandling] = useState('preserve'); // Certificate handling mode
+  const [pkcs12Password, setPkcs12Password] = useState(''); // Password for .p12/.pfx files and pkcs12 payloads
   const [alerts, setAlerts] = useState([]); // Store alerts from file processing
 
   // Obfuscation level options
@@ -93,6 +95,7 @@ function PasspointProfileConverter() {
       formData.append('yamlFile', selectedFile);
       formData.append('obfuscationLevel', obfuscationLevel);
       formData.append('certHandling', certHandling);
+      formData.append('password', pkcs12Password);
 
       console.log('Starting atomic conversion for:', selectedFile.name);
 
@@ -115,6 +118,7 @@ function PasspointProfileConverter() {
         if (response.data.data) {
           setYamlOutput(response.data.data.yaml || 'No YAML conversion available');
           setComprehensiveYamlOutput(response.data.data.yaml || 'No comprehensive YAML available');
+          setProfileYamlOutput(response.data.data.filteredYaml || '');
           setJsonOutput(response.data.data.json || 'No JSON conversion available');
           setOriginalDataOutput(response.data.data.original || '');
         }
@@ -208,7 +212,8 @@ function PasspointProfileConverter() {
       const response = await axios.post(`${API_BASE_URL}/api/convert`, {
         filePath: uploadedFileMeta.filePath,
         obfuscationLevel: obfuscationLevel, // Send obfuscation level to backend
-        certHandling: certHandling // Send certificate handling mode to backend
+        certHandling: certHandling, // Send certificate handling mode to backend
+        password: pkcs12Password // PKCS#12 password, if the file has one
       });
 
       console.log('Conversion response:', response.data);
@@ -230,6 +235,9 @@ function PasspointProfileConverter() {
           setYamlOutput('No YAML conversion available');
         }
 
+        // The filtered YAML is the mapped profile, which is what gets shared to devices
+        setProfileYamlOutput(response.data.filteredYaml || '');
+
         // Set comprehensive YAML if available
         if (response.data.comprehensiveYaml) {
           setComprehensiveYamlOutput(response.data.comprehensiveYaml);
@@ -339,6 +347,21 @@ function PasspointProfileConverter() {
             <Typography component="li" variant="body2">
               <code>.json</code> - JSON configuration files
             </Typography>
+            <Typography component="li" variant="body2">
+              <code>.onc</code> - ChromeOS / Android Enterprise Open Network Configuration
+            </Typography>
+            <Typography component="li" variant="body2">
+              <code>.p12/.pfx</code> - PKCS#12 certificate bundles (certificate details only, keys are never shown)
+            </Typography>
+            <Typography component="li" variant="body2">
+              <code>.pem/.crt/.cer/.der/.p7b</code> - Certificates, PEM bundles and PKCS#7 chains
+            </Typography>
+            <Typography component="li" variant="body2">
+              <code>.ini/.properties/.toml/.env</code> - INI, Java properties, TOML and dotenv files
+            </Typography>
+            <Typography component="li" variant="body2">
+              <code>.zip</code> - Vendor bundles; every file inside is converted and listed in a manifest
+            </Typography>
             <Typography component="li" variant="body2">
               <code>.txt/.conf/.cfg</code> - Text-based configuration files
             </Typography>
@@ -346,7 +369,7 @@ function PasspointProfileConverter() {
 
           <input
             type="file"
-            accept="*/*,.eap-config,.xml,.mobileconfig,.yml,.yaml,.txt,.json,.conf,.cfg,.pem,.crt,.cer,.ovpn,.profile,application/xml,text/xml,text/plain,application/json"
+            accept="*/*,.eap-config,.xml,.mobileconfig,.yml,.yaml,.txt,.json,.onc,.conf,.cfg,.pem,.crt,.cer,.der,.p7b,.p12,.pfx,.ini,.properties,.toml,.env,.zip,.ovpn,.profile,application/xml,text/xml,text/plain,application/json"
             onChange={handleFileSelection}
             style={{ display: 'none' }}
             id="file-input"
@@ -447,6 +470,18 @@ function PasspointProfileConverter() {
               </Select>
             </FormControl>
             
+            {selectedFile && /\.(p12|pfx|mobileconfig)$/i.test(selectedFile.name) && (
+              <TextField
+                fullWidth
+                type="password"
+                label="PKCS#12 Password"
+                helperText="Used to open .p12/.pfx files and mobileconfig certificate payloads without a Password key"
+                value={pkcs12Password}
+                onChange={(e) => setPkcs12Password(e.target.value)}
+                sx={{ mb: 2 }}
+              />
+            )}
+            
             {obfuscationLevel !== 'none' && (
               <Alert severity="info" sx={{ mb: 2 }}>
                 <Typography variant="body2">
@@ -538,6 +573,7 @@ function PasspointProfileConverter() {
               onCertHandlingChange={handleCertHandlingChange}
               currentCertHandling={certHandling}
               suggestedFilenames={suggestedFilenames}
+              profileYaml={profileYamlOutput}
             />
           </Paper>
         )}
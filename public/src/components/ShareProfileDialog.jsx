@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Typography,
+  Box,
+  Alert,
+  TextField,
+  CircularProgress
+} from '@mui/material';
+import QrCode2Icon from '@mui/icons-material/QrCode2';
+import { API_BASE_URL } from '../config';
+
+/**
+ * Share Profile Dialog Component
+ *
+ * Publishes the converted profile under an expiring download link and shows
+ * its QR code, so the profile can be installed by scanning it on the device
+ */
+const ShareProfileDialog = ({ open, onClose, yamlData, obfuscated }) => {
+  const [ttl, setTtl] = useState(3600);
+  const [singleUse, setSingleUse] = useState(true);
+  const [sign, setSign] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  const [published, setPublished] = useState(null);
+  const [error, setError] = useState(null);
+
+  const expiryOptions = [
+    { value: 900, label: '15 minutes' },
+    { value: 3600, label: '1 hour' },
+    { value: 86400, label: '1 day' },
+    { value: 604800, label: '7 days' }
+  ];
+
+  const handlePublish = async () => {
+    setPublishing(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/distribution`, {
+        yaml: yamlData,
+        options: { ttl, singleUse, sign }
+      });
+      setPublished(response.data);
+    } catch (err) {
+      const data = err.response && err.response.data;
+      setError(data ? `${data.error}: ${data.details}` : err.message);
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const handleClose = () => {
+    setPublished(null);
+    setError(null);
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <QrCode2Icon color="primary" />
+        Share Profile to a Device
+      </DialogTitle>
+
+      <DialogContent>
+        {obfuscated && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            This conversion has redacted passwords or certificates. Convert with obfuscation off
+            to publish a profile that devices can install.
+          </Alert>
+        )}
+
+        {!published && (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            <FormControl fullWidth size="small">
+              <InputLabel id="share-expiry-label">Link expires after</InputLabel>
+              <Select
+                labelId="share-expiry-label"
+                value={ttl}
+                label="Link expires after"
+                onChange={(e) => setTtl(e.target.value)}
+              >
+                {expiryOptions.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControlLabel
+              control={<Switch checked={singleUse} onChange={(e) => setSingleUse(e.target.checked)} />}
+              label="Single use (the link works for one download)"
+            />
+            <FormControlLabel
+              control={<Switch checked={sign} onChange={(e) => setSign(e.target.checked)} />}
+              label="Sign the iOS profile"
+            />
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {published && (
+          <Box sx={{ textAlign: 'center' }}>
+            <Box
+              component="img"
+              src={published.qr.png}
+              alt="Download link QR code"
+              sx={{ width: 256, height: 256 }}
+            />
+            <Typography variant="body2" color="text.secondary" paragraph>
+              Scan with the iPhone or Android device. Available for: {published.platforms.join(', ')}.
+              Expires {new Date(published.expiresAt).toLocaleString()}
+              {published.singleUse ? ' or after the first download.' : '.'}
+            </Typography>
+            <TextField
+              value={published.url}
+              fullWidth
+              size="small"
+              InputProps={{ readOnly: true }}
+              onFocus={(e) => e.target.select()}
+            />
+            {published.warnings && published.warnings.map((warning) => (
+              <Alert key={warning} severity="warning" sx={{ mt: 2, textAlign: 'left' }}>
+                {warning}
+              </Alert>
+            ))}
+          </Box>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={handleClose}>Close</Button>
+        {!published && (
+          <Button
+            onClick={handlePublish}
+            variant="contained"
+            disabled={publishing || !yamlData}
+            startIcon={publishing ? <CircularProgress size={16} /> : <QrCode2Icon />}
+          >
+            Create Link
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ShareProfileDialog;
@@ -2,6 +2,11 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const yamlRoutes = require('./routes/yaml.routes');
+const exportRoutes = require('./routes/export.routes');
+const signingRoutes = require('./routes/signing.routes');
+const distributionRoutes = require('./routes/distribution.routes');
+const validationRoutes = require('./routes/validation.routes');
+const schemaRoutes = require('./routes/schema.routes');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
@@ -94,6 +99,20 @@ function detectFileIssues(filePath, fileExtension, fileContent) {
     '.plist': 'Property List',
     '.mobileconfig': 'Mobile Configuration',
     '.eap-config': 'EAP Configuration',
+    '.config': 'Android Wi-Fi Configuration',
+    '.onc': 'Open Network Configuration',
+    '.p12': 'PKCS#12 Certificate Bundle',
+    '.pfx': 'PKCS#12 Certificate Bundle',
+    '.pem': 'PEM Certificate',
+    '.crt': 'Certificate',
+    '.cer': 'Certificate',
+    '.der': 'DER Certificate',
+    '.p7b': 'PKCS#7 Certificate Chain',
+    '.p7c': 'PKCS#7 Certificate Chain',
+    '.ini': 'INI Configuration',
+    '.properties': 'Java Properties',
+    '.toml': 'TOML',
+    '.env': 'Environment File',
     '.txt': 'Text',
 
     '.conf': 'Configuration',
@@ -117,8 +136,8 @@ function detectFileIssues(filePath, fileExtension, fileContent) {
   const isBinary = fileContent.includes('\u0000') || 
                    (fileContent.length > 100 && fileContent.match(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g)?.length > fileContent.length * 0.1);
   
-  if (isBinary && (fileExtension === '.mobileconfig' || fileExtension === '.plist')) {
-    // Binary files are expected for mobileconfig/plist, so no alerts needed
+  if (isBinary && ['.mobileconfig', '.plist', '.p12', '.pfx', '.cer', '.crt', '.der', '.p7b', '.p7c'].includes(fileExtension)) {
+    // Binary files are expected for mobileconfig/plist and PKCS#12/DER certificates, so no alerts needed
     return null;
   }
   
@@ -325,6 +344,11 @@ const corsOptions = {
 // Apply CORS middleware and mount yaml routes
 app.use('/api', cors(corsOptions), apiRouter);
 apiRouter.use('/', yamlRoutes);
+apiRouter.use('/', exportRoutes);
+apiRouter.use('/', signingRoutes);
+apiRouter.use('/', distributionRoutes);
+apiRouter.use('/', validationRoutes);
+apiRouter.use('/', schemaRoutes);
 
 // Multer error handling middleware
 app.use((err, req, res, next) => {
@@ -373,7 +397,10 @@ app.get('/', cors(corsOptions), (req, res) => {
     endpoints: {
       health: '/health or /api/health',
       convert: '/api/convert',
-      upload: '/api/upload'
+      upload: '/api/upload',
+      export: '/api/export/<format>',
+      signing: '/api/signing/identity',
+      distribution: '/api/distribution'
     },
     timestamp: new Date().toISOString()
   });
@@ -0,0 +1,146 @@
+// src/routes/distribution.routes.js
+
+const express = require('express');
+const router = express.Router();
+const { readProfile } = require('../services/mapping.service');
+const distributionService = require('../services/distribution.service');
+const { trackError, trackProfileDownload } = require('../services/metrics.service');
+
+// Profiles can be posted as JSON or as the raw YAML kept in git
+const yamlBody = express.text({ type: ['text/yaml', 'application/x-yaml', 'text/plain'], limit: '5mb' });
+
+// Links point at PUBLIC_BASE_URL when the service runs behind a proxy
+function downloadUrl(req, token) {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/+$/, '')}/api/distribution/d/${token}`;
+}
+
+const unavailableReasons = {
+  invalid: { status: 403, error: 'Invalid download link', details: 'The link signature does not match' },
+  not_found: { status: 404, error: 'Profile not found', details: 'The link is unknown or its profile was removed' },
+  expired: { status: 410, error: 'Download link expired', details: 'Ask for a new link' },
+  revoked: { status: 410, error: 'Download link revoked', details: 'The profile is no longer published' },
+  used: { status: 410, error: 'Download link already used', details: 'Single-use links can be downloaded once' }
+};
+
+// Publish a profile and return its download link with a QR code
+router.post('/distribution', yamlBody, async (req, res) => {
+  console.log('[SERVER /distribution] Publish request received');
+
+  let profile;
+  try {
+    profile = readProfile(req.body);
+  } catch (error) {
+    console.error('[SERVER /distribution] Invalid profile:', error.message);
+    trackError('invalid_profile', '/distribution');
+    return res.status(400).json({ error: 'Invalid profile', details: error.message });
+  }
+
+  try {
+    const bodyOptions = req.body && typeof req.body === 'object' ? req.body.options : null;
+    const { entry, warnings } = distributionService.publish(profile, { ...req.query, ...(bodyOptions || {}) });
+    const url = downloadUrl(req, entry.token);
+    const png = await distributionService.qrCode(url, 'png');
+
+    return res.json({
+      success: true,
+      ...distributionService.describe(entry),
+      url,
+      links: Object.fromEntries(entry.platforms.map(platform => [platform, `${url}?platform=${platform}`])),
+      qr: {
+        svg: await distributionService.qrCode(url, 'svg'),
+        png: `data:image/png;base64,${png.toString('base64')}`
+      },
+      warnings
+    });
+  } catch (error) {
+    console.error('[SERVER /distribution] Publish failed:', error.message);
+    trackError('distribution_error', '/distribution');
+    return res.status(400).json({ error: 'Failed to publish profile', details: error.message });
+  }
+});
+
+// Download a published profile; the variant follows the User-Agent unless ?platform= is given
+router.get('/distribution/d/:token', (req, res) => {
+  const { entry, reason } = distributionService.resolve(req.params.token);
+  const requested = req.query.platform ? String(req.query.platform).toLowerCase() : null;
+  const platform = requested || distributionService.detectPlatform(req.get('user-agent'));
+  const event = { platform, userAgent: req.get('user-agent') || '', ip: req.ip };
+
+  if (reason) {
+    const unavailable = unavailableReasons[reason];
+    console.warn(`[SERVER /distribution/d] Refused download: ${reason}`);
+    if (entry) {
+      distributionService.recordDownload(entry, { ...event, outcome: reason });
+    }
+    trackProfileDownload(platform || 'unknown', reason);
+    if (reason === 'invalid') {
+      trackError('invalid_distribution_link', '/distribution/d');
+    }
+    return res.status(unavailable.status).json({ error: unavailable.error, details: unavailable.details });
+  }
+
+  const variant = platform && entry.variants[platform];
+  if (!variant) {
+    if (requested) {
+      return res.status(404).json({
+        error: 'Platform not available',
+        details: `This profile is published for: ${entry.platforms.join(', ')}`
+      });
+    }
+    // Unknown device: let the user pick, nothing is delivered so nothing is consumed
+    const url = downloadUrl(req, req.params.token);
+    return res.status(300).json({
+      error: 'Unknown device platform',
+      details: 'Open one of the links on the device that will use the profile',
+      links: Object.fromEntries(entry.platforms.map(name => [name, `${url}?platform=${name}`]))
+    });
+  }
+
+  distributionService.recordDownload(entry, { ...event, outcome: 'delivered' });
+  trackProfileDownload(platform, 'delivered');
+
+  const fileName = `${entry.name.replace(/[^A-Za-z0-9._-]/g, '_')}${variant.extension}`;
+  res.setHeader('Content-Type', variant.contentType);
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  return res.send(variant.content);
+});
+
+// Link status and download audit trail
+router.get('/distribution/:id', (req, res) => {
+  const entry = distributionService.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Profile not found', details: 'Unknown or expired distribution id' });
+  }
+  res.json(distributionService.describe(entry));
+});
+
+// QR code for the download link, as SVG (default) or PNG
+router.get('/distribution/:id/qr', async (req, res) => {
+  const entry = distributionService.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Profile not found', details: 'Unknown or expired distribution id' });
+  }
+
+  try {
+    const format = req.query.format === 'png' ? 'png' : 'svg';
+    res.setHeader('Content-Type', format === 'png' ? 'image/png' : 'image/svg+xml');
+    return res.send(await distributionService.qrCode(downloadUrl(req, entry.token), format));
+  } catch (error) {
+    console.error('[SERVER /distribution/qr] QR code failed:', error.message);
+    trackError('qr_code_error', '/distribution/:id/qr');
+    return res.status(500).json({ error: 'Failed to render QR code', details: error.message });
+  }
+});
+
+// Stop serving a published profile; its audit trail is kept
+router.delete('/distribution/:id', (req, res) => {
+  const entry = distributionService.revoke(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Profile not found', details: 'Unknown or expired distribution id' });
+  }
+  res.json({ success: true, ...distributionService.describe(entry) });
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+// src/routes/export.routes.js
+
+const express = require('express');
+const router = express.Router();
+const yaml = require('js-yaml');
+const { mapProfileToPasspointProperties, readProfile } = require('../services/mapping.service');
+const { MOBILECONFIG_CONTENT_TYPE, buildMobileConfig } = require('../services/mobileconfig.service');
+const { WIFI_CONFIG_CONTENT_TYPE, buildPpsMo, buildWifiConfigBundle } = require('../services/android.service');
+const { EAP_CONFIG_CONTENT_TYPE, buildEapConfig } = require('../services/eap-config.service');
+const { buildWpaSupplicantConfig } = require('../services/wpa-supplicant.service');
+const { buildWlanProfile } = require('../services/windows-wlan.service');
+const { buildHostapdConfig } = require('../services/hostapd.service');
+const { PLIST_CONTENT_TYPE, buildPlist } = require('../services/plist.service');
+const signingService = require('../services/signing.service');
+const { trackError } = require('../services/metrics.service');
+
+// Profiles can be posted as JSON or as the raw YAML kept in git
+const yamlBody = express.text({ type: ['text/yaml', 'application/x-yaml', 'text/plain'], limit: '5mb' });
+
+// Export options come from the query string, or `options` in a JSON body
+function readOptions(req) {
+  const bodyOptions = req.body && typeof req.body === 'object' ? req.body.options : null;
+  return { ...req.query, ...(bodyOptions || {}) };
+}
+
+function exportFileName(profile, options, extension) {
+  const baseName = options.fileName
+    ? String(options.fileName).replace(/\.[^/.]+$/, '')
+    : profile.home_domain || (profile.nai_realm && profile.nai_realm.name) || 'passpoint';
+  return `${String(baseName).replace(/[^A-Za-z0-9._-]/g, '_')}${extension}`;
+}
+
+/**
+ * Create a route handler that reads the profile, runs an exporter and sends the
+ * result as a download
+ * @param {string} route The route path, used for logging and metrics
+ * @param {Function} exporter Called with (profile, options), returns
+ *   `{ content, contentType, extension, headers }` for a single download, or
+ *   `{ files: [{ fileName, content }] }` for exports that need several files
+ * @returns {Function} Express route handler
+ */
+function exportHandler(route, exporter) {
+  return (req, res) => {
+    console.log(`[SERVER ${route}] Export request received`);
+
+    let profile;
+    try {
+      profile = readProfile(req.body);
+    } catch (error) {
+      console.error(`[SERVER ${route}] Invalid profile:`, error.message);
+      trackError('invalid_profile', route);
+      return res.status(400).json({ error: 'Invalid profile', details: error.message });
+    }
+
+    try {
+      const options = readOptions(req);
+      const { content, contentType, extension, headers, files } = exporter(profile, options);
+
+      if (files) {
+        // Binary files are sent base64 encoded, text files as-is
+        return res.json({
+          success: true,
+          files: files.map(file => ({
+            fileName: file.fileName,
+            encoding: Buffer.isBuffer(file.content) ? 'base64' : 'utf8',
+            content: Buffer.isBuffer(file.content) ? file.content.toString('base64') : file.content
+          }))
+        });
+      }
+
+      Object.entries(headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(profile, options, extension)}"`);
+      return res.send(content);
+    } catch (error) {
+      console.error(`[SERVER ${route}] Export failed:`, error.message);
+      trackError('export_error', route);
+      return res.status(400).json({ error: 'Failed to export profile', details: error.message });
+    }
+  };
+}
+
+// Generate an Apple .mobileconfig from a Passpoint profile; `sign=true` wraps it in CMS SignedData
+router.post('/export/mobileconfig', yamlBody, exportHandler('/export/mobileconfig', (profile, options) => {
+  const mobileconfig = buildMobileConfig(profile, options);
+  if (options.sign !== true && options.sign !== 'true') {
+    return { content: mobileconfig, contentType: MOBILECONFIG_CONTENT_TYPE, extension: '.mobileconfig' };
+  }
+
+  const { signed, verification, warnings } = signingService.sign(mobileconfig);
+  // Header values must be ASCII, so subjects like "CN=Café Wi-Fi" are percent-encoded (UTF-8)
+  const headers = {
+    'X-Profile-Signed': 'true',
+    'X-Profile-Signer': encodeURIComponent(verification.signers[0].certificate.subject.replace(/\n/g, ', '))
+  };
+  if (warnings.length > 0) {
+    headers['X-Signing-Warnings'] = encodeURIComponent(warnings.join('; '));
+  }
+  return { content: signed, contentType: MOBILECONFIG_CONTENT_TYPE, extension: '.mobileconfig', headers };
+}));
+
+// Generate the Android application/x-wifi-config install bundle
+router.post('/export/android', yamlBody, exportHandler('/export/android', (profile) => ({
+  content: buildWifiConfigBundle(profile),
+  contentType: WIFI_CONFIG_CONTENT_TYPE,
+  extension: '.config'
+})));
+
+// Generate only the PerProviderSubscription MO XML
+router.post('/export/android/pps-mo', yamlBody, exportHandler('/export/android/pps-mo', (profile) => ({
+  content: `<?xml version="1.0" encoding="UTF-8"?>\n${buildPpsMo(profile)}\n`,
+  contentType: 'application/xml',
+  extension: '.xml'
+})));
+
+// Generate a geteduroam/CAT .eap-config (EAPIdentityProviderList)
+router.post('/export/eap-config', yamlBody, exportHandler('/export/eap-config', (profile, options) => ({
+  content: buildEapConfig(profile, options),
+  contentType: EAP_CONFIG_CONTENT_TYPE,
+  extension: '.eap-config'
+})));
+
+// Generate a wpa_supplicant.conf cred block plus the certificate files it references
+router.post('/export/wpa-supplicant', yamlBody, exportHandler('/export/wpa-supplicant', (profile, options) => {
+  const { config, files } = buildWpaSupplicantConfig(profile, options);
+  return {
+    files: [{ fileName: exportFileName(profile, options, '.conf'), content: config }, ...files]
+  };
+}));
+
+// Generate a Windows WLANProfile XML for `netsh wlan add profile`
+router.post('/export/windows', yamlBody, exportHandler('/export/windows', (profile, options) => ({
+  content: buildWlanProfile(profile, options),
+  contentType: 'application/xml',
+  extension: '.xml'
+})));
+
+// Generate the hostapd.conf interworking/hs20 section an AP needs to advertise the profile
+router.post('/export/hostapd', yamlBody, exportHandler('/export/hostapd', (profile, options) => ({
+  content: buildHostapdConfig(profile, options),
+  contentType: 'text/plain',
+  extension: '.conf'
+})));
+
+// Write the profile back as a passpoint-properties document of the latest schema revision, `$schema` included
+router.post('/export/passpoint', yamlBody, exportHandler('/export/passpoint', (profile) => ({
+  content: yaml.dump(mapProfileToPasspointProperties(profile), { indent: 2, lineWidth: 120, noRefs: true }),
+  contentType: 'text/yaml',
+  extension: '.yml'
+})));
+
+/**
+ * Write converted (and possibly edited or redacted) data back as a plist
+ * The body is YAML text or `{ data, types, options }`, where `types` is the
+ * `plistTypes` map returned by /convert. `options.format` is 'xml' (default)
+ * or 'binary'.
+ */
+router.post('/export/plist', yamlBody, (req, res) => {
+  console.log('[SERVER /export/plist] Export request received');
+
+  let data;
+  let types = {};
+  try {
+    if (typeof req.body === 'string') {
+      data = yaml.load(req.body);
+    } else if (req.body && typeof req.body.yaml === 'string') {
+      data = yaml.load(req.body.yaml);
+      types = req.body.types || {};
+    } else {
+      data = req.body && req.body.data;
+      types = (req.body && req.body.types) || {};
+    }
+    if (data === undefined || data === null) {
+      throw new Error('No data found in request body');
+    }
+  } catch (error) {
+    console.error('[SERVER /export/plist] Invalid data:', error.message);
+    trackError('invalid_profile', '/export/plist');
+    return res.status(400).json({ error: 'Invalid data', details: error.message });
+  }
+
+  try {
+    const options = readOptions(req);
+    const binary = options.format === 'binary';
+    const content = buildPlist(data, { types, format: binary ? 'binary' : 'xml' });
+
+    const fileName = String(options.fileName || 'profile.plist').replace(/[^A-Za-z0-9._-]/g, '_');
+    res.setHeader('Content-Type', fileName.endsWith('.mobileconfig') ? MOBILECONFIG_CONTENT_TYPE : PLIST_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.send(content);
+  } catch (error) {
+    console.error('[SERVER /export/plist] Export failed:', error.message);
+    trackError('export_error', '/export/plist');
+    return res.status(400).json({ error: 'Failed to export plist', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+// src/routes/schema.routes.js
+
+const express = require('express');
+const router = express.Router();
+const yaml = require('js-yaml');
+const { readProfileDocument } = require('../services/mapping.service');
+const { SCHEMA_REVISIONS, LATEST_REVISION, migrateDocument, readSchemaConfig, schemaRevision } = require('../services/schema-registry.service');
+const { trackError } = require('../services/metrics.service');
+
+// Documents can be posted as JSON or as the raw YAML kept in git
+const yamlBody = express.text({ type: ['text/yaml', 'application/x-yaml', 'text/plain'], limit: '5mb' });
+
+/**
+ * Serve the Passpoint YAML schema
+ * `rev` picks the revision ('rev0', 0 or its `$schema` id); the latest when left out
+ */
+router.get('/config', (req, res) => {
+  let config;
+  try {
+    config = readSchemaConfig(req.query.rev);
+  } catch (error) {
+    if (error.code) {
+      console.error('[SERVER /config] Error reading config:', error.message);
+      return res.status(500).send('Failed to load config');
+    }
+    return res.status(400).json({ error: 'Invalid schema revision', details: error.message });
+  }
+  res.setHeader('Content-Type', 'text/yaml');
+  res.setHeader('X-Schema-Revision', schemaRevision(req.query.rev).revision);
+  return res.send(config);
+});
+
+// List the schema revisions, oldest first
+router.get('/config/revisions', (req, res) => {
+  res.json({
+    latest: LATEST_REVISION,
+    revisions: SCHEMA_REVISIONS.map(({ revision, id, description }) => ({ revision, id, description }))
+  });
+});
+
+/**
+ * Upgrade a `passpoint-properties` document to a later schema revision
+ * Takes the same bodies as /validate; `to` (or `rev`) picks the target
+ * revision, the latest by default. The response has the migrated document,
+ * as JSON and YAML, and the `changes` made, one per migration step applied
+ */
+router.post('/migrate', yamlBody, (req, res) => {
+  console.log('[SERVER /migrate] Migration request received');
+
+  try {
+    const document = readProfileDocument(req.body);
+    if (!document['passpoint-properties']) {
+      throw new Error('Only passpoint-properties documents carry a schema revision');
+    }
+    const result = migrateDocument(document, req.query.to || req.query.rev);
+    return res.json({
+      success: true,
+      from: result.from,
+      to: result.to,
+      changes: result.changes,
+      document: result.document,
+      yaml: yaml.dump(result.document, { indent: 2, lineWidth: 120, noRefs: true })
+    });
+  } catch (error) {
+    console.error('[SERVER /migrate] Migration failed:', error.message);
+    trackError('migration_error', '/migrate');
+    return res.status(400).json({ error: 'Failed to migrate profile', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// src/routes/signing.routes.js
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const signingService = require('../services/signing.service');
+const { trackError } = require('../services/metrics.service');
+
+/**
+ * Guard for routes that change the signing identity
+ * Changes are disabled unless SIGNING_ADMIN_TOKEN is set, and then need
+ * `Authorization: Bearer <token>`
+ */
+function requireSigningAdmin(req, res, next) {
+  const token = process.env.SIGNING_ADMIN_TOKEN;
+  if (!token) {
+    return res.status(403).json({
+      error: 'Signing identity management is disabled',
+      details: 'Set SIGNING_ADMIN_TOKEN to enable uploads'
+    });
+  }
+
+  const supplied = Buffer.from(String(req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  if (supplied.length !== expected.length || !crypto.timingSafeEqual(supplied, expected)) {
+    trackError('signing_unauthorized', req.path);
+    return res.status(401).json({ error: 'Unauthorized', details: 'A valid bearer token is required' });
+  }
+  next();
+}
+
+// Describe the active signing identity; the private key is never returned
+router.get('/signing/identity', (req, res) => {
+  res.json(signingService.describeIdentity());
+});
+
+// Replace the signing identity with PEM certificate/key/chain or a base64 PKCS#12
+router.put('/signing/identity', requireSigningAdmin, (req, res) => {
+  console.log('[SERVER /signing/identity] Signing identity upload received');
+  try {
+    const { certificate, privateKey, chain, pkcs12, password } = req.body || {};
+    return res.json({ success: true, identity: signingService.setIdentity({ certificate, privateKey, chain, pkcs12, password }) });
+  } catch (error) {
+    console.error('[SERVER /signing/identity] Invalid signing identity:', error.message);
+    trackError('invalid_signing_identity', '/signing/identity');
+    return res.status(400).json({ error: 'Invalid signing identity', details: error.message });
+  }
+});
+
+// Drop an uploaded identity and return to the configured one
+router.delete('/signing/identity', requireSigningAdmin, (req, res) => {
+  res.json({ success: true, identity: signingService.resetIdentity() });
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// src/routes/validation.routes.js
+
+const express = require('express');
+const router = express.Router();
+const { readProfile, readProfileDocument } = require('../services/mapping.service');
+const { validatePasspointDocument, validateProfile, validationAlerts } = require('../services/validation.service');
+const { trackError } = require('../services/metrics.service');
+
+// Profiles can be posted as JSON or as the raw YAML kept in git
+const yamlBody = express.text({ type: ['text/yaml', 'application/x-yaml', 'text/plain'], limit: '5mb' });
+
+/**
+ * Validate a profile against the Passpoint JSON Schema
+ * Takes the same bodies as the export routes. Documents with
+ * `passpoint-properties` are validated as posted, against the schema revision
+ * their `$schema` names; anything else is read as a profile first, checked
+ * against the latest revision, and the violations also point into its
+ * `passpoint_profile`
+ */
+router.post('/validate', yamlBody, (req, res) => {
+  console.log('[SERVER /validate] Validation request received');
+
+  let result;
+  try {
+    const document = readProfileDocument(req.body);
+    result = document['passpoint-properties']
+      ? validatePasspointDocument(document)
+      : validateProfile(readProfile(document));
+  } catch (error) {
+    console.error('[SERVER /validate] Invalid profile:', error.message);
+    trackError('invalid_profile', '/validate');
+    return res.status(400).json({ error: 'Invalid profile', details: error.message });
+  }
+
+  const alerts = validationAlerts(result.violations);
+  return res.json({
+    success: true,
+    valid: result.valid,
+    revision: result.revision,
+    violations: result.violations,
+    alerts: alerts.length > 0 ? alerts : undefined
+  });
+});
+
+module.exports = router;
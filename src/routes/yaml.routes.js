@@ -10,8 +10,19 @@ const multer = require('multer');
 const plist = require('plist');
 const yaml = require('js-yaml');
 const xml2js = require('xml2js'); // Add xml2js
-const { mapToYamlSchema } = require('../services/mapping.service'); // Import the mapping function
+const { isProfileDocument, mapToYamlSchema, readProfile } = require('../services/mapping.service'); // Canonical profile importers
 const certService = require('../services/cert.service'); // Import the certificate service
+const signingService = require('../services/signing.service'); // CMS SignedData verification for signed profiles
+const { parsePlist } = require('../services/plist.service'); // Typed XML/binary plist reader
+const { flattenPpsMo, isWifiConfigBundle, parsePpsMo, parseWifiConfigBundle } = require('../services/android.service'); // Android PPS MO and x-wifi-config readers
+const { isWlanProfile, parseWlanProfile } = require('../services/windows-wlan.service'); // Windows WLANProfile reader
+const { isWpaSupplicantConfig, parseWpaSupplicantConfig } = require('../services/wpa-supplicant.service'); // wpa_supplicant.conf reader
+const { isOncDocument, parseOnc } = require('../services/onc.service'); // ChromeOS / Android Management ONC reader
+const { isHostapdConfig, parseHostapdConfig } = require('../services/hostapd.service'); // hostapd.conf Interworking/HS2.0 reader
+const { configFormatFor, parseConfigFile } = require('../services/config-file.service'); // INI, .properties, TOML and .env readers
+const { ZIP_ERRORS, isZipArchive, readZipArchive } = require('../services/zip.service'); // Guarded in-memory ZIP reader
+const { validateProfile, validationAlerts } = require('../services/validation.service'); // Ajv check against schema/passpoint.schema.json and the older revisions
+const { LINT_RULES, lintAlerts, lintProfile } = require('../services/lint.service'); // Cross-field Passpoint profile rules
 const { v4: uuidv4 } = require('uuid');
 const { sendConversionUpdate } = require('../services/websocket.service'); // Import WebSocket service
 const { 
@@ -40,12 +51,29 @@ const SUPPORTED_FILE_TYPES = {
   '.plist': 'Property List',
   '.mobileconfig': 'Mobile Configuration',
   '.eap-config': 'EAP Configuration',
+  '.config': 'Android Wi-Fi Configuration',
+  '.onc': 'Open Network Configuration',
+  '.p12': 'PKCS#12 Certificate Bundle',
+  '.pfx': 'PKCS#12 Certificate Bundle',
+  '.pem': 'PEM Certificate',
+  '.crt': 'Certificate',
+  '.cer': 'Certificate',
+  '.der': 'DER Certificate',
+  '.p7b': 'PKCS#7 Certificate Chain',
+  '.p7c': 'PKCS#7 Certificate Chain',
+  '.ini': 'INI Configuration',
+  '.properties': 'Java Properties',
+  '.toml': 'TOML',
+  '.env': 'Environment File',
   '.txt': 'Text',
   
   '.conf': 'Configuration',
   '.cfg': 'Configuration'
 };
 
+// Certificate files read by processCertificateFileFromBuffer
+const CERTIFICATE_FILE_EXTENSIONS = ['.pem', '.crt', '.cer', '.der', '.p7b', '.p7c'];
+
 // File type detection patterns
 const FILE_PATTERNS = {
   xml: /<\?xml|<!DOCTYPE|<\/?[a-zA-Z][^>]*>/,
@@ -83,8 +111,8 @@ function detectFileIssues(filePath, fileExtension, fileContent) {
   const isBinary = fileContent.includes('\u0000') || 
                    (fileContent.length > 100 && fileContent.match(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g)?.length > fileContent.length * 0.1);
   
-  if (isBinary && (fileExtension === '.mobileconfig' || fileExtension === '.plist')) {
-    // Binary files are expected for mobileconfig/plist, so no alerts needed
+  if (isBinary && ['.mobileconfig', '.plist', '.p12', '.pfx', '.cer', '.crt', '.der', '.p7b', '.p7c'].includes(fileExtension)) {
+    // Binary files are expected for mobileconfig/plist and PKCS#12/DER certificates, so no alerts needed
     return null;
   }
   
@@ -174,8 +202,9 @@ function detectFileIssues(filePath, fileExtension, fileContent) {
     });
   }
   
-  // Check for suspicious content patterns (exclude .eap-config files as they are valid XML)
-  if (fileExtension !== '.eap-config' && fileContent.includes('<?xml') && !fileContent.includes('<plist') && !fileContent.includes('<dict>')) {
+  // Check for suspicious content patterns (exclude .eap-config files, PPS MOs and WLAN profiles as they are valid XML)
+  const knownXml = /<MgmtTree[\s>]/.test(fileContent) || isWlanProfile(fileContent);
+  if (fileExtension !== '.eap-config' && !knownXml && fileContent.includes('<?xml') && !fileContent.includes('<plist') && !fileContent.includes('<dict>')) {
     alerts.push({
       type: 'unexpected_xml_content',
       severity: 'warning',
@@ -187,9 +216,34 @@ function detectFileIssues(filePath, fileExtension, fileContent) {
     });
   }
   
+  // Cross-field profile rules, for the formats that can be parsed here
+  alerts.push(...lintAlerts(lintFileContent(fileContent, fileExtension)));
+  
   return alerts.length > 0 ? alerts : null;
 }
 
+/**
+ * Lint the profile in a text .mobileconfig/plist or a YAML/JSON profile document
+ * @param {string} fileContent - File content as string
+ * @param {string} fileExtension - File extension
+ * @returns {Array} Lint findings; none when the file is not a profile or does not parse
+ */
+function lintFileContent(fileContent, fileExtension) {
+  try {
+    if (fileContent.includes('<plist')) {
+      return lintProfile({ mobileconfig: plist.parse(fileContent) });
+    }
+    if (['.yaml', '.yml', '.json'].includes(fileExtension)) {
+      const document = yaml.load(fileContent);
+      return isProfileDocument(document) ? lintProfile({ profile: mapToYamlSchema(document, 'profile').passpoint_profile }) : [];
+    }
+  } catch (error) {
+    // Parse errors are reported by the checks above and by the conversion itself
+    console.warn('[lintFileContent] Profile not linted:', error.message);
+  }
+  return [];
+}
+
 /**
  * Send alerts via WebSocket if any issues are detected
  * @param {string} streamId - WebSocket stream ID
@@ -301,9 +355,14 @@ async function processEapConfigFromBuffer(fileContent, obfuscationLevel, certHan
       sortKeys: false
     });
     
+    // Only EAPIdentityProviderList documents describe a profile; other XML is shown as-is
+    const mapped = processedResult && processedResult.EAPIdentityProviderList ? mapToYamlSchema(processedResult, 'eap-config') : null;
+    
     return {
       yaml: yamlContent,
       json: JSON.stringify(processedResult, null, 2),
+      mapped,
+      filteredYaml: mapped ? yaml.dump(mapped, { indent: 2, lineWidth: 120, noRefs: true }) : null,
       original: fileContent
     };
   } catch (error) {
@@ -357,7 +416,220 @@ function fixPlistCertificateData(obj) {
   return result;
 }
 
-async function processPlistFromBuffer(fileContent, obfuscationLevel, certHandling) {
+/**
+ * Process a certificate file: DER, a PEM bundle or a PKCS#7 (.p7b) chain
+ * Every certificate is listed with its metadata, index and place in the
+ * chain; the PEM text follows the certificate handling mode
+ * @param {Buffer} fileBuffer The file bytes
+ * @param {string} certHandling Certificate handling mode
+ * @returns {object} `{ processed, yaml, filteredYaml, json, certificateInfo, alerts }`
+ */
+function processCertificateFileFromBuffer(fileBuffer, certHandling) {
+  console.log('[processCertificateFileFromBuffer] Processing certificate file from buffer');
+  
+  const { format, certificates, skipped } = certService.readCertificateFile(fileBuffer);
+  const chain = certService.describeCertificateChain(certificates);
+  const entries = chain.certificates.map(entry => {
+    const pem = certService.toPem(certificates[entry.index]);
+    return { ...entry, pem: certHandling && certHandling !== 'preserve' ? certService.processCertificate(pem, certHandling).value : pem };
+  });
+  const processed = { certificate_file: { format, count: entries.length, chains: chain.chains, certificates: entries } };
+  
+  // Certificate metadata, keyed by the path of the certificate in the document
+  const certificateInfo = {};
+  chain.certificates.forEach(({ index, ...info }) => {
+    certificateInfo[`certificate_file.certificates[${index}]`] = info;
+  });
+  
+  const alerts = chain.certificates.filter(entry => entry.expired).map(entry => ({
+    type: 'certificate_file',
+    severity: 'warning',
+    message: `Certificate ${entry.index} (${entry.subject}) expired on ${entry.validTo}.`,
+    details: { index: entry.index, subject: entry.subject, validTo: entry.validTo }
+  }));
+  if (entries.length > 1) {
+    chain.certificates
+      .filter(entry => !entry.self_signed && entry.issuer_index === null)
+      .forEach(entry => alerts.push({
+        type: 'certificate_file',
+        severity: 'warning',
+        message: `The issuer of certificate ${entry.index} (${entry.issuer}) is not in the file, so its chain is incomplete.`,
+        details: { index: entry.index, subject: entry.subject, issuer: entry.issuer }
+      }));
+  }
+  if (skipped.length > 0) {
+    alerts.push({
+      type: 'certificate_file',
+      severity: 'warning',
+      message: `Skipped PEM blocks that are not certificates: ${skipped.join(', ')}. Their content is not shown.`,
+      details: { skipped }
+    });
+  }
+  
+  return {
+    processed,
+    yaml: yaml.dump(processed, { indent: 2, lineWidth: 120, noRefs: true }),
+    filteredYaml: null,
+    json: JSON.stringify(processed, null, 2),
+    certificateInfo,
+    alerts,
+    original: `Certificate file (${fileBuffer.length} bytes)`
+  };
+}
+
+/**
+ * Process a PKCS#12 (.p12/.pfx) file
+ * Bags are listed with their friendly name and localKeyId; certificates are
+ * described through certService.extractCertInfo and keys by algorithm and size
+ * only, so no key material reaches the output
+ * @param {Buffer} fileBuffer The PKCS#12 bytes
+ * @param {string} password The bundle password, empty for none
+ * @returns {object} `{ processed, yaml, filteredYaml, json, certificateInfo, alerts }`
+ */
+function processPkcs12FromBuffer(fileBuffer, password) {
+  console.log('[processPkcs12FromBuffer] Processing PKCS#12 from buffer');
+  
+  const contents = certService.readPkcs12(fileBuffer, password);
+  const processed = { pkcs12: contents };
+  
+  // Certificate metadata, keyed by the path of the bag in the document
+  const certificateInfo = {};
+  contents.bags.filter(bag => bag.certificate).forEach(bag => {
+    certificateInfo[`pkcs12.bags[${bag.index}]`] = bag.certificate;
+  });
+  
+  return {
+    processed,
+    yaml: yaml.dump(processed, { indent: 2, lineWidth: 120, noRefs: true }),
+    filteredYaml: null,
+    json: JSON.stringify(processed, null, 2),
+    certificateInfo,
+    alerts: pkcs12Alerts(contents, 'pkcs12'),
+    original: `PKCS#12 file (${fileBuffer.length} bytes)`
+  };
+}
+
+// Keys without a certificate, and bundles without a key, are usually export mistakes
+function pkcs12Alerts(contents, location) {
+  const keyBags = contents.bags.filter(bag => bag.key);
+  const alerts = keyBags.filter(bag => bag.certificate_bag === null).map(bag => ({
+    type: 'pkcs12',
+    severity: 'warning',
+    message: `${location}: private key in bag ${bag.index} has no matching certificate.`,
+    details: { bag: bag.index, friendly_name: bag.friendly_name, local_key_id: bag.local_key_id }
+  }));
+  if (keyBags.length === 0) {
+    alerts.push({
+      type: 'pkcs12',
+      severity: 'warning',
+      message: `${location}: no private key, so it cannot be used as a client identity.`,
+      details: { bags: contents.bags.length }
+    });
+  }
+  return alerts;
+}
+
+/**
+ * Unwrap a CMS-signed mobileconfig
+ * The signature is verified with signingService.verifySignedData; an invalid
+ * signature and an expired or not yet valid signer are raised as alerts
+ * @param {Buffer} fileBuffer The uploaded bytes
+ * @returns {{content: Buffer, signature: object, alerts: object[]}|null} The
+ *   embedded plist bytes and the verification without its content, or null
+ *   if the file is not signed
+ */
+function unwrapSignedProfile(fileBuffer) {
+  if (!signingService.isSignedData(fileBuffer)) {
+    return null;
+  }
+  console.log('[unwrapSignedProfile] Profile is CMS-signed, verifying signature');
+  
+  const { content, ...signature } = signingService.verifySignedData(fileBuffer);
+  if (!content) {
+    throw new Error('Signed profile has no embedded content');
+  }
+  
+  const alerts = [];
+  if (!signature.valid) {
+    alerts.push({
+      type: 'profile_signature',
+      severity: 'error',
+      message: `Profile signature is invalid: ${signature.errors.join('; ')}`,
+      details: { errors: signature.errors }
+    });
+  }
+  signature.signers.forEach((signer, index) => {
+    signer.chain.forEach(certificate => {
+      const role = certificate === signer.chain[0] ? 'Signer' : 'Signer chain';
+      if (certificate.expired) {
+        alerts.push({
+          type: 'profile_signature',
+          severity: 'warning',
+          message: `${role} certificate ${certificate.subject} expired on ${certificate.validTo}.`,
+          details: { signer: index + 1, subject: certificate.subject, validTo: certificate.validTo, signingTime: signer.signingTime }
+        });
+      } else if (certificate.notYetValid) {
+        alerts.push({
+          type: 'profile_signature',
+          severity: 'warning',
+          message: `${role} certificate ${certificate.subject} is not valid before ${certificate.validFrom}.`,
+          details: { signer: index + 1, subject: certificate.subject, validFrom: certificate.validFrom, signingTime: signer.signingTime }
+        });
+      }
+    });
+  });
+  
+  return { content, signature: { signed: true, ...signature }, alerts };
+}
+
+/**
+ * Decode the com.apple.security.pkcs12 payloads of a mobileconfig
+ * Each payload is opened with its Password key, falling back to the password
+ * sent with the request
+ * @param {object} profile The parsed plist, before password obfuscation
+ * @param {string} password Fallback bundle password
+ * @returns {{payloads: object[], certificateInfo: object, alerts: object[]}}
+ */
+function decodePkcs12Payloads(profile, password) {
+  const payloads = [];
+  const certificateInfo = {};
+  const alerts = [];
+  const content = profile && Array.isArray(profile.PayloadContent) ? profile.PayloadContent : [];
+  
+  content.forEach((payload, index) => {
+    if (!payload || payload.PayloadType !== 'com.apple.security.pkcs12' || !payload.PayloadContent) {
+      return;
+    }
+    const location = `PayloadContent[${index}]`;
+    const summary = {
+      path: location,
+      payload_identifier: payload.PayloadIdentifier || null,
+      payload_uuid: payload.PayloadUUID || null,
+      display_name: payload.PayloadDisplayName || payload.PayloadCertificateFileName || null,
+      password_source: payload.Password ? 'payload' : (password ? 'request' : 'none')
+    };
+    try {
+      const contents = certService.readPkcs12(payload.PayloadContent, payload.Password || password);
+      contents.bags.filter(bag => bag.certificate).forEach(bag => {
+        certificateInfo[`${location}.PayloadContent.bags[${bag.index}]`] = bag.certificate;
+      });
+      alerts.push(...pkcs12Alerts(contents, location));
+      payloads.push({ ...summary, ...contents });
+    } catch (error) {
+      alerts.push({
+        type: 'pkcs12',
+        severity: 'warning',
+        message: `${location}: ${error.message}`,
+        details: { payload_uuid: summary.payload_uuid, password_source: summary.password_source }
+      });
+      payloads.push({ ...summary, error: error.message });
+    }
+  });
+  
+  return { payloads, certificateInfo, alerts };
+}
+
+async function processPlistFromBuffer(fileContent, obfuscationLevel, certHandling, password) {
   console.log('[processPlistFromBuffer] Processing plist from buffer');
   
   try {
@@ -366,6 +638,7 @@ async function processPlistFromBuffer(fileContent, obfuscationLevel, certHandlin
     
     // Fix certificate data - plist library may parse base64 data as Buffer objects
     parsedData = fixPlistCertificateData(parsedData);
+    const pkcs12 = decodePkcs12Payloads(parsedData, password);
     
     // Apply obfuscation if needed
     let processedResult = parsedData;
@@ -388,9 +661,16 @@ async function processPlistFromBuffer(fileContent, obfuscationLevel, certHandlin
       sortKeys: false
     });
     
+    const mapped = mapToYamlSchema(processedResult, 'mobileconfig');
+    
     return {
       yaml: yamlContent,
       json: JSON.stringify(processedResult, null, 2),
+      mapped,
+      filteredYaml: yaml.dump(mapped, { indent: 2, lineWidth: 120, noRefs: true }),
+      pkcs12Payloads: pkcs12.payloads.length > 0 ? pkcs12.payloads : undefined,
+      certificateInfo: Object.keys(pkcs12.certificateInfo).length > 0 ? pkcs12.certificateInfo : undefined,
+      alerts: pkcs12.alerts,
       original: fileContent
     };
   } catch (error) {
@@ -425,9 +705,13 @@ async function processYamlFromBuffer(fileContent, obfuscationLevel, certHandling
       sortKeys: false
     });
     
+    const mapped = isProfileDocument(processedResult) ? mapToYamlSchema(processedResult, 'profile') : null;
+    
     return {
       yaml: yamlContent,
       json: JSON.stringify(processedResult, null, 2),
+      mapped,
+      filteredYaml: mapped ? yaml.dump(mapped, { indent: 2, lineWidth: 120, noRefs: true }) : null,
       original: fileContent
     };
   } catch (error) {
@@ -435,6 +719,795 @@ async function processYamlFromBuffer(fileContent, obfuscationLevel, certHandling
   }
 }
 
+/**
+ * Flatten a parsed PPS MO into node paths and map it into the Passpoint profile
+ * Passwords are obfuscated on the node tree, before flattening, so the usual
+ * field-name matching applies
+ * @param {object} tree The parsePpsMo result
+ * @param {string} obfuscationLevel Password obfuscation level
+ * @returns {{ppsMo: object, mapped: object}} The `{ instance, update_identifier, paths }`
+ *   document and the mapToYamlSchema result
+ */
+function ppsMoDocument(tree, obfuscationLevel) {
+  const redacted = obfuscationLevel !== 'none' ? obfuscatePasswords(tree, obfuscationLevel) : tree;
+  const { instance, updateIdentifier, paths } = flattenPpsMo(redacted);
+  return {
+    ppsMo: { instance, update_identifier: updateIdentifier, paths },
+    mapped: mapToYamlSchema(paths, 'pps-mo')
+  };
+}
+
+async function processPpsMoFromBuffer(fileContent, obfuscationLevel, certHandling) {
+  console.log('[processPpsMoFromBuffer] Processing PPS MO from buffer');
+  
+  try {
+    const { ppsMo, mapped } = ppsMoDocument(await parsePpsMo(fileContent), obfuscationLevel);
+    let processed = { pps_mo: ppsMo };
+    if (certHandling && certHandling !== 'preserve') {
+      processed = certService.processCertificatesInObject(processed, certHandling);
+    }
+    
+    return {
+      processed,
+      mapped,
+      yaml: yaml.dump(processed, { indent: 2, lineWidth: 120, noRefs: true }),
+      filteredYaml: yaml.dump(mapped, { indent: 2, lineWidth: 120, noRefs: true }),
+      json: JSON.stringify(processed, null, 2),
+      original: fileContent
+    };
+  } catch (error) {
+    throw new Error('Failed to process PPS MO: ' + error.message);
+  }
+}
+
+/**
+ * Process an ONC (Open Network Configuration) document
+ * Networks keep their resolved certificate references and substitution
+ * variables; the first EAP network is mapped into the Passpoint profile
+ * @param {string} fileContent The ONC JSON
+ * @param {string} obfuscationLevel Password obfuscation level
+ * @param {string} certHandling Certificate handling mode
+ * @param {object|string} variables Substitution values such as `{ LOGIN_EMAIL }`, or their JSON
+ * @returns {object} `{ processed, mapped, yaml, filteredYaml, json, certificateInfo, alerts }`
+ */
+function processOncFromBuffer(fileContent, obfuscationLevel, certHandling, variables) {
+  console.log('[processOncFromBuffer] Processing ONC document from buffer');
+  
+  let values = variables || {};
+  if (typeof values === 'string') {
+    try {
+      values = JSON.parse(values);
+    } catch (error) {
+      throw new Error('oncVariables must be a JSON object: ' + error.message);
+    }
+  }
+  
+  const onc = parseOnc(fileContent, values);
+  const document = { onc: { type: onc.type, networks: onc.networks, certificates: onc.certificates } };
+  
+  // Certificate metadata, keyed by the path of the certificate in the document
+  const certificateInfo = {};
+  onc.certificates.forEach((certificate, index) => {
+    if (certificate.x509) {
+      certificateInfo[`onc.certificates[${index}].x509`] = certService.extractCertInfo(certificate.x509);
+    }
+    certificate.certificates.forEach((pem, position) => {
+      certificateInfo[`onc.certificates[${index}].certificates[${position}]`] = certService.extractCertInfo(pem);
+    });
+  });
+  
+  let processed = obfuscationLevel !== 'none' ? obfuscatePasswords(document, obfuscationLevel) : document;
+  if (obfuscationLevel !== 'none' || certHandling !== 'preserve') {
+    processed.onc.certificates.forEach(certificate => {
+      if (certificate.pkcs12) {
+        certificate.pkcs12 = '[PKCS#12 DATA REDACTED]';
+      }
+    });
+  }
+  if (certHandling && certHandling !== 'preserve') {
+    console.log('[processOncFromBuffer] Applying certificate handling mode:', certHandling);
+    processed = certService.processCertificatesInObject(processed, certHandling);
+  }
+  const eapNetworks = onc.networks.filter(network => network.eap);
+  const hasEap = eapNetworks.length > 0;
+  const mapped = hasEap ? mapToYamlSchema(processed.onc, 'onc') : null;
+  
+  const alerts = onc.warnings.map(warning => ({
+    type: 'onc_configuration',
+    severity: 'warning',
+    message: warning,
+    details: { networks: onc.networks.length, certificates: onc.certificates.length }
+  }));
+  if (!hasEap) {
+    alerts.push({
+      type: 'onc_configuration',
+      severity: 'warning',
+      message: 'No network with EAP settings found, so there is nothing to map into the Passpoint profile.',
+      details: { networks: onc.networks.length, certificates: onc.certificates.length }
+    });
+  } else if (eapNetworks.length > 1) {
+    alerts.push({
+      type: 'onc_configuration',
+      severity: 'warning',
+      message: `Only the first of ${eapNetworks.length} EAP networks (${eapNetworks[0].name}) is mapped into the Passpoint profile.`,
+      details: { networks: onc.networks.length, certificates: onc.certificates.length }
+    });
+  }
+  
+  return {
+    processed,
+    mapped,
+    yaml: yaml.dump(processed, { indent: 2, lineWidth: 120, noRefs: true }),
+    filteredYaml: mapped ? yaml.dump(mapped, { indent: 2, lineWidth: 120, noRefs: true }) : null,
+    json: JSON.stringify(processed, null, 2),
+    certificateInfo: Object.keys(certificateInfo).length > 0 ? certificateInfo : null,
+    alerts,
+    original: fileContent
+  };
+}
+
+/**
+ * Process a wpa_supplicant.conf file
+ * Global settings, network blocks and cred blocks are kept as structured
+ * objects; the first cred block is mapped into the Passpoint profile
+ * @param {string} fileContent The configuration text
+ * @param {string} obfuscationLevel Password obfuscation level
+ * @param {string} certHandling Certificate handling mode
+ * @returns {object} `{ processed, mapped, yaml, filteredYaml, json, alerts }`
+ */
+function processWpaSupplicantFromBuffer(fileContent, obfuscationLevel, certHandling) {
+  console.log('[processWpaSupplicantFromBuffer] Processing wpa_supplicant.conf from buffer');
+  
+  const config = parseWpaSupplicantConfig(fileContent);
+  const document = { globals: config.globals, creds: config.creds, networks: config.networks };
+  let processed = { wpa_supplicant: obfuscationLevel !== 'none' ? obfuscatePasswords(document, obfuscationLevel) : document };
+  if (certHandling && certHandling !== 'preserve') {
+    processed = certService.processCertificatesInObject(processed, certHandling);
+  }
+  const mapped = config.creds.length > 0 ? mapToYamlSchema(processed.wpa_supplicant, 'wpa-supplicant') : null;
+  
+  const alerts = config.warnings.map(warning => ({
+    type: 'wpa_supplicant_config',
+    severity: 'warning',
+    message: warning,
+    details: { networks: config.networks.length, creds: config.creds.length }
+  }));
+  if (config.creds.length === 0) {
+    alerts.push({
+      type: 'wpa_supplicant_config',
+      severity: 'warning',
+      message: 'No cred block found, so there is no Passpoint credential to map. Network blocks are shown as read.',
+      details: { networks: config.networks.length, creds: 0 }
+    });
+  } else if (config.creds.length > 1) {
+    alerts.push({
+      type: 'wpa_supplicant_config',
+      severity: 'warning',
+      message: `Only the first of ${config.creds.length} cred blocks is mapped into the Passpoint profile.`,
+      details: { networks: config.networks.length, creds: config.creds.length }
+    });
+  }
+  if (config.creds.length > 0 && config.globals.interworking !== '1') {
+    alerts.push({
+      type: 'wpa_supplicant_config',
+      severity: 'warning',
+      message: 'cred blocks are only used with interworking=1, which this file does not set.',
+      details: { networks: config.networks.length, creds: config.creds.length }
+    });
+  }
+  
+  return {
+    processed,
+    mapped,
+    yaml: yaml.dump(processed, { indent: 2, lineWidth: 120, noRefs: true }),
+    filteredYaml: mapped ? yaml.dump(mapped, { indent: 2, lineWidth: 120, noRefs: true }) : null,
+    json: JSON.stringify(processed, null, 2),
+    alerts,
+    original: fileContent
+  };
+}
+
+/**
+ * Process a hostapd.conf access point configuration
+ * The interworking and hs20 directives of every BSS are read into a
+ * structured advertisement (venue, NAI realms with EAP methods, WAN metrics,
+ * connection capabilities, ...); the first interworking BSS is mapped into
+ * the Passpoint profile
+ * @param {string} fileContent The configuration text
+ * @param {string} obfuscationLevel Password obfuscation level
+ * @param {string} certHandling Certificate handling mode
+ * @returns {object} `{ processed, mapped, yaml, filteredYaml, json, alerts }`
+ */
+function processHostapdFromBuffer(fileContent, obfuscationLevel, certHandling) {
+  console.log('[processHostapdFromBuffer] Processing hostapd.conf from buffer');
+  
+  const config = parseHostapdConfig(fileContent);
+  const document = { radio: config.radio, bsses: config.bsses };
+  let processed = { hostapd: obfuscationLevel !== 'none' ? obfuscatePasswords(document, obfuscationLevel) : document };
+  if (certHandling && certHandling !== 'preserve') {
+    processed = certService.processCertificatesInObject(processed, certHandling);
+  }
+  const interworkingBsses = config.bsses.filter(bss => bss.interworking.enabled || bss.hs20.enabled);
+  const mapped = interworkingBsses.length > 0 ? mapToYamlSchema(processed.hostapd, 'hostapd') : null;
+  
+  const details = { bsses: config.bsses.map(bss => bss.bss), interworking_bsses: interworkingBsses.map(bss => bss.bss) };
+  const alerts = config.warnings.map(warning => ({
+    type: 'hostapd_config',
+    severity: 'warning',
+    message: warning,
+    details
+  }));
+  if (interworkingBsses.length === 0) {
+    alerts.push({
+      type: 'hostapd_config',
+      severity: 'warning',
+      message: 'No BSS sets interworking=1 or hs20=1, so nothing is advertised to Passpoint clients.',
+      details
+    });
+  } else if (interworkingBsses.length > 1) {
+    alerts.push({
+      type: 'hostapd_config',
+      severity: 'warning',
+      message: `Only the first of ${interworkingBsses.length} interworking BSSes (${interworkingBsses[0].bss}) is mapped into the Passpoint profile.`,
+      details
+    });
+  }
+  
+  return {
+    processed,
+    mapped,
+    yaml: yaml.dump(processed, { indent: 2, lineWidth: 120, noRefs: true }),
+    filteredYaml: mapped ? yaml.dump(mapped, { indent: 2, lineWidth: 120, noRefs: true }) : null,
+    json: JSON.stringify(processed, null, 2),
+    alerts,
+    original: fileContent
+  };
+}
+
+/**
+ * Process an INI, Java .properties, TOML or .env file
+ * The parsed data gets the same password obfuscation and certificate
+ * handling as a YAML upload
+ * @param {string} fileContent The file text
+ * @param {string} format 'ini', 'properties', 'toml' or 'env'
+ * @param {string} obfuscationLevel Password obfuscation level
+ * @param {string} certHandling Certificate handling mode
+ * @returns {object} `{ processed, yaml, json, certificateInfo, alerts }`
+ */
+function processConfigFileFromBuffer(fileContent, format, obfuscationLevel, certHandling) {
+  console.log('[processConfigFileFromBuffer] Processing', format, 'file from buffer');
+  
+  const { data, warnings } = parseConfigFile(fileContent, format);
+  
+  // Certificate metadata, keyed by the path of the certificate in the data
+  const certificateInfo = {};
+  const findCerts = (value, currentPath) => {
+    if (typeof value === 'string' && certService.isCertificateData(value)) {
+      const info = certService.extractCertInfo(value);
+      if (info) {
+        certificateInfo[currentPath] = info;
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => findCerts(item, `${currentPath}[${index}]`));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, item]) => findCerts(item, currentPath ? `${currentPath}.${key}` : key));
+    }
+  };
+  findCerts(data, '');
+  
+  let processed = obfuscationLevel !== 'none' ? obfuscatePasswords(data, obfuscationLevel) : data;
+  if (certHandling && certHandling !== 'preserve') {
+    console.log('[processConfigFileFromBuffer] Applying certificate handling mode:', certHandling);
+    processed = certService.processCertificatesInObject(processed, certHandling);
+  }
+  
+  const mapped = isProfileDocument(processed) ? mapToYamlSchema(processed, 'profile') : null;
+  
+  const alerts = warnings.map(warning => ({
+    type: 'config_file',
+    severity: 'warning',
+    message: warning,
+    details: { format }
+  }));
+  
+  return {
+    processed,
+    mapped,
+    yaml: yaml.dump(processed, { indent: 2, lineWidth: 120, noRefs: true }),
+    filteredYaml: mapped ? yaml.dump(mapped, { indent: 2, lineWidth: 120, noRefs: true }) : null,
+    json: JSON.stringify(processed, null, 2),
+    certificateInfo: Object.keys(certificateInfo).length > 0 ? certificateInfo : null,
+    alerts,
+    original: fileContent
+  };
+}
+
+/**
+ * Process a Windows WLAN profile (`netsh wlan export profile` XML)
+ * The Hotspot2 element and the EapHostConfig are read into a structured
+ * document and mapped into the Passpoint profile
+ * @param {string} fileContent The WLANProfile XML
+ * @param {string} obfuscationLevel Password obfuscation level
+ * @param {string} certHandling Certificate handling mode
+ * @returns {Promise<object>} `{ processed, mapped, yaml, filteredYaml, json, alerts }`
+ */
+async function processWlanProfileFromBuffer(fileContent, obfuscationLevel, certHandling) {
+  console.log('[processWlanProfileFromBuffer] Processing Windows WLAN profile from buffer');
+  
+  let wlanProfile;
+  try {
+    wlanProfile = await parseWlanProfile(fileContent);
+  } catch (error) {
+    throw new Error('Failed to process WLAN profile: ' + error.message);
+  }
+  
+  // The key material of PSK profiles exported with key=clear is the only secret
+  let processed = { windows_wlan_profile: obfuscationLevel !== 'none' ? obfuscatePasswords(wlanProfile, obfuscationLevel) : wlanProfile };
+  if (certHandling && certHandling !== 'preserve') {
+    processed = certService.processCertificatesInObject(processed, certHandling);
+  }
+  const mapped = mapToYamlSchema(processed.windows_wlan_profile, 'windows-wlan');
+  
+  const alerts = [];
+  if (!wlanProfile.hotspot2) {
+    alerts.push({
+      type: 'windows_wlan_profile',
+      severity: 'warning',
+      message: 'WLAN profile has no Hotspot2 element, so it is not a Passpoint profile.',
+      details: { name: wlanProfile.name, ssids: wlanProfile.ssids }
+    });
+  }
+  if (wlanProfile.eap && !wlanProfile.eap.method) {
+    alerts.push({
+      type: 'windows_wlan_profile',
+      severity: 'warning',
+      message: `EAP type ${wlanProfile.eap.type} is not an EAP method type, so no EAP method is mapped.`,
+      details: { eapType: wlanProfile.eap.type, authorId: wlanProfile.eap.author_id }
+    });
+  }
+  const hashes = wlanProfile.eap && wlanProfile.eap.server_validation ? wlanProfile.eap.server_validation.trusted_root_ca_hashes : [];
+  if (hashes.length > 0) {
+    alerts.push({
+      type: 'windows_wlan_profile',
+      severity: 'warning',
+      message: 'Trusted root CAs are referenced by SHA-1 thumbprint only; add the CA certificate to the profile before exporting it to other platforms.',
+      details: { trustedRootCaHashes: hashes }
+    });
+  }
+  
+  return {
+    processed,
+    mapped,
+    yaml: yaml.dump(processed, { indent: 2, lineWidth: 120, noRefs: true }),
+    filteredYaml: yaml.dump(mapped, { indent: 2, lineWidth: 120, noRefs: true }),
+    json: JSON.stringify(processed, null, 2),
+    alerts,
+    original: fileContent
+  };
+}
+
+/**
+ * Process an Android application/x-wifi-config bundle
+ * Every part goes through the same password and certificate handling as the
+ * other formats. The client PKCS#12 holds the private key, so it is only kept
+ * when both obfuscation and certificate handling are off.
+ * @param {Buffer|string} fileContent The bundle
+ * @param {string} obfuscationLevel Password obfuscation level
+ * @param {string} certHandling Certificate handling mode
+ * @returns {Promise<object>} `{ document, processed, mapped, yaml, filteredYaml, json, certificateInfo, alerts }`
+ */
+async function processWifiConfigFromBuffer(fileContent, obfuscationLevel, certHandling) {
+  console.log('[processWifiConfigFromBuffer] Processing Android wifi-config bundle');
+
+  const bundle = await parseWifiConfigBundle(fileContent);
+  const ppsMo = bundle.ppsMo ? ppsMoDocument(bundle.ppsMo, obfuscationLevel) : null;
+  const document = {
+    android_wifi_config: {
+      encoding: bundle.encoding,
+      parts: bundle.parts.map(part => ({
+        content_type: part.contentType,
+        transfer_encoding: part.transferEncoding,
+        role: part.role,
+        size: part.size
+      })),
+      pps_mo: ppsMo ? ppsMo.ppsMo : null,
+      ca_certificates: bundle.caCertificates,
+      client_certificate: bundle.pkcs12 ? {
+        pkcs12: bundle.pkcs12.data,
+        encrypted: bundle.pkcs12.encrypted,
+        certificates: bundle.pkcs12.certificates
+      } : null
+    }
+  };
+
+  // Certificate metadata, keyed by the path of the certificate in the document
+  const certificateInfo = {};
+  bundle.caCertificates.forEach((pem, index) => {
+    certificateInfo[`android_wifi_config.ca_certificates[${index}]`] = certService.extractCertInfo(pem);
+  });
+  (bundle.pkcs12 ? bundle.pkcs12.certificates : []).forEach((pem, index) => {
+    certificateInfo[`android_wifi_config.client_certificate.certificates[${index}]`] = certService.extractCertInfo(pem);
+  });
+
+  let processed = obfuscationLevel !== 'none' ? obfuscatePasswords(document, obfuscationLevel) : document;
+  if (processed.android_wifi_config.client_certificate && (obfuscationLevel !== 'none' || certHandling !== 'preserve')) {
+    processed.android_wifi_config.client_certificate.pkcs12 = '[PKCS#12 DATA REDACTED]';
+  }
+  if (certHandling && certHandling !== 'preserve') {
+    console.log('[processWifiConfigFromBuffer] Applying certificate handling mode:', certHandling);
+    processed = certService.processCertificatesInObject(processed, certHandling);
+  }
+
+  // The mapped profile carries the bundle's certificates, as handled above
+  const mapped = ppsMo ? ppsMo.mapped : null;
+  const handled = processed.android_wifi_config;
+  if (mapped) {
+    mapped.passpoint_profile.credential.ca_certificate = handled.ca_certificates[0] || '';
+    if (handled.client_certificate && !handled.client_certificate.encrypted) {
+      mapped.passpoint_profile.credential.client_certificate = handled.client_certificate.pkcs12;
+    }
+  }
+
+  const alerts = bundle.warnings.map(warning => ({
+    type: 'wifi_config_bundle',
+    severity: 'warning',
+    message: warning,
+    details: { parts: bundle.parts.map(part => part.contentType) }
+  }));
+
+  return {
+    document,
+    processed,
+    mapped,
+    yaml: yaml.dump(processed, { indent: 2, lineWidth: 120, noRefs: true }),
+    filteredYaml: mapped ? yaml.dump(mapped, { indent: 2, lineWidth: 120, noRefs: true }) : null,
+    json: JSON.stringify(processed, null, 2),
+    certificateInfo: Object.keys(certificateInfo).length > 0 ? certificateInfo : null,
+    alerts
+  };
+}
+
+/**
+ * Validate the Passpoint profile of a conversion, for `validate=true`
+ * @param {object|null} mapped The mapToYamlSchema document, or null when the
+ *   file held no profile
+ * @returns {{validation: object, alerts: object[]}} `validation` is
+ *   `{ valid, violations }`, with `valid` null when there was nothing to check
+ */
+function validateMappedProfile(mapped) {
+  if (!mapped || !mapped.passpoint_profile) {
+    return {
+      validation: { valid: null, violations: [] },
+      alerts: [{
+        type: 'schema_validation',
+        severity: 'warning',
+        message: 'No Passpoint profile was mapped from this file, so there is nothing to validate.',
+        details: {}
+      }]
+    };
+  }
+  
+  const { valid, violations } = validateProfile(mapped.passpoint_profile);
+  return { validation: { valid, violations }, alerts: validationAlerts(violations) };
+}
+
+/**
+ * Add the validation of the mapped profile to a conversion response
+ * @param {object} response The response, or the converted data, to add
+ *   `validation` and the schema alerts to
+ * @param {object|null} mapped The mapToYamlSchema document its filteredYaml
+ *   was dumped from, or null when the file held no profile
+ * @returns {object} The response
+ */
+function addProfileValidation(response, mapped) {
+  const { validation, alerts } = validateMappedProfile(mapped);
+  response.validation = validation;
+  response.alerts = [...(response.alerts || []), ...alerts];
+  return response;
+}
+
+/**
+ * Tell conversion errors caused by the upload itself (a missing PKCS#12
+ * password, an archive the ZIP limits reject) from server failures
+ * @param {Error} error The conversion error
+ * @returns {{status: number, metric: string, alerts: Array}|null} The answer
+ *   to send, or null when the error is a server failure
+ */
+function clientConversionError(error) {
+  if (error.code === 'ERR_PKCS12_PASSWORD') {
+    return {
+      status: 400,
+      metric: 'pkcs12_password',
+      alerts: [{
+        type: 'pkcs12',
+        severity: 'error',
+        message: `${error.message}.`,
+        details: { field: 'password', suggestion: 'Enter the PKCS#12 password and convert the file again.' }
+      }]
+    };
+  }
+  // Archives the ZIP limits reject are too large (413) or cannot be read (422)
+  if (error.code === ZIP_ERRORS.limit) {
+    return { status: 413, metric: 'zip_rejected', alerts: [zipAlert(error, 'Split the bundle into smaller archives.')] };
+  }
+  if (error.code === ZIP_ERRORS.unsupported || error.code === ZIP_ERRORS.malformed) {
+    return { status: 422, metric: 'zip_rejected', alerts: [zipAlert(error, 'Re-create the archive as a standard (non-ZIP64) ZIP file.')] };
+  }
+  return null;
+}
+
+function zipAlert(error, suggestion) {
+  return { type: 'zip_archive', severity: 'error', message: `${error.message}.`, details: { code: error.code, suggestion } };
+}
+
+/**
+ * Lint the Passpoint profile of a conversion
+ * .mobileconfig payloads are linted as written, other formats through their
+ * mapped profile
+ * @param {string} conversionType The convertFromBuffer conversion type
+ * @param {object} convertedData The convertFromBuffer result
+ * @returns {Array} Lint findings
+ * @throws {Error} When the file held no profile
+ */
+function lintConversion(conversionType, convertedData) {
+  const mobileconfig = conversionType === 'mobileconfig' && convertedData.json ? JSON.parse(convertedData.json) : null;
+  const profile = convertedData.mapped ? convertedData.mapped.passpoint_profile : null;
+  return lintProfile({ mobileconfig, profile });
+}
+
+/**
+ * Detect the format of an uploaded file and convert it from memory
+ * The same detection order is used for single uploads and ZIP entries
+ * @param {Buffer} fileBuffer The file
+ * @param {string} filename The file name, for its extension
+ * @param {object} options `{ obfuscationLevel, certHandling, password, oncVariables, validate }`; with
+ *   `validate` the mapped profile is checked and `convertedData.validation` set
+ * @returns {Promise<object>} `{ conversionType, convertedData, originalData }`
+ * @throws {Error} 'Unsupported file type for atomic conversion' when no format matches
+ */
+async function convertFromBuffer(fileBuffer, filename, options) {
+  const { obfuscationLevel, certHandling, password } = options;
+  const fileExtension = path.extname(filename).toLowerCase();
+  const fileContent = fileBuffer.toString('utf8');
+  
+  let convertedData;
+  let originalData;
+  let conversionType = 'unknown';
+  
+  if (fileExtension === '.p12' || fileExtension === '.pfx' || certService.isPkcs12(fileBuffer)) {
+    console.log('[convertFromBuffer] Processing PKCS#12 file');
+    conversionType = 'pkcs12';
+    
+    const result = processPkcs12FromBuffer(fileBuffer, password);
+    convertedData = result;
+    originalData = result.original;
+    
+  } else if (CERTIFICATE_FILE_EXTENSIONS.includes(fileExtension) || /^-----BEGIN (?:CERTIFICATE|X509 CERTIFICATE|PKCS7)-----/.test(fileContent.trimStart())) {
+    console.log('[convertFromBuffer] Processing certificate file');
+    conversionType = 'certificate';
+    
+    const result = processCertificateFileFromBuffer(fileBuffer, certHandling);
+    convertedData = result;
+    originalData = result.original;
+    
+  } else if (isWifiConfigBundle(fileBuffer)) {
+    console.log('[convertFromBuffer] Processing Android wifi-config bundle');
+    conversionType = 'android-wifi-config';
+    
+    const result = await processWifiConfigFromBuffer(fileBuffer, obfuscationLevel, certHandling);
+    convertedData = result;
+    originalData = fileContent;
+    
+  } else if (/<MgmtTree[\s>]/.test(fileContent)) {
+    console.log('[convertFromBuffer] Processing PPS MO file');
+    conversionType = 'pps-mo';
+    
+    const result = await processPpsMoFromBuffer(fileContent, obfuscationLevel, certHandling);
+    convertedData = result;
+    originalData = fileContent;
+    
+  } else if (isWlanProfile(fileContent)) {
+    console.log('[convertFromBuffer] Processing Windows WLAN profile');
+    conversionType = 'windows-wlan';
+    
+    const result = await processWlanProfileFromBuffer(fileContent, obfuscationLevel, certHandling);
+    convertedData = result;
+    originalData = fileContent;
+    
+  } else if (fileExtension === '.eap-config' || fileContent.includes('<EapHostConfig') || fileContent.includes('<EAPIdentityProviderList') || fileExtension === '.xml') {
+    console.log('[convertFromBuffer] Processing EAP config file');
+    conversionType = 'eap-config';
+    
+    // Parse EAP config directly from buffer
+    const result = await processEapConfigFromBuffer(fileContent, obfuscationLevel, certHandling);
+    convertedData = result;
+    originalData = fileContent;
+    
+  } else if (fileExtension === '.mobileconfig' || (fileContent.includes('<?xml') && fileContent.includes('<plist'))) {
+    console.log('[convertFromBuffer] Processing mobileconfig/plist file');
+    conversionType = 'mobileconfig';
+    
+    // Parse plist directly from buffer, unwrapping signed profiles first
+    const signedProfile = unwrapSignedProfile(fileBuffer);
+    const plistContent = signedProfile ? signedProfile.content.toString('utf8') : fileContent;
+    const result = await processPlistFromBuffer(plistContent, obfuscationLevel, certHandling, password);
+    if (signedProfile) {
+      result.signature = signedProfile.signature;
+      result.alerts = [...signedProfile.alerts, ...result.alerts];
+    }
+    convertedData = result;
+    originalData = plistContent;
+    
+  } else if ((fileExtension === '.onc' || fileExtension === '.json') && isOncDocument(fileContent)) {
+    console.log('[convertFromBuffer] Processing ONC file');
+    conversionType = 'onc';
+    
+    const result = processOncFromBuffer(fileContent, obfuscationLevel, certHandling, options.oncVariables);
+    convertedData = result;
+    originalData = fileContent;
+    
+  } else if (isWpaSupplicantConfig(fileContent)) {
+    console.log('[convertFromBuffer] Processing wpa_supplicant.conf file');
+    conversionType = 'wpa-supplicant';
+    
+    const result = processWpaSupplicantFromBuffer(fileContent, obfuscationLevel, certHandling);
+    convertedData = result;
+    originalData = fileContent;
+    
+  } else if (isHostapdConfig(fileContent)) {
+    console.log('[convertFromBuffer] Processing hostapd.conf file');
+    conversionType = 'hostapd';
+    
+    const result = processHostapdFromBuffer(fileContent, obfuscationLevel, certHandling);
+    convertedData = result;
+    originalData = fileContent;
+    
+  } else if (configFormatFor(fileExtension, fileContent)) {
+    conversionType = configFormatFor(fileExtension, fileContent);
+    console.log(`[convertFromBuffer] Processing ${conversionType} file`);
+    
+    const result = processConfigFileFromBuffer(fileContent, conversionType, obfuscationLevel, certHandling);
+    convertedData = result;
+    originalData = fileContent;
+    
+  } else if (fileExtension === '.yaml' || fileExtension === '.yml') {
+    console.log('[convertFromBuffer] Processing YAML file');
+    conversionType = 'yaml';
+    
+    // Parse YAML directly from buffer
+    const result = await processYamlFromBuffer(fileContent, obfuscationLevel, certHandling);
+    convertedData = result;
+    originalData = fileContent;
+    
+  } else {
+    throw new Error('Unsupported file type for atomic conversion');
+  }
+  
+  // Cross-field lint findings, when the file held a profile
+  if (convertedData.mapped || conversionType === 'mobileconfig') {
+    convertedData.alerts = [...(convertedData.alerts || []), ...lintAlerts(lintConversion(conversionType, convertedData))];
+  }
+  
+  if (options.validate) {
+    addProfileValidation(convertedData, convertedData.mapped);
+  }
+  
+  return { conversionType, convertedData, originalData };
+}
+
+/**
+ * Convert every entry of a ZIP archive
+ * Each entry goes through convertFromBuffer on its own, so one bad entry
+ * does not fail the archive. Entries without a known format (READMEs,
+ * images) are listed as skipped
+ * @param {Buffer} fileBuffer The archive
+ * @param {object} options `{ obfuscationLevel, certHandling, password, oncVariables, validate }`
+ * @returns {Promise<object>} `{ manifest, yaml, json, alerts }`
+ */
+async function processZipArchiveFromBuffer(fileBuffer, options) {
+  console.log('[processZipArchiveFromBuffer] Processing ZIP archive from buffer');
+  
+  const { entries, skipped } = readZipArchive(fileBuffer);
+  const results = [];
+  
+  for (const entry of entries) {
+    try {
+      const { conversionType, convertedData } = await convertFromBuffer(entry.data, entry.name, options);
+      results.push({
+        name: entry.name,
+        size: entry.size,
+        compressed_size: entry.compressedSize,
+        status: 'converted',
+        file_type: conversionType,
+        result: {
+          yaml: convertedData.yaml,
+          json: convertedData.json,
+          filteredYaml: convertedData.filteredYaml || undefined,
+          certificateInfo: convertedData.certificateInfo || undefined,
+          pkcs12Payloads: convertedData.pkcs12Payloads || undefined,
+          signature: convertedData.signature || undefined,
+          validation: convertedData.validation || undefined
+        },
+        alerts: convertedData.alerts || []
+      });
+    } catch (error) {
+      const unsupported = error.message === 'Unsupported file type for atomic conversion';
+      console.log('[processZipArchiveFromBuffer]', entry.name, unsupported ? 'has no supported format' : 'failed: ' + error.message);
+      results.push({
+        name: entry.name,
+        size: entry.size,
+        compressed_size: entry.compressedSize,
+        status: unsupported ? 'skipped' : 'error',
+        reason: unsupported ? 'No supported format detected' : error.message,
+        alerts: unsupported ? [] : [{
+          type: 'zip_entry',
+          severity: 'error',
+          message: `${entry.name} could not be converted: ${error.message}`,
+          details: { entry: entry.name }
+        }]
+      });
+    }
+  }
+  
+  skipped.forEach(entry => {
+    results.push({
+      name: entry.name,
+      size: entry.size,
+      compressed_size: entry.compressedSize,
+      status: 'skipped',
+      reason: entry.reason,
+      alerts: entry.unsafe ? [{
+        type: 'zip_entry',
+        severity: 'error',
+        message: `${entry.name} was not read. ${entry.reason}`,
+        details: { entry: entry.name }
+      }] : []
+    });
+  });
+  
+  const count = (status) => results.filter(result => result.status === status).length;
+  const manifest = {
+    entries: results,
+    converted: count('converted'),
+    skipped: count('skipped'),
+    failed: count('error')
+  };
+  
+  // The YAML view lists the entries; converted documents stay in manifest.entries[].result
+  const summary = {
+    archive: {
+      converted: manifest.converted,
+      skipped: manifest.skipped,
+      failed: manifest.failed,
+      entries: results.map(result => ({
+        name: result.name,
+        size: result.size,
+        status: result.status,
+        file_type: result.file_type,
+        reason: result.reason,
+        alerts: result.alerts.length || undefined
+      }))
+    }
+  };
+  
+  const alerts = results.flatMap(result => result.alerts);
+  if (manifest.converted === 0) {
+    alerts.unshift({
+      type: 'zip_archive',
+      severity: 'warning',
+      message: 'No entry in the archive has a supported format.',
+      details: { entries: results.length }
+    });
+  }
+  
+  return {
+    manifest,
+    yaml: yaml.dump(summary, { indent: 2, lineWidth: 120, noRefs: true, skipInvalid: true }),
+    json: JSON.stringify(summary, null, 2),
+    alerts
+  };
+}
+
 // Utility function to generate suggested download filenames based on original filename
 function generateSuggestedFilenames(originalFilename) {
   if (!originalFilename) {
@@ -477,7 +1550,15 @@ function obfuscatePasswords(obj, level = 'mask') {
     /^pwd$/i,
     /^secret$/i,
     /^userPassword$/i,
-    /^passphrase$/i
+    /^passphrase$/i,
+    /^private_key2?_passwd$/i, // wpa_supplicant key passwords
+    /^psk$/i,
+    /^sae_password$/i,
+    /^milenage$/i,
+    // .env, .ini, .properties and TOML keys name the secret in their last segment: DB_PASSWORD, db.password, API_KEY
+    /(^|[._-])(password|passwd|pwd|passphrase|secret|token|api[_-]?key|psk)$/i,
+    // and camelCase keys in their last word: dbPassword, clientSecret, apiKey
+    /[a-z0-9](Password|Passwd|Passphrase|Secret|Token|ApiKey|Psk)$/
   ];
 
   // EXCLUDE fields that might match the above patterns but are not passwords
@@ -616,19 +1697,6 @@ function obfuscatePasswords(obj, level = 'mask') {
   return traverse(clone);
 }
 
-// ✅ NEW GET /config route to serve passpoint YAML
-router.get('/config', (req, res) => {
-  const filePath = path.join(__dirname, '..', 'config', 'passpoint_rev0.yml');
-  fs.readFile(filePath, 'utf8', (err, data) => {
-    if (err) {
-      console.error('Error reading config:', err);
-      return res.status(500).send('Failed to load config');
-    }
-    res.setHeader('Content-Type', 'text/yaml');
-    res.send(data);
-  });
-});
-
 // Set up storage for uploaded files
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -654,8 +1722,8 @@ const upload = multer({
   fileFilter: (req, file, cb) => {
     const allowedExtensions = [
       '.yml', '.yaml', '.mobileconfig', '.xml', '.eap-config', 
-      '.txt', '.json', '.conf', '.cfg',
-      '.pem', '.crt', '.cer', '.ovpn', '.profile', '.p12', '.pfx',
+      '.txt', '.json', '.onc', '.conf', '.cfg',
+      '.pem', '.crt', '.cer', '.der', '.p7b', '.p7c', '.ovpn', '.profile', '.p12', '.pfx',
       '.plist', '.config', '.ini', '.properties', '.env',
       '.toml', '.log', '.data', '.bin'  // Added more types
     ];
@@ -675,6 +1743,9 @@ const upload = multer({
       'application/x-plist',    // Plist files
       'application/pkcs12',     // P12/PFX certificates
       'application/x-pkcs12',
+      'application/pkix-cert',  // DER certificates
+      'application/x-x509-ca-cert',
+      'application/x-pkcs7-certificates', // P7B chains
       'text/x-log',            // Log files
       'application/x-binary'   // Generic binary
     ];
@@ -836,12 +1907,12 @@ router.post('/upload-and-convert', (req, res) => {
       // Track file upload
       trackFileUpload(fileExtension, 'success');
       
-      // Process directly from memory buffer - NO FILE SYSTEM INTERACTION
-      const fileContent = req.file.buffer.toString('utf8');
-      
       // Get conversion parameters from request body (parsed from multipart)
       const obfuscationLevel = req.body.obfuscationLevel || 'none';
       const certHandling = req.body.certHandling || 'preserve';
+      const password = req.body.password || ''; // PKCS#12 password, never logged
+      const validate = req.body.validate === 'true'; // Check the mapped profile against the Passpoint schema
+      const options = { obfuscationLevel, certHandling, password, oncVariables: req.body.oncVariables, validate };
       
       console.log('[SERVER /upload-and-convert] Obfuscation level:', obfuscationLevel);
       console.log('[SERVER /upload-and-convert] Cert handling:', certHandling);
@@ -849,41 +1920,17 @@ router.post('/upload-and-convert', (req, res) => {
       // Generate suggested filenames
       const suggestedFilenames = generateSuggestedFilenames(req.file.originalname);
       
-      // Detect file type and convert directly from memory
+      // Detect file type and convert directly from memory buffer - NO FILE SYSTEM INTERACTION
       let convertedData;
       let originalData;
-      let conversionType = 'unknown';
+      let conversionType;
       
-      if (fileExtension === '.eap-config' || fileContent.includes('<EapHostConfig') || fileContent.includes('<EAPIdentityProviderList') || fileExtension === '.xml') {
-        console.log('[SERVER /upload-and-convert] Processing EAP config file');
-        conversionType = 'eap-config';
-        
-        // Parse EAP config directly from buffer
-        const result = await processEapConfigFromBuffer(fileContent, obfuscationLevel, certHandling);
-        convertedData = result;
-        originalData = fileContent;
-        
-      } else if (fileExtension === '.mobileconfig' || (fileContent.includes('<?xml') && fileContent.includes('<plist'))) {
-        console.log('[SERVER /upload-and-convert] Processing mobileconfig/plist file');
-        conversionType = 'mobileconfig';
-        
-        // Parse plist directly from buffer
-        const result = await processPlistFromBuffer(fileContent, obfuscationLevel, certHandling);
-        convertedData = result;
-        originalData = fileContent;
-        
-      } else if (fileExtension === '.yaml' || fileExtension === '.yml') {
-        console.log('[SERVER /upload-and-convert] Processing YAML file');
-        conversionType = 'yaml';
-        
-        // Parse YAML directly from buffer
-        const result = await processYamlFromBuffer(fileContent, obfuscationLevel, certHandling);
-        convertedData = result;
-        originalData = fileContent;
-        
+      if (fileExtension === '.zip' || isZipArchive(req.file.buffer)) {
+        console.log('[SERVER /upload-and-convert] Processing ZIP archive');
+        conversionType = 'zip';
+        convertedData = await processZipArchiveFromBuffer(req.file.buffer, options);
       } else {
-        trackError('unsupported_file_type', '/upload-and-convert');
-        throw new Error('Unsupported file type for atomic conversion');
+        ({ conversionType, convertedData, originalData } = await convertFromBuffer(req.file.buffer, req.file.originalname, options));
       }
       
       // Track conversion success and duration
@@ -912,15 +1959,39 @@ router.post('/upload-and-convert', (req, res) => {
         data: {
           yaml: convertedData.yaml || convertedData,
           json: convertedData.json || JSON.stringify(convertedData, null, 2),
+          filteredYaml: convertedData.filteredYaml || undefined,
           original: originalData
         },
+        fileType: conversionType,
+        certificateInfo: convertedData.certificateInfo || undefined,
+        pkcs12Payloads: convertedData.pkcs12Payloads || undefined,
+        signature: convertedData.signature || undefined,
+        manifest: convertedData.manifest || undefined,
+        validation: convertedData.validation || undefined,
+        alerts: convertedData.alerts && convertedData.alerts.length > 0 ? convertedData.alerts : undefined,
         conversionTime: new Date().toISOString(),
         raceConditionEliminated: true
       });
       
     } catch (error) {
+      const clientError = clientConversionError(error);
+      if (clientError) {
+        console.warn('[SERVER /upload-and-convert] Upload rejected:', error.message);
+        trackFileConversion(fileExtension, 'unknown', 'error');
+        trackError(clientError.metric, '/upload-and-convert');
+        return res.status(clientError.status).json({
+          error: 'Conversion failed: ' + error.message,
+          originalFilename: req.file?.originalname,
+          alerts: clientError.alerts
+        });
+      }
+      
       console.error('[SERVER /upload-and-convert] Conversion error:', error);
       
+      if (error.message === 'Unsupported file type for atomic conversion') {
+        trackError('unsupported_file_type', '/upload-and-convert');
+      }
+      
       // Track conversion error and duration
       const conversionDuration = (Date.now() - startTime) / 1000;
       trackFileConversion(fileExtension, 'unknown', 'error');
@@ -935,6 +2006,58 @@ router.post('/upload-and-convert', (req, res) => {
   });
 });
 
+/**
+ * Lint a Passpoint profile with the cross-field rules of the lint service
+ * Takes an upload in `yamlFile` (any format /upload-and-convert reads), a
+ * .mobileconfig posted as XML, or the profile bodies of the export routes.
+ * The response has the `findings` (rule, severity, message, JSON Pointer and
+ * fix) and one `profile_lint` alert per finding
+ */
+router.post('/lint', (req, res, next) => {
+  multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024, files: 1 } }).single('yamlFile')(req, res, (err) => {
+    if (err) {
+      console.error('[SERVER /lint] Multer error:', err);
+      trackError('upload_error', '/lint');
+      return res.status(400).json({ error: 'Upload failed: ' + err.message });
+    }
+    return next();
+  });
+}, express.text({ type: ['text/yaml', 'application/x-yaml', 'text/plain', 'application/xml', 'text/xml', 'application/x-apple-aspen-config'], limit: '5mb' }), async (req, res) => {
+  console.log('[SERVER /lint] Lint request received');
+  
+  let findings;
+  try {
+    if (req.file) {
+      console.log('[SERVER /lint] Linting upload:', req.file.originalname);
+      const options = { obfuscationLevel: 'none', certHandling: 'preserve', password: req.body.password || '' };
+      const { conversionType, convertedData } = await convertFromBuffer(req.file.buffer, req.file.originalname, options);
+      findings = lintConversion(conversionType, convertedData);
+    } else if (typeof req.body === 'string' && req.body.includes('<plist')) {
+      findings = lintProfile({ mobileconfig: plist.parse(req.body) });
+    } else {
+      findings = lintProfile({ profile: readProfile(req.body) });
+    }
+  } catch (error) {
+    console.error('[SERVER /lint] Lint failed:', error.message);
+    trackError('lint_error', '/lint');
+    return res.status(400).json({ error: 'Failed to lint profile', details: error.message });
+  }
+  
+  const alerts = lintAlerts(findings);
+  return res.json({
+    success: true,
+    findings,
+    errors: findings.filter(finding => finding.severity === 'error').length,
+    warnings: findings.filter(finding => finding.severity === 'warning').length,
+    alerts: alerts.length > 0 ? alerts : undefined
+  });
+});
+
+// List the lint rules with their severities
+router.get('/lint/rules', (req, res) => {
+  res.json({ rules: LINT_RULES.map(({ id, severity, description, fix }) => ({ id, severity, description, fix })) });
+});
+
 // Health check endpoint specifically for upload testing
 router.get('/upload-health', (req, res) => {
   const health = {
@@ -1147,7 +2270,7 @@ function cleanupOldFiles() {
 }
 
 // Run cleanup every hour
-setInterval(cleanupOldFiles, 60 * 60 * 1000); // 1 hour
+setInterval(cleanupOldFiles, 60 * 60 * 1000).unref(); // 1 hour; unref'd so the timer alone doesn't keep the process running
 console.log('[SERVER] Automatic file cleanup scheduled to run every hour');
 
 // Add new route to get RAW file data without any filtering
@@ -1309,7 +2432,7 @@ router.post('/convert', async (req, res) => {
   console.log('[SERVER /convert] --- /convert route hit ---');
   console.log('[SERVER /convert] Request headers:', req.headers);
   console.log('[SERVER /convert] Content-Type:', req.headers['content-type']);
-  console.log('[SERVER /convert] Request body:', req.body);
+  console.log('[SERVER /convert] Request body:', req.body && req.body.password ? { ...req.body, password: '[REDACTED]' } : req.body);
 
   // Handle missing body gracefully
   if (!req.body) {
@@ -1321,9 +2444,43 @@ router.post('/convert', async (req, res) => {
     filePath, 
     obfuscationLevel = 'none',
     certHandling = 'obfuscate', // Default to obfuscate certificates
+    oncVariables, // ONC substitution values, e.g. { LOGIN_EMAIL: 'user@example.com' }
+    password = '', // PKCS#12 password, for .p12/.pfx files and pkcs12 payloads without one
+    validate = false, // Check the mapped profile against the Passpoint schema
     streamId = uuidv4() // Generate stream ID if not provided
   } = req.body || {}; 
   
+  // With validate=true, every branch checks the profile it mapped into filteredYaml
+  const shouldValidate = validate === true || validate === 'true';
+  const withValidation = (response, mapped) => shouldValidate ? addProfileValidation(response, mapped) : response;
+
+  // Answer for a process*FromBuffer converter: `original` is its result, `profile` its
+  // mapped profile. Certificate files and PKCS#12 leave `profile` out, as they map no
+  // profile and obfuscate no passwords
+  const respondWithProfile = (res, { fileType, original, profile, alerts: responseAlerts }) => {
+    const response = {
+      success: true,
+      fileType,
+      streamId,
+      yamlOutput: original.yaml,                   // PRIMARY: The file as read (obfuscated if requested)
+      comprehensiveYaml: original.yaml,
+      filteredYaml: original.filteredYaml,         // SECONDARY: Mapped Passpoint profile, when the file holds one
+      jsonOutput: original.json,
+      data: original.processed,
+      originalData: original.processed,
+      certificateInfo: original.certificateInfo,
+      suggestedFilenames: generateSuggestedFilenames(path.basename(filePath))
+    };
+    if (profile !== undefined) {
+      response.obfuscationInfo = {
+        level: obfuscationLevel,
+        applied: obfuscationLevel !== 'none',
+        note: obfuscationLevel !== 'none' ? `Passwords obfuscated using '${obfuscationLevel}' method` : 'No obfuscation applied'
+      };
+    }
+    return res.json(withValidation(addAlertsToResponse(response, responseAlerts), profile || null));
+  };
+
   // Send initial update to any websocket subscribers
   sendConversionUpdate(streamId, {
     status: 'started',
@@ -1417,7 +2574,15 @@ router.post('/convert', async (req, res) => {
     }
     
     let parsedData;
-    let fileTypeForMapping;
+
+    // Android bundles are base64 text whatever their extension (.config, .xml, .txt)
+    const wifiConfigBuffer = fs.readFileSync(fullPath);
+    if (isWifiConfigBundle(wifiConfigBuffer)) {
+      console.log('[SERVER /convert] --- Processing Android wifi-config bundle ---');
+      
+      const result = await processWifiConfigFromBuffer(wifiConfigBuffer, obfuscationLevel, certHandling);
+      return respondWithProfile(res, { fileType: 'android-wifi-config', original: result, profile: result.mapped, alerts: [...(alerts || []), ...result.alerts] });
+    }
 
     if (fileExtension === '.mobileconfig') {
       console.log('[SERVER /convert] --- Processing .mobileconfig file ---');
@@ -1427,22 +2592,30 @@ router.post('/convert', async (req, res) => {
         const fileBuffer = fs.readFileSync(fullPath);
         console.log('[SERVER /convert] .mobileconfig file data read, length:', fileBuffer.length);
         
-        // Try parsing as binary plist first
+        // Signed profiles wrap the plist in CMS SignedData
+        const signedProfile = unwrapSignedProfile(fileBuffer);
+        const plistBuffer = signedProfile ? signedProfile.content : fileBuffer;
+        
+        // Parse with the typed reader first so the plist can be written back unchanged
         let parsedPlist;
+        let plistTypes = {};
+        let plistFormat = 'xml';
         try {
-          parsedPlist = plist.parse(fileBuffer);
-          console.log('[SERVER /convert] Binary plist parsing successful');
-        } catch (binaryError) {
-          console.log('[SERVER /convert] Binary plist failed, trying as text:', binaryError.message);
+          ({ value: parsedPlist, types: plistTypes, format: plistFormat } = parsePlist(plistBuffer));
+          console.log(`[SERVER /convert] ${plistFormat === 'binary' ? 'Binary' : 'XML'} plist parsing successful`);
+        } catch (typedError) {
+          console.log('[SERVER /convert] Typed plist parsing failed, trying plist package:', typedError.message);
           
-          // If binary fails, try as text
-          const fileContent = fileBuffer.toString('utf8');
+          const fileContent = plistBuffer.toString('utf8');
           parsedPlist = plist.parse(fileContent);
           console.log('[SERVER /convert] Text plist parsing successful');
         }
         
         console.log('[SERVER /convert] Parsed plist structure:', JSON.stringify(parsedPlist, null, 2));
         
+        // Decoded before obfuscation, which would replace the payloads' Password keys
+        const pkcs12 = decodePkcs12Payloads(parsedPlist, password);
+        
         // Pre-process plist to ensure EAP passwords are identified
         // This is needed because some mobileconfig files have deeply nested password fields
         if (obfuscationLevel !== 'none') {
@@ -1512,7 +2685,7 @@ router.post('/convert', async (req, res) => {
         });
         
         // Also create the filtered/mapped version for comparison (also obfuscated)
-        const mappedData = mapMobileConfigToYaml(processedPlist);
+        const mappedData = mapToYamlSchema(processedPlist, 'mobileconfig');
         const filteredYamlOutput = yaml.dump(mappedData, {
           indent: 2,
           lineWidth: 120,
@@ -1530,13 +2703,18 @@ router.post('/convert', async (req, res) => {
         const suggestedFilenames = generateSuggestedFilenames(originalFilename);
         
         // Return the response with processed data as primary YAML
-        return res.json(addAlertsToResponse({
+        return res.json(withValidation(addAlertsToResponse({
           success: true,
           yamlOutput: comprehensiveYamlOutput,         // PRIMARY: Full data (obfuscated if requested)
           comprehensiveYaml: comprehensiveYamlOutput,  // ALSO: Same data for comprehensive tab
           filteredYaml: filteredYamlOutput,            // SECONDARY: Filtered version (also obfuscated)
           jsonOutput: JSON.stringify(processedForJson, bufferJsonReplacer, 2), // JSON format for JSON tab with proper binary handling
           originalData: originalForJson,               // Keep original but with proper binary formatting
+          plistTypes: plistTypes,                      // JSON Pointer -> data/date/real, for /api/export/plist
+          plistFormat: plistFormat,                    // 'xml' or 'binary', as uploaded
+          pkcs12Payloads: pkcs12.payloads.length > 0 ? pkcs12.payloads : undefined, // Bags of com.apple.security.pkcs12 payloads
+          certificateInfo: Object.keys(pkcs12.certificateInfo).length > 0 ? pkcs12.certificateInfo : undefined,
+          signature: signedProfile ? signedProfile.signature : { signed: false }, // Signer chain, signing time and validity
           suggestedFilenames: suggestedFilenames,      // Suggested download filenames
           obfuscationInfo: {
             level: obfuscationLevel,
@@ -1549,7 +2727,7 @@ router.post('/convert', async (req, res) => {
             filteredDataSize: JSON.stringify(mappedData).length,
             note: "Full data is provided in the 'yamlOutput' field with requested obfuscation level"
           }
-        }, alerts));
+        }, [...(alerts || []), ...(signedProfile ? signedProfile.alerts : []), ...pkcs12.alerts]), mappedData));
         
       } catch (error) {
         console.log('[SERVER /convert] .mobileconfig processing failed:', error.message);
@@ -1626,7 +2804,7 @@ router.post('/convert', async (req, res) => {
           
           binaryAnalysis.fileInfo.detectedFormat = binaryAnalysis.analysis.possibleFormats.join(', ');
           
-          return res.json({
+          return res.json(withValidation({
             success: true,
             fileType: 'binary-analysis',
             yamlOutput: yaml.dump(binaryAnalysis, { indent: 2, lineWidth: 120, noRefs: true }), // Frontend expects yamlOutput
@@ -1634,7 +2812,7 @@ router.post('/convert', async (req, res) => {
             jsonOutput: JSON.stringify(binaryAnalysis, null, 2), // JSON format for JSON tab
             data: binaryAnalysis,
             originalData: `Binary file: ${path.basename(fullPath)} (${fileBuffer.length} bytes)`
-          });
+          }, null));
         }
         
         // Convert buffer to string and clean it
@@ -1671,7 +2849,7 @@ router.post('/convert', async (req, res) => {
                 fileInfo: {
                   fileName: path.basename(fullPath),
                   originalFormat: 'base64-encoded',
-                  decodedFormat: 'multipart/mixed or other',
+                  decodedFormat: 'not XML',
                   fileSize: fileBuffer.length,
                   decodedSize: decodedString.length
                 },
@@ -1683,40 +2861,17 @@ router.post('/convert', async (req, res) => {
                 }
               };
               
-              // Try to extract any XML or configuration data from multipart content
-              if (decodedString.includes('Content-Type: multipart')) {
-                const parts = decodedString.split(/--[a-zA-Z0-9\-_]+/);
-                for (const part of parts) {
-                  if (part.includes('<') && (part.includes('<?xml') || part.includes('<config') || part.includes('<android'))) {
-                    console.log('[SERVER /convert] Found XML content in multipart section');
-                    const xmlMatch = part.match(/<\?xml[\s\S]*?(?=--[a-zA-Z0-9\-_]+|$)/i) || 
-                                   part.match(/<[a-zA-Z][^>]*[\s\S]*?(?=--[a-zA-Z0-9\-_]+|$)/i);
-                    if (xmlMatch) {
-                      xmlString = xmlMatch[0].trim();
-                      analysisData.extractedXml = xmlString.substring(0, 1000);
-                      console.log('[SERVER /convert] Extracted XML from multipart, length:', xmlString.length);
-                      break;
-                    }
-                  }
-                }
-              }
-              
-              // If we extracted XML from multipart, continue processing it
-              if (analysisData.extractedXml) {
-                console.log('[SERVER /convert] Continuing with extracted XML content');
-                // Continue with normal XML processing below
-              } else {
-                // Return analysis of non-XML content
-                return res.json({
-                  success: true,
-                  fileType: 'base64-decoded-analysis',
-                  yamlOutput: yaml.dump(analysisData, { indent: 2, lineWidth: 120, noRefs: true }),
-                  comprehensiveYaml: yaml.dump(analysisData, { indent: 2, lineWidth: 120, noRefs: true }),
-                  jsonOutput: JSON.stringify(analysisData, null, 2),
-                  data: analysisData,
-                  originalData: `Base64-decoded content: ${decodedString.substring(0, 1000)}`
-                });
-              }
+              // Android wifi-config bundles are handled before the extension branches,
+              // so this is some other base64 content
+              return res.json(withValidation({
+                success: true,
+                fileType: 'base64-decoded-analysis',
+                yamlOutput: yaml.dump(analysisData, { indent: 2, lineWidth: 120, noRefs: true }),
+                comprehensiveYaml: yaml.dump(analysisData, { indent: 2, lineWidth: 120, noRefs: true }),
+                jsonOutput: JSON.stringify(analysisData, null, 2),
+                data: analysisData,
+                originalData: `Base64-decoded content: ${decodedString.substring(0, 1000)}`
+              }, null));
             }
           } catch (base64Error) {
             console.log('[SERVER /convert] Base64 decoding failed:', base64Error.message);
@@ -1734,6 +2889,22 @@ router.post('/convert', async (req, res) => {
         
         console.log('[SERVER /convert] First 100 chars of file:', xmlString.substring(0, 100));
         
+        // PerProviderSubscription MOs are OMA-DM node trees; flatten them instead of dumping the nodes
+        if (/<MgmtTree[\s>]/.test(xmlString)) {
+          console.log('[SERVER /convert] Detected PPS MO in .xml file');
+          
+          const result = await processPpsMoFromBuffer(xmlString, obfuscationLevel, certHandling);
+          return respondWithProfile(res, { fileType: 'pps-mo', original: result, profile: result.mapped, alerts });
+        }
+        
+        // Windows exports: read the Hotspot2 element and the namespaced EapHostConfig
+        if (isWlanProfile(xmlString)) {
+          console.log('[SERVER /convert] Detected Windows WLAN profile in .xml file');
+          
+          const result = await processWlanProfileFromBuffer(xmlString, obfuscationLevel, certHandling);
+          return respondWithProfile(res, { fileType: 'windows-wlan', original: result, profile: result.mapped, alerts: [...(alerts || []), ...result.alerts] });
+        }
+        
         // Check if this is actually a plist file (binary or XML)
         if (xmlString.includes('<!DOCTYPE plist') || xmlString.includes('<plist')) {
           console.log('[SERVER /convert] Detected plist format in .xml file, using plist parser');
@@ -1825,14 +2996,14 @@ router.post('/convert', async (req, res) => {
           });
           
           // Also create filtered version for comparison
-          const mappedData = mapMobileConfigToYaml(processedData);
+          const mappedData = mapToYamlSchema(processedData, 'mobileconfig');
           const filteredYamlOutput = yaml.dump(mappedData, {
             indent: 2,
             lineWidth: 120,
             noRefs: true,
           });
           
-          return res.json(addAlertsToResponse({
+          return res.json(withValidation(addAlertsToResponse({
             success: true,
             yamlOutput: fullYamlOutput,              // PRIMARY: Full unfiltered data (frontend expects yamlOutput)
             comprehensiveYaml: fullYamlOutput,       // ALSO: Same data for comprehensive tab
@@ -1844,7 +3015,7 @@ router.post('/convert', async (req, res) => {
               filtered: false,
               note: "Full unfiltered plist data is provided in the 'yamlOutput' field"
             }
-          }, alerts));
+          }, alerts), mappedData));
         }
         
         // Check if file contains valid XML content (more lenient check)
@@ -1921,6 +3092,14 @@ router.post('/convert', async (req, res) => {
         const originalFilename = path.basename(filePath);
         const suggestedFilenames = generateSuggestedFilenames(originalFilename);
         
+        // .eap-config documents saved as .xml still map into the Passpoint profile; the lenient
+        // parser above upper-cases tag names, so the profile is read from a strict parse
+        let mappedData = null;
+        if (/<EAPIdentityProviderList[\s>]/.test(xmlString)) {
+          const eapConfig = await new xml2js.Parser({ explicitArray: false }).parseStringPromise(xmlString);
+          mappedData = mapToYamlSchema(obfuscationLevel !== 'none' ? obfuscatePasswords(eapConfig, obfuscationLevel) : eapConfig, 'eap-config');
+        }
+        
         // Prepare the response data
         const responseData = {
           success: true,
@@ -1928,6 +3107,7 @@ router.post('/convert', async (req, res) => {
           streamId,
           yamlOutput: yaml.dump(processedForJson, { indent: 2, lineWidth: 120, noRefs: true }), // Frontend expects yamlOutput
           comprehensiveYaml: yaml.dump(processedForJson, { indent: 2, lineWidth: 120, noRefs: true }),
+          filteredYaml: mappedData ? yaml.dump(mappedData, { indent: 2, lineWidth: 120, noRefs: true }) : null,
           jsonOutput: JSON.stringify(processedForJson, bufferJsonReplacer, 2), // JSON format for JSON tab with buffer handling
           suggestedFilenames: suggestedFilenames, // Suggested download filenames
           data: processedData,
@@ -1954,7 +3134,7 @@ router.post('/convert', async (req, res) => {
         };
         
         // Return structured response
-        return res.json(responseData);
+        return res.json(withValidation(responseData, mappedData));
         
       } catch (xmlError) {
         console.log('[SERVER /convert] XML parsing failed:', xmlError.message);
@@ -1977,14 +3157,14 @@ router.post('/convert', async (req, res) => {
           });
           
           // Also create filtered version for comparison
-          const mappedData = mapMobileConfigToYaml(parsedPlist);
+          const mappedData = mapToYamlSchema(parsedPlist, 'mobileconfig');
           const filteredYamlOutput = yaml.dump(mappedData, {
             indent: 2,
             lineWidth: 120,
             noRefs: true,
           });
           
-          return res.json(addAlertsToResponse({
+          return res.json(withValidation(addAlertsToResponse({
             success: true,
             yamlOutput: fullYamlOutput,              // PRIMARY: Full unfiltered data (frontend expects yamlOutput)
             comprehensiveYaml: fullYamlOutput,       // ALSO: Same data for comprehensive tab
@@ -1996,7 +3176,7 @@ router.post('/convert', async (req, res) => {
               filtered: false,
               note: "Full unfiltered binary plist data is provided in the 'yamlOutput' field"
             }
-          }, alerts));
+          }, alerts), mappedData));
           
         } catch (plistError) {
           console.log('[SERVER /convert] Plist parsing also failed:', plistError.message);
@@ -2095,16 +3275,18 @@ router.post('/convert', async (req, res) => {
       // Always generate YAML output from processed data (with cert handling applied)
       const yamlOutput = yaml.dump(processedForJson, { indent: 2, lineWidth: 120, noRefs: true });
       const comprehensiveYaml = yaml.dump(processedForJson, { indent: 2, lineWidth: 120, noRefs: true });
+      const mappedData = isProfileDocument(processedData) ? mapToYamlSchema(processedData, 'profile') : null;
 
       // Generate suggested filenames based on original filename
       const originalFilename = path.basename(filePath);
       const suggestedFilenames = generateSuggestedFilenames(originalFilename);
       
-      return res.json(addAlertsToResponse({
+      return res.json(withValidation(addAlertsToResponse({
         success: true,
         fileType: 'yaml',
         yamlOutput,
         comprehensiveYaml,
+        filteredYaml: mappedData ? yaml.dump(mappedData, { indent: 2, lineWidth: 120, noRefs: true }) : null,
         jsonOutput: JSON.stringify(processedForJson, bufferJsonReplacer, 2),
         suggestedFilenames: suggestedFilenames, // Suggested download filenames
         data: processedData,
@@ -2115,7 +3297,7 @@ router.post('/convert', async (req, res) => {
           applied: obfuscationLevel !== 'none',
           note: obfuscationLevel !== 'none' ? `Passwords obfuscated using '${obfuscationLevel}' method` : 'No obfuscation applied'
         }
-      }, alerts));
+      }, alerts), mappedData));
 
     } else if (fileExtension === '.eap-config') {
       console.log('[SERVER /convert] --- Processing .eap-config file ---');
@@ -2133,16 +3315,22 @@ router.post('/convert', async (req, res) => {
           const yamlContent = yaml.dump(xmlData, { indent: 2, lineWidth: 120, noRefs: true });
           const jsonContent = JSON.stringify(xmlData, null, 2);
           
+          // Map into the Passpoint profile, with passwords obfuscated as requested
+          const mappedData = xmlData && xmlData.EAPIdentityProviderList
+            ? mapToYamlSchema(obfuscationLevel !== 'none' ? obfuscatePasswords(xmlData, obfuscationLevel) : xmlData, 'eap-config')
+            : null;
+          
           // Generate suggested filenames based on original filename
           const originalFilename = path.basename(filePath);
           const suggestedFilenames = generateSuggestedFilenames(originalFilename);
           
-          return res.json({
+          return res.json(withValidation({
             success: true,
             yamlOutput: yamlContent,
             jsonOutput: jsonContent,
             originalData: fileContent,
             comprehensiveYaml: yamlContent,
+            filteredYaml: mappedData ? yaml.dump(mappedData, { indent: 2, lineWidth: 120, noRefs: true }) : null,
             suggestedFilenames: suggestedFilenames,
             mappingInfo: {
               fileType: 'eap-config',
@@ -2151,7 +3339,7 @@ router.post('/convert', async (req, res) => {
               mappedDataSize: yamlContent.length,
               processingNotes: 'EAP Identity Provider configuration parsed as XML'
             }
-          });
+          }, mappedData));
         } catch (xmlError) {
           console.log('[SERVER /convert] Not valid XML, trying as plain text');
           
@@ -2176,7 +3364,7 @@ router.post('/convert', async (req, res) => {
           const originalFilename = path.basename(filePath);
           const suggestedFilenames = generateSuggestedFilenames(originalFilename);
           
-          return res.json({
+          return res.json(withValidation({
             success: true,
             yamlOutput: yamlContent,
             jsonOutput: jsonContent,
@@ -2190,7 +3378,7 @@ router.post('/convert', async (req, res) => {
               mappedDataSize: yamlContent.length,
               processingNotes: 'EAP configuration parsed as key-value pairs'
             }
-          });
+          }, null));
         }
       } catch (error) {
         console.log('[SERVER /convert] .eap-config processing failed:', error.message);
@@ -2306,14 +3494,14 @@ router.post('/convert', async (req, res) => {
             });
             
             // Also create filtered version for comparison
-            const mappedData = mapMobileConfigToYaml(processedData);
+            const mappedData = mapToYamlSchema(processedData, 'mobileconfig');
             const filteredYamlOutput = yaml.dump(mappedData, {
               indent: 2,
               lineWidth: 120,
               noRefs: true,
             });
             
-            return res.json(addAlertsToResponse({
+            return res.json(withValidation(addAlertsToResponse({
               success: true,
               yamlOutput: fullYamlOutput,              // PRIMARY: Full unfiltered data (frontend expects yamlOutput)
               comprehensiveYaml: fullYamlOutput,       // ALSO: Same data for comprehensive tab
@@ -2325,7 +3513,7 @@ router.post('/convert', async (req, res) => {
                 filtered: false,
                 note: "Full unfiltered plist data is provided in the 'yamlOutput' field"
               }
-            }, alerts));
+            }, alerts), mappedData));
           } else {
             // Regular XML processing
             const parser = new xml2js.Parser({ 
@@ -2352,7 +3540,7 @@ router.post('/convert', async (req, res) => {
               processedData = certService.processCertificatesInObject(processedData, certHandling);
             }
             
-            return res.json(addAlertsToResponse({
+            return res.json(withValidation(addAlertsToResponse({
               success: true,
               fileType: 'xml-in-txt',
               yamlOutput: yaml.dump(processedData, { indent: 2, lineWidth: 120, noRefs: true }),
@@ -2360,10 +3548,26 @@ router.post('/convert', async (req, res) => {
               jsonOutput: JSON.stringify(processedData, null, 2),
               data: processedData,
               originalData: processedData
-            }, alerts));
+            }, alerts), null));
           }
         }
         
+        // wpa_supplicant.conf has nested network={...} / cred={...} blocks the splitter below cannot read
+        if (isWpaSupplicantConfig(fileContent)) {
+          console.log('[SERVER /convert] Detected wpa_supplicant configuration');
+          
+          const result = processWpaSupplicantFromBuffer(fileContent, obfuscationLevel, certHandling);
+          return respondWithProfile(res, { fileType: 'wpa-supplicant', original: result, profile: result.mapped, alerts: [...(alerts || []), ...result.alerts] });
+        }
+        
+        // hostapd.conf is read per BSS so the advertisement is not flattened into keyValues
+        if (isHostapdConfig(fileContent)) {
+          console.log('[SERVER /convert] Detected hostapd configuration');
+          
+          const result = processHostapdFromBuffer(fileContent, obfuscationLevel, certHandling);
+          return respondWithProfile(res, { fileType: 'hostapd', original: result, profile: result.mapped, alerts: [...(alerts || []), ...result.alerts] });
+        }
+        
         // If not XML/plist, process as regular text configuration file
         const configData = {
           fileType: fileExtension.replace('.', ''),
@@ -2406,7 +3610,7 @@ router.post('/convert', async (req, res) => {
           }
         });
         
-        return res.json(addAlertsToResponse({
+        return res.json(withValidation(addAlertsToResponse({
           success: true,
           fileType: fileExtension.replace('.', ''),
           yamlOutput: yaml.dump(configData, { indent: 2, lineWidth: 120, noRefs: true }), // Frontend expects yamlOutput
@@ -2414,13 +3618,13 @@ router.post('/convert', async (req, res) => {
           jsonOutput: JSON.stringify(configData, null, 2), // JSON format for JSON tab
           data: configData,
           originalData: fileContent
-        }, alerts));
+        }, alerts), null));
       } catch (error) {
         console.log('[SERVER /convert] Text file processing failed:', error.message);
         throw error;
       }
 
-    } else if (fileExtension === '.json') {
+    } else if (fileExtension === '.json' || fileExtension === '.onc') {
       console.log('[SERVER /convert] --- Processing .json file ---');
       
       try {
@@ -2435,20 +3639,51 @@ router.post('/convert', async (req, res) => {
         
         const jsonData = JSON.parse(fileContent);
         
-        return res.json(addAlertsToResponse({
+        if (isOncDocument(jsonData)) {
+          console.log('[SERVER /convert] Detected ONC document');
+          
+          const result = processOncFromBuffer(fileContent, obfuscationLevel, certHandling, oncVariables);
+          return respondWithProfile(res, { fileType: 'onc', original: result, profile: result.mapped, alerts: [...(alerts || []), ...result.alerts] });
+        }
+        
+        const mappedData = isProfileDocument(jsonData)
+          ? mapToYamlSchema(obfuscationLevel !== 'none' ? obfuscatePasswords(jsonData, obfuscationLevel) : jsonData, 'profile')
+          : null;
+        
+        return res.json(withValidation(addAlertsToResponse({
           success: true,
           fileType: 'json',
           yamlOutput: yaml.dump(jsonData, { indent: 2, lineWidth: 120, noRefs: true }), // Frontend expects yamlOutput
           comprehensiveYaml: yaml.dump(jsonData, { indent: 2, lineWidth: 120, noRefs: true }),
+          filteredYaml: mappedData ? yaml.dump(mappedData, { indent: 2, lineWidth: 120, noRefs: true }) : null,
           jsonOutput: JSON.stringify(jsonData, null, 2), // JSON format for JSON tab
           data: jsonData,
           originalData: jsonData
-        }, alerts));
+        }, alerts), mappedData));
       } catch (error) {
         console.log('[SERVER /convert] JSON processing failed:', error.message);
         throw error;
       }
 
+    } else if (configFormatFor(fileExtension, fileContent)) {
+      const configFormat = configFormatFor(fileExtension, fileContent);
+      console.log(`[SERVER /convert] --- Processing ${configFormat} file ---`);
+      
+      const result = processConfigFileFromBuffer(fileContent, configFormat, obfuscationLevel, certHandling);
+      return respondWithProfile(res, { fileType: configFormat, original: result, profile: result.mapped, alerts: [...(alerts || []), ...result.alerts] });
+
+    } else if (CERTIFICATE_FILE_EXTENSIONS.includes(fileExtension)) {
+      console.log('[SERVER /convert] --- Processing certificate file ---');
+      
+      const result = processCertificateFileFromBuffer(fs.readFileSync(fullPath), certHandling);
+      return respondWithProfile(res, { fileType: 'certificate', original: result, alerts: [...(alerts || []), ...result.alerts] });
+
+    } else if (fileExtension === '.p12' || fileExtension === '.pfx') {
+      console.log('[SERVER /convert] --- Processing PKCS#12 file ---');
+      
+      const result = processPkcs12FromBuffer(fs.readFileSync(fullPath), password);
+      return respondWithProfile(res, { fileType: 'pkcs12', original: result, alerts: result.alerts });
+
     } else {
       console.log('[SERVER /convert] --- Processing unknown/generic file type ---', fileExtension);
       
@@ -2516,7 +3751,7 @@ router.post('/convert', async (req, res) => {
           // Successfully parsed the unknown file
           const yamlOutput = yaml.dump(parsedData, { indent: 2, lineWidth: 120, noRefs: true });
           
-          return res.json(addAlertsToResponse({
+          return res.json(withValidation(addAlertsToResponse({
             success: true,
             fileType: `unknown-parsed-as-${conversionMethod}`,
             yamlOutput: yamlOutput,                  // Frontend expects yamlOutput
@@ -2528,7 +3763,7 @@ router.post('/convert', async (req, res) => {
               detectedFormat: conversionMethod,
               note: `Unknown file type successfully parsed as ${conversionMethod.toUpperCase()}`
             }
-          }, alerts));
+          }, alerts), null));
         } else {
           // Could not parse - return raw analysis
           const analysisData = {
@@ -2548,7 +3783,7 @@ router.post('/convert', async (req, res) => {
             parseError: errorMessage
           }, { indent: 2, lineWidth: 120, noRefs: true });
           
-          return res.json(addAlertsToResponse({
+          return res.json(withValidation(addAlertsToResponse({
             success: true,
             fileType: 'unknown-binary-analysis',
             yamlOutput: errorYaml,                   // Frontend expects yamlOutput
@@ -2556,7 +3791,7 @@ router.post('/convert', async (req, res) => {
             jsonOutput: JSON.stringify(analysisData, null, 2), // JSON format for JSON tab
             data: analysisData,
             originalData: fileBuffer.toString('utf8', 0, Math.min(fileBuffer.length, 10000))
-          }, alerts));
+          }, alerts), null));
         }
       } catch (error) {
         console.log('[SERVER /convert] Unknown file processing failed:', error.message);
@@ -2566,24 +3801,17 @@ router.post('/convert', async (req, res) => {
       console.error('[SERVER /convert] Unsupported file type for conversion:', fileExtension);
       return res.status(400).json({ error: 'Unsupported file type for conversion' });
     }
-
-    // This section only runs for XML files now (since .mobileconfig and .yaml return early)
-    if (fileTypeForMapping) {
-      console.log('[SERVER /convert] Calling mapToYamlSchema for fileType:', fileTypeForMapping);
-      const mappedData = mapToYamlSchema(parsedData, fileTypeForMapping);
-      
-      console.log('[SERVER /convert] mapToYamlSchema returned, attempting to dump to YAML.');
-      const yamlOutput = yaml.dump(mappedData, {
-        indent: 2,
-        lineWidth: 120,
-        noRefs: true,
+  } catch (error) {
+    const clientError = clientConversionError(error);
+    if (clientError) {
+      console.warn('[SERVER /convert] File rejected:', error.message);
+      trackError(clientError.metric, '/convert');
+      return res.status(clientError.status).json({
+        error: 'Failed to convert file on server',
+        details: error.message,
+        alerts: clientError.alerts
       });
-      console.log('[SERVER /convert] YAML dump successful. Output length:', yamlOutput.length);
-
-      res.setHeader('Content-Type', 'text/yaml');
-      return res.send(yamlOutput);
     }
-  } catch (error) {
     console.error('[SERVER /convert] --- ERROR in /convert processing ---');
     console.error('[SERVER /convert] Error message:', error.message);
     console.error('[SERVER /convert] Error name:', error.name);
@@ -2685,90 +3913,6 @@ router.delete('/cleanup', (req, res) => {
   }
 });
 
-// Add this helper function to map .mobileconfig data to your schema
-function mapMobileConfigToYaml(parsedPlist) {
-  const mappedData = {
-    "passpoint-properties": {
-      "username": {
-        type: 'string',
-        description: 'User identifier',
-        value: ''
-      },
-      "password": {
-        type: 'string', 
-        description: 'User password',
-        value: ''
-      },
-      "eap-method": {
-        type: 'string',
-        description: 'EAP authentication method',
-        value: ''
-      },
-      "realm": {
-        type: 'string',
-        description: 'Authentication realm', 
-        value: ''
-      }
-    },
-    "home-friendly-name": '',
-    "home-domain": '',
-    "home-ois": [],
-    "roaming-consortiums": [],
-    "other-home-partner-fqdns": [],
-    "preferred-roaming-partners": []
-  };
-
-  // Find Wi-Fi payload in the plist
-  const wifiPayload = parsedPlist.PayloadContent?.find(payload => 
-    payload.PayloadType === 'com.apple.wifi.managed'
-  );
-
-  if (wifiPayload) {
-    // Map basic fields
-    mappedData["home-friendly-name"] = wifiPayload.SSID_STR || '';
-    mappedData["home-domain"] = wifiPayload.DomainName || '';
-
-    // Map EAP configuration
-    const eapConfig = wifiPayload.EAPClientConfiguration;
-    if (eapConfig) {
-      mappedData["passpoint-properties"].username.value = eapConfig.UserName || '';
-      mappedData["passpoint-properties"].realm.value = eapConfig.UserName?.split('@')[1] || '';
-      
-      // Map EAP method
-      if (eapConfig.AcceptEAPTypes && eapConfig.AcceptEAPTypes.length > 0) {
-        const eapType = eapConfig.AcceptEAPTypes[0];
-        const eapTypes = {
-          13: 'TLS',
-          18: 'SIM', 
-          21: 'TTLS',
-          23: 'AKA',
-          50: "AKA'"
-        };
-        mappedData["passpoint-properties"]["eap-method"].value = eapTypes[eapType] || eapType.toString();
-      }
-    }
-
-    // Map roaming consortium OIs
-    if (wifiPayload.RoamingConsortiumOIs) {
-      mappedData["roaming-consortiums"] = Array.isArray(wifiPayload.RoamingConsortiumOIs) 
-        ? wifiPayload.RoamingConsortiumOIs 
-        : [wifiPayload.RoamingConsortiumOIs];
-    }
-
-    // Map home OIs
-    if (wifiPayload.HomeOIs) {
-      const ois = Array.isArray(wifiPayload.HomeOIs) ? wifiPayload.HomeOIs : [wifiPayload.HomeOIs];
-      mappedData["home-ois"] = ois.map(oi => ({
-        name: oi.Name || 'HomeOI',
-        length: '5 Hex',
-        'home-oi': oi.Value || ''
-      }));
-    }
-  }
-
-  return mappedData;
-}
-
 // Function to create a comprehensive YAML representation that preserves all data
 function createComprehensiveYaml(parsedPlist) {
   try {
@@ -0,0 +1,435 @@
+/**
+ * Android Passpoint service
+ * Builds the PerProviderSubscription management object (PPS MO) and the
+ * application/x-wifi-config install bundle from a profile in the
+ * mapToYamlSchema shape, and reads those bundles back
+ */
+const crypto = require('crypto');
+const xml2js = require('xml2js');
+const certService = require('./cert.service');
+const eapRegistry = require('./eap-registry.service');
+
+const WIFI_CONFIG_CONTENT_TYPE = 'application/x-wifi-config';
+const PASSPOINT_PROFILE_CONTENT_TYPE = 'application/x-passpoint-profile';
+const PPS_MO_DDF_NAME = 'urn:wfa:mo:hotspot2dot0-perprovidersubscription:1.0';
+
+// Bundle part roles, keyed by the Content-Type Android looks for
+const bundlePartRoles = {
+  [PASSPOINT_PROFILE_CONTENT_TYPE]: 'pps_mo',
+  'application/x-x509-ca-cert': 'ca_certificate',
+  'application/x-pkcs12': 'pkcs12',
+};
+
+// EAP methods Android accepts in Credential/.../EAPType, by registry name
+const androidEapTypes = ['TLS', 'SIM', 'TTLS', 'AKA', "AKA'"];
+
+// TTLS inner methods Android accepts in Credential/UsernamePassword/EAPMethod/InnerMethod; CHAP is not one
+const androidInnerMethods = ['PAP', 'MSCHAP', 'MSCHAPV2'];
+
+// A leaf node has a value, an interior node has child nodes
+function node(name, content) {
+  if (Array.isArray(content)) {
+    return { NodeName: name, Node: content.filter(Boolean) };
+  }
+  return { NodeName: name, Value: String(content) };
+}
+
+// Interior nodes of PPS MO lists are named <prefix>001, <prefix>002, ...
+function listNode(name, prefix, items, buildItem) {
+  if (!items || items.length === 0) {
+    return null;
+  }
+  return node(name, items.map((item, index) => node(`${prefix}${String(index + 1).padStart(3, '0')}`, buildItem(item))));
+}
+
+function primaryEapMethod(profile) {
+  const eapMethods = (profile.nai_realm && profile.nai_realm.eap_methods) || [];
+  if (eapMethods.length === 0) {
+    throw new Error('Profile has no EAP method (nai_realm.eap_methods is empty)');
+  }
+  const eapMethod = eapRegistry.eapMethod(eapMethods[0].eap_type);
+  if (!eapMethod || !androidEapTypes.includes(eapMethod.name)) {
+    throw new Error(`EAP method "${eapMethods[0].eap_type}" is not supported by Android Passpoint`);
+  }
+  return { eapType: eapMethod.name, eapTypeNumber: eapMethod.type, innerAuth: eapMethods[0].inner_auth };
+}
+
+function buildHomeSP(profile) {
+  const fqdn = profile.home_domain || (profile.nai_realm && profile.nai_realm.name);
+  if (!fqdn) {
+    throw new Error('Profile needs a home domain or NAI realm');
+  }
+
+  const roamingConsortiums = (profile.roaming_consortiums || []).map(oi => String(oi.value || oi).toLowerCase());
+
+  return node('HomeSP', [
+    node('FriendlyName', profile.home_friendly_name || fqdn),
+    node('FQDN', fqdn),
+    roamingConsortiums.length > 0 ? node('RoamingConsortiumOI', roamingConsortiums.join(',')) : null,
+    listNode('HomeOIList', 'h', profile.home_ois, oi => [
+      node('HomeOI', String(oi.value || oi).toLowerCase()),
+      node('HomeOIRequired', oi.required ? 'TRUE' : 'FALSE'),
+    ]),
+    listNode('OtherHomePartners', 'o', profile.other_home_partner_fqdns, partner => [
+      node('FQDN', partner),
+    ]),
+  ]);
+}
+
+function buildCredential(profile) {
+  const credential = profile.credential || {};
+  const { eapType, eapTypeNumber, innerAuth } = primaryEapMethod(profile);
+  const realm = credential.realm || (profile.nai_realm && profile.nai_realm.name);
+  if (!realm) {
+    throw new Error('Profile needs a credential realm');
+  }
+
+  let credentialNode;
+  if (eapType === 'TTLS') {
+    const inner = eapRegistry.innerMethod(eapType, innerAuth);
+    if (!inner || inner.eap || !androidInnerMethods.includes(inner.name)) {
+      throw new Error(`Inner method "${innerAuth}" is not supported by Android Passpoint`);
+    }
+    if (!credential.username) {
+      throw new Error('TTLS credentials need a username');
+    }
+    credentialNode = node('UsernamePassword', [
+      node('Username', credential.username),
+      // PPS MO carries the password base64 encoded
+      credential.password ? node('Password', Buffer.from(credential.password, 'utf8').toString('base64')) : null,
+      node('EAPMethod', [
+        node('EAPType', eapTypeNumber),
+        node('InnerMethod', inner.method.ppsMo),
+      ]),
+    ]);
+  } else if (eapType === 'TLS') {
+    if (!credential.client_certificate) {
+      throw new Error('TLS credentials need credential.client_certificate (base64 PKCS#12)');
+    }
+    const [clientCert] = certService.getPkcs12Certificates(credential.client_certificate, credential.client_certificate_password);
+    if (!clientCert) {
+      throw new Error('credential.client_certificate contains no certificate');
+    }
+    credentialNode = node('DigitalCertificate', [
+      node('CertificateType', 'x509v3'),
+      node('CertSHA256Fingerprint', crypto.createHash('sha256').update(clientCert).digest('hex')),
+    ]);
+  } else {
+    if (!credential.imsi) {
+      throw new Error('SIM credentials need credential.imsi');
+    }
+    credentialNode = node('SIM', [
+      node('IMSI', credential.imsi),
+      node('EAPType', eapTypeNumber),
+    ]);
+  }
+
+  return node('Credential', [
+    node('Realm', realm),
+    credentialNode,
+  ]);
+}
+
+function buildPolicy(profile) {
+  const partnerList = listNode('PreferredRoamingPartnerList', 'p', profile.preferred_roaming_partners, partner => [
+    node('FQDN_Match', `${partner.fqdn},${Number(partner.match) === 1 ? 'includeSubdomains' : 'exactMatch'}`),
+    node('Priority', partner.priority === undefined ? 128 : partner.priority),
+    node('Country', partner.country || '*'),
+  ]);
+  return partnerList ? node('Policy', [partnerList]) : null;
+}
+
+/**
+ * Build the PerProviderSubscription MO XML for a Passpoint profile
+ * @param {object} profile A profile in the mapToYamlSchema `passpoint_profile` shape
+ * @returns {string} The PPS MO as an OMA-DM DDF tree
+ */
+function buildPpsMo(profile) {
+  console.log('[AndroidService] Building PPS MO for:', profile.home_domain || (profile.nai_realm && profile.nai_realm.name));
+
+  const subscription = [
+    profile.credential_priority !== null && profile.credential_priority !== undefined
+      ? node('CredentialPriority', profile.credential_priority)
+      : null,
+    buildHomeSP(profile),
+    buildCredential(profile),
+    buildPolicy(profile),
+  ];
+
+  const tree = {
+    MgmtTree: {
+      $: { xmlns: 'syncml:dmddf1.2' },
+      VerDTD: '1.2',
+      Node: {
+        NodeName: 'PerProviderSubscription',
+        RTProperties: { Type: { DDFName: PPS_MO_DDF_NAME } },
+        Node: node('i001', subscription),
+      },
+    },
+  };
+
+  const builder = new xml2js.Builder({ headless: true, renderOpts: { pretty: true, indent: '  ', newline: '\n' } });
+  return builder.buildObject(tree);
+}
+
+// MIME parts are base64 encoded and wrapped at 76 characters
+function mimePart(contentType, content) {
+  const base64 = Buffer.from(content).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return `Content-Type: ${contentType}\r\nContent-Transfer-Encoding: base64\r\n\r\n${base64}\r\n`;
+}
+
+/**
+ * Build the application/x-wifi-config bundle Android installs Passpoint from
+ * The bundle is a base64 encoded multipart/mixed message with the PPS MO, the
+ * AAA server CA and, for EAP-TLS, the client PKCS#12
+ * @param {object} profile A profile in the mapToYamlSchema `passpoint_profile` shape
+ * @returns {string} The base64 bundle
+ */
+function buildWifiConfigBundle(profile) {
+  const credential = profile.credential || {};
+  const parts = [mimePart(PASSPOINT_PROFILE_CONTENT_TYPE, buildPpsMo(profile))];
+
+  if (credential.ca_certificate) {
+    const der = certService.toDer(credential.ca_certificate);
+    if (!der) {
+      throw new Error('credential.ca_certificate is not a PEM or base64 certificate');
+    }
+    parts.push(mimePart('application/x-x509-ca-cert', der));
+  }
+
+  if (credential.client_certificate && primaryEapMethod(profile).eapType === 'TLS') {
+    if (credential.client_certificate_password) {
+      console.warn('[AndroidService] Android loads the PKCS#12 without a password; export it unencrypted if installation fails');
+    }
+    parts.push(mimePart('application/x-pkcs12', Buffer.from(String(credential.client_certificate).replace(/\s/g, ''), 'base64')));
+  }
+
+  const boundary = `{boundary-${crypto.randomBytes(8).toString('hex')}}`;
+  const message = [
+    `Content-Type: multipart/mixed; boundary=${boundary}`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...parts.map(part => `--${boundary}\r\n${part}`),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+
+  return Buffer.from(message, 'utf8').toString('base64');
+}
+
+// Split a MIME entity into lower-cased headers (folded lines joined) and its body
+function splitMimeEntity(text) {
+  const match = text.match(/\r?\n\r?\n/);
+  const head = match ? text.slice(0, match.index) : text;
+  const body = match ? text.slice(match.index + match[0].length) : '';
+  const headers = {};
+  head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  });
+  return { headers, body };
+}
+
+function mediaType(contentType) {
+  return String(contentType || 'text/plain').split(';')[0].trim().toLowerCase();
+}
+
+function headerParam(header, name) {
+  const match = String(header || '').match(new RegExp(`;\\s*${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+  return match ? match[1] || match[2] : null;
+}
+
+// The bundle itself is usually base64 text; a decoded MIME message is accepted too
+function bundleMessage(input) {
+  const text = Buffer.isBuffer(input) ? input.toString('latin1') : String(input);
+  if (/^\s*(MIME-Version|Content-Type)\s*:/i.test(text)) {
+    return { message: text, encoding: 'mime' };
+  }
+  const base64 = text.replace(/\s/g, '');
+  if (base64 && /^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    const decoded = Buffer.from(base64, 'base64').toString('latin1');
+    if (/^\s*(MIME-Version|Content-Type)\s*:/i.test(decoded)) {
+      return { message: decoded, encoding: 'base64' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether file content is an application/x-wifi-config bundle
+ * @param {Buffer|string} input The file content
+ * @returns {boolean} True for a multipart/mixed message, raw or base64 encoded
+ */
+function isWifiConfigBundle(input) {
+  const bundle = bundleMessage(input);
+  return Boolean(bundle && mediaType(splitMimeEntity(bundle.message).headers['content-type']) === 'multipart/mixed');
+}
+
+// Turn the PPS MO Node tree into nested objects keyed by NodeName, leaves holding their Value
+function ppsMoNodes(nodes) {
+  const tree = {};
+  (nodes || []).forEach(item => {
+    const name = item.NodeName && item.NodeName[0];
+    if (!name) {
+      return;
+    }
+    if (item.Node) {
+      tree[name] = ppsMoNodes(item.Node);
+    } else {
+      tree[name] = item.Value ? String(item.Value[0]).trim() : '';
+    }
+  });
+  return tree;
+}
+
+/**
+ * Read a PerProviderSubscription MO
+ * @param {string} xml The MgmtTree XML
+ * @returns {Promise<object>} `{ PerProviderSubscription: {...} }`, each interior
+ *   node an object keyed by NodeName and each leaf its value
+ */
+async function parsePpsMo(xml) {
+  const parsed = await new xml2js.Parser({ explicitArray: true }).parseStringPromise(xml);
+  if (!parsed || !parsed.MgmtTree || !parsed.MgmtTree.Node) {
+    throw new Error('PPS MO has no MgmtTree/Node');
+  }
+  const tree = ppsMoNodes(parsed.MgmtTree.Node);
+  if (!tree.PerProviderSubscription) {
+    throw new Error('PPS MO has no PerProviderSubscription node');
+  }
+  return tree;
+}
+
+/**
+ * Flatten a parsed PPS MO into paths relative to the subscription instance,
+ * such as `HomeSP/FQDN` or `Credential/UsernamePassword/EAPMethod/EAPType`
+ * The instance node name is chosen by the provider (x1, i001, ...); Android
+ * installs only the first one.
+ * @param {object} tree The parsePpsMo result
+ * @returns {{instance: string|null, updateIdentifier: string|null, paths: object}}
+ *   The instance node name, the UpdateIdentifier and a path to value map
+ */
+function flattenPpsMo(tree) {
+  const subscription = (tree && tree.PerProviderSubscription) || {};
+  const instances = Object.keys(subscription).filter(name => subscription[name] && typeof subscription[name] === 'object');
+  if (instances.length > 1) {
+    console.warn('[AndroidService] PPS MO has several subscriptions, using', instances[0]);
+  }
+
+  const paths = {};
+  const walk = (nodes, prefix) => Object.entries(nodes).forEach(([name, value]) => {
+    const path = prefix ? `${prefix}/${name}` : name;
+    if (value && typeof value === 'object') {
+      walk(value, path);
+    } else {
+      paths[path] = value;
+    }
+  });
+  if (instances.length > 0) {
+    walk(subscription[instances[0]], '');
+  }
+
+  return {
+    instance: instances[0] || null,
+    updateIdentifier: subscription.UpdateIdentifier === undefined ? null : subscription.UpdateIdentifier,
+    paths,
+  };
+}
+
+/**
+ * Read an application/x-wifi-config bundle
+ * Parts are identified by Content-Type: the PPS MO, the AAA server CA
+ * certificates and the client PKCS#12. Parts that cannot be read are reported
+ * in `warnings` rather than failing the whole bundle.
+ * @param {Buffer|string} input The bundle, base64 text or a raw MIME message
+ * @returns {Promise<object>} `{ encoding, parts, ppsMo, caCertificates, pkcs12, warnings }`;
+ *   certificates are PEM, `pkcs12` is `{ data, encrypted, certificates }` or null
+ */
+async function parseWifiConfigBundle(input) {
+  const bundle = bundleMessage(input);
+  if (!bundle) {
+    throw new Error('Not an application/x-wifi-config bundle (expected a base64 MIME message)');
+  }
+
+  const { headers, body } = splitMimeEntity(bundle.message);
+  const boundary = headerParam(headers['content-type'], 'boundary');
+  if (mediaType(headers['content-type']) !== 'multipart/mixed' || !boundary) {
+    throw new Error(`Bundle is ${mediaType(headers['content-type'])}, expected multipart/mixed with a boundary`);
+  }
+
+  const result = { encoding: bundle.encoding, parts: [], ppsMo: null, caCertificates: [], pkcs12: null, warnings: [] };
+  const delimiter = `--${boundary}`;
+  const sections = body.split(delimiter);
+  // The preamble comes before the first delimiter, the epilogue after the closing one
+  const closing = sections.findIndex((section, index) => index > 0 && section.startsWith('--'));
+  if (closing === -1) {
+    result.warnings.push('Bundle has no closing boundary; it may be truncated');
+  }
+
+  for (const section of sections.slice(1, closing === -1 ? undefined : closing)) {
+    const part = splitMimeEntity(section.replace(/^[ \t]*\r?\n/, ''));
+    const contentType = mediaType(part.headers['content-type']);
+    const transferEncoding = String(part.headers['content-transfer-encoding'] || '7bit').toLowerCase();
+    const content = transferEncoding === 'base64'
+      ? Buffer.from(part.body.replace(/\s/g, ''), 'base64')
+      : Buffer.from(part.body.replace(/\r?\n$/, ''), 'latin1');
+    const role = bundlePartRoles[contentType] || 'unknown';
+    result.parts.push({ index: result.parts.length, contentType, transferEncoding, role, size: content.length });
+
+    try {
+      if (role === 'pps_mo') {
+        // Some providers base64 encode the PPS MO a second time
+        let xml = content.toString('utf8').trim();
+        if (!xml.startsWith('<')) {
+          xml = Buffer.from(xml.replace(/\s/g, ''), 'base64').toString('utf8').trim();
+        }
+        if (result.ppsMo) {
+          result.warnings.push(`Part ${result.parts.length - 1}: extra PPS MO ignored, Android installs only the first`);
+        } else {
+          result.ppsMo = await parsePpsMo(xml);
+        }
+      } else if (role === 'ca_certificate') {
+        const text = content.toString('latin1');
+        const pems = text.match(/-----BEGIN CERTIFICATE-----[\s\S]*?-----END CERTIFICATE-----/g);
+        result.caCertificates.push(...(pems ? pems.map(pem => `${pem}\n`) : [certService.toPem(content)]));
+      } else if (role === 'pkcs12') {
+        // Android reads the PKCS#12 with an empty password
+        let certificates = [];
+        let encrypted = false;
+        try {
+          certificates = certService.getPkcs12Certificates(content, '').map(der => certService.toPem(der));
+        } catch (error) {
+          // forge reports a wrong password as a MAC mismatch; any other failure means the part is damaged
+          encrypted = /Invalid password/i.test(error.message);
+          result.warnings.push(encrypted
+            ? `Part ${result.parts.length - 1}: PKCS#12 cannot be opened without a password; Android will not install it`
+            : `Part ${result.parts.length - 1}: PKCS#12 cannot be read (${error.message}); Android will not install it`);
+        }
+        result.pkcs12 = { data: content.toString('base64'), encrypted, certificates };
+      } else {
+        result.warnings.push(`Part ${result.parts.length - 1}: ${contentType} is not used by Android and was skipped`);
+      }
+    } catch (error) {
+      result.warnings.push(`Part ${result.parts.length - 1} (${contentType}): ${error.message}`);
+    }
+  }
+
+  if (!result.ppsMo) {
+    result.warnings.push('Bundle has no readable application/x-passpoint-profile part');
+  }
+  console.log('[AndroidService] Read wifi-config bundle with parts:', result.parts.map(part => part.contentType).join(', '));
+  return result;
+}
+
+module.exports = {
+  WIFI_CONFIG_CONTENT_TYPE,
+  PASSPOINT_PROFILE_CONTENT_TYPE,
+  buildPpsMo,
+  buildWifiConfigBundle,
+  flattenPpsMo,
+  isWifiConfigBundle,
+  parsePpsMo,
+  parseWifiConfigBundle,
+};
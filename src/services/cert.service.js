@@ -4,6 +4,7 @@
  */
 const crypto = require('crypto');
 const fs = require('fs').promises;
+const forge = require('node-forge');
 
 class CertificateService {
   /**
@@ -181,6 +182,322 @@ class CertificateService {
     }
   }
   
+  /**
+   * Convert PEM or base64 certificate data to a DER buffer
+   * @param {string|Buffer} certData Certificate data
+   * @returns {Buffer|null} The DER bytes or null if the data can't be decoded
+   */
+  toDer(certData) {
+    if (Buffer.isBuffer(certData)) {
+      return certData;
+    }
+    if (typeof certData !== 'string' || !certData.trim()) {
+      return null;
+    }
+    
+    const pemMatch = certData.match(/-----BEGIN[^-]+-----\s*([\s\S]*?)\s*-----END[^-]+-----/);
+    const base64 = (pemMatch ? pemMatch[1] : certData).replace(/\s/g, '');
+    if (!/^[A-Za-z0-9+/=]+$/.test(base64)) {
+      return null;
+    }
+    return Buffer.from(base64, 'base64');
+  }
+  
+  /**
+   * Wrap DER certificate bytes in PEM armour
+   * @param {Buffer} der Certificate bytes
+   * @param {string} label The PEM label
+   * @returns {string} The PEM text, ending with a newline
+   */
+  toPem(der, label = 'CERTIFICATE') {
+    const base64 = der.toString('base64').replace(/.{64}/g, '$&\n').replace(/\n$/, '');
+    return `-----BEGIN ${label}-----\n${base64}\n-----END ${label}-----\n`;
+  }
+  
+  /**
+   * Check whether bytes look like a PKCS#12 (PFX) file: a DER SEQUENCE
+   * holding version 3 and a PKCS#7 data ContentInfo
+   * @param {Buffer} buffer The file bytes
+   * @returns {boolean} True if the bytes are a PFX structure
+   */
+  isPkcs12(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 16 || buffer[0] !== 0x30) {
+      return false;
+    }
+    try {
+      const asn1 = forge.asn1.fromDer(forge.util.createBuffer(buffer.toString('binary')));
+      const [version, authSafe] = asn1.value;
+      return forge.asn1.derToInteger(version.value) === 3
+        && forge.asn1.derToOid(authSafe.value[0].value) === forge.pki.oids.data;
+    } catch {
+      return false;
+    }
+  }
+  
+  /**
+   * List the bags of a PKCS#12 bundle
+   * Certificates are described with extractCertInfo and keys by algorithm,
+   * size and public key hash only; no private key material is returned
+   * @param {string|Buffer} pkcs12Data Base64 string or raw PKCS#12 bytes
+   * @param {string} password The bundle password, empty for none
+   * @returns {{mac: boolean, safe_contents: object[], bags: object[]}}
+   * @throws {Error} If the bytes are not PKCS#12 or the password is wrong; a missing or
+   *   wrong password has `code` 'ERR_PKCS12_PASSWORD'
+   */
+  readPkcs12(pkcs12Data, password = '') {
+    const der = Buffer.isBuffer(pkcs12Data)
+      ? pkcs12Data
+      : Buffer.from(String(pkcs12Data).replace(/\s/g, ''), 'base64');
+    let asn1;
+    let p12;
+    try {
+      asn1 = forge.asn1.fromDer(forge.util.createBuffer(der.toString('binary')));
+      p12 = forge.pkcs12.pkcs12FromAsn1(asn1, password || '');
+    } catch (error) {
+      // forge reports a wrong password as a MAC or ShroudedKeyBag decryption failure
+      if (/password/i.test(error.message)) {
+        const passwordError = new Error(password ? 'PKCS#12 password is incorrect' : 'PKCS#12 file is password protected; supply its password');
+        // Tells routes this is a client input problem rather than a failure
+        passwordError.code = 'ERR_PKCS12_PASSWORD';
+        throw passwordError;
+      }
+      throw new Error('Not a readable PKCS#12 file: ' + error.message);
+    }
+    
+    const bagTypes = {
+      [forge.pki.oids.certBag]: 'certificate',
+      [forge.pki.oids.pkcs8ShroudedKeyBag]: 'shrouded_key',
+      [forge.pki.oids.keyBag]: 'key',
+      [forge.pki.oids.crlBag]: 'crl',
+      [forge.pki.oids.secretBag]: 'secret',
+      [forge.pki.oids.safeContentsBag]: 'safe_contents'
+    };
+    const toBuffer = asn1Value => Buffer.from(forge.asn1.toDer(asn1Value).getBytes(), 'binary');
+    const publicKeyHash = keyObject => crypto.createHash('sha256')
+      .update((keyObject.type === 'public' ? keyObject : crypto.createPublicKey(keyObject)).export({ type: 'spki', format: 'der' }))
+      .digest('hex');
+    
+    const bags = [];
+    p12.safeContents.forEach((safeContents, safeIndex) => {
+      safeContents.safeBags.forEach(bag => {
+        const friendlyName = bag.attributes.friendlyName && bag.attributes.friendlyName[0];
+        const localKeyId = bag.attributes.localKeyId && bag.attributes.localKeyId[0];
+        const entry = {
+          index: bags.length,
+          type: bagTypes[bag.type] || bag.type,
+          safe_contents: safeIndex,
+          friendly_name: friendlyName || null,
+          local_key_id: localKeyId ? forge.util.bytesToHex(localKeyId) : null
+        };
+        
+        if (bag.type === forge.pki.oids.certBag && (bag.cert || bag.asn1)) {
+          // Certificates forge cannot read (e.g. EC keys) are kept as ASN.1
+          const pem = this.toPem(toBuffer(bag.cert ? forge.pki.certificateToAsn1(bag.cert) : bag.asn1));
+          entry.certificate = this.extractCertInfo(pem);
+          try {
+            entry.public_key_sha256 = publicKeyHash(new crypto.X509Certificate(pem).publicKey);
+          } catch {
+            entry.public_key_sha256 = null;
+          }
+        } else if (bag.type === forge.pki.oids.pkcs8ShroudedKeyBag || bag.type === forge.pki.oids.keyBag) {
+          const keyAsn1 = bag.key ? forge.pki.wrapRsaPrivateKey(forge.pki.privateKeyToAsn1(bag.key)) : bag.asn1;
+          try {
+            const keyObject = crypto.createPrivateKey({ key: toBuffer(keyAsn1), format: 'der', type: 'pkcs8' });
+            const details = keyObject.asymmetricKeyDetails || {};
+            entry.key = {
+              algorithm: keyObject.asymmetricKeyType,
+              ...(details.modulusLength ? { bits: details.modulusLength } : {}),
+              ...(details.namedCurve ? { curve: details.namedCurve } : {})
+            };
+            entry.public_key_sha256 = publicKeyHash(keyObject);
+          } catch (error) {
+            entry.key = { algorithm: 'unknown', error: error.message };
+            entry.public_key_sha256 = null;
+          }
+        }
+        bags.push(entry);
+      });
+    });
+    
+    // Pair keys and certificates by public key, falling back to localKeyId
+    const keyBags = bags.filter(bag => bag.key);
+    keyBags.forEach(keyBag => {
+      keyBag.certificate_bag = null;
+    });
+    bags.filter(bag => bag.certificate).forEach(certBag => {
+      const keyBag = keyBags.find(candidate => candidate.public_key_sha256 && candidate.public_key_sha256 === certBag.public_key_sha256)
+        || keyBags.find(candidate => candidate.local_key_id && candidate.local_key_id === certBag.local_key_id);
+      certBag.private_key_bag = keyBag ? keyBag.index : null;
+      if (keyBag && keyBag.certificate_bag === null) {
+        keyBag.certificate_bag = certBag.index;
+      }
+    });
+    
+    console.log('[CertService] Read PKCS#12 with', bags.length, 'bags');
+    return {
+      mac: asn1.value.length > 2,
+      safe_contents: p12.safeContents.map((safeContents, index) => ({ index, encrypted: safeContents.encrypted })),
+      bags
+    };
+  }
+  
+  /**
+   * Read the certificates stored in a PKCS#12 bundle
+   * @param {string|Buffer} pkcs12Data Base64 string or raw PKCS#12 bytes
+   * @param {string} password The bundle password, empty for none
+   * @returns {Buffer[]} DER certificates, the one matching the private key first
+   */
+  getPkcs12Certificates(pkcs12Data, password = '') {
+    const der = Buffer.isBuffer(pkcs12Data)
+      ? pkcs12Data
+      : Buffer.from(String(pkcs12Data).replace(/\s/g, ''), 'base64');
+    const asn1 = forge.asn1.fromDer(forge.util.createBuffer(der.toString('binary')));
+    const p12 = forge.pkcs12.pkcs12FromAsn1(asn1, password || '');
+    
+    const keyBags = [
+      ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+      ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+    ];
+    const keyIds = keyBags
+      .map(bag => bag.attributes.localKeyId && bag.attributes.localKeyId[0])
+      .filter(Boolean);
+    
+    const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+    const isKeyCert = bag => bag.attributes.localKeyId && keyIds.includes(bag.attributes.localKeyId[0]);
+    return [...certBags.filter(isKeyCert), ...certBags.filter(bag => !isKeyCert(bag))]
+      .filter(bag => bag.cert)
+      .map(bag => Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(bag.cert)).getBytes(), 'binary'));
+  }
+  
+  /**
+   * Read the certificates of a DER PKCS#7 SignedData structure (.p7b/.p7c)
+   * @param {Buffer} der The PKCS#7 bytes
+   * @returns {Buffer[]} DER certificates, in the order they are stored
+   * @throws {Error} If the bytes are not PKCS#7 SignedData
+   */
+  getPkcs7Certificates(der) {
+    const asn1 = forge.asn1.fromDer(forge.util.createBuffer(der.toString('binary')));
+    if (forge.asn1.derToOid(asn1.value[0].value) !== forge.pki.oids.signedData) {
+      throw new Error('PKCS#7 data is not SignedData');
+    }
+    // SignedData certificates are [0] IMPLICIT SET OF Certificate; read as ASN.1 so EC certificates survive
+    const signedData = asn1.value[1].value[0];
+    const certificateSet = signedData.value.find(node => node.tagClass === forge.asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+    return (certificateSet ? certificateSet.value : [])
+      .map(node => Buffer.from(forge.asn1.toDer(node).getBytes(), 'binary'));
+  }
+  
+  /**
+   * Read every certificate of a certificate file
+   * Text files may hold several CERTIFICATE and PKCS7 PEM blocks; binary files
+   * are a single DER certificate or a DER PKCS#7 chain. Other PEM blocks, such
+   * as private keys, are skipped and only their labels are reported
+   * @param {Buffer|string} fileData The file bytes or text
+   * @returns {{format: string, certificates: Buffer[], skipped: string[]}}
+   *   `format` is 'pem', 'der' or 'pkcs7'
+   * @throws {Error} If the file holds no readable certificate
+   */
+  readCertificateFile(fileData) {
+    const buffer = Buffer.isBuffer(fileData) ? fileData : Buffer.from(String(fileData), 'utf8');
+    const text = buffer.toString('utf8');
+    
+    const blocks = [...text.matchAll(/-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/g)];
+    if (blocks.length > 0) {
+      const skipped = [];
+      const certificates = blocks.flatMap(([, label, body]) => {
+        const der = Buffer.from(body.replace(/\s/g, ''), 'base64');
+        if (label === 'CERTIFICATE' || label === 'X509 CERTIFICATE') {
+          return [der];
+        }
+        if (label === 'PKCS7') {
+          return this.getPkcs7Certificates(der);
+        }
+        skipped.push(label);
+        return [];
+      });
+      if (certificates.length === 0) {
+        throw new Error(`No certificate in PEM file (found ${skipped.join(', ')})`);
+      }
+      return { format: 'pem', certificates, skipped };
+    }
+    
+    // Base64 without armour is read like the DER it encodes
+    const der = /^[A-Za-z0-9+/=\s]+$/.test(text) ? Buffer.from(text.replace(/\s/g, ''), 'base64') : buffer;
+    try {
+      new crypto.X509Certificate(der);
+      return { format: 'der', certificates: [der], skipped: [] };
+    } catch (x509Error) {
+      try {
+        return { format: 'pkcs7', certificates: this.getPkcs7Certificates(der), skipped: [] };
+      } catch (pkcs7Error) {
+        throw new Error(`Not a PEM, DER or PKCS#7 certificate file (DER: ${x509Error.message}; PKCS#7: ${pkcs7Error.message})`);
+      }
+    }
+  }
+  
+  /**
+   * Describe certificates and how they chain together
+   * Each certificate's issuer is looked up among the others by name and
+   * signature, so the list order of the file does not matter
+   * @param {Buffer[]} certificates DER certificates
+   * @returns {{certificates: object[], chains: number[][]}} extractCertInfo
+   *   metadata per certificate with its `index`, `role` ('leaf', 'intermediate'
+   *   or 'root'), `issuer_index` and `issued` indexes; each chain lists indexes
+   *   from an end certificate up to the last issuer found
+   */
+  describeCertificateChain(certificates) {
+    const x509 = certificates.map(der => {
+      try {
+        return new crypto.X509Certificate(der);
+      } catch {
+        return null;
+      }
+    });
+    const issuedBy = (cert, issuer) => cert.checkIssued(issuer) && cert.verify(issuer.publicKey);
+    
+    const entries = certificates.map((der, index) => {
+      const cert = x509[index];
+      const selfSigned = cert ? issuedBy(cert, cert) : false;
+      return {
+        index,
+        ...this.extractCertInfo(this.toPem(der)),
+        fingerprint256: cert ? cert.fingerprint256 : null,
+        subject_alt_name: cert && cert.subjectAltName ? cert.subjectAltName.split(', ') : [],
+        ca: cert ? cert.ca : null,
+        self_signed: selfSigned,
+        expired: cert ? new Date(cert.validTo) < new Date() : null,
+        role: selfSigned ? 'root' : (cert && cert.ca ? 'intermediate' : 'leaf'),
+        issuer_index: null,
+        issued: []
+      };
+    });
+    
+    entries.forEach((entry, index) => {
+      const cert = x509[index];
+      if (!cert || entry.self_signed) {
+        return;
+      }
+      const issuerIndex = x509.findIndex((candidate, position) => position !== index && candidate && issuedBy(cert, candidate));
+      if (issuerIndex !== -1) {
+        entry.issuer_index = issuerIndex;
+        entries[issuerIndex].issued.push(index);
+      }
+    });
+    
+    // Walk up from every certificate that issued nothing; `seen` stops issuer loops
+    const chains = entries.filter(entry => entry.issued.length === 0).map(entry => {
+      const chain = [];
+      const seen = new Set();
+      for (let current = entry; current && !seen.has(current.index); current = entries[current.issuer_index]) {
+        seen.add(current.index);
+        chain.push(current.index);
+      }
+      return chain;
+    });
+    
+    return { certificates: entries, chains };
+  }
+  
   /**
    * Process an object recursively to handle certificates
    * @param {object} obj The object to process
@@ -192,9 +509,11 @@ class CertificateService {
       return obj;
     }
     
-    // Handle arrays
+    // Handle arrays; certificates listed directly in an array are processed too
     if (Array.isArray(obj)) {
-      return obj.map(item => this.processCertificatesInObject(item, mode));
+      return obj.map(item => (typeof item === 'string'
+        ? this.processCertificate(item, mode).value
+        : this.processCertificatesInObject(item, mode)));
     }
     
     // Process object properties
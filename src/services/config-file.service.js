@@ -0,0 +1,560 @@
+/**
+ * Config file service
+ * Reads INI, Java .properties, TOML and .env files into plain objects, so they
+ * go through the same obfuscation and certificate handling as YAML
+ */
+const dotenv = require('dotenv');
+
+// Extension to format; .config is only read as INI when it is not XML or JSON
+const CONFIG_FILE_FORMATS = {
+  '.ini': 'ini',
+  '.config': 'ini',
+  '.properties': 'properties',
+  '.toml': 'toml',
+  '.env': 'env',
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Pick the parser for an upload
+ * @param {string} fileExtension The lower-case extension, e.g. '.toml'
+ * @param {string} content The file text
+ * @returns {string|null} 'ini', 'properties', 'toml' or 'env', or null for other files
+ */
+function configFormatFor(fileExtension, content) {
+  const format = CONFIG_FILE_FORMATS[fileExtension] || null;
+  if (fileExtension === '.config' && /^\s*[<{]/.test(content || '')) {
+    return null;
+  }
+  return format;
+}
+
+/**
+ * Nest dotted keys into objects
+ * A key is only nested below another key's name when that name does not hold
+ * a value itself, so `log=INFO` and `log.file=app.log` stay as two flat keys
+ * instead of one overwriting the other. Repeated keys, and `key[]` keys,
+ * collect their values in an array
+ * @param {object[]} entries `{ segments, value, append }` in file order;
+ *   `value` undefined marks a section header
+ * @returns {object} The nested data
+ */
+function buildTree(entries) {
+  const leaves = new Set(entries.filter(entry => entry.value !== undefined).map(entry => entry.segments.join('.')));
+  const tree = {};
+
+  entries.forEach(({ segments, value, append }) => {
+    const stop = segments.findIndex((segment, index) => index < segments.length - 1
+      && leaves.has(segments.slice(0, index + 1).join('.')));
+    const path = stop === -1 ? segments : [...segments.slice(0, stop), segments.slice(stop).join('.')];
+
+    let node = tree;
+    const parents = value === undefined ? path : path.slice(0, -1);
+    parents.forEach(segment => {
+      if (!isPlainObject(node[segment])) {
+        node[segment] = {};
+      }
+      node = node[segment];
+    });
+    if (value === undefined) {
+      return;
+    }
+
+    const key = path[path.length - 1];
+    if (node[key] === undefined) {
+      node[key] = append ? [value] : value;
+    } else if (Array.isArray(node[key])) {
+      node[key].push(value);
+    } else {
+      node[key] = [node[key], value];
+    }
+  });
+  return tree;
+}
+
+// Bare INI values become booleans and numbers; numbers with leading zeros (PLMN codes, ZIPs) stay text
+function iniScalar(text) {
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (/^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+function iniValue(raw, label, warnings) {
+  const text = raw.trim();
+  const quote = text[0];
+  if (quote === '"' || quote === "'") {
+    let value = '';
+    let index = 1;
+    for (; index < text.length && text[index] !== quote; index++) {
+      if (quote === '"' && text[index] === '\\' && index + 1 < text.length) {
+        const escaped = text[++index];
+        value += { n: '\n', t: '\t', r: '\r', 0: '\0' }[escaped] || escaped;
+      } else {
+        value += text[index];
+      }
+    }
+    if (index >= text.length) {
+      warnings.push(`${label}: missing closing ${quote}; the rest of the line is used as the value`);
+    } else if (!/^\s*(?:[;#].*)?$/.test(text.slice(index + 1))) {
+      warnings.push(`${label}: text after the closing ${quote} is ignored`);
+    }
+    return value;
+  }
+  // Inline comments need whitespace before them, so "a#b" keeps its #
+  return iniScalar(text.replace(/\s+[;#].*$/, ''));
+}
+
+/**
+ * Read an INI file
+ * `[a.b]` sections and `a.b = c` keys nest by their dots, `key[] = value`
+ * and repeated keys make arrays, `"..."` values understand \n, \t and \"
+ * escapes, and bare true/false and numbers are typed. Lines without `=` or
+ * `:` are flags and read as true
+ * @param {string} content The file text
+ * @returns {{data: object, warnings: string[]}}
+ */
+function parseIni(content) {
+  const entries = [];
+  const warnings = [];
+  let section = [];
+
+  content.split(/\r?\n/).forEach((raw, index) => {
+    const label = `Line ${index + 1}`;
+    const line = raw.trim();
+    if (!line || line.startsWith(';') || line.startsWith('#')) {
+      return;
+    }
+
+    const header = /^\[([^\]]+)\]\s*(?:[;#].*)?$/.exec(line);
+    if (header) {
+      section = header[1].trim().split('.').map(segment => segment.trim());
+      entries.push({ segments: section });
+      return;
+    }
+
+    const pair = /^([^=:]+?)\s*[=:]\s*(.*)$/.exec(line);
+    let key = (pair ? pair[1] : line).trim();
+    const append = key.endsWith('[]');
+    if (append) {
+      key = key.slice(0, -2);
+    }
+    entries.push({
+      segments: [...section, ...key.split('.')],
+      value: pair ? iniValue(pair[2], label, warnings) : true,
+      append,
+    });
+  });
+
+  return { data: buildTree(entries), warnings };
+}
+
+const PROPERTIES_ESCAPES = { t: '\t', n: '\n', r: '\r', f: '\f' };
+
+function unescapeProperty(text) {
+  return text.replace(/\\(u[0-9A-Fa-f]{4}|[\s\S]?)/g, (match, escaped) => {
+    if (escaped.length === 5) {
+      return String.fromCharCode(parseInt(escaped.slice(1), 16));
+    }
+    return PROPERTIES_ESCAPES[escaped] || escaped;
+  });
+}
+
+/**
+ * Read a Java .properties file
+ * Follows java.util.Properties: `=`, `:` or whitespace separators, `#` and
+ * `!` comments, backslash line continuations and \t, \n, \uXXXX escapes.
+ * Values stay strings, as Java reads them; dotted keys are nested
+ * @param {string} content The file text
+ * @returns {{data: object, warnings: string[]}}
+ */
+function parseProperties(content) {
+  const lines = content.split(/\r?\n/);
+  const entries = [];
+  const warnings = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    let line = lines[index].replace(/^[ \t\f]+/, '');
+    if (!line || line[0] === '#' || line[0] === '!') {
+      continue;
+    }
+    // An odd number of trailing backslashes continues the line
+    while (/(?:^|[^\\])(?:\\\\)*\\$/.test(line)) {
+      if (index + 1 >= lines.length) {
+        warnings.push(`Line ${index + 1}: continuation at the end of the file`);
+        line = line.slice(0, -1);
+        break;
+      }
+      line = line.slice(0, -1) + lines[++index].replace(/^[ \t\f]+/, '');
+    }
+
+    let end = 0;
+    while (end < line.length && !/[=: \t\f]/.test(line[end])) {
+      end += line[end] === '\\' ? 2 : 1;
+    }
+    const key = unescapeProperty(line.slice(0, end));
+    const value = unescapeProperty(line.slice(end).replace(/^[ \t\f]*[=:]?[ \t\f]*/, ''));
+    const segments = key.split('.');
+    entries.push({ segments: segments.includes('') ? [key] : segments, value });
+  }
+
+  return { data: buildTree(entries), warnings };
+}
+
+/**
+ * Read a .env file with dotenv's grammar: `export` prefixes, quoted and
+ * multi-line values and comments. Keys stay flat
+ * @param {string} content The file text
+ * @returns {{data: object, warnings: string[]}}
+ */
+function parseEnv(content) {
+  const data = dotenv.parse(content);
+  const warnings = [];
+  if (Object.keys(data).length === 0 && content.trim()) {
+    warnings.push('No KEY=value lines were found');
+  }
+  return { data, warnings };
+}
+
+const TOML_ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' };
+const TOML_BARE_KEY = /[A-Za-z0-9_-]+/y;
+const TOML_DATETIME = /(?:\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(?:\.\d+)?)/y;
+const TOML_NUMBER = /(?:[+-]?(?:inf|nan)|0x[0-9A-Fa-f](?:_?[0-9A-Fa-f])*|0o[0-7](?:_?[0-7])*|0b[01](?:_?[01])*|[+-]?(?:0|[1-9](?:_?\d)*)(?:\.\d(?:_?\d)*)?(?:[eE][+-]?\d(?:_?\d)*)?)/y;
+
+/**
+ * Read a TOML 1.0 document
+ * Tables, arrays of tables, dotted keys, inline tables, arrays, all four
+ * string forms and typed integers, floats and booleans are supported.
+ * Dates and times are kept as their text, since JSON has no date type
+ * @param {string} content The file text
+ * @returns {{data: object, warnings: string[]}}
+ * @throws {Error} With the line number, for invalid TOML
+ */
+function parseToml(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const root = {};
+  const warnings = [];
+  // Tables opened with [header], and inline tables/arrays that may not be extended later
+  const definedTables = new Set();
+  const sealed = new Set();
+  let pos = 0;
+  let line = 1;
+
+  const fail = (message) => {
+    throw new Error(`TOML line ${line}: ${message}`);
+  };
+  const startsWith = (token) => text.startsWith(token, pos);
+  const matchAt = (pattern) => {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(text);
+    return match ? match[0] : null;
+  };
+  const skipSpaces = () => {
+    while (text[pos] === ' ' || text[pos] === '\t') pos++;
+  };
+  const skipComment = () => {
+    if (text[pos] === '#') {
+      while (pos < text.length && text[pos] !== '\n') pos++;
+    }
+  };
+  const skipBlank = () => {
+    for (;;) {
+      skipSpaces();
+      skipComment();
+      if (text[pos] === '\r' && text[pos + 1] === '\n') pos++;
+      if (text[pos] !== '\n') return;
+      pos++;
+      line++;
+    }
+  };
+  const endOfLine = () => {
+    skipSpaces();
+    skipComment();
+    if (text[pos] === '\r' && text[pos + 1] === '\n') pos++;
+    if (pos < text.length && text[pos] !== '\n') fail(`unexpected "${text[pos]}"`);
+  };
+
+  const readEscape = () => {
+    const kind = text[pos + 1];
+    if (kind === 'u' || kind === 'U') {
+      const hex = text.substr(pos + 2, kind === 'u' ? 4 : 8);
+      if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== (kind === 'u' ? 4 : 8)) fail('invalid unicode escape');
+      pos += 2 + hex.length;
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    if (TOML_ESCAPES[kind] === undefined) fail(`invalid escape \\${kind}`);
+    pos += 2;
+    return TOML_ESCAPES[kind];
+  };
+
+  const basicString = () => {
+    let value = '';
+    if (startsWith('"""')) {
+      pos += 3;
+      if (startsWith('\r\n')) pos++;
+      if (text[pos] === '\n') {
+        pos++;
+        line++;
+      }
+      for (;;) {
+        if (pos >= text.length) fail('unterminated multi-line string');
+        if (startsWith('"""')) {
+          // Up to two quotes may directly precede the closing delimiter
+          let quotes = 3;
+          while (text[pos + quotes] === '"' && quotes < 5) quotes++;
+          pos += quotes;
+          return value + '"'.repeat(quotes - 3);
+        }
+        if (text[pos] === '\\' && /^\\[ \t]*\r?\n/.test(text.slice(pos, pos + 64))) {
+          // Line-ending backslash trims the newline and following whitespace
+          pos++;
+          while (/[ \t\r\n]/.test(text[pos] || '')) {
+            if (text[pos] === '\n') line++;
+            pos++;
+          }
+          continue;
+        }
+        if (text[pos] === '\\') {
+          value += readEscape();
+          continue;
+        }
+        if (text[pos] === '\n') line++;
+        value += text[pos++];
+      }
+    }
+    pos++;
+    for (;;) {
+      const char = text[pos];
+      if (char === undefined || char === '\n') fail('unterminated string');
+      if (char === '"') {
+        pos++;
+        return value;
+      }
+      if (char === '\\') {
+        value += readEscape();
+      } else {
+        value += char;
+        pos++;
+      }
+    }
+  };
+
+  const literalString = () => {
+    if (startsWith("'''")) {
+      pos += 3;
+      if (startsWith('\r\n')) pos++;
+      if (text[pos] === '\n') {
+        pos++;
+        line++;
+      }
+      const close = text.indexOf("'''", pos);
+      if (close === -1) fail('unterminated multi-line literal string');
+      let end = close + 3;
+      while (text[end] === "'" && end - close < 5) end++;
+      const value = text.slice(pos, end - 3);
+      line += (value.match(/\n/g) || []).length;
+      pos = end;
+      return value;
+    }
+    const close = text.slice(pos + 1).search(/['\n]/);
+    if (close === -1 || text[pos + 1 + close] !== "'") fail('unterminated literal string');
+    const value = text.slice(pos + 1, pos + 1 + close);
+    pos += close + 2;
+    return value;
+  };
+
+  const key = () => {
+    const segments = [];
+    for (;;) {
+      skipSpaces();
+      if (text[pos] === '"') {
+        segments.push(basicString());
+      } else if (text[pos] === "'") {
+        segments.push(literalString());
+      } else {
+        const bare = matchAt(TOML_BARE_KEY);
+        if (!bare) fail('expected a key');
+        segments.push(bare);
+        pos += bare.length;
+      }
+      skipSpaces();
+      if (text[pos] !== '.') return segments;
+      pos++;
+    }
+  };
+
+  const assign = (target, segments, value) => {
+    let node = target;
+    segments.slice(0, -1).forEach(segment => {
+      if (node[segment] === undefined) node[segment] = {};
+      if (!isPlainObject(node[segment]) || sealed.has(node[segment])) fail(`${segments.join('.')} extends a value that is already defined`);
+      node = node[segment];
+    });
+    const last = segments[segments.length - 1];
+    if (node[last] !== undefined) fail(`${segments.join('.')} is defined twice`);
+    node[last] = value;
+  };
+
+  const scalar = () => {
+    if (startsWith('true') || startsWith('false')) {
+      const value = startsWith('true');
+      pos += value ? 4 : 5;
+      return value;
+    }
+    const datetime = matchAt(TOML_DATETIME);
+    if (datetime) {
+      pos += datetime.length;
+      return datetime;
+    }
+    const number = matchAt(TOML_NUMBER);
+    if (!number) fail('expected a value');
+    pos += number.length;
+
+    const digits = number.replace(/_/g, '');
+    const sign = digits[0] === '-' ? -1 : 1;
+    const unsigned = digits.replace(/^[+-]/, '');
+    if (unsigned === 'inf') return sign * Infinity;
+    if (unsigned === 'nan') return NaN;
+    const radix = { '0x': 16, '0o': 8, '0b': 2 }[digits.slice(0, 2)];
+    const value = radix ? parseInt(digits.slice(2), radix) : Number(digits);
+    if (/^[+-]?\d+$/.test(digits) && !Number.isSafeInteger(value)) {
+      warnings.push(`Line ${line}: ${number} is too large for a JSON number and is kept as text`);
+      return digits;
+    }
+    return value;
+  };
+
+  const value = () => {
+    let result;
+    if (text[pos] === '"') {
+      result = basicString();
+    } else if (text[pos] === "'") {
+      result = literalString();
+    } else if (text[pos] === '[') {
+      pos++;
+      result = [];
+      for (;;) {
+        skipBlank();
+        if (pos >= text.length) fail('unterminated array');
+        if (text[pos] === ']') break;
+        result.push(value());
+        skipBlank();
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] !== ']') {
+          fail('expected , or ] in array');
+        }
+      }
+      pos++;
+      sealed.add(result);
+    } else if (text[pos] === '{') {
+      pos++;
+      result = {};
+      skipSpaces();
+      while (text[pos] !== '}') {
+        if (pos >= text.length || text[pos] === '\n') fail('unterminated inline table');
+        const segments = key();
+        if (text[pos] !== '=') fail('expected = in inline table');
+        pos++;
+        skipSpaces();
+        assign(result, segments, value());
+        skipSpaces();
+        if (text[pos] === ',') {
+          pos++;
+          skipSpaces();
+        } else if (text[pos] !== '}') {
+          fail('expected , or } in inline table');
+        }
+      }
+      pos++;
+      sealed.add(result);
+    } else {
+      result = scalar();
+    }
+    if (pos < text.length && !/[ \t\r\n#,\]}]/.test(text[pos])) fail(`unexpected "${text[pos]}" after value`);
+    return result;
+  };
+
+  const openTable = (segments, arrayOfTables) => {
+    let node = root;
+    segments.forEach((segment, index) => {
+      if (index === segments.length - 1 && arrayOfTables) {
+        if (node[segment] === undefined) node[segment] = [];
+        if (!Array.isArray(node[segment]) || sealed.has(node[segment])) fail(`[[${segments.join('.')}]] is not an array of tables`);
+        const table = {};
+        node[segment].push(table);
+        node = table;
+        return;
+      }
+      if (node[segment] === undefined) node[segment] = {};
+      let next = node[segment];
+      // Headers below an array of tables extend its last table
+      if (Array.isArray(next) && !sealed.has(next)) next = next[next.length - 1];
+      if (!isPlainObject(next) || sealed.has(next)) fail(`[${segments.join('.')}] conflicts with a value that is already defined`);
+      node = next;
+    });
+    if (!arrayOfTables) {
+      if (definedTables.has(node)) fail(`table [${segments.join('.')}] is defined twice`);
+      definedTables.add(node);
+    }
+    return node;
+  };
+
+  let table = root;
+  for (;;) {
+    skipBlank();
+    if (pos >= text.length) break;
+    if (startsWith('[[')) {
+      pos += 2;
+      const segments = key();
+      if (!startsWith(']]')) fail('expected ]]');
+      pos += 2;
+      table = openTable(segments, true);
+    } else if (text[pos] === '[') {
+      pos++;
+      const segments = key();
+      if (text[pos] !== ']') fail('expected ]');
+      pos++;
+      table = openTable(segments, false);
+    } else {
+      const segments = key();
+      if (text[pos] !== '=') fail(`expected = after ${segments.join('.')}`);
+      pos++;
+      skipSpaces();
+      assign(table, segments, value());
+    }
+    endOfLine();
+  }
+
+  return { data: root, warnings };
+}
+
+/**
+ * Read a config file in the given format
+ * @param {string} content The file text
+ * @param {string} format 'ini', 'properties', 'toml' or 'env'
+ * @returns {{data: object, warnings: string[]}}
+ */
+function parseConfigFile(content, format) {
+  const parsers = { ini: parseIni, properties: parseProperties, toml: parseToml, env: parseEnv };
+  if (!parsers[format]) {
+    throw new Error(`Unknown config file format: ${format}`);
+  }
+  const result = parsers[format](content);
+  console.log(`[ConfigFileService] Read ${format} file with`, Object.keys(result.data).length, 'top-level keys');
+  return result;
+}
+
+module.exports = {
+  CONFIG_FILE_FORMATS,
+  configFormatFor,
+  parseConfigFile,
+  parseEnv,
+  parseIni,
+  parseProperties,
+  parseToml,
+};
@@ -0,0 +1,246 @@
+/**
+ * Profile distribution service
+ * Publishes converted profiles under signed, expiring download links and keeps
+ * the audit trail of every download attempt
+ */
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { MOBILECONFIG_CONTENT_TYPE, buildMobileConfig } = require('./mobileconfig.service');
+const { WIFI_CONFIG_CONTENT_TYPE, buildWifiConfigBundle } = require('./android.service');
+const signingService = require('./signing.service');
+
+const DEFAULT_TTL_SECONDS = 60 * 60;
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Expired links keep their audit trail this long before they are dropped
+const AUDIT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const MAX_PUBLISHED = 500;
+
+function parseBoolean(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+class DistributionService {
+  constructor() {
+    this.published = new Map();
+    this.links = new Map();
+    this.secret = process.env.DISTRIBUTION_SECRET || crypto.randomBytes(32).toString('hex');
+    if (!process.env.DISTRIBUTION_SECRET) {
+      console.log('[DistributionService] DISTRIBUTION_SECRET not set; signing links with a random key');
+    }
+  }
+
+  signature(linkId, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${linkId}.${expires}`).digest('base64url');
+  }
+
+  // Drop profile content once a link expires, and the whole entry once its audit retention ends
+  purge(now = Date.now()) {
+    this.published.forEach((entry, id) => {
+      if (entry.expiresAt <= now) {
+        entry.variants = {};
+      }
+      if (entry.expiresAt + AUDIT_RETENTION_MS <= now) {
+        this.published.delete(id);
+        this.links.delete(entry.linkId);
+      }
+    });
+  }
+
+  buildVariants(profile, options) {
+    const variants = {};
+    const warnings = [];
+
+    try {
+      let mobileconfig = Buffer.from(buildMobileConfig(profile, options));
+      if (parseBoolean(options.sign)) {
+        const signed = signingService.sign(mobileconfig);
+        mobileconfig = signed.signed;
+        warnings.push(...signed.warnings);
+      }
+      variants.ios = { content: mobileconfig, contentType: MOBILECONFIG_CONTENT_TYPE, extension: '.mobileconfig' };
+    } catch (error) {
+      warnings.push(`iOS profile not published: ${error.message}`);
+    }
+
+    try {
+      variants.android = { content: Buffer.from(buildWifiConfigBundle(profile)), contentType: WIFI_CONFIG_CONTENT_TYPE, extension: '.config' };
+    } catch (error) {
+      warnings.push(`Android profile not published: ${error.message}`);
+    }
+
+    return { variants, warnings };
+  }
+
+  /**
+   * Publish a profile for download
+   * @param {object} profile A profile in the mapToYamlSchema `passpoint_profile` shape
+   * @param {object} options Optional `ttl` in seconds (default 1 hour, at most 7
+   *   days), `singleUse` to allow one download only, `sign` to sign the
+   *   mobileconfig, and the mobileconfig export options
+   * @returns {{entry: object, warnings: string[]}} The published entry, whose
+   *   `token` goes into the download link, and the variants that could not be built
+   */
+  publish(profile, options = {}) {
+    this.purge();
+    if (this.published.size >= MAX_PUBLISHED) {
+      throw new Error(`Too many published profiles (limit ${MAX_PUBLISHED}); revoke some or wait for them to expire`);
+    }
+
+    const ttl = options.ttl === undefined ? DEFAULT_TTL_SECONDS : Number(options.ttl);
+    if (!Number.isInteger(ttl) || ttl <= 0 || ttl > MAX_TTL_SECONDS) {
+      throw new Error(`ttl must be a whole number of seconds between 1 and ${MAX_TTL_SECONDS}`);
+    }
+
+    const { variants, warnings } = this.buildVariants(profile, options);
+    if (Object.keys(variants).length === 0) {
+      throw new Error(warnings.join('; '));
+    }
+
+    const now = Date.now();
+    const entry = {
+      id: crypto.randomUUID(),
+      linkId: crypto.randomBytes(16).toString('base64url'),
+      name: profile.home_friendly_name || profile.home_domain || (profile.nai_realm && profile.nai_realm.name) || 'passpoint',
+      createdAt: now,
+      expiresAt: now + ttl * 1000,
+      singleUse: parseBoolean(options.singleUse),
+      signed: parseBoolean(options.sign) && Boolean(variants.ios),
+      consumed: false,
+      revoked: false,
+      platforms: Object.keys(variants),
+      variants,
+      downloads: [],
+    };
+    const expires = Math.floor(entry.expiresAt / 1000);
+    entry.token = `${entry.linkId}.${expires}.${this.signature(entry.linkId, expires)}`;
+    this.published.set(entry.id, entry);
+    this.links.set(entry.linkId, entry.id);
+
+    console.log('[DistributionService] Published', entry.name, 'as', entry.id, 'until', new Date(entry.expiresAt).toISOString());
+    return { entry, warnings };
+  }
+
+  /**
+   * Resolve a download token
+   * @param {string} token The token from the download link
+   * @returns {{entry: object|null, reason: string|null}} The entry, and why it
+   *   cannot be downloaded: 'invalid', 'not_found', 'expired', 'revoked' or 'used'
+   */
+  resolve(token) {
+    this.purge();
+    const [linkId, expires, signature] = String(token || '').split('.');
+    if (!linkId || !/^\d+$/.test(expires || '') || !signature) {
+      return { entry: null, reason: 'invalid' };
+    }
+
+    const supplied = Buffer.from(signature);
+    const expected = Buffer.from(this.signature(linkId, expires));
+    if (supplied.length !== expected.length || !crypto.timingSafeEqual(supplied, expected)) {
+      return { entry: null, reason: 'invalid' };
+    }
+
+    const entry = this.published.get(this.links.get(linkId));
+    if (Number(expires) * 1000 <= Date.now()) {
+      return { entry: entry || null, reason: 'expired' };
+    }
+    if (!entry) {
+      return { entry: null, reason: 'not_found' };
+    }
+    if (entry.revoked) {
+      return { entry, reason: 'revoked' };
+    }
+    if (entry.consumed) {
+      return { entry, reason: 'used' };
+    }
+    return { entry, reason: null };
+  }
+
+  /**
+   * Record a download attempt in the entry's audit trail
+   * A successful download of a single-use link consumes it and drops its content
+   * @param {object} entry The published entry
+   * @param {object} event `{ platform, outcome, userAgent, ip }`
+   */
+  recordDownload(entry, event) {
+    const record = { at: new Date().toISOString(), ...event };
+    entry.downloads.push(record);
+    console.log('[DistributionService] Download', entry.id, record.outcome, record.platform || 'unknown', record.ip || '');
+
+    if (record.outcome === 'delivered' && entry.singleUse) {
+      entry.consumed = true;
+      entry.variants = {};
+    }
+  }
+
+  get(id) {
+    this.purge();
+    return this.published.get(id) || null;
+  }
+
+  revoke(id) {
+    const entry = this.get(id);
+    if (!entry) {
+      return null;
+    }
+    entry.revoked = true;
+    entry.variants = {};
+    console.log('[DistributionService] Revoked', id);
+    return entry;
+  }
+
+  /**
+   * Summarise an entry for API responses; profile content is never included
+   * @param {object} entry The published entry
+   * @returns {object} Status, platforms and download events
+   */
+  describe(entry) {
+    let status = 'active';
+    if (entry.revoked) status = 'revoked';
+    else if (entry.consumed) status = 'used';
+    else if (entry.expiresAt <= Date.now()) status = 'expired';
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      status,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      singleUse: entry.singleUse,
+      signed: entry.signed,
+      platforms: entry.platforms,
+      downloads: entry.downloads,
+    };
+  }
+
+  /**
+   * Pick the profile variant for a device from its User-Agent
+   * iPadOS Safari reports itself as a Mac, and macOS installs mobileconfigs too
+   * @param {string} userAgent The User-Agent header
+   * @returns {string|null} 'ios', 'android' or null when the platform is unknown
+   */
+  detectPlatform(userAgent) {
+    const agent = String(userAgent || '');
+    if (/Android/i.test(agent)) {
+      return 'android';
+    }
+    if (/iPhone|iPad|iPod|Macintosh|Mac OS X/i.test(agent)) {
+      return 'ios';
+    }
+    return null;
+  }
+
+  /**
+   * Render a QR code for a download link
+   * @param {string} url The absolute download URL
+   * @param {string} format 'svg' for SVG markup or 'png' for a PNG buffer
+   * @returns {Promise<string|Buffer>} The QR code
+   */
+  async qrCode(url, format = 'svg') {
+    if (format === 'png') {
+      return QRCode.toBuffer(url, { type: 'png', errorCorrectionLevel: 'M', margin: 2, width: 256 });
+    }
+    return QRCode.toString(url, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+  }
+}
+
+module.exports = new DistributionService();
@@ -0,0 +1,192 @@
+/**
+ * EAP metadata service
+ * Builds geteduroam/CAT style .eap-config files (EAPIdentityProviderList) from
+ * a profile in the mapToYamlSchema shape
+ */
+const xml2js = require('xml2js');
+const certService = require('./cert.service');
+const eapRegistry = require('./eap-registry.service');
+
+const EAP_CONFIG_CONTENT_TYPE = 'application/eap-config';
+
+// EAP methods allowed as outer methods in eap-metadata.xsd, by registry name
+const eapConfigOuterTypes = ['TLS', 'TTLS', 'PEAP'];
+
+// Inner EAP methods take their IANA type, NonEAPAuthMethod the eap-metadata.xsd
+// numbering, which has no CHAP
+function buildInnerAuthenticationMethod(eapType, innerAuth) {
+  const inner = eapRegistry.innerMethod(eapType, innerAuth);
+  if (inner && inner.eap && inner.method.assigned) {
+    return { EAPMethod: { Type: inner.method.type } };
+  }
+  if (!inner || inner.eap || inner.method.eapConfig === null) {
+    throw new Error(`Inner method "${innerAuth}" is not supported in .eap-config files`);
+  }
+  return { NonEAPAuthMethod: { Type: inner.method.eapConfig } };
+}
+
+function buildServerSideCredential(credential) {
+  const serverSide = {};
+
+  if (credential.ca_certificate) {
+    const der = certService.toDer(credential.ca_certificate);
+    if (!der) {
+      throw new Error('credential.ca_certificate is not a PEM or base64 certificate');
+    }
+    serverSide.CA = [{ $: { format: 'X.509', encoding: 'base64' }, _: der.toString('base64') }];
+  }
+  if (Array.isArray(credential.server_names) && credential.server_names.length > 0) {
+    serverSide.ServerID = credential.server_names;
+  }
+
+  return Object.keys(serverSide).length > 0 ? serverSide : null;
+}
+
+function buildClientSideCredential(eapType, credential) {
+  // Element order follows the ClientSideCredential sequence in eap-metadata.xsd
+  const clientSide = { $: { allow_save: 'true' } };
+
+  if (credential.outer_identity) {
+    clientSide.OuterIdentity = credential.outer_identity;
+  }
+  if (credential.realm) {
+    clientSide.InnerIdentitySuffix = credential.realm;
+    clientSide.InnerIdentityHint = 'true';
+  }
+
+  if (eapType === 'TLS') {
+    if (credential.client_certificate) {
+      clientSide.ClientCertificate = {
+        $: { format: 'PKCS12', encoding: 'base64' },
+        _: String(credential.client_certificate).replace(/\s/g, '')
+      };
+    }
+    if (credential.client_certificate_password) {
+      clientSide.Passphrase = credential.client_certificate_password;
+    }
+  } else {
+    if (credential.username) {
+      clientSide.UserName = credential.username;
+    }
+    if (credential.password) {
+      clientSide.Password = credential.password;
+    }
+  }
+
+  return clientSide;
+}
+
+function buildAuthenticationMethod(method, credential) {
+  const eapMethod = eapRegistry.eapMethod(method.eap_type);
+  const eapType = eapMethod && eapMethod.name;
+  if (!eapConfigOuterTypes.includes(eapType)) {
+    throw new Error(`EAP method "${method.eap_type}" is not supported in .eap-config files`);
+  }
+
+  const authenticationMethod = { EAPMethod: { Type: eapMethod.type } };
+  const serverSide = buildServerSideCredential(credential);
+  if (serverSide) {
+    authenticationMethod.ServerSideCredential = serverSide;
+  }
+  authenticationMethod.ClientSideCredential = buildClientSideCredential(eapType, credential);
+  if (eapType !== 'TLS') {
+    authenticationMethod.InnerAuthenticationMethod = buildInnerAuthenticationMethod(eapType, method.inner_auth);
+  }
+  return authenticationMethod;
+}
+
+function buildCredentialApplicability(profile, options) {
+  const consortiumOIDs = [...(profile.home_ois || []), ...(profile.roaming_consortiums || [])]
+    .map(oi => String(oi.value || oi).toLowerCase())
+    .filter((oi, index, all) => oi && all.indexOf(oi) === index);
+  const ssids = options.ssids ? [].concat(options.ssids) : [];
+
+  const networks = [
+    ...consortiumOIDs.map(oid => ({ ConsortiumOID: oid })),
+    ...ssids.map(ssid => ({ SSID: ssid, MinRSNProto: 'CCMP' })),
+  ];
+  if (networks.length === 0) {
+    throw new Error('Profile needs roaming consortium OIs or an SSID (options.ssids) to apply to');
+  }
+  return { IEEE80211: networks };
+}
+
+function buildProviderInfo(profile, realm, options) {
+  const providerInfo = {
+    DisplayName: { $: { lang: options.lang || 'en' }, _: profile.home_friendly_name || profile.home_domain || realm },
+  };
+  if (options.description) {
+    providerInfo.Description = { $: { lang: options.lang || 'en' }, _: options.description };
+  }
+  if (profile.terms_and_conditions && profile.terms_and_conditions.url) {
+    providerInfo.TermsOfUse = { $: { lang: options.lang || 'en' }, _: profile.terms_and_conditions.url };
+  }
+
+  const helpdesk = options.helpdesk || {};
+  const helpdeskEntries = {};
+  if (helpdesk.email) helpdeskEntries.EmailAddress = { $: { lang: options.lang || 'en' }, _: helpdesk.email };
+  if (helpdesk.web) helpdeskEntries.WebAddress = { $: { lang: options.lang || 'en' }, _: helpdesk.web };
+  if (helpdesk.phone) helpdeskEntries.Phone = { $: { lang: options.lang || 'en' }, _: helpdesk.phone };
+  if (Object.keys(helpdeskEntries).length > 0) {
+    providerInfo.Helpdesk = helpdeskEntries;
+  }
+
+  return providerInfo;
+}
+
+/**
+ * Build an EAPIdentityProviderList document for a Passpoint profile
+ * Every EAP method in the NAI realm becomes an AuthenticationMethod, in order
+ * of preference
+ * @param {object} profile A profile in the mapToYamlSchema `passpoint_profile` shape
+ * @param {object} options Optional `ssids`, `lang`, `description`, `validUntil`
+ *   and `helpdesk` ({ email, web, phone })
+ * @returns {string} The .eap-config XML
+ */
+function buildEapConfig(profile, options = {}) {
+  const credential = {
+    ...(profile.credential || {}),
+    realm: (profile.credential && profile.credential.realm) || (profile.nai_realm && profile.nai_realm.name),
+  };
+  if (!credential.realm) {
+    throw new Error('Profile needs a credential realm');
+  }
+
+  const eapMethods = (profile.nai_realm && profile.nai_realm.eap_methods) || [];
+  if (eapMethods.length === 0) {
+    throw new Error('Profile has no EAP method (nai_realm.eap_methods is empty)');
+  }
+  console.log('[EapConfigService] Building EAP identity provider for:', credential.realm);
+
+  // Element order follows EAPIdentityProvider in eap-metadata.xsd
+  const provider = {
+    $: { ID: credential.realm, namespace: 'urn:RFC4282:realm', lang: options.lang || 'en', version: '1' },
+  };
+  if (options.validUntil) {
+    provider.ValidUntil = new Date(options.validUntil).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+  provider.AuthenticationMethods = {
+    AuthenticationMethod: eapMethods.map(method => buildAuthenticationMethod(method, credential)),
+  };
+  provider.CredentialApplicability = buildCredentialApplicability(profile, options);
+  provider.ProviderInfo = buildProviderInfo(profile, credential.realm, options);
+
+  const builder = new xml2js.Builder({
+    xmldec: { version: '1.0', encoding: 'utf-8' },
+    renderOpts: { pretty: true, indent: '  ', newline: '\n' },
+  });
+  return builder.buildObject({
+    EAPIdentityProviderList: {
+      $: {
+        'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+        'xsi:noNamespaceSchemaLocation': 'eap-metadata.xsd',
+      },
+      EAPIdentityProvider: provider,
+    },
+  });
+}
+
+module.exports = {
+  EAP_CONFIG_CONTENT_TYPE,
+  buildEapConfig,
+};
@@ -0,0 +1,257 @@
+/**
+ * EAP method registry
+ * The IANA EAP Method Types (https://www.iana.org/assignments/eap-numbers),
+ * expanded types (254) by vendor, and the non-EAP inner methods of TTLS
+ * with the code each file format uses for them. Mappers and exporters
+ * resolve EAP names and numbers here instead of keeping their own tables.
+ *
+ * Profiles name methods by the `name` column (TLS, TTLS, PEAP, SIM, AKA,
+ * AKA', ...). Lookups also take the IANA number, the EAP- prefixed form
+ * (EAP-TTLS), Android's enum names (AKA_PRIME) and the other spellings
+ * platforms use (MS-CHAP-V2, MSCHAPv2)
+ */
+
+const EXPANDED_TYPE = 254;
+
+// IANA EAP Method Types. `credential` is what the method authenticates with,
+// `tunnel` marks methods that carry an inner method
+const EAP_METHODS = [
+  { type: 1, name: 'IDENTITY', description: 'Identity' },
+  { type: 2, name: 'NOTIFICATION', description: 'Notification' },
+  { type: 3, name: 'NAK', description: 'Legacy Nak' },
+  { type: 4, name: 'MD5', description: 'MD5-Challenge' },
+  { type: 5, name: 'OTP', description: 'One-Time Password (OTP)' },
+  { type: 6, name: 'GTC', description: 'Generic Token Card (GTC)' },
+  { type: 9, name: 'RSA-PKA', description: 'RSA Public Key Authentication' },
+  { type: 10, name: 'DSS', description: 'DSS Unilateral' },
+  { type: 11, name: 'KEA', description: 'KEA' },
+  { type: 12, name: 'KEA-VALIDATE', description: 'KEA-VALIDATE' },
+  { type: 13, name: 'TLS', description: 'EAP-TLS', credential: 'certificate' },
+  { type: 14, name: 'DEFENDER', description: 'Defender Token (AXENT)' },
+  { type: 15, name: 'SECURID', description: 'RSA Security SecurID EAP' },
+  { type: 16, name: 'ARCOT', description: 'Arcot Systems EAP' },
+  { type: 17, name: 'LEAP', description: 'EAP-Cisco Wireless', credential: 'username_password' },
+  { type: 18, name: 'SIM', description: 'EAP-SIM', credential: 'sim' },
+  { type: 19, name: 'SRP-SHA1', description: 'SRP-SHA1' },
+  { type: 21, name: 'TTLS', description: 'EAP-TTLS', credential: 'username_password', tunnel: true },
+  { type: 22, name: 'RAS', description: 'Remote Access Service' },
+  { type: 23, name: 'AKA', description: 'EAP-AKA Authentication', credential: 'usim' },
+  { type: 24, name: '3COM', description: 'EAP-3Com Wireless' },
+  { type: 25, name: 'PEAP', description: 'PEAP', credential: 'username_password', tunnel: true },
+  { type: 26, name: 'MSCHAPV2', description: 'MS-EAP-Authentication (EAP-MSCHAPv2)', credential: 'username_password' },
+  { type: 27, name: 'MAKE', description: 'Mutual Authentication w/Key Exchange (MAKE)' },
+  { type: 28, name: 'CRYPTOCARD', description: 'CRYPTOCard' },
+  // Not the EAP-MSCHAPv2 clients use, which is 26; it has no name of its own so it is EAP-29
+  { type: 29, name: 'EAP-29', description: 'EAP-MSCHAP-V2' },
+  { type: 30, name: 'DYNAMID', description: 'DynamID' },
+  { type: 31, name: 'ROB', description: 'Rob EAP' },
+  { type: 32, name: 'POTP', description: 'Protected One-Time Password' },
+  { type: 33, name: 'MS-AUTH-TLV', description: 'MS-Authentication-TLV' },
+  { type: 34, name: 'SENTRINET', description: 'SentriNET' },
+  { type: 35, name: 'ACTIONTEC', description: 'EAP-Actiontec Wireless' },
+  { type: 36, name: 'COGENT', description: 'Cogent Systems Biometrics Authentication EAP' },
+  { type: 37, name: 'AIRFORTRESS', description: 'AirFortress EAP' },
+  { type: 38, name: 'HTTP-DIGEST', description: 'EAP-HTTP Digest' },
+  { type: 39, name: 'SECURESUITE', description: 'SecureSuite EAP' },
+  { type: 40, name: 'DEVICECONNECT', description: 'DeviceConnect EAP' },
+  { type: 41, name: 'SPEKE', description: 'EAP-SPEKE' },
+  { type: 42, name: 'MOBAC', description: 'EAP-MOBAC' },
+  { type: 43, name: 'FAST', description: 'EAP-FAST', credential: 'username_password', tunnel: true },
+  { type: 44, name: 'ZLXEAP', description: 'ZoneLabs EAP (ZLXEAP)' },
+  { type: 45, name: 'LINK', description: 'EAP-Link' },
+  { type: 46, name: 'PAX', description: 'EAP-PAX' },
+  { type: 47, name: 'PSK', description: 'EAP-PSK' },
+  { type: 48, name: 'SAKE', description: 'EAP-SAKE' },
+  { type: 49, name: 'IKEV2', description: 'EAP-IKEv2' },
+  { type: 50, name: "AKA'", description: "EAP-AKA'", credential: 'usim' },
+  { type: 51, name: 'GPSK', description: 'EAP-GPSK' },
+  { type: 52, name: 'PWD', description: 'EAP-pwd', credential: 'username_password' },
+  { type: 53, name: 'EKE', description: 'EAP-EKE Version 1' },
+  { type: 54, name: 'PT-EAP', description: 'EAP Method Type for PT-EAP' },
+  { type: 55, name: 'TEAP', description: 'TEAP', credential: 'username_password', tunnel: true },
+  { type: 56, name: 'NOOB', description: 'EAP-NOOB' },
+  { type: 254, name: 'EXPANDED', description: 'Reserved for the Expanded Type' },
+  { type: 255, name: 'EXPERIMENTAL', description: 'Experimental' },
+];
+
+// Expanded types (254) known by their SMI vendor ID and vendor type
+const EXPANDED_EAP_METHODS = [
+  { vendorId: 14122, vendorType: 1, name: 'WSC', description: 'Wi-Fi Protected Setup (Wi-Fi Alliance)' },
+  { vendorId: 40808, vendorType: 13, name: 'UNAUTH-TLS', description: 'Unauthenticated EAP-TLS (Wi-Fi Alliance)' },
+];
+
+// Names that do not reduce to a registry name by themselves, e.g. Android's WifiEnterpriseConfig.Eap enum
+const EAP_METHOD_ALIASES = {
+  AKAPRIME: "AKA'",
+  UNAUTHTLS: 'UNAUTH-TLS',
+  MSCHAP2: 'MSCHAPV2',
+};
+
+// TTLS non-EAP inner methods (RFC 5281) and how each format writes them:
+// the NAI realm Non-EAP Inner Authentication auth parameter, eap-metadata.xsd
+// NonEAPAuthMethod, the PPS MO InnerMethod, Apple TTLSInnerAuthentication,
+// the Windows Phase2Authentication element and wpa_supplicant phase2 auth=
+const NON_EAP_INNER_METHODS = [
+  { name: 'PAP', naiRealm: 1, eapConfig: 1, ppsMo: 'PAP', apple: 'PAP', windows: 'PAPAuthentication', wpaSupplicant: 'PAP' },
+  { name: 'CHAP', naiRealm: 2, eapConfig: null, ppsMo: 'CHAP', apple: 'CHAP', windows: 'CHAPAuthentication', wpaSupplicant: 'CHAP' },
+  { name: 'MSCHAP', naiRealm: 3, eapConfig: 2, ppsMo: 'MS-CHAP', apple: 'MSCHAP', windows: 'MSCHAPAuthentication', wpaSupplicant: 'MSCHAP' },
+  { name: 'MSCHAPV2', naiRealm: 4, eapConfig: 3, ppsMo: 'MS-CHAP-V2', apple: 'MSCHAPv2', windows: 'MSCHAPv2Authentication', wpaSupplicant: 'MSCHAPV2' },
+];
+
+// Upper case without punctuation or an EAP- prefix, with ' spelled PRIME: EAP-AKA', AKA_PRIME and aka' all give AKAPRIME
+const lookupKey = (name) => String(name).trim().toUpperCase()
+  .replace(/'/g, 'PRIME')
+  .replace(/^EAP[-_ ]?(?=.)/, '')
+  .replace(/[^A-Z0-9]/g, '');
+
+const methodsByType = new Map(EAP_METHODS.map(method => [method.type, method]));
+const methodsByKey = new Map([
+  ...EAP_METHODS.map(method => [lookupKey(method.name), method]),
+  ...EXPANDED_EAP_METHODS.map(method => [lookupKey(method.name), method]),
+]);
+
+function describe(method, type = method.type) {
+  return {
+    type,
+    name: method.name,
+    description: method.description,
+    vendor_id: method.vendorId || 0,
+    vendor_type: method.vendorType || 0,
+    credential: method.credential || null,
+    tunnel: Boolean(method.tunnel),
+    assigned: true,
+  };
+}
+
+function expandedMethod(vendorId, vendorType) {
+  // Vendor 0 is the IETF, whose vendor types are the plain method types
+  if (vendorId === 0 && vendorType !== EXPANDED_TYPE && methodsByType.has(vendorType)) {
+    return describe(methodsByType.get(vendorType));
+  }
+  const known = EXPANDED_EAP_METHODS.find(method => method.vendorId === vendorId && method.vendorType === vendorType);
+  if (known) {
+    return describe(known, EXPANDED_TYPE);
+  }
+  return {
+    ...describe(methodsByType.get(EXPANDED_TYPE)),
+    name: `EXPANDED-${vendorId}-${vendorType}`,
+    description: `Expanded Type, vendor ${vendorId} type ${vendorType}`,
+    vendor_id: vendorId,
+    vendor_type: vendorType,
+  };
+}
+
+/**
+ * Look up an EAP method by number or name
+ * Unassigned numbers still resolve, as `EAP-<type>` with `assigned` false,
+ * so methods a mapper does not know are kept rather than dropped.
+ * Expanded methods are named by the registry or as
+ * `EXPANDED-<vendor id>-<vendor type>`
+ * @param {number|string} value IANA number or any spelling of the method name
+ * @param {object} [expanded] `{ vendorId, vendorType }` for type 254
+ * @returns {object|null} `{ type, name, description, vendor_id, vendor_type,
+ *   credential, tunnel, assigned }`, or null when it is not an EAP method
+ */
+function eapMethod(value, expanded = {}) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const named = String(value).trim().match(/^(?:EAP-)?EXPANDED[-:](\d+)[-:](\d+)$/i);
+  if (named) {
+    return expandedMethod(Number(named[1]), Number(named[2]));
+  }
+
+  const key = typeof value === 'number' ? String(value) : lookupKey(value);
+  if (!/^\d+$/.test(key)) {
+    const method = methodsByKey.get(key) || methodsByKey.get(lookupKey(EAP_METHOD_ALIASES[key] || ''));
+    if (!method) {
+      return null;
+    }
+    return method.vendorId ? describe(method, EXPANDED_TYPE) : describe(method);
+  }
+
+  const type = Number(key);
+  if (type > 255) {
+    return null;
+  }
+  if (type === EXPANDED_TYPE && (Number(expanded.vendorId) || Number(expanded.vendorType))) {
+    return expandedMethod(Number(expanded.vendorId), Number(expanded.vendorType || 0));
+  }
+  if (methodsByType.has(type)) {
+    return describe(methodsByType.get(type));
+  }
+  return { type, name: `EAP-${type}`, description: 'Unassigned', vendor_id: 0, vendor_type: 0, credential: null, tunnel: false, assigned: false };
+}
+
+/**
+ * Look up a TTLS non-EAP inner method
+ * @param {string|number} value A profile name (PAP, CHAP, MSCHAP, MSCHAPV2),
+ *   or with `format` the code that format uses
+ * @param {string} [format] A NON_EAP_INNER_METHODS column: 'naiRealm',
+ *   'eapConfig', 'ppsMo', 'apple', 'windows' or 'wpaSupplicant'
+ * @returns {object|null} The NON_EAP_INNER_METHODS entry
+ */
+function nonEapInnerMethod(value, format) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (format) {
+    return NON_EAP_INNER_METHODS.find(method => method[format] !== null &&
+      lookupKey(method[format]) === lookupKey(value)) || null;
+  }
+  return NON_EAP_INNER_METHODS.find(method => method.name === lookupKey(value)) || null;
+}
+
+/**
+ * Resolve the inner authentication of a tunnelled method
+ * TTLS takes a non-EAP method, or an EAP method written as `EAP-<name>`
+ * (Apple's plain `EAP` is EAP-MSCHAPv2, a bare GTC is EAP-GTC). PEAP, FAST and TEAP only carry
+ * EAP, so MSCHAPV2 there is EAP-MSCHAPv2. Without an inner method, MSCHAPv2
+ * is assumed
+ * @param {string|number} outer The outer method
+ * @param {string|number} [innerAuth] The profile's `inner_auth`
+ * @returns {object|null} `{ eap, method, name }`: `method` is an eapMethod
+ *   result when `eap` is true and a NON_EAP_INNER_METHODS entry otherwise,
+ *   `name` the profile's spelling of it. Null when the outer method has no
+ *   tunnel or the inner method is unknown
+ */
+function innerMethod(outer, innerAuth) {
+  const outerMethod = eapMethod(outer);
+  if (!outerMethod || !outerMethod.tunnel) {
+    return null;
+  }
+  const value = innerAuth === undefined || innerAuth === null || innerAuth === '' ? 'MSCHAPV2' : String(innerAuth).trim();
+
+  if (outerMethod.name !== 'TTLS') {
+    const method = eapMethod(value);
+    return method ? { eap: true, method, name: method.name } : null;
+  }
+
+  if (/^EAP$/i.test(value)) {
+    const method = eapMethod('MSCHAPV2');
+    return { eap: true, method, name: `EAP-${method.name}` };
+  }
+  const eapInner = value.match(/^EAP[-_ ]?(.+)$/i);
+  if (eapInner) {
+    const method = eapMethod(eapInner[1]);
+    return method ? { eap: true, method, name: `EAP-${method.name}` } : null;
+  }
+  const method = nonEapInnerMethod(value);
+  if (method) {
+    return { eap: false, method, name: method.name };
+  }
+  // Any other method name (GTC, MD5) can only be EAP inside the tunnel
+  const namedMethod = eapMethod(value);
+  return namedMethod && namedMethod.assigned ? { eap: true, method: namedMethod, name: `EAP-${namedMethod.name}` } : null;
+}
+
+module.exports = {
+  EAP_METHODS,
+  EXPANDED_EAP_METHODS,
+  EXPANDED_TYPE,
+  NON_EAP_INNER_METHODS,
+  eapMethod,
+  innerMethod,
+  nonEapInnerMethod,
+};
@@ -0,0 +1,496 @@
+/**
+ * hostapd service
+ * Builds the hostapd.conf interworking/hs20 section an AP needs to advertise
+ * a profile in the mapToYamlSchema shape, and reads hostapd.conf files back
+ * into the Hotspot 2.0 advertisement of each BSS
+ */
+const eapRegistry = require('./eap-registry.service');
+
+// IEEE 802.11 venue groups and their venue types (Table 9-65), indexed by code
+const venueGroups = [
+  { name: 'Unspecified', types: ['Unspecified'] },
+  {
+    name: 'Assembly',
+    types: ['Unspecified', 'Arena', 'Stadium', 'Passenger Terminal', 'Amphitheater', 'Amusement Park',
+      'Place of Worship', 'Convention Center', 'Library', 'Museum', 'Restaurant', 'Theater', 'Bar',
+      'Coffee Shop', 'Zoo or Aquarium', 'Emergency Coordination Center'],
+  },
+  {
+    name: 'Business',
+    types: ['Unspecified', 'Doctor or Dentist office', 'Bank', 'Fire Station', 'Police Station', '',
+      'Post Office', 'Professional Office', 'Research and Development Facility', 'Attorney Office'],
+  },
+  { name: 'Educational', types: ['Unspecified', 'School, Primary', 'School, Secondary', 'University or College'] },
+  { name: 'Factory and Industrial', types: ['Unspecified', 'Factory'] },
+  {
+    name: 'Institutional',
+    types: ['Unspecified', 'Hospital', 'Long-Term Care Facility', 'Alcohol and Drug Re-habilitation Center',
+      'Group Home', 'Prison or Jail'],
+  },
+  {
+    name: 'Mercantile',
+    types: ['Unspecified', 'Retail Store', 'Grocery Market', 'Automotive Service Station', 'Shopping Mall',
+      'Gas Station'],
+  },
+  { name: 'Residential', types: ['Unspecified', 'Private Residence', 'Hotel or Motel', 'Dormitory', 'Boarding House'] },
+  { name: 'Storage', types: ['Unspecified'] },
+  { name: 'Utility and Miscellaneous', types: ['Unspecified'] },
+  {
+    name: 'Vehicular',
+    types: ['Unspecified', 'Automobile or Truck', 'Airplane', 'Bus', 'Ferry', 'Ship or Boat', 'Train', 'Motor Bike'],
+  },
+  {
+    name: 'Outdoor',
+    types: ['Unspecified', 'Muni-mesh Network', 'City Park', 'Rest Area', 'Traffic Control', 'Bus Stop', 'Kiosk'],
+  },
+];
+
+// NAI realm auth parameter 5 values for the EAP registry's credential kinds.
+// Auth parameter 2 is the non-EAP inner method and 3 the inner EAP method
+const naiRealmCredentialTypes = {
+  sim: 1,
+  usim: 2,
+  certificate: 6,
+  username_password: 7,
+};
+
+const linkStatuses = { UP: 1, DOWN: 2, TEST: 3 };
+const connectionStatuses = { CLOSED: 0, OPEN: 1, UNKNOWN: 2 };
+const ipProtocols = { ICMP: 1, TCP: 6, UDP: 17, ESP: 50 };
+
+const normalize = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Accept either the numeric code or the name from the tables above
+function lookupCode(value, names, label) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    return Number(value);
+  }
+  const index = names.findIndex(name => name && normalize(name) === normalize(value));
+  if (index === -1) {
+    console.warn(`[HostapdService] Unknown ${label} "${value}", advertising Unspecified`);
+    return 0;
+  }
+  return index;
+}
+
+function venueLines(venueInfo) {
+  if (!venueInfo || (!venueInfo.group && !venueInfo.type && !venueInfo.name)) {
+    return [];
+  }
+  const group = lookupCode(venueInfo.group, venueGroups.map(venueGroup => venueGroup.name), 'venue group');
+  const types = venueGroups[group] ? venueGroups[group].types : [];
+  const lines = [
+    `venue_group=${group}`,
+    `venue_type=${lookupCode(venueInfo.type, types, 'venue type')}`,
+  ];
+  if (venueInfo.name) {
+    lines.push(`venue_name=${venueInfo.language || 'eng'}:${venueInfo.name}`);
+  }
+  return lines;
+}
+
+function hexOI(oi) {
+  return String(oi.value || oi).toLowerCase();
+}
+
+function naiRealmEapMethod(method) {
+  const eapMethod = eapRegistry.eapMethod(method.eap_type);
+  if (!eapMethod) {
+    throw new Error(`EAP method "${method.eap_type}" cannot be advertised in the NAI realm list`);
+  }
+
+  let innerParam = '';
+  if (eapMethod.tunnel) {
+    const inner = eapRegistry.innerMethod(eapMethod.name, method.inner_auth);
+    if (!inner) {
+      throw new Error(`Inner method "${method.inner_auth}" cannot be advertised for ${eapMethod.name}`);
+    }
+    innerParam = inner.eap ? `[3:${inner.method.type}]` : `[2:${inner.method.naiRealm}]`;
+  }
+  const credentialType = naiRealmCredentialTypes[eapMethod.credential];
+  return `${eapMethod.type}${innerParam}${credentialType ? `[5:${credentialType}]` : ''}`;
+}
+
+function naiRealmLine(profile) {
+  const realms = [profile.nai_realm && profile.nai_realm.name, profile.credential && profile.credential.realm]
+    .filter((realm, index, all) => realm && all.indexOf(realm) === index);
+  if (realms.length === 0) {
+    return null;
+  }
+  const eapMethods = ((profile.nai_realm && profile.nai_realm.eap_methods) || []).map(naiRealmEapMethod);
+  // Encoding 0 is an RFC 4282 realm; hostapd accepts at most five EAP methods per realm
+  return `nai_realm=${['0', realms.join(';'), ...eapMethods.slice(0, 5)].join(',')}`;
+}
+
+function wanMetricsLine(wanMetrics) {
+  if (!wanMetrics) {
+    return null;
+  }
+  const linkStatus = typeof wanMetrics.link_status === 'number'
+    ? wanMetrics.link_status
+    : linkStatuses[String(wanMetrics.link_status || 'Up').toUpperCase()] || linkStatuses.UP;
+  const symmetric = wanMetrics.symmetric_link === 'Symmetric' || wanMetrics.symmetric_link === true;
+  const wanInfo = linkStatus | (symmetric ? 0x04 : 0) | (wanMetrics.at_capacity ? 0x08 : 0);
+
+  // The profile keeps loads as percentages and LMD in milliseconds, the AP
+  // advertises loads scaled to 255 and LMD in tenths of a second
+  const load = (percent) => Math.min(255, Math.round((Number(percent) || 0) * 255 / 100));
+  return 'hs20_wan_metrics=' + [
+    wanInfo.toString(16).padStart(2, '0'),
+    Number(wanMetrics.downlink_speed) || 0,
+    Number(wanMetrics.uplink_speed) || 0,
+    load(wanMetrics.downlink_load),
+    load(wanMetrics.uplink_load),
+    Math.round((Number(wanMetrics.lmd) || 0) / 100),
+  ].join(':');
+}
+
+function connectionCapabilityLine(capability) {
+  const protocol = ipProtocols[String(capability.protocol).toUpperCase()] !== undefined
+    ? ipProtocols[String(capability.protocol).toUpperCase()]
+    : Number(capability.protocol);
+  const status = typeof capability.status === 'number'
+    ? capability.status
+    : connectionStatuses[String(capability.status || 'Unknown').toUpperCase()];
+  if (Number.isNaN(protocol) || status === undefined) {
+    throw new Error(`Connection capability ${JSON.stringify(capability)} needs an IP protocol and an Open/Closed/Unknown status`);
+  }
+  return `hs20_conn_capab=${protocol}:${Number(capability.port_number) || 0}:${status}`;
+}
+
+/**
+ * Build the hostapd.conf interworking and hs20 section for a Passpoint profile
+ * The section goes into a WPA2-Enterprise BSS (wpa_key_mgmt=WPA-EAP,
+ * ieee8021x=1) whose RADIUS server accepts the profile's credentials
+ * @param {object} profile A profile in the mapToYamlSchema `passpoint_profile` shape
+ * @param {object} options Optional `operatorFriendlyName` (defaults to the home
+ *   friendly name) and `accessNetworkType` (0-15, default 2 chargeable public)
+ * @returns {string} The hostapd.conf fragment
+ */
+function buildHostapdConfig(profile, options = {}) {
+  const domainNames = [profile.home_domain, ...(profile.other_home_partner_fqdns || [])].filter(Boolean);
+  const naiRealm = naiRealmLine(profile);
+  if (domainNames.length === 0 && !naiRealm) {
+    throw new Error('Profile needs a home domain or NAI realm');
+  }
+  console.log('[HostapdService] Building hs20 section for:', domainNames[0] || naiRealm);
+
+  const accessNetworkType = options.accessNetworkType === undefined ? 2 : Number(options.accessNetworkType);
+  const lines = [
+    `# Passpoint advertisement for ${profile.home_friendly_name || domainNames[0] || profile.nai_realm.name}`,
+    '',
+    '##### Interworking (IEEE 802.11u) #####',
+    'interworking=1',
+    `access_network_type=${accessNetworkType}`,
+    'internet=1',
+    ...venueLines(profile.venue_info),
+  ];
+  if (profile.anqp_domain_id && profile.anqp_domain_id !== '0') {
+    lines.push(`anqp_domain_id=${profile.anqp_domain_id}`);
+  }
+
+  [...(profile.home_ois || []), ...(profile.roaming_consortiums || [])]
+    .map(hexOI)
+    .filter((oi, index, all) => oi && all.indexOf(oi) === index)
+    .forEach(oi => lines.push(`roaming_consortium=${oi}`));
+  if (domainNames.length > 0) {
+    lines.push(`domain_name=${domainNames.join(',')}`);
+  }
+  if (naiRealm) {
+    lines.push(naiRealm);
+  }
+  if (Array.isArray(profile.plmn_list) && profile.plmn_list.length > 0) {
+    lines.push(`anqp_3gpp_cell_net=${profile.plmn_list.map(plmn => `${plmn.mcc},${plmn.mnc}`).join(';')}`);
+  }
+
+  lines.push('', '##### Hotspot 2.0 #####', 'hs20=1');
+  const operatorName = options.operatorFriendlyName || profile.home_friendly_name;
+  if (operatorName) {
+    lines.push(`hs20_oper_friendly_name=eng:${operatorName}`);
+  }
+  const wanMetrics = wanMetricsLine(profile.wan_metrics);
+  if (wanMetrics) {
+    lines.push(wanMetrics);
+  }
+  (profile.connection_capability || []).forEach(capability => lines.push(connectionCapabilityLine(capability)));
+
+  return `${lines.join('\n')}\n`;
+}
+
+// NAI realm EAP auth parameter IDs and, where they are enumerations, their values
+const naiRealmAuthParams = {
+  1: { name: 'Expanded EAP Method' },
+  2: {
+    name: 'Non-EAP Inner Authentication',
+    values: Object.fromEntries(eapRegistry.NON_EAP_INNER_METHODS.map(method => [method.naiRealm, method.name])),
+  },
+  3: { name: 'Inner Authentication EAP Method' },
+  4: { name: 'Expanded Inner EAP Method' },
+  5: {
+    name: 'Credential Type',
+    values: { 1: 'SIM', 2: 'USIM', 3: 'NFC Secure Element', 4: 'Hardware Token', 5: 'Softoken', 6: 'Certificate', 7: 'Username/Password', 9: 'Anonymous', 10: 'Vendor Specific' },
+  },
+  6: {
+    name: 'Tunneled EAP Method Credential Type',
+    values: { 1: 'SIM', 2: 'USIM', 3: 'NFC Secure Element', 4: 'Hardware Token', 5: 'Softoken', 6: 'Certificate', 7: 'Username/Password', 10: 'Vendor Specific' },
+  },
+};
+
+// Directives only hostapd uses; wpa_supplicant.conf shares interworking=1 and hs20=1
+const HOSTAPD_DIRECTIVES = /^[ \t]*(?:interface|bss|hw_mode|nai_realm|roaming_consortium|venue_group|venue_name|domain_name|hs20_oper_friendly_name|anqp_3gpp_cell_net|hs20_wan_metrics)=/m;
+
+/**
+ * Check whether a text file is a hostapd configuration
+ * @param {string} content The file content
+ * @returns {boolean} True when it uses hostapd-only directives and has no
+ *   wpa_supplicant network/cred blocks
+ */
+function isHostapdConfig(content) {
+  const text = String(content);
+  return HOSTAPD_DIRECTIVES.test(text) && !/^[ \t]*(?:network|cred)[ \t]*=[ \t]*\{/m.test(text);
+}
+
+// venue_name and hs20_oper_friendly_name values are <lang>:<text>, optionally as P"..."
+function languageString(value) {
+  let text = value;
+  if (text.startsWith('P"') && text.endsWith('"')) {
+    text = text.slice(2, -1).replace(/\\n/g, '\n').replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+  }
+  const separator = text.indexOf(':');
+  return separator === -1
+    ? { language: null, name: text }
+    : { language: text.slice(0, separator), name: text.slice(separator + 1) };
+}
+
+// ssid2 is a quoted string or hex-encoded bytes
+function decodeSsid2(value) {
+  if (value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1);
+  }
+  return /^(?:[0-9A-Fa-f]{2})+$/.test(value) ? Buffer.from(value, 'hex').toString('utf8') : value;
+}
+
+const eapMethodName = (type) => {
+  const method = eapRegistry.eapMethod(type);
+  return method ? method.name : null;
+};
+
+// <EAP method>[<auth id>:<auth val>]...
+function parseNaiRealmEapMethod(text) {
+  const match = text.match(/^(\d+)((?:\[[^\]]*\])*)$/);
+  if (!match) {
+    throw new Error(`"${text}" is not <EAP method>[<auth id>:<auth value>]`);
+  }
+  const type = Number(match[1]);
+  const authParams = (match[2].match(/\[[^\]]*\]/g) || []).map(param => {
+    const [id, ...rest] = param.slice(1, -1).split(':');
+    const value = rest.join(':');
+    const definition = naiRealmAuthParams[Number(id)];
+    const valueName = definition && definition.values
+      ? definition.values[Number(value)]
+      : (Number(id) === 3 ? eapMethodName(Number(value)) : undefined);
+    return {
+      id: Number(id),
+      name: definition ? definition.name : 'Unknown',
+      value,
+      ...(valueName ? { value_name: valueName } : {}),
+    };
+  });
+  return { type, method: eapMethodName(type), auth_params: authParams };
+}
+
+// nai_realm=<encoding>,<realm>[;<realm>...][,<EAP method>]...
+function parseNaiRealm(value) {
+  const [encoding, realms, ...eapMethods] = value.split(',');
+  return {
+    encoding: Number(encoding) === 1 ? 'UTF-8' : 'RFC 4282',
+    realms: (realms || '').split(';').filter(Boolean),
+    eap_methods: eapMethods.map(parseNaiRealmEapMethod),
+  };
+}
+
+// hs20_wan_metrics=<WAN Info>:<DL speed>:<UL speed>:<DL load>:<UL load>:<LMD>, in the profile's units
+function parseWanMetrics(value) {
+  const [wanInfo, downlinkSpeed, uplinkSpeed, downlinkLoad, uplinkLoad, lmd] = value.split(':');
+  const info = parseInt(wanInfo, 16);
+  const linkStatus = Object.keys(linkStatuses).find(name => linkStatuses[name] === (info & 0x03));
+  const percent = (load) => Math.round((Number(load) || 0) * 100 / 255);
+  return {
+    link_status: linkStatus ? linkStatus[0] + linkStatus.slice(1).toLowerCase() : 'Reserved',
+    symmetric_link: (info & 0x04) ? 'Symmetric' : 'Asymmetric',
+    at_capacity: Boolean(info & 0x08),
+    downlink_speed: Number(downlinkSpeed) || 0,
+    uplink_speed: Number(uplinkSpeed) || 0,
+    downlink_load: percent(downlinkLoad),
+    uplink_load: percent(uplinkLoad),
+    lmd: (Number(lmd) || 0) * 100,
+  };
+}
+
+// hs20_conn_capab=<IP Protocol>:<Port Number>:<Status>
+function parseConnectionCapability(value) {
+  const [protocol, port, status] = value.split(':').map(Number);
+  const protocolName = Object.keys(ipProtocols).find(name => ipProtocols[name] === protocol);
+  const statusName = Object.keys(connectionStatuses).find(name => connectionStatuses[name] === status);
+  return {
+    protocol: protocolName || protocol,
+    port_number: port,
+    status: statusName ? statusName[0] + statusName.slice(1).toLowerCase() : status,
+  };
+}
+
+function venueAdvertisement(directives) {
+  if (directives.venue_group === undefined && directives.venue_name === undefined) {
+    return null;
+  }
+  const group = Number(directives.venue_group || 0);
+  const type = Number(directives.venue_type || 0);
+  const venueGroup = venueGroups[group];
+  return {
+    group,
+    group_name: venueGroup ? venueGroup.name : null,
+    type,
+    type_name: venueGroup && venueGroup.types[type] ? venueGroup.types[type] : null,
+    names: [].concat(directives.venue_name || []).map(languageString),
+  };
+}
+
+/**
+ * Turn the directives of one BSS into its Interworking and Hotspot 2.0 advertisement
+ * @param {string} bss The interface or bss name
+ * @param {object} directives Directive to value map; repeated directives are arrays
+ * @param {string[]} warnings Collects directives that cannot be read
+ * @returns {object} `{ bss, ssid, security, interworking, hs20 }`
+ */
+function bssAdvertisement(bss, directives, warnings) {
+  const list = (key) => [].concat(directives[key] === undefined ? [] : directives[key]);
+  const flag = (key) => (directives[key] === undefined ? null : directives[key] === '1');
+  const tryParse = (key, parse) => list(key).flatMap(value => {
+    try {
+      return [parse(value)];
+    } catch (error) {
+      warnings.push(`${bss}: ${key}=${value}: ${error.message}`);
+      return [];
+    }
+  });
+
+  const authServer = directives.auth_server_addr
+    ? {
+        address: directives.auth_server_addr,
+        port: Number(directives.auth_server_port || 1812),
+        secret: directives.auth_server_shared_secret || null,
+      }
+    : null;
+
+  return {
+    bss,
+    ssid: directives.ssid || (directives.ssid2 ? decodeSsid2(directives.ssid2) : null),
+    security: {
+      wpa: directives.wpa === undefined ? null : Number(directives.wpa),
+      key_management: directives.wpa_key_mgmt ? directives.wpa_key_mgmt.split(/\s+/) : [],
+      ieee8021x: flag('ieee8021x'),
+      ieee80211w: directives.ieee80211w === undefined ? null : Number(directives.ieee80211w),
+      auth_server: authServer,
+      ...(directives.wpa_passphrase ? { passphrase: directives.wpa_passphrase } : {}),
+    },
+    interworking: {
+      enabled: flag('interworking'),
+      access_network_type: directives.access_network_type === undefined ? null : Number(directives.access_network_type),
+      internet: flag('internet'),
+      asra: flag('asra'),
+      esr: flag('esr'),
+      uesa: flag('uesa'),
+      hessid: directives.hessid || null,
+      venue: venueAdvertisement(directives),
+      anqp_domain_id: directives.anqp_domain_id || null,
+      roaming_consortiums: list('roaming_consortium').map(oi => oi.toLowerCase()),
+      domain_names: list('domain_name').flatMap(value => value.split(',')).filter(Boolean),
+      nai_realms: tryParse('nai_realm', parseNaiRealm),
+      plmns: list('anqp_3gpp_cell_net')
+        .flatMap(value => value.split(';'))
+        .filter(Boolean)
+        .map(plmn => {
+          const [mcc, mnc] = plmn.split(',');
+          return { mcc, mnc };
+        }),
+      network_auth_types: list('network_auth_type'),
+      ipaddr_type_availability: directives.ipaddr_type_availability || null,
+    },
+    hs20: {
+      enabled: flag('hs20'),
+      disable_dgaf: flag('disable_dgaf'),
+      operator_friendly_names: list('hs20_oper_friendly_name').map(languageString),
+      wan_metrics: tryParse('hs20_wan_metrics', parseWanMetrics)[0] || null,
+      connection_capabilities: tryParse('hs20_conn_capab', parseConnectionCapability),
+      operating_class: directives.hs20_operating_class || null,
+      deauth_req_timeout: directives.hs20_deauth_req_timeout === undefined ? null : Number(directives.hs20_deauth_req_timeout),
+    },
+  };
+}
+
+/**
+ * Read a hostapd.conf file into the Interworking/Hotspot 2.0 advertisement of each BSS
+ * Every bss= line starts a new BSS; directives before the first one belong to
+ * the interface= BSS, and radio settings (hw_mode, channel, country_code) to `radio`
+ * @param {string} content The configuration text
+ * @returns {{radio: object, bsses: object[], warnings: string[]}}
+ */
+function parseHostapdConfig(content) {
+  const radioDirectives = ['driver', 'hw_mode', 'channel', 'country_code', 'ieee80211d', 'ieee80211n', 'ieee80211ac', 'ieee80211ax'];
+  const radio = {};
+  const blocks = [{ name: null, directives: {} }];
+  const warnings = [];
+
+  String(content).split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+    const separator = trimmed.indexOf('=');
+    if (separator <= 0) {
+      warnings.push(`Line ${index + 1}: not a key=value line`);
+      return;
+    }
+    const key = trimmed.slice(0, separator).trim();
+    const value = trimmed.slice(separator + 1).trim();
+
+    if (key === 'bss') {
+      blocks.push({ name: value, directives: {} });
+      return;
+    }
+    if (radioDirectives.includes(key)) {
+      radio[key] = value;
+      return;
+    }
+    const block = blocks[blocks.length - 1];
+    if (key === 'interface' && block.name === null) {
+      block.name = value;
+      return;
+    }
+    const existing = block.directives[key];
+    block.directives[key] = existing === undefined ? value : [].concat(existing, value);
+  });
+
+  // Single-valued directives keep their last value, as hostapd does
+  const repeatable = ['roaming_consortium', 'domain_name', 'nai_realm', 'venue_name', 'hs20_oper_friendly_name', 'anqp_3gpp_cell_net', 'hs20_conn_capab', 'network_auth_type'];
+  const bsses = blocks
+    .filter((block, index) => index > 0 || block.name !== null || Object.keys(block.directives).length > 0)
+    .map((block, index) => {
+      const directives = Object.fromEntries(Object.entries(block.directives).map(([key, value]) => (
+        [key, Array.isArray(value) && !repeatable.includes(key) ? value[value.length - 1] : value]
+      )));
+      return bssAdvertisement(block.name || `bss${index}`, directives, warnings);
+    });
+
+  console.log('[HostapdService] Read', bsses.length, 'BSS configurations');
+  return { radio, bsses, warnings };
+}
+
+module.exports = {
+  buildHostapdConfig,
+  isHostapdConfig,
+  parseHostapdConfig,
+};
@@ -0,0 +1,282 @@
+/**
+ * Passpoint profile linter
+ * Cross-field checks the JSON Schema cannot express: each rule looks at the
+ * parsed .mobileconfig payloads when the profile came from one, and at the
+ * canonical passpoint_profile otherwise, and reports findings with the rule
+ * ID, a severity, a JSON Pointer to the offending value and a fix hint
+ */
+const { eapMethod } = require('./eap-registry.service');
+
+const WIFI_PAYLOAD_TYPE = 'com.apple.wifi.managed';
+// Payloads PayloadCertificateUUID may point at: the ones that install a client identity
+const IDENTITY_PAYLOAD_TYPES = ['com.apple.security.pkcs12', 'com.apple.security.scep', 'com.apple.security.acme'];
+
+// Registry names of the EAP methods in AcceptEAPTypes or a profile's eap_methods
+const eapNames = (values) => (Array.isArray(values) ? values : [])
+  .map(value => eapMethod(value && typeof value === 'object' ? value.eap_type : value))
+  .filter(Boolean)
+  .map(method => method.name);
+
+const asList = (value) => (value === undefined || value === null || value === '' ? [] : [].concat(value));
+
+// The realm of an NAI, lower-cased; empty when the username has none
+const usernameRealm = (username) => {
+  const at = typeof username === 'string' ? username.lastIndexOf('@') : -1;
+  return at === -1 ? '' : username.slice(at + 1).toLowerCase();
+};
+
+// OIs are 3 or 5 octets, written as 6 or 10 hex digits
+function oiProblem(oi) {
+  const value = String(oi);
+  if (!/^[0-9A-Fa-f]+$/.test(value)) {
+    return 'is not hexadecimal';
+  }
+  if (value.length !== 6 && value.length !== 10) {
+    return value.length % 2 === 0 ? `is ${value.length / 2} octets` : 'has an odd number of hex digits';
+  }
+  return null;
+}
+
+// Whether a trusted server name covers the home domain: the domain itself, a
+// host under it, or a wildcard over it
+function coversDomain(serverName, domain) {
+  const name = String(serverName).toLowerCase();
+  const home = String(domain).toLowerCase();
+  if (name.startsWith('*.')) {
+    const suffix = name.slice(2);
+    return home === suffix || home.endsWith(`.${suffix}`) || suffix.endsWith(`.${home}`);
+  }
+  return name === home || name.endsWith(`.${home}`);
+}
+
+/**
+ * Lint rules
+ * `payloads(wifiPayloads, allPayloads)` checks .mobileconfig Wi-Fi payloads,
+ * each `{ payload, pointer, name }`; `profile(passpointProfile)` checks the
+ * canonical profile. Both return `{ message, pointer, fix? }` findings, the
+ * rule's `fix` being used when a finding has none of its own
+ */
+const LINT_RULES = [
+  {
+    id: 'tls-client-identity',
+    severity: 'error',
+    description: 'EAP-TLS needs a client certificate to authenticate with',
+    fix: 'Add a com.apple.security.pkcs12 (or SCEP/ACME) payload and set PayloadCertificateUUID to its PayloadUUID',
+    payloads: (wifiPayloads) => wifiPayloads
+      .filter(({ payload }) => eapNames(eapConfig(payload).AcceptEAPTypes).includes('TLS') && !certificateUUID(payload))
+      .map(({ pointer, name }) => ({
+        message: `Wi-Fi payload ${name} accepts EAP-TLS but has no PayloadCertificateUUID`,
+        pointer: `${pointer}/PayloadCertificateUUID`
+      })),
+    profile: (profile) => (
+      eapNames(profile.nai_realm && profile.nai_realm.eap_methods).includes('TLS') &&
+      !(profile.credential && (profile.credential.client_certificate || profile.credential.certificate_payload_uuid))
+        ? [{
+          message: 'The profile accepts EAP-TLS but its credential has no client certificate',
+          pointer: '/passpoint_profile/credential/client_certificate',
+          fix: 'Set credential.client_certificate to the base64 PKCS#12 client identity'
+        }]
+        : []
+    ),
+  },
+  {
+    id: 'certificate-reference',
+    severity: 'error',
+    description: 'Certificate UUIDs must point at a payload of the profile',
+    fix: 'Point the UUID at the PayloadUUID of a certificate payload in the same profile, or add the missing payload',
+    payloads: (wifiPayloads, allPayloads) => wifiPayloads.flatMap(({ payload, pointer, name }) => {
+      const findings = [];
+      const identityUUID = certificateUUID(payload);
+      if (identityUUID) {
+        const key = payload.PayloadCertificateUUID !== undefined ? 'PayloadCertificateUUID' : 'EAPClientConfiguration/PayloadCertificateUUID';
+        const target = allPayloads.find(candidate => candidate.PayloadUUID === identityUUID);
+        if (!target) {
+          findings.push({
+            message: `Wi-Fi payload ${name} has PayloadCertificateUUID ${identityUUID}, but no payload has that PayloadUUID`,
+            pointer: `${pointer}/${key}`
+          });
+        } else if (!IDENTITY_PAYLOAD_TYPES.includes(target.PayloadType)) {
+          findings.push({
+            message: `Wi-Fi payload ${name} has PayloadCertificateUUID ${identityUUID}, which is a ${target.PayloadType} payload rather than a client identity`,
+            pointer: `${pointer}/${key}`,
+            fix: `Point PayloadCertificateUUID at a ${IDENTITY_PAYLOAD_TYPES.join(', ')} payload`
+          });
+        }
+      }
+      asList(eapConfig(payload).PayloadCertificateAnchorUUID).forEach((uuid, index) => {
+        if (!allPayloads.some(candidate => candidate.PayloadUUID === uuid)) {
+          findings.push({
+            message: `Wi-Fi payload ${name} trusts PayloadCertificateAnchorUUID ${uuid}, but no payload has that PayloadUUID`,
+            pointer: `${pointer}/EAPClientConfiguration/PayloadCertificateAnchorUUID/${index}`
+          });
+        }
+      });
+      return findings;
+    }),
+  },
+  {
+    id: 'ttls-inner-authentication',
+    severity: 'warning',
+    description: 'TTLS should name its inner method rather than leave it to the device default',
+    fix: 'Set EAPClientConfiguration.TTLSInnerAuthentication to PAP, CHAP, MSCHAP, MSCHAPv2 or EAP',
+    payloads: (wifiPayloads) => wifiPayloads
+      .filter(({ payload }) => eapNames(eapConfig(payload).AcceptEAPTypes).includes('TTLS') && !eapConfig(payload).TTLSInnerAuthentication)
+      .map(({ pointer, name }) => ({
+        message: `Wi-Fi payload ${name} accepts EAP-TTLS without TTLSInnerAuthentication, so devices fall back to MSCHAPv2`,
+        pointer: `${pointer}/EAPClientConfiguration/TTLSInnerAuthentication`
+      })),
+    profile: (profile) => asList(profile.nai_realm && profile.nai_realm.eap_methods)
+      .map((method, index) => ({ method, index }))
+      .filter(({ method }) => eapNames([method]).includes('TTLS') && !method.inner_auth)
+      .map(({ index }) => ({
+        message: 'The EAP-TTLS method has no inner_auth',
+        pointer: `/passpoint_profile/nai_realm/eap_methods/${index}/inner_auth`,
+        fix: 'Set inner_auth to PAP, CHAP, MSCHAP, MSCHAPV2 or EAP-<method>'
+      })),
+  },
+  {
+    id: 'username-realm',
+    severity: 'warning',
+    description: 'The username realm should be one of the profile NAI realms (the home domain when the profile names no realm)',
+    fix: 'Use a username in one of the NAI realms, or add its realm to NAIRealmNames',
+    payloads: (wifiPayloads) => wifiPayloads.flatMap(({ payload, pointer, name }) => {
+      const realm = usernameRealm(eapConfig(payload).UserName);
+      const naiRealms = asList(payload.NAIRealmNames).map(value => String(value).toLowerCase());
+      return realm && naiRealms.length > 0 && !naiRealms.includes(realm)
+        ? [{
+          message: `Wi-Fi payload ${name} has a username in realm ${realm}, which is not in NAIRealmNames (${naiRealms.join(', ')})`,
+          pointer: `${pointer}/EAPClientConfiguration/UserName`
+        }]
+        : [];
+    }),
+    profile: (profile) => {
+      const realm = usernameRealm(profile.credential && profile.credential.username);
+      const naiRealm = String((profile.nai_realm && profile.nai_realm.name) || '').toLowerCase();
+      return realm && naiRealm && realm !== naiRealm
+        ? [{
+          message: `The username is in realm ${realm}, but the NAI realm is ${naiRealm}`,
+          pointer: '/passpoint_profile/credential/username',
+          fix: 'Use a username in the NAI realm, or set nai_realm.name to the username realm'
+        }]
+        : [];
+    },
+  },
+  {
+    id: 'oi-length',
+    severity: 'error',
+    description: 'Organization Identifiers are 3 or 5 octets (6 or 10 hex digits)',
+    fix: 'Use the full 3-octet (6 hex digit) or 5-octet (10 hex digit) OI assigned by IEEE',
+    payloads: (wifiPayloads) => wifiPayloads.flatMap(({ payload, pointer, name }) => asList(payload.RoamingConsortiumOIs)
+      .map((oi, index) => ({ oi, index, problem: oiProblem(oi) }))
+      .filter(({ problem }) => problem)
+      .map(({ oi, index, problem }) => ({
+        message: `Wi-Fi payload ${name} has roaming consortium OI ${oi}, which ${problem}`,
+        pointer: `${pointer}/RoamingConsortiumOIs/${index}`
+      }))),
+    profile: (profile) => ['home_ois', 'roaming_consortiums'].flatMap(key => asList(profile[key])
+      .map((oi, index) => ({ oi: oi && typeof oi === 'object' ? oi.value : oi, index }))
+      .map(entry => ({ ...entry, problem: oiProblem(entry.oi) }))
+      .filter(({ problem }) => problem)
+      .map(({ oi, index, problem }) => ({
+        message: `${key === 'home_ois' ? 'Home' : 'Roaming consortium'} OI ${oi} ${problem}`,
+        pointer: `/passpoint_profile/${key}/${index}/value`
+      }))),
+  },
+  {
+    id: 'domain-trusted-server-name',
+    severity: 'warning',
+    description: 'The home domain should be among the trusted AAA server names',
+    fix: 'Add the domain, or the AAA server name under it (aaa.<domain> or *.<domain>), to TLSTrustedServerNames',
+    payloads: (wifiPayloads) => wifiPayloads.flatMap(({ payload, pointer, name }) => {
+      const serverNames = asList(eapConfig(payload).TLSTrustedServerNames);
+      return payload.DomainName && serverNames.length > 0 && !serverNames.some(serverName => coversDomain(serverName, payload.DomainName))
+        ? [{
+          message: `Wi-Fi payload ${name} has DomainName ${payload.DomainName}, which no TLSTrustedServerNames entry (${serverNames.join(', ')}) covers`,
+          pointer: `${pointer}/EAPClientConfiguration/TLSTrustedServerNames`
+        }]
+        : [];
+    }),
+    profile: (profile) => {
+      const serverNames = asList(profile.credential && profile.credential.server_names);
+      return profile.home_domain && serverNames.length > 0 && !serverNames.some(serverName => coversDomain(serverName, profile.home_domain))
+        ? [{
+          message: `The home domain ${profile.home_domain} is not covered by the server names (${serverNames.join(', ')})`,
+          pointer: '/passpoint_profile/credential/server_names',
+          fix: 'Add the home domain, or the AAA server name under it, to credential.server_names'
+        }]
+        : [];
+    },
+  },
+];
+
+function eapConfig(payload) {
+  return (payload && payload.EAPClientConfiguration) || {};
+}
+
+// Apple documents PayloadCertificateUUID on the Wi-Fi payload, but some generators nest it in EAPClientConfiguration
+function certificateUUID(payload) {
+  const uuid = payload.PayloadCertificateUUID !== undefined ? payload.PayloadCertificateUUID : eapConfig(payload).PayloadCertificateUUID;
+  return asList(uuid)[0];
+}
+
+// The payloads of a parsed .mobileconfig, with their pointers; a bare payload is its own list
+function mobileconfigPayloads(mobileconfig) {
+  if (Array.isArray(mobileconfig.PayloadContent)) {
+    return mobileconfig.PayloadContent.map((payload, index) => ({ payload, pointer: `/PayloadContent/${index}` }));
+  }
+  return [{ payload: mobileconfig, pointer: '' }];
+}
+
+/**
+ * Lint a parsed profile
+ * @param {object} source `{ profile, mobileconfig }`: the passpoint_profile of
+ *   a mapToYamlSchema document and, for .mobileconfig input, the parsed plist.
+ *   The payload checks replace the profile checks when there is a plist
+ * @returns {object[]} Findings `{ rule, severity, message, pointer, fix }`
+ */
+function lintProfile({ profile, mobileconfig } = {}) {
+  let findings;
+  if (mobileconfig && typeof mobileconfig === 'object') {
+    const payloads = mobileconfigPayloads(mobileconfig).filter(({ payload }) => payload && typeof payload === 'object');
+    const wifiPayloads = payloads
+      .filter(({ payload }) => payload.PayloadType === WIFI_PAYLOAD_TYPE)
+      .map(entry => ({ ...entry, name: `"${entry.payload.PayloadDisplayName || entry.payload.PayloadIdentifier || entry.pointer}"` }));
+    const allPayloads = payloads.map(({ payload }) => payload);
+    findings = LINT_RULES.flatMap(rule => (rule.payloads ? rule.payloads(wifiPayloads, allPayloads) : [])
+      .map(finding => ({ rule, finding })));
+  } else if (profile && typeof profile === 'object') {
+    findings = LINT_RULES.flatMap(rule => (rule.profile ? rule.profile(profile) : [])
+      .map(finding => ({ rule, finding })));
+  } else {
+    throw new Error('Nothing to lint: no Passpoint profile or .mobileconfig payloads');
+  }
+
+  console.log(`[LintService] ${findings.length} finding(s)`);
+  return findings.map(({ rule, finding }) => ({
+    rule: rule.id,
+    severity: rule.severity,
+    message: finding.message,
+    pointer: finding.pointer,
+    fix: finding.fix || rule.fix
+  }));
+}
+
+/**
+ * Turn lint findings into response alerts
+ * @param {object[]} findings From lintProfile
+ * @returns {object[]} Alerts of type 'profile_lint'
+ */
+function lintAlerts(findings) {
+  return findings.map(finding => ({
+    type: 'profile_lint',
+    severity: finding.severity,
+    message: `[${finding.rule}] ${finding.message}`,
+    details: { rule: finding.rule, pointer: finding.pointer, suggestion: finding.fix }
+  }));
+}
+
+module.exports = {
+  LINT_RULES,
+  lintAlerts,
+  lintProfile,
+};
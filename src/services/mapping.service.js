@@ -1,20 +1,11 @@
-// This service will contain the logic to map parsed .mobileconfig or .xml data
-// to your desired YAML schema.
-
-// Placeholder for EAP type mappings (you'll need to define this based on your schema)
-// This was an example from your original client-side code.
-const eapTypes = {
-  13: 'TLS',
-  17: 'LEAP',
-  18: 'PEAP', // Typically EAP-MSCHAPv2 (inner for PEAP)
-  21: 'TTLS',
-  23: 'EAP-MD5',
-  25: 'MSCHAPV2', // Often used as inner for PEAP/TTLS
-  26: 'MSCHAPV2', // Sometimes duplicated or specific vendor use
-  43: 'EAP-AKA',
-  50: 'EAP-AKA_PRIME',
-  // Add other EAP types as needed by your schema and input files
-};
+// Canonical Passpoint / enterprise Wi-Fi profile model.
+// Every input format has an importer that fills the snake_case profile from
+// createEmptyProfile, and every exporter (mobileconfig, Android, Windows,
+// wpa_supplicant, hostapd, .eap-config) reads from that same profile.
+
+const yaml = require('js-yaml');
+const eapRegistry = require('./eap-registry.service');
+const { migrateDocument, schemaRevision } = require('./schema-registry.service');
 
 // Helper to safely get a value from a nested object path
 const get = (obj, path, defaultValue = undefined) => {
@@ -32,238 +23,973 @@ const get = (obj, path, defaultValue = undefined) => {
 
 
 /**
- * Maps parsed data (from .mobileconfig or .xml) to the target YAML schema.
- * This function needs to be adapted based on the actual structure of your
- * input files and the desired output YAML structure.
+ * Creates an empty Passpoint profile in the snake_case shape produced by
+ * mapToYamlSchema. Mappers fill this in and exporters read from it.
  *
- * @param {object} parsedData - The JavaScript object resulting from parsing the input file.
- * @param {string} fileType - Either 'mobileconfig' or 'xml'.
- * @returns {object} An object structured according to your target YAML schema.
+ * @returns {object} A profile with every known field set to its default.
+ */
+function createEmptyProfile() {
+  return {
+    home_friendly_name: '',
+    home_domain: '', // FQDN matched against the AP's Domain Name List
+    other_home_partner_fqdns: [],
+    preferred_roaming_partners: [], // Array of { fqdn, match, priority, country }
+    credential_priority: null,
+    aaa_server_check: 0, // 0 no OCSP stapling, 1 try, 2 require
+    home_ois: [], // Array of { name, value, length, organization_id, required }
+    roaming_consortiums: [], // Array of { name, value, length, organization_id }
+    nai_realm: {
+      name: '', // e.g., "example.com"
+      eap_methods: [], // Array of { eap_type, inner_auth, vendor_id, vendor_type, other_eap_params... }
+      // You might add other NAI realm specific fields here if needed
+    },
+    credential: {
+      type: '', // e.g., 'UsernamePassword', 'TLSClientCertificate', 'SIM'
+      username: '',
+      password: '', // Be cautious with passwords
+      realm: '', // Often same as NAI realm name, but can be distinct
+      certificate_payload_uuid: '', // For TLSClientCertificate type
+      machine_provisioning_profile_url: '', // For EAP-TLS machine provisioning
+      imsi: '', // For SIM credentials
+      mnc_mcc: '', // For SIM credentials
+      outer_identity: '', // Anonymous identity sent outside the TLS tunnel
+      ca_certificate: '', // PEM or base64 DER of the AAA server's trust anchor
+      server_names: [], // Accepted AAA server certificate names
+      client_certificate: '', // Base64 PKCS#12 for TLSClientCertificate type
+      client_certificate_password: '',
+      // other credential fields
+    },
+    anqp_domain_id: '0', // Default to 0 if not specified
+    ip_address_type_availability: { // Example structure
+      ipv4: 'Unknown', // e.g., 'Available', 'NotAvailable', 'PortRestricted', 'Unknown'
+      ipv6: 'Unknown', // e.g., 'Available', 'NotAvailable', 'PortRestricted', 'Unknown'
+    },
+    network_authentication_type: [], // Array of { type, url } e.g., { type: "acceptanceOfTermsAndConditions", url: "..." }
+    venue_info: {
+      group: '', // e.g., "Business", "Residential", "Educational"
+      type: '',  // e.g., "Office", "Library", "Cafe"
+      name: '',  // Specific venue name if available
+      language: 'eng', // Default language
+    },
+    plmn_list: [], // Array of { mcc, mnc }
+    terms_and_conditions: {
+      url: '',
+      language: 'eng', // Default language
+    },
+    policy: { // For network policy information
+      url: '',
+      title: '', // Optional title for the policy
+      language: 'eng',
+    },
+    wan_metrics: { // Example structure
+      link_status: 'Up', // 'Up', 'Down', 'Test'
+      symmetric_link: 'Unknown', // 'Symmetric', 'Asymmetric', 'Unknown'
+      at_capacity: false,
+      downlink_speed: 0, // in kbps
+      uplink_speed: 0,   // in kbps
+      downlink_load: 0,  // percentage
+      uplink_load: 0,    // percentage
+      lmd: 0,            // Load Measurement Duration in ms
+    },
+    connection_capability: [], // Array of { protocol, port_number, status: 'Open'/'Closed'/'Filtered' }
+    operating_class: '', // e.g., "81" (US/Canada 2.4GHz channels 1-11)
+    icons: [], // Array of { width, height, language, type, filename, url, data (base64) }
+    osu_providers: [], // Array of { server_uri, method_list: [], friendly_name, icon_url, nai, description }
+    // Add other top-level Passpoint fields as needed by your schema
+    // For example:
+    // operator_icon_metadata: [],
+    // anqp_elements: [], // For raw ANQP elements if you need to store them
+    // supported_eap_methods_outside_osu: [],
+    // required_dhcp_options: [],
+  };
+}
+
+/**
+ * Maps parsed input into the canonical profile document,
+ * `{ version, passpoint_profile }`. This is what every converter returns as
+ * filteredYaml and what readProfile accepts back for the exporters.
+ *
+ * @param {object} parsedData - The JavaScript object resulting from parsing the input file,
+ *   for 'pps-mo' the path to value map from flattenPpsMo, for 'windows-wlan'
+ *   the parseWlanProfile result, for 'wpa-supplicant' the
+ *   parseWpaSupplicantConfig result, for 'onc' the parseOnc result, for
+ *   'hostapd' the parseHostapdConfig result, for 'eap-config' the xml2js
+ *   EAPIdentityProviderList and for 'profile' a YAML/JSON profile document.
+ * @param {string} fileType - A key of profileImporters: 'mobileconfig', 'xml',
+ *   'eap-config', 'pps-mo', 'windows-wlan', 'wpa-supplicant', 'onc',
+ *   'hostapd' or 'profile'.
+ * @returns {object} The profile document.
  */
 function mapToYamlSchema(parsedData, fileType) {
-  console.log('[MappingService] Starting mapping for fileType:', fileType);
-  console.log('[MappingService] Parsed Data for fileType ' + fileType + ':', JSON.stringify(parsedData, null, 2));
+  // Only the key names: the parsed input and the profile hold passwords, PSKs and keys
+  console.log('[MappingService] Starting mapping for fileType:', fileType,
+    'with keys:', parsedData && typeof parsedData === 'object' ? Object.keys(parsedData).join(', ') : typeof parsedData);
 
   const yamlSchema = {
     version: '1.0', // Or a version relevant to your schema
-    passpoint_profile: {
-      home_friendly_name: '',
-      home_ois: [], // Array of { name, value, length, organization_id }
-      roaming_consortiums: [], // Array of { name, value, length, organization_id }
-      nai_realm: {
-        name: '', // e.g., "example.com"
-        eap_methods: [], // Array of { eap_type, inner_auth, vendor_id, vendor_type, other_eap_params... }
-        // You might add other NAI realm specific fields here if needed
-      },
-      credential: {
-        type: '', // e.g., 'UsernamePassword', 'TLSClientCertificate', 'SIM'
-        username: '',
-        password: '', // Be cautious with passwords
-        realm: '', // Often same as NAI realm name, but can be distinct
-        certificate_payload_uuid: '', // For TLSClientCertificate type
-        machine_provisioning_profile_url: '', // For EAP-TLS machine provisioning
-        imsi: '', // For SIM credentials
-        mnc_mcc: '', // For SIM credentials
-        // other credential fields
-      },
-      anqp_domain_id: '0', // Default to 0 if not specified
-      ip_address_type_availability: { // Example structure
-        ipv4: 'Unknown', // e.g., 'Available', 'NotAvailable', 'PortRestricted', 'Unknown'
-        ipv6: 'Unknown', // e.g., 'Available', 'NotAvailable', 'PortRestricted', 'Unknown'
-      },
-      network_authentication_type: [], // Array of { type, url } e.g., { type: "acceptanceOfTermsAndConditions", url: "..." }
-      venue_info: {
-        group: '', // e.g., "Business", "Residential", "Educational"
-        type: '',  // e.g., "Office", "Library", "Cafe"
-        name: '',  // Specific venue name if available
-        language: 'eng', // Default language
-      },
-      plmn_list: [], // Array of { mcc, mnc }
-      terms_and_conditions: {
-        url: '',
-        language: 'eng', // Default language
-      },
-      policy: { // For network policy information
-        url: '',
-        title: '', // Optional title for the policy
-        language: 'eng',
-      },
-      wan_metrics: { // Example structure
-        link_status: 'Up', // 'Up', 'Down', 'Test'
-        symmetric_link: 'Unknown', // 'Symmetric', 'Asymmetric', 'Unknown'
-        at_capacity: false,
-        downlink_speed: 0, // in kbps
-        uplink_speed: 0,   // in kbps
-        downlink_load: 0,  // percentage
-        uplink_load: 0,    // percentage
-        lmd: 0,            // Load Measurement Duration in ms
-      },
-      connection_capability: [], // Array of { protocol, port_number, status: 'Open'/'Closed'/'Filtered' }
-      operating_class: '', // e.g., "81" (US/Canada 2.4GHz channels 1-11)
-      icons: [], // Array of { width, height, language, type, filename, url, data (base64) }
-      osu_providers: [], // Array of { server_uri, method_list: [], friendly_name, icon_url, nai, description }
-      // Add other top-level Passpoint fields as needed by your schema
-      // For example:
-      // operator_icon_metadata: [],
-      // anqp_elements: [], // For raw ANQP elements if you need to store them
-      // supported_eap_methods_outside_osu: [],
-      // required_dhcp_options: [],
-    },
+    // The Passpoint schema revision the profile maps to, as served by GET /config?rev=
+    schema_revision: schemaRevision().revision,
+    passpoint_profile: createEmptyProfile(),
+  };
+
+  const importer = profileImporters[fileType];
+  if (importer) {
+    importer(parsedData, yamlSchema.passpoint_profile, fileType);
+  } else {
+    console.error('[MappingService] Unknown file type for mapping:', fileType);
+  }
+
+  console.log('[MappingService] Mapping complete for fileType:', fileType);
+  return yamlSchema;
+}
+
+// Profile credential types for the registry's credential kinds
+const eapCredentialTypes = {
+  certificate: 'TLSClientCertificate',
+  sim: 'SIM',
+  usim: 'SIM',
+  username_password: 'UsernamePassword',
+};
+
+/**
+ * Builds a profile eap_methods entry, naming the method and its inner method
+ * through the EAP registry. Types the registry has no name for are kept as
+ * EAP-<type> rather than dropped.
+ *
+ * @param {number|string} value - The EAP type number or any spelling of its name.
+ * @param {string|number} [innerAuth] - The inner method as the format writes it, for tunnelled methods.
+ * @param {object} [expanded] - { vendorId, vendorType } for expanded (254) types.
+ * @returns {object|null} { eap_type, inner_auth, vendor_id, vendor_type }, or null when value is no EAP method.
+ */
+function toProfileEapMethod(value, innerAuth, expanded) {
+  const method = eapRegistry.eapMethod(value, expanded);
+  if (!method) {
+    console.warn(`[MappingService] Unknown EAP method: ${value}`);
+    return null;
+  }
+  if (!method.assigned) {
+    console.warn(`[MappingService] EAP type ${method.type} is not assigned by IANA, keeping it as ${method.name}`);
+  }
+
+  const entry = { eap_type: method.name };
+  if (method.tunnel && innerAuth !== undefined && innerAuth !== null && innerAuth !== '') {
+    const inner = eapRegistry.innerMethod(method.name, innerAuth);
+    if (!inner) {
+      console.warn(`[MappingService] Unknown inner method for ${method.name}: ${innerAuth}`);
+    }
+    entry.inner_auth = inner ? inner.name : String(innerAuth).toUpperCase();
+  }
+  return { ...entry, vendor_id: method.vendor_id, vendor_type: method.vendor_type };
+}
+
+// The profile credential type an EAP method authenticates with, or null when the registry does not say
+const credentialTypeFor = (eapType) => {
+  const method = eapRegistry.eapMethod(eapType);
+  return (method && eapCredentialTypes[method.credential]) || null;
+};
+
+// Older filteredYaml downloads wrap some values as { type, description, value }
+const unwrap = (value) => (
+  value && typeof value === 'object' && !Array.isArray(value) && 'value' in value ? value.value : value
+);
+
+const toOrganizationIdentifier = (oi, name, required) => {
+  // Unquoted OIs such as 004096 come out of YAML as numbers without their leading zeros
+  const value = typeof oi === 'number' ? String(oi).padStart(6, '0') : String(oi).toLowerCase();
+  const entry = {
+    name,
+    value,
+    length: value.length / 2,
+    organization_id: value.substring(0, Math.min(6, value.length))
   };
+  if (required !== undefined) {
+    entry.required = Boolean(required);
+  }
+  return entry;
+};
+
+// PPS MO passwords are base64; values that are not (e.g. already redacted) are kept as they are
+const decodePpsMoPassword = (value) => (
+  /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/.test(value)
+    ? Buffer.from(value, 'base64').toString('utf8')
+    : value
+);
 
-  if (fileType === 'mobileconfig' || fileType === 'xml') {
-    let wifiPayload = null;
-    if (parsedData.PayloadContent && Array.isArray(parsedData.PayloadContent)) {
+/**
+ * Fills a profile from the Wi-Fi payload of a parsed .mobileconfig.
+ * The first com.apple.wifi.managed payload with Hotspot 2.0 keys is used,
+ * falling back to the first secured Wi-Fi payload.
+ *
+ * @param {object} parsedData - The parsed plist.
+ * @param {object} profile - The profile to fill in.
+ * @param {string} fileType - 'mobileconfig', or 'xml' for a bare payload dictionary.
+ */
+function mapMobileConfigPayload(parsedData, profile, fileType) {
+  let wifiPayload = null;
+  if (parsedData.PayloadContent && Array.isArray(parsedData.PayloadContent)) {
+    wifiPayload = parsedData.PayloadContent.find(
+      p => p.PayloadType === 'com.apple.wifi.managed' &&
+           p.EncryptionType !== 'None' &&
+           (p.IsHotspot === true || p.NAIRealmNames || p.RoamingConsortiumOIs)
+    );
+    if (!wifiPayload) {
       wifiPayload = parsedData.PayloadContent.find(
-        p => p.PayloadType === 'com.apple.wifi.managed' &&
-             p.EncryptionType !== 'None' &&
-             (p.IsHotspot === true || p.NAIRealmNames || p.RoamingConsortiumOIs)
+        p => p.PayloadType === 'com.apple.wifi.managed' && p.EncryptionType !== 'None'
       );
-      if (!wifiPayload) {
-        wifiPayload = parsedData.PayloadContent.find(
-          p => p.PayloadType === 'com.apple.wifi.managed' && p.EncryptionType !== 'None'
-        );
-      }
-    } else if (fileType === 'xml') {
-      console.warn('[MappingService] XML mapping needs specific path adjustments for wifiPayload detection.');
-      wifiPayload = parsedData;
     }
+  } else if (fileType === 'xml') {
+    console.warn('[MappingService] XML mapping needs specific path adjustments for wifiPayload detection.');
+    wifiPayload = parsedData;
+  }
 
-    if (wifiPayload) {
-      console.log('[MappingService] Found Wi-Fi payload (or equivalent for XML).');
-      yamlSchema.passpoint_profile.home_friendly_name = get(wifiPayload, 'DisplayedOperatorName', get(wifiPayload, 'SSID_STR', '')); // Default to empty if none
-
-      const roamingOIs = get(wifiPayload, 'RoamingConsortiumOIs', []);
-      if (Array.isArray(roamingOIs)) {
-        yamlSchema.passpoint_profile.roaming_consortiums = roamingOIs.map(oi => ({
-          name: `Consortium ${oi}`, // You might want a more descriptive name source
-          value: oi,
-          length: oi.length / 2,
-          organization_id: oi.substring(0, Math.min(6, oi.length))
-        }));
-      }
+  if (wifiPayload) {
+    console.log('[MappingService] Found Wi-Fi payload (or equivalent for XML).');
+    profile.home_friendly_name = get(wifiPayload, 'DisplayedOperatorName', get(wifiPayload, 'SSID_STR', '')); // Default to empty if none
 
-      const naiRealmName = get(wifiPayload, 'DomainName');
-      if (naiRealmName) {
-        yamlSchema.passpoint_profile.nai_realm.name = naiRealmName;
-        yamlSchema.passpoint_profile.credential.realm = naiRealmName; // Often the same
-      }
-      
-      const acceptedEapTypes = get(wifiPayload, 'EAPClientConfiguration.AcceptEAPTypes', []);
-      if (Array.isArray(acceptedEapTypes)) {
-        yamlSchema.passpoint_profile.nai_realm.eap_methods = acceptedEapTypes
-          .map(typeNum => {
-            let innerAuth;
-            if (typeNum === 21) { // TTLS
-              innerAuth = get(wifiPayload, 'EAPClientConfiguration.TTLSInnerAuthentication');
-            } else if (typeNum === 18) { // PEAP
-              innerAuth = get(wifiPayload, 'EAPClientConfiguration.InnerAuthentication', 'MSCHAPV2'); // Default for PEAP
-            }
-            const eapTypeStr = eapTypes[typeNum];
-            if (!eapTypeStr) {
-              console.warn(`[MappingService] Unknown EAP Type number: ${typeNum}`);
-              return null;
-            }
-            return {
-              eap_type: eapTypeStr,
-              inner_auth: innerAuth,
-              vendor_id: 0, // Placeholder - map if available
-              vendor_type: 0, // Placeholder - map if available
-            };
-          })
-          .filter(Boolean);
-      }
+    const roamingOIs = get(wifiPayload, 'RoamingConsortiumOIs', []);
+    if (Array.isArray(roamingOIs)) {
+      profile.roaming_consortiums = roamingOIs.map(oi => ({
+        name: `Consortium ${oi}`, // You might want a more descriptive name source
+        value: oi,
+        length: oi.length / 2,
+        organization_id: oi.substring(0, Math.min(6, oi.length))
+      }));
+    }
 
-      if (get(wifiPayload, 'EAPClientConfiguration.UserName')) {
-        yamlSchema.passpoint_profile.credential.type = 'UsernamePassword';
-        yamlSchema.passpoint_profile.credential.username = get(wifiPayload, 'EAPClientConfiguration.UserName', '');
-        const password = get(wifiPayload, 'EAPClientConfiguration.UserPassword');
-        if (password !== undefined) {
-             yamlSchema.passpoint_profile.credential.password = password;
-        }
-      }
-      // Add logic here to detect other credential types (e.g., SIM, TLS)
-      // For example, if PayloadCertificateUUID exists, it might be EAP-TLS
-      const certUUID = get(wifiPayload, 'EAPClientConfiguration.PayloadCertificateUUID');
-      if (certUUID && yamlSchema.passpoint_profile.nai_realm.eap_methods.some(m => m.eap_type === 'TLS')) {
-          yamlSchema.passpoint_profile.credential.type = 'TLSClientCertificate';
-          yamlSchema.passpoint_profile.credential.certificate_payload_uuid = Array.isArray(certUUID) ? certUUID[0] : certUUID; // Assuming first cert if array
-          // Clear username/password if it's cert-based
-          yamlSchema.passpoint_profile.credential.username = '';
-          yamlSchema.passpoint_profile.credential.password = '';
-      }
+    const domainName = get(wifiPayload, 'DomainName');
+    if (domainName) {
+      profile.home_domain = domainName;
+    }
 
+    const naiRealmNames = get(wifiPayload, 'NAIRealmNames', []);
+    const naiRealmName = (Array.isArray(naiRealmNames) && naiRealmNames[0]) || domainName;
+    if (naiRealmName) {
+      profile.nai_realm.name = naiRealmName;
+      profile.credential.realm = naiRealmName; // Often the same
+    }
+  
+    const acceptedEapTypes = get(wifiPayload, 'EAPClientConfiguration.AcceptEAPTypes', []);
+    if (Array.isArray(acceptedEapTypes)) {
+      profile.nai_realm.eap_methods = acceptedEapTypes
+        .map(typeNum => {
+          // TTLSInnerAuthentication is TTLS's inner method and stays missing when the payload has
+          // none, as for YAML input; the other tunnelled methods default to MSCHAPv2
+          const innerAuth = typeNum === 21
+            ? get(wifiPayload, 'EAPClientConfiguration.TTLSInnerAuthentication')
+            : get(wifiPayload, 'EAPClientConfiguration.InnerAuthentication', 'MSCHAPV2');
+          return toProfileEapMethod(typeNum, innerAuth);
+        })
+        .filter(Boolean);
+    }
 
-      const homeOIsHex = get(wifiPayload, 'HomeOIs', []);
-      if (Array.isArray(homeOIsHex)) {
-        yamlSchema.passpoint_profile.home_ois = homeOIsHex.map((oi, index) => {
-          if (typeof oi === 'string' && /^[0-9a-fA-F]+$/.test(oi)) {
-            return {
-              name: `Home OI ${index + 1}`, // You might want a more descriptive name source
-              value: oi,
-              length: oi.length / 2,
-              organization_id: oi.substring(0, Math.min(6, oi.length))
-            };
-          }
-          console.warn(`[MappingService] Invalid Home OI format: ${oi}`);
-          return null;
-        }).filter(Boolean);
+    if (get(wifiPayload, 'EAPClientConfiguration.UserName')) {
+      profile.credential.type = 'UsernamePassword';
+      profile.credential.username = get(wifiPayload, 'EAPClientConfiguration.UserName', '');
+      const password = get(wifiPayload, 'EAPClientConfiguration.UserPassword');
+      if (password !== undefined) {
+           profile.credential.password = password;
       }
+    }
+    profile.credential.outer_identity = get(wifiPayload, 'EAPClientConfiguration.OuterIdentity', '');
+    const trustedServerNames = get(wifiPayload, 'EAPClientConfiguration.TLSTrustedServerNames', []);
+    profile.credential.server_names = Array.isArray(trustedServerNames) ? trustedServerNames : [trustedServerNames];
+    // Add logic here to detect other credential types (e.g., SIM, TLS)
+    // For example, if PayloadCertificateUUID exists, it might be EAP-TLS
+    // Apple documents PayloadCertificateUUID on the Wi-Fi payload itself, but some
+    // generators nest it inside EAPClientConfiguration
+    const certUUID = get(wifiPayload, 'PayloadCertificateUUID', get(wifiPayload, 'EAPClientConfiguration.PayloadCertificateUUID'));
+    if (certUUID && profile.nai_realm.eap_methods.some(m => m.eap_type === 'TLS')) {
+        profile.credential.type = 'TLSClientCertificate';
+        profile.credential.certificate_payload_uuid = Array.isArray(certUUID) ? certUUID[0] : certUUID; // Assuming first cert if array
+        // Clear username/password if it's cert-based
+        profile.credential.username = '';
+        profile.credential.password = '';
+    }
 
-      // --- Start mapping new fields (examples, adapt paths as needed) ---
-      yamlSchema.passpoint_profile.anqp_domain_id = get(wifiPayload, 'ANQPDomainID', '0'); // Example path
 
-      // For venue_info, .mobileconfig might have VenueName, VenueType
-      const venueNameFromProfile = get(wifiPayload, 'VenueName');
-      if (venueNameFromProfile) {
-        yamlSchema.passpoint_profile.venue_info.name = venueNameFromProfile;
-      }
-      // VenueGroup and VenueType might be numeric in .mobileconfig and need mapping
-      // const venueTypeNum = get(wifiPayload, 'VenueType');
-      // const venueGroupNum = get(wifiPayload, 'VenueGroup');
-      // Map these numbers to strings if necessary.
-
-      // For network_authentication_type, .mobileconfig might have NetworkAuthenticationTypeInfo
-      // This often requires more complex mapping from its sub-fields.
-
-      // For WAN Metrics, .mobileconfig has a WANMetrics dictionary
-      const wanMetricsPayload = get(wifiPayload, 'WANMetrics');
-      if (wanMetricsPayload) {
-          yamlSchema.passpoint_profile.wan_metrics.link_status = get(wanMetricsPayload, 'LinkStatus', 'Up'); // 1=Up, 2=Down, 3=Test
-          yamlSchema.passpoint_profile.wan_metrics.symmetric_link = get(wanMetricsPayload, 'SymmetricLink') === 0 ? 'Asymmetric' : (get(wanMetricsPayload, 'SymmetricLink') === 1 ? 'Symmetric' : 'Unknown');
-          yamlSchema.passpoint_profile.wan_metrics.at_capacity = get(wanMetricsPayload, 'AtCapacity', false);
-          yamlSchema.passpoint_profile.wan_metrics.downlink_speed = get(wanMetricsPayload, 'DownlinkSpeed', 0);
-          yamlSchema.passpoint_profile.wan_metrics.uplink_speed = get(wanMetricsPayload, 'UplinkSpeed', 0);
-          yamlSchema.passpoint_profile.wan_metrics.downlink_load = get(wanMetricsPayload, 'DownlinkLoad', 0);
-          yamlSchema.passpoint_profile.wan_metrics.uplink_load = get(wanMetricsPayload, 'UplinkLoad', 0);
-          yamlSchema.passpoint_profile.wan_metrics.lmd = get(wanMetricsPayload, 'LMD', 0);
-      }
+    const homeOIsHex = get(wifiPayload, 'HomeOIs', []);
+    if (Array.isArray(homeOIsHex)) {
+      profile.home_ois = homeOIsHex.map((oi, index) => {
+        if (typeof oi === 'string' && /^[0-9a-fA-F]+$/.test(oi)) {
+          return {
+            name: `Home OI ${index + 1}`, // You might want a more descriptive name source
+            value: oi,
+            length: oi.length / 2,
+            organization_id: oi.substring(0, Math.min(6, oi.length))
+          };
+        }
+        console.warn(`[MappingService] Invalid Home OI format: ${oi}`);
+        return null;
+      }).filter(Boolean);
+    }
 
-      // For OSU Providers, .mobileconfig has an OSUDevices array
-      const osuDevices = get(wifiPayload, 'OSUDevices', []);
-      if (Array.isArray(osuDevices)) {
-        yamlSchema.passpoint_profile.osu_providers = osuDevices.map(dev => ({
-          server_uri: get(dev, 'ServerURI', ''),
-          method_list: get(dev, 'MethodList', []), // This might need mapping from numbers to strings
-          friendly_name: get(dev, 'FriendlyName', ''),
-          icon_url: '', // .mobileconfig doesn't usually have a direct icon URL here
-          nai: get(dev, 'OSUIdentity.NAI', ''), // Example path for NAI within OSU
-          description: get(dev, 'Description', '')
-        }));
-      }
-      // --- End mapping new fields ---
+    // --- Start mapping new fields (examples, adapt paths as needed) ---
+    profile.anqp_domain_id = get(wifiPayload, 'ANQPDomainID', '0'); // Example path
 
-    } else {
-      console.warn('[MappingService] No suitable Wi-Fi payload found in the parsed data.');
+    // For venue_info, .mobileconfig might have VenueName, VenueType
+    const venueNameFromProfile = get(wifiPayload, 'VenueName');
+    if (venueNameFromProfile) {
+      profile.venue_info.name = venueNameFromProfile;
     }
+    // VenueGroup and VenueType might be numeric in .mobileconfig and need mapping
+    // const venueTypeNum = get(wifiPayload, 'VenueType');
+    // const venueGroupNum = get(wifiPayload, 'VenueGroup');
+    // Map these numbers to strings if necessary.
+
+    // For network_authentication_type, .mobileconfig might have NetworkAuthenticationTypeInfo
+    // This often requires more complex mapping from its sub-fields.
+
+    // For WAN Metrics, .mobileconfig has a WANMetrics dictionary
+    const wanMetricsPayload = get(wifiPayload, 'WANMetrics');
+    if (wanMetricsPayload) {
+        profile.wan_metrics.link_status = get(wanMetricsPayload, 'LinkStatus', 'Up'); // 1=Up, 2=Down, 3=Test
+        profile.wan_metrics.symmetric_link = get(wanMetricsPayload, 'SymmetricLink') === 0 ? 'Asymmetric' : (get(wanMetricsPayload, 'SymmetricLink') === 1 ? 'Symmetric' : 'Unknown');
+        profile.wan_metrics.at_capacity = get(wanMetricsPayload, 'AtCapacity', false);
+        profile.wan_metrics.downlink_speed = get(wanMetricsPayload, 'DownlinkSpeed', 0);
+        profile.wan_metrics.uplink_speed = get(wanMetricsPayload, 'UplinkSpeed', 0);
+        profile.wan_metrics.downlink_load = get(wanMetricsPayload, 'DownlinkLoad', 0);
+        profile.wan_metrics.uplink_load = get(wanMetricsPayload, 'UplinkLoad', 0);
+        profile.wan_metrics.lmd = get(wanMetricsPayload, 'LMD', 0);
+    }
+
+    // For OSU Providers, .mobileconfig has an OSUDevices array
+    const osuDevices = get(wifiPayload, 'OSUDevices', []);
+    if (Array.isArray(osuDevices)) {
+      profile.osu_providers = osuDevices.map(dev => ({
+        server_uri: get(dev, 'ServerURI', ''),
+        method_list: get(dev, 'MethodList', []), // This might need mapping from numbers to strings
+        friendly_name: get(dev, 'FriendlyName', ''),
+        icon_url: '', // .mobileconfig doesn't usually have a direct icon URL here
+        nai: get(dev, 'OSUIdentity.NAI', ''), // Example path for NAI within OSU
+        description: get(dev, 'Description', '')
+      }));
+    }
+    // --- End mapping new fields ---
+
   } else {
-    console.error('[MappingService] Unknown file type for mapping:', fileType);
+    console.warn('[MappingService] No suitable Wi-Fi payload found in the parsed data.');
   }
+}
 
-  console.log('[MappingService] Mapping complete. Resulting schema:', JSON.stringify(yamlSchema, null, 2));
-  return yamlSchema;
+/**
+ * Fills a profile from the flattened PPS MO paths of one subscription.
+ * Covers HomeSP, Credential (UsernamePassword, DigitalCertificate and SIM),
+ * CredentialPriority and Policy/PreferredRoamingPartnerList; other nodes stay
+ * in the full output only.
+ *
+ * @param {object} paths - Path to value map, e.g. { 'HomeSP/FQDN': 'example.com' }.
+ * @param {object} profile - The profile to fill in.
+ */
+function mapPpsMoPaths(paths, profile) {
+  // Interior list nodes (HomeOIList/h001/HomeOI, ...) become arrays of leaf maps
+  const listItems = (listPath) => {
+    const items = {};
+    Object.entries(paths).forEach(([path, value]) => {
+      if (!path.startsWith(`${listPath}/`)) return;
+      const [item, ...leaf] = path.slice(listPath.length + 1).split('/');
+      items[item] = { ...items[item], [leaf.join('/')]: value };
+    });
+    return Object.keys(items).sort().map(item => items[item]);
+  };
+
+  const fqdn = paths['HomeSP/FQDN'] || '';
+  profile.home_domain = fqdn;
+  profile.home_friendly_name = paths['HomeSP/FriendlyName'] || '';
+  profile.other_home_partner_fqdns = listItems('HomeSP/OtherHomePartners').map(partner => partner.FQDN).filter(Boolean);
+  profile.roaming_consortiums = String(paths['HomeSP/RoamingConsortiumOI'] || '')
+    .split(',')
+    .map(oi => oi.trim())
+    .filter(Boolean)
+    .map((oi, index) => toOrganizationIdentifier(oi, `Consortium ${index + 1}`));
+  profile.home_ois = listItems('HomeSP/HomeOIList')
+    .filter(oi => oi.HomeOI)
+    .map((oi, index) => toOrganizationIdentifier(oi.HomeOI, `Home OI ${index + 1}`, String(oi.HomeOIRequired).toUpperCase() === 'TRUE'));
+
+  if (paths.CredentialPriority !== undefined) {
+    profile.credential_priority = Number(paths.CredentialPriority);
+  }
+  profile.preferred_roaming_partners = listItems('Policy/PreferredRoamingPartnerList').map(partner => {
+    const [partnerFqdn, match] = String(partner.FQDN_Match || '').split(',');
+    return {
+      fqdn: partnerFqdn,
+      match: match === 'includeSubdomains' ? 1 : 0,
+      priority: partner.Priority === undefined ? 128 : Number(partner.Priority),
+      country: partner.Country || '*',
+    };
+  });
+
+  const credential = profile.credential;
+  credential.realm = paths['Credential/Realm'] || fqdn;
+  profile.nai_realm.name = credential.realm;
+  if (paths['Credential/CheckAAAServerCertStatus'] !== undefined) {
+    profile.aaa_server_check = String(paths['Credential/CheckAAAServerCertStatus']).toUpperCase() === 'TRUE' ? 2 : 0;
+  }
+
+  let eapMethod = null;
+  if (paths['Credential/UsernamePassword/Username'] !== undefined) {
+    credential.type = 'UsernamePassword';
+    credential.username = paths['Credential/UsernamePassword/Username'];
+    credential.password = decodePpsMoPassword(paths['Credential/UsernamePassword/Password'] || '');
+    // The inner method is either InnerMethod (non-EAP) or InnerEAPType
+    const method = (leaf) => paths[`Credential/UsernamePassword/EAPMethod/${leaf}`];
+    eapMethod = toProfileEapMethod(
+      method('EAPType') || 21,
+      method('InnerEAPType') !== undefined ? `EAP-${method('InnerEAPType')}` : method('InnerMethod'),
+      { vendorId: method('VendorId'), vendorType: method('VendorType') }
+    );
+  } else if (paths['Credential/DigitalCertificate/CertificateType'] !== undefined) {
+    credential.type = 'TLSClientCertificate';
+    eapMethod = toProfileEapMethod('TLS');
+  } else if (paths['Credential/SIM/IMSI'] !== undefined) {
+    credential.type = 'SIM';
+    credential.imsi = paths['Credential/SIM/IMSI'];
+    eapMethod = toProfileEapMethod(paths['Credential/SIM/EAPType']);
+  }
+
+  if (eapMethod) {
+    profile.nai_realm.eap_methods = [eapMethod];
+  }
+}
+
+/**
+ * Fills a profile from a Windows WLAN profile read by parseWlanProfile.
+ * Windows references trusted roots by SHA-1 thumbprint only, so the CA
+ * certificate itself cannot be recovered and ca_certificate stays empty.
+ *
+ * @param {object} wlanProfile - The parseWlanProfile result.
+ * @param {object} profile - The profile to fill in.
+ */
+function mapWlanProfile(wlanProfile, profile) {
+  const hotspot2 = wlanProfile.hotspot2 || { nai_realms: [], plmn_ids: [], roaming_consortium_ois: [] };
+  const eap = wlanProfile.eap;
+
+  profile.home_friendly_name = wlanProfile.name || '';
+  profile.home_domain = hotspot2.domain_name || '';
+  profile.roaming_consortiums = hotspot2.roaming_consortium_ois
+    .map((oi, index) => toOrganizationIdentifier(oi, `Consortium ${index + 1}`));
+  // PLMN IDs are MCC followed by a two or three digit MNC
+  profile.plmn_list = hotspot2.plmn_ids.map(plmnId => ({ mcc: plmnId.slice(0, 3), mnc: plmnId.slice(3) }));
+
+  const credential = profile.credential;
+  credential.realm = hotspot2.nai_realms[0] || profile.home_domain;
+  profile.nai_realm.name = credential.realm;
+
+  if (!eap) {
+    console.warn('[MappingService] WLAN profile has no EAP configuration');
+    return;
+  }
+  if (!eap.method) {
+    console.warn('[MappingService] Unsupported EAP type in WLAN profile:', eap.type);
+    return;
+  }
+
+  const eapMethod = toProfileEapMethod(eap.method, eap.inner_method);
+  if (eapMethod) {
+    // Windows keeps the vendor of the EAP method that implements it, not an expanded type
+    profile.nai_realm.eap_methods = [{ ...eapMethod, vendor_id: eap.vendor_id, vendor_type: eap.vendor_type }];
+  }
+
+  credential.type = credentialTypeFor(eap.method) || 'UsernamePassword';
+  credential.outer_identity = eap.outer_identity || '';
+  credential.server_names = eap.server_validation ? eap.server_validation.server_names : [];
+}
+
+/**
+ * Fills a profile from the first interworking cred block of a
+ * wpa_supplicant.conf read by parseWpaSupplicantConfig. Certificates are file
+ * paths in wpa_supplicant, so they stay in the full output only.
+ *
+ * @param {object} config - The parseWpaSupplicantConfig result.
+ * @param {object} profile - The profile to fill in.
+ */
+function mapWpaSupplicantCred(config, profile) {
+  const cred = (config.creds || [])[0];
+  if (!cred) {
+    console.warn('[MappingService] wpa_supplicant.conf has no cred block to map');
+    return;
+  }
+  if (config.creds.length > 1) {
+    console.warn('[MappingService] wpa_supplicant.conf has several cred blocks, mapping the first');
+  }
+  const list = (value) => (value === undefined ? [] : [].concat(value));
+
+  const domains = list(cred.domain);
+  profile.home_domain = cred.provisioning_sp || domains[0] || '';
+  profile.other_home_partner_fqdns = domains.filter(domain => domain !== profile.home_domain);
+
+  // roaming_consortiums is a comma list; older configs use a single roaming_consortium
+  const required = cred.required_roaming_consortium ? String(cred.required_roaming_consortium).toLowerCase() : null;
+  const ois = [...list(cred.roaming_consortiums).flatMap(value => String(value).split(',')), ...list(cred.roaming_consortium)]
+    .map(oi => oi.trim().toLowerCase())
+    .filter((oi, index, all) => oi && oi !== required && all.indexOf(oi) === index);
+  profile.roaming_consortiums = ois.map((oi, index) => toOrganizationIdentifier(oi, `Consortium ${index + 1}`));
+  profile.home_ois = required ? [toOrganizationIdentifier(required, 'Home OI 1', true)] : [];
+
+  profile.preferred_roaming_partners = list(cred.roaming_partner).map(partner => {
+    const [fqdn, exactMatch, priority, country] = String(partner).split(',');
+    return {
+      fqdn,
+      match: exactMatch === '1' ? 0 : 1,
+      priority: priority === undefined ? 128 : Number(priority),
+      country: country || '*',
+    };
+  });
+  if (cred.sp_priority !== undefined) {
+    profile.credential_priority = Number(cred.sp_priority);
+  }
+
+  const credential = profile.credential;
+  credential.realm = cred.realm || profile.home_domain;
+  profile.nai_realm.name = credential.realm;
+  credential.username = cred.username || '';
+  credential.password = cred.password || '';
+  credential.client_certificate_password = cred.private_key_passwd || '';
+  credential.imsi = cred.imsi || '';
+  credential.server_names = list(cred.domain_suffix_match || cred.domain_match);
+
+  const eapType = (eapRegistry.eapMethod(cred.eap) && cred.eap)
+    || (cred.imsi ? 'SIM' : null)
+    || (cred.private_key || cred.client_cert ? 'TLS' : null)
+    || (cred.username ? 'TTLS' : null);
+  if (!eapType) {
+    console.warn('[MappingService] Cannot tell the EAP method of the wpa_supplicant cred block');
+    return;
+  }
+
+  // phase2="auth=MSCHAPV2" is a non-EAP inner method, phase2="autheap=MSCHAPV2" EAP inside the tunnel
+  const phase2 = String(cred.phase2 || '').match(/auth(eap)?=([A-Za-z0-9-]+)/);
+  const eapMethod = toProfileEapMethod(eapType, phase2 ? `${phase2[1] ? 'EAP-' : ''}${phase2[2]}` : 'MSCHAPV2');
+  if (!eapMethod) {
+    return;
+  }
+  credential.type = credentialTypeFor(eapMethod.eap_type) || 'UsernamePassword';
+  profile.nai_realm.eap_methods = [eapMethod];
+}
+
+/**
+ * Fills a profile from the first EAP network of an ONC document read by
+ * parseOnc. The CA and client certificates come from the document's
+ * Certificates list through the network's resolved GUID references.
+ *
+ * @param {object} onc - The parseOnc result.
+ * @param {object} profile - The profile to fill in.
+ */
+function mapOncNetwork(onc, profile) {
+  const networks = (onc.networks || []).filter(network => network.eap);
+  const network = networks[0];
+  if (!network) {
+    console.warn('[MappingService] ONC document has no EAP network to map');
+    return;
+  }
+  if (networks.length > 1) {
+    console.warn('[MappingService] ONC document has several EAP networks, mapping', network.name);
+  }
+
+  const eap = network.eap;
+  const certificate = (ref) => ref && ref.found ? (onc.certificates || []).find(cert => cert.guid === ref.guid) : null;
+  const credential = profile.credential;
+
+  // The realm is the identity's domain, unless it is still a ${...} variable
+  const identityDomain = eap.identity && eap.identity.includes('@') ? eap.identity.split('@').pop() : '';
+  const realm = identityDomain && !identityDomain.includes('${') ? identityDomain : (eap.domain_suffix_match[0] || '');
+  profile.home_friendly_name = network.name || '';
+  profile.home_domain = realm;
+  profile.nai_realm.name = realm;
+  credential.realm = realm;
+  credential.username = eap.identity || '';
+  credential.password = eap.password || '';
+  credential.outer_identity = eap.anonymous_identity || '';
+  credential.server_names = eap.domain_suffix_match.length > 0
+    ? eap.domain_suffix_match
+    : eap.subject_alternative_name_match.filter(match => match.type === 'DNS').map(match => match.value);
+
+  const caCertificate = eap.server_ca_refs.map(certificate).find(cert => cert && cert.x509);
+  credential.ca_certificate = caCertificate ? caCertificate.x509 : '';
+  const clientCertificate = certificate(eap.client_cert_ref);
+  if (clientCertificate && clientCertificate.pkcs12 && !clientCertificate.encrypted) {
+    credential.client_certificate = clientCertificate.pkcs12;
+  }
+
+  // "Automatic" lets the client pick, so there is no inner method to record
+  const eapMethod = toProfileEapMethod(eap.outer, eap.inner !== 'Automatic' ? eap.inner : undefined);
+  if (!eapMethod) {
+    return;
+  }
+  credential.type = credentialTypeFor(eapMethod.eap_type) || 'UsernamePassword';
+  profile.nai_realm.eap_methods = [eapMethod];
+}
+
+/**
+ * Fills a profile from the Interworking/Hotspot 2.0 advertisement of the first
+ * interworking BSS of a hostapd.conf read by parseHostapdConfig, so an AP can
+ * be compared with the client profiles it should serve. Only what the AP
+ * advertises is known; credentials stay empty.
+ *
+ * @param {object} config - The parseHostapdConfig result.
+ * @param {object} profile - The profile to fill in.
+ */
+function mapHostapdAdvertisement(config, profile) {
+  const bsses = config.bsses || [];
+  const bss = bsses.find(candidate => candidate.interworking.enabled) || bsses[0];
+  if (!bss) {
+    console.warn('[MappingService] hostapd.conf has no BSS to map');
+    return;
+  }
+
+  const { interworking, hs20 } = bss;
+  const operatorName = hs20.operator_friendly_names.find(name => name.language === 'eng') || hs20.operator_friendly_names[0];
+  profile.home_friendly_name = operatorName ? operatorName.name : '';
+  profile.home_domain = interworking.domain_names[0] || '';
+  profile.other_home_partner_fqdns = interworking.domain_names.slice(1);
+  profile.roaming_consortiums = interworking.roaming_consortiums
+    .map((oi, index) => toOrganizationIdentifier(oi, `Consortium ${index + 1}`));
+  profile.plmn_list = interworking.plmns;
+  if (interworking.anqp_domain_id) {
+    profile.anqp_domain_id = interworking.anqp_domain_id;
+  }
+
+  const naiRealm = interworking.nai_realms[0];
+  if (naiRealm) {
+    profile.nai_realm.name = naiRealm.realms[0] || '';
+    profile.credential.realm = profile.nai_realm.name;
+    profile.nai_realm.eap_methods = naiRealm.eap_methods
+      .map(method => {
+        // Auth parameter 2 is a non-EAP inner method, 3 an inner EAP type
+        const nonEapInner = method.auth_params.find(param => param.id === 2);
+        const eapInner = method.auth_params.find(param => param.id === 3);
+        const innerAuth = nonEapInner ? nonEapInner.value_name : (eapInner ? `EAP-${eapInner.value}` : undefined);
+        return toProfileEapMethod(method.type, innerAuth);
+      })
+      .filter(Boolean);
+  }
+
+  if (interworking.venue) {
+    const venueName = interworking.venue.names[0];
+    profile.venue_info = {
+      group: interworking.venue.group_name || String(interworking.venue.group),
+      type: interworking.venue.type_name || String(interworking.venue.type),
+      name: venueName ? venueName.name : '',
+      language: venueName && venueName.language ? venueName.language : 'eng',
+    };
+  }
+  if (hs20.wan_metrics) {
+    profile.wan_metrics = hs20.wan_metrics;
+  }
+  profile.connection_capability = hs20.connection_capabilities;
+  if (hs20.operating_class) {
+    profile.operating_class = hs20.operating_class;
+  }
+}
+
+
+/**
+ * Fills a profile from a geteduroam/CAT .eap-config parsed by xml2js with
+ * explicitArray off. Attributes may sit under `$` or be merged into their
+ * element, so both layouts are read. The first EAPIdentityProvider is used:
+ * its authentication methods become the NAI realm's EAP methods, in order
+ * of preference, and the credentials of the first method fill the credential.
+ *
+ * @param {object} document - The parsed EAPIdentityProviderList.
+ * @param {object} profile - The profile to fill in.
+ */
+function mapEapConfig(document, profile) {
+  const list = (value) => (value === undefined || value === null ? [] : [].concat(value));
+  const text = (value) => (value && typeof value === 'object' ? value._ : value);
+
+  const provider = list(get(document, 'EAPIdentityProviderList.EAPIdentityProvider'))[0];
+  if (!provider) {
+    console.warn('[MappingService] No EAPIdentityProvider found in the .eap-config document.');
+    return;
+  }
+
+  const id = text(get(provider, '$.ID', provider.ID)) || '';
+  profile.home_domain = id;
+  profile.home_friendly_name = text(list(get(provider, 'ProviderInfo.DisplayName'))[0]) || '';
+  const termsOfUse = text(list(get(provider, 'ProviderInfo.TermsOfUse'))[0]);
+  if (termsOfUse) {
+    profile.terms_and_conditions.url = termsOfUse;
+  }
+  profile.roaming_consortiums = list(get(provider, 'CredentialApplicability.IEEE80211'))
+    .map(network => text(network.ConsortiumOID))
+    .filter(Boolean)
+    .map((oi, index) => toOrganizationIdentifier(oi, `Consortium ${index + 1}`));
+
+  const methods = list(get(provider, 'AuthenticationMethods.AuthenticationMethod'));
+  profile.nai_realm.eap_methods = methods.map(method => {
+    // NonEAPAuthMethod types are numbered by eap-metadata.xsd, EAPMethod types by IANA
+    const nonEapInner = eapRegistry.nonEapInnerMethod(text(get(method, 'InnerAuthenticationMethod.NonEAPAuthMethod.Type')), 'eapConfig');
+    const eapInner = text(get(method, 'InnerAuthenticationMethod.EAPMethod.Type'));
+    const innerAuth = nonEapInner ? nonEapInner.name : (eapInner !== undefined ? `EAP-${eapInner}` : undefined);
+    return toProfileEapMethod(Number(text(get(method, 'EAPMethod.Type'))), innerAuth);
+  }).filter(Boolean);
+
+  const serverSide = get(methods[0], 'ServerSideCredential', {});
+  const clientSide = get(methods[0], 'ClientSideCredential', {});
+  const credential = profile.credential;
+  credential.realm = text(clientSide.InnerIdentitySuffix) || id;
+  profile.nai_realm.name = credential.realm;
+  credential.outer_identity = text(clientSide.OuterIdentity) || '';
+  credential.username = text(clientSide.UserName) || '';
+  credential.password = text(clientSide.Password) || '';
+  credential.ca_certificate = text(list(serverSide.CA)[0]) || '';
+  credential.server_names = list(serverSide.ServerID).map(text);
+  credential.client_certificate = text(clientSide.ClientCertificate) || '';
+  credential.client_certificate_password = text(clientSide.Passphrase) || '';
+
+  const firstMethod = profile.nai_realm.eap_methods[0];
+  if (firstMethod) {
+    credential.type = credentialTypeFor(firstMethod.eap_type) || 'UsernamePassword';
+  }
+}
+
+/**
+ * Fills a profile from a YAML or JSON profile document: either the canonical
+ * `{ passpoint_profile }` document or a `passpoint-properties` document.
+ *
+ * @param {object} document - The parsed profile document.
+ * @param {object} profile - The profile to fill in.
+ */
+function mapProfileDocument(document, profile) {
+  const mapped = document.passpoint_profile
+    ? { ...createEmptyProfile(), ...document.passpoint_profile }
+    : mapPasspointPropertiesToProfile(document);
+  Object.assign(profile, mapped);
+}
+
+/**
+ * Tells whether a parsed YAML/JSON document is a profile that
+ * mapProfileDocument can read, rather than some other configuration.
+ *
+ * @param {*} document - The parsed document.
+ * @returns {boolean}
+ */
+function isProfileDocument(document) {
+  return Boolean(document) && typeof document === 'object' && !Array.isArray(document) &&
+    ['passpoint_profile', 'passpoint-properties', 'home-domain'].some(key => key in document);
+}
+
+// Importers fill the canonical profile from one input format, keyed by mapToYamlSchema fileType
+const profileImporters = {
+  mobileconfig: mapMobileConfigPayload,
+  xml: mapMobileConfigPayload,
+  'eap-config': mapEapConfig,
+  'pps-mo': mapPpsMoPaths,
+  'windows-wlan': mapWlanProfile,
+  'wpa-supplicant': mapWpaSupplicantCred,
+  onc: mapOncNetwork,
+  hostapd: mapHostapdAdvertisement,
+  profile: mapProfileDocument,
+};
+
+/**
+ * Maps a `passpoint-properties` document (kebab-case, see the
+ * passpoint_rev<n>.yml schemas) to the snake_case profile used by the
+ * exporters. Documents of older schema revisions are migrated to the latest
+ * one first. Accepts both the schema layout, where every field sits under
+ * `passpoint-properties`, and the layout of older filteredYaml downloads,
+ * where the home-* fields are top-level and values may be wrapped as
+ * `{ type, description, value }`.
+ *
+ * The `credential` group carries the realm, username, `eap-method`,
+ * `password`, `inner-method`, `outer-identity`, `server-names`,
+ * `ca-certificate`, `client-certificate` and `client-certificate-password`. The AP-side
+ * `venue-info`, `wan-metrics`, `connection-capability`, `plmn-list` and
+ * `anqp-domain-id` fields map to their snake_case profile counterparts.
+ *
+ * @param {object} document - The parsed YAML/JSON profile document.
+ * @returns {object} A profile as returned by createEmptyProfile.
+ */
+function mapPasspointPropertiesToProfile(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('Profile document must be an object');
+  }
+
+  // Documents of older schema revisions are upgraded first, so only the latest layout is read below
+  const { document: current } = migrateDocument(document);
+  const props = { ...current, ...(current['passpoint-properties'] || {}) };
+  // Older filteredYaml downloads keep the credential fields at the top level
+  const credentialProps = { ...props, ...(unwrap(props.credential) || {}) };
+  const valueOf = (source, key, defaultValue) => {
+    const value = unwrap(source[key]);
+    return value === undefined || value === null || value === '' ? defaultValue : value;
+  };
+  const field = (key, defaultValue) => valueOf(props, key, defaultValue);
+  const credentialField = (key, defaultValue) => valueOf(credentialProps, key, defaultValue);
+  const list = (key, read = field) => {
+    const value = read(key, []);
+    return Array.isArray(value) ? value : [value];
+  };
+
+  const profile = createEmptyProfile();
+  profile.home_friendly_name = field('home-friendly-name', '');
+  profile.home_domain = field('home-domain', '');
+  profile.other_home_partner_fqdns = list('other-home-partner-fqdns');
+  profile.preferred_roaming_partners = list('preferred-roaming-partners').map(partner => ({
+    fqdn: get(partner, 'fqdn', ''),
+    match: get(partner, 'match', 0),
+    priority: get(partner, 'priority', 128),
+    country: get(partner, 'country', '')
+  }));
+  profile.credential_priority = field('credential-priority', null);
+  profile.aaa_server_check = field('aaa-server-check', 0);
+
+  profile.home_ois = list('home-ois').map((oi, index) => {
+    if (typeof oi === 'string') {
+      return toOrganizationIdentifier(oi, `Home OI ${index + 1}`);
+    }
+    return toOrganizationIdentifier(get(oi, 'home-oi', ''), get(oi, 'name', `Home OI ${index + 1}`), get(oi, 'required'));
+  }).filter(oi => oi.value);
+
+  profile.roaming_consortiums = list('roaming-consortiums')
+    .map(oi => toOrganizationIdentifier(unwrap(oi), `Consortium ${unwrap(oi)}`));
+
+  const username = String(credentialField('username', ''));
+  // Without a realm the home domain is the realm, as for a mobileconfig without NAIRealmNames, so
+  // the username realm is checked against it rather than against itself
+  const realm = credentialField('realm', profile.home_domain || (username.includes('@') && username.split('@')[1]) || '');
+  profile.nai_realm.name = realm;
+
+  // eap-method is an IANA number, though hand-written documents often use a name. A missing
+  // inner-method stays missing, as a missing TTLSInnerAuthentication does, so the linter can
+  // flag it; the exporters fall back to MSCHAPV2
+  const eapMethod = credentialField('eap-method') === undefined
+    ? null
+    : toProfileEapMethod(credentialField('eap-method'), credentialField('inner-method'));
+  const eapType = eapMethod ? eapMethod.eap_type : undefined;
+  if (eapMethod) {
+    profile.nai_realm.eap_methods = [eapMethod];
+  }
+
+  const credential = profile.credential;
+  credential.realm = realm;
+  credential.username = username;
+  credential.password = credentialField('password', '');
+  credential.outer_identity = credentialField('outer-identity', '');
+  credential.ca_certificate = credentialField('ca-certificate', '');
+  credential.server_names = list('server-names', credentialField);
+  credential.client_certificate = credentialField('client-certificate', '');
+  credential.client_certificate_password = credentialField('client-certificate-password', '');
+
+  const credentialType = credentialTypeFor(eapType);
+  if (credentialType && credentialType !== 'UsernamePassword') {
+    credential.type = credentialType;
+  } else if (username) {
+    credential.type = 'UsernamePassword';
+  }
+
+  // AP-side fields, for documents that also drive the hostapd export
+  const snakeKeys = (object) => Object.fromEntries(
+    Object.entries(object || {}).map(([key, value]) => [key.replace(/-/g, '_'), unwrap(value)])
+  );
+  profile.venue_info = { ...profile.venue_info, ...snakeKeys(field('venue-info', {})) };
+  profile.wan_metrics = { ...profile.wan_metrics, ...snakeKeys(field('wan-metrics', {})) };
+  profile.connection_capability = list('connection-capability').map(snakeKeys);
+  profile.plmn_list = list('plmn-list').map(snakeKeys);
+  profile.anqp_domain_id = String(field('anqp-domain-id', profile.anqp_domain_id));
+
+  return profile;
+}
+
+/**
+ * Writes a canonical profile back in the shape of the latest schema revision
+ * (passpoint_rev1.yml), the reverse of mapPasspointPropertiesToProfile. The
+ * document names its revision in `$schema`. Empty fields are left out, and EAP
+ * types the registry does not know keep their name.
+ *
+ * @param {object} profile - A profile as returned by createEmptyProfile.
+ * @returns {object} `{ $schema, 'passpoint-properties': { ... } }`
+ */
+function mapProfileToPasspointProperties(profile) {
+  const firstMethod = get(profile, ['nai_realm', 'eap_methods', 0]);
+  const eapType = firstMethod && eapRegistry.eapMethod(firstMethod.eap_type, {
+    vendorId: firstMethod.vendor_id,
+    vendorType: firstMethod.vendor_type,
+  });
+  // inner-method spells EAP inside the tunnel as EAP-<method>, whatever the outer method
+  const inner = eapType && eapType.tunnel && firstMethod.inner_auth
+    ? eapRegistry.innerMethod(eapType.name, firstMethod.inner_auth)
+    : null;
+  const credential = profile.credential || {};
+
+  const isEmpty = (value) => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+  const withoutEmpty = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => !isEmpty(value)));
+
+  const properties = {
+    'home-friendly-name': profile.home_friendly_name,
+    'home-ois': (profile.home_ois || []).map(oi => (
+      oi.required === undefined ? { 'home-oi': oi.value } : { 'home-oi': oi.value, required: oi.required }
+    )),
+    'roaming-consortiums': (profile.roaming_consortiums || []).map(oi => oi.value),
+    'home-domain': profile.home_domain,
+    'other-home-partner-fqdns': profile.other_home_partner_fqdns,
+    'preferred-roaming-partners': profile.preferred_roaming_partners,
+    'credential-priority': profile.credential_priority,
+    'aaa-server-check': profile.aaa_server_check,
+    credential: withoutEmpty({
+      realm: get(profile, 'nai_realm.name') || credential.realm,
+      username: credential.username,
+      password: credential.password,
+      'eap-method': eapType ? eapType.type : get(firstMethod, 'eap_type'),
+      'inner-method': inner ? (inner.eap ? `EAP-${inner.method.name}` : inner.name) : undefined,
+      'outer-identity': credential.outer_identity,
+      'server-names': credential.server_names,
+      'ca-certificate': credential.ca_certificate,
+      'client-certificate': credential.client_certificate,
+      'client-certificate-password': credential.client_certificate_password,
+    }),
+  };
+
+  return {
+    $schema: schemaRevision().id,
+    'passpoint-properties': withoutEmpty(properties),
+  };
+}
+
+/**
+ * Read a profile document from a request body
+ * The body is either YAML text, `{ yaml: '...' }`, `{ profile: {...} }` or the
+ * profile document itself.
+ * @param {object|string} body The request body
+ * @returns {object} The document, not yet mapped
+ */
+function readProfileDocument(body) {
+  let document = body;
+  if (typeof document === 'string') {
+    document = yaml.load(document);
+  } else if (document && typeof document.yaml === 'string') {
+    document = yaml.load(document.yaml);
+  } else if (document && document.profile) {
+    document = document.profile;
+  }
+
+  if (!document || typeof document !== 'object') {
+    throw new Error('No profile found in request body');
+  }
+  return document;
+}
+
+/**
+ * Read a profile from a request body
+ * Accepts the bodies readProfileDocument does. Documents with a
+ * `passpoint_profile` key (the mapToYamlSchema output) are used as-is,
+ * anything else is treated as a `passpoint-properties` document.
+ * @param {object|string} body The request body
+ * @returns {object} The profile in the mapToYamlSchema shape
+ */
+function readProfile(body) {
+  const profile = createEmptyProfile();
+  mapProfileDocument(readProfileDocument(body), profile);
+  return profile;
 }
 
 module.exports = {
+  createEmptyProfile,
+  isProfileDocument,
   mapToYamlSchema,
+  mapPasspointPropertiesToProfile,
+  mapProfileToPasspointProperties,
+  readProfile,
+  readProfileDocument,
 };
\ No newline at end of file
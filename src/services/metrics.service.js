@@ -62,6 +62,12 @@ const passwordObfuscationTotal = new promClient.Counter({
   labelNames: ['obfuscation_level', 'status']
 });
 
+const profileDownloadTotal = new promClient.Counter({
+  name: 'profile_downloads_total',
+  help: 'Total number of distribution link download attempts',
+  labelNames: ['platform', 'outcome']
+});
+
 // Register all metrics
 register.registerMetric(httpRequestDurationMicroseconds);
 register.registerMetric(httpRequestTotal);
@@ -72,6 +78,7 @@ register.registerMetric(activeConnections);
 register.registerMetric(errorTotal);
 register.registerMetric(certificateProcessingTotal);
 register.registerMetric(passwordObfuscationTotal);
+register.registerMetric(profileDownloadTotal);
 
 // Middleware to track HTTP requests
 const metricsMiddleware = (req, res, next) => {
@@ -118,6 +125,10 @@ const trackPasswordObfuscation = (obfuscationLevel, status) => {
   passwordObfuscationTotal.labels(obfuscationLevel, status).inc();
 };
 
+const trackProfileDownload = (platform, outcome) => {
+  profileDownloadTotal.labels(platform, outcome).inc();
+};
+
 const updateActiveConnections = (count) => {
   activeConnections.set(count);
 };
@@ -136,6 +147,7 @@ module.exports = {
   trackError,
   trackCertificateProcessing,
   trackPasswordObfuscation,
+  trackProfileDownload,
   updateActiveConnections,
   getMetrics
 };
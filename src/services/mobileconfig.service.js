@@ -0,0 +1,197 @@
+/**
+ * Apple configuration profile service
+ * Builds .mobileconfig profiles with a com.apple.wifi.managed Passpoint payload
+ * from a profile in the mapToYamlSchema shape
+ */
+const plist = require('plist');
+const { v5: uuidv5 } = require('uuid');
+const certService = require('./cert.service');
+const eapRegistry = require('./eap-registry.service');
+
+const MOBILECONFIG_CONTENT_TYPE = 'application/x-apple-aspen-config';
+
+// Payload UUIDs are derived from the payload identifiers so that regenerating a
+// profile from the same YAML produces the same plist
+const PAYLOAD_UUID_NAMESPACE = '5d3a1f6e-8b2c-4e7a-9c1d-2f4b6a8e0c13';
+
+// EAP methods iOS and macOS take in AcceptEAPTypes, by registry name
+const appleEapTypes = ['TLS', 'SIM', 'TTLS', 'AKA', 'PEAP', "AKA'"];
+
+function payloadUUID(identifier) {
+  return uuidv5(identifier, PAYLOAD_UUID_NAMESPACE).toUpperCase();
+}
+
+function buildCertificatePayloads(profile, identifier) {
+  const credential = profile.credential || {};
+  const payloads = [];
+  let anchorUUID = null;
+  let clientUUID = credential.certificate_payload_uuid || null;
+
+  if (credential.ca_certificate) {
+    const der = certService.toDer(credential.ca_certificate);
+    if (!der) {
+      throw new Error('credential.ca_certificate is not a PEM or base64 certificate');
+    }
+    const payloadIdentifier = `${identifier}.ca`;
+    anchorUUID = payloadUUID(payloadIdentifier);
+    payloads.push({
+      PayloadType: 'com.apple.security.root',
+      PayloadVersion: 1,
+      PayloadIdentifier: payloadIdentifier,
+      PayloadUUID: anchorUUID,
+      PayloadDisplayName: 'AAA Server CA',
+      PayloadCertificateFileName: 'ca.cer',
+      PayloadContent: der,
+    });
+  }
+
+  if (credential.client_certificate) {
+    const pkcs12 = Buffer.from(String(credential.client_certificate).replace(/\s/g, ''), 'base64');
+    const payloadIdentifier = `${identifier}.identity`;
+    clientUUID = payloadUUID(payloadIdentifier);
+    const identityPayload = {
+      PayloadType: 'com.apple.security.pkcs12',
+      PayloadVersion: 1,
+      PayloadIdentifier: payloadIdentifier,
+      PayloadUUID: clientUUID,
+      PayloadDisplayName: 'Client Identity',
+      PayloadCertificateFileName: 'identity.p12',
+      PayloadContent: pkcs12,
+    };
+    if (credential.client_certificate_password) {
+      identityPayload.Password = credential.client_certificate_password;
+    }
+    payloads.push(identityPayload);
+  }
+
+  return { payloads, anchorUUID, clientUUID };
+}
+
+function buildEapClientConfiguration(profile, anchorUUID) {
+  const credential = profile.credential || {};
+  const eapMethods = (profile.nai_realm && profile.nai_realm.eap_methods) || [];
+  if (eapMethods.length === 0) {
+    throw new Error('Profile has no EAP method (nai_realm.eap_methods is empty)');
+  }
+
+  const acceptEapTypes = eapMethods.map(method => {
+    const eapMethod = eapRegistry.eapMethod(method.eap_type);
+    if (!eapMethod || !appleEapTypes.includes(eapMethod.name)) {
+      throw new Error(`EAP method "${method.eap_type}" is not supported by Apple profiles`);
+    }
+    return eapMethod.type;
+  });
+
+  const eapConfig = { AcceptEAPTypes: acceptEapTypes };
+
+  const ttls = eapMethods.find(method => {
+    const eapMethod = eapRegistry.eapMethod(method.eap_type);
+    return eapMethod && eapMethod.name === 'TTLS';
+  });
+  if (ttls) {
+    // Apple only says EAP for an EAP method inside the tunnel, and picks the method itself
+    const inner = eapRegistry.innerMethod('TTLS', ttls.inner_auth);
+    if (inner && inner.eap) {
+      eapConfig.TTLSInnerAuthentication = 'EAP';
+    } else {
+      eapConfig.TTLSInnerAuthentication = inner ? inner.method.apple : 'MSCHAPv2';
+    }
+  }
+
+  if (credential.type === 'UsernamePassword' || (!credential.type && credential.username)) {
+    if (credential.username) {
+      eapConfig.UserName = credential.username;
+    }
+    if (credential.password) {
+      eapConfig.UserPassword = credential.password;
+    }
+  }
+  if (credential.outer_identity) {
+    eapConfig.OuterIdentity = credential.outer_identity;
+  }
+  if (Array.isArray(credential.server_names) && credential.server_names.length > 0) {
+    eapConfig.TLSTrustedServerNames = credential.server_names;
+  }
+  if (anchorUUID) {
+    eapConfig.PayloadCertificateAnchorUUID = [anchorUUID];
+  }
+
+  return eapConfig;
+}
+
+/**
+ * Build an Apple configuration profile for a Passpoint profile
+ * @param {object} profile A profile in the mapToYamlSchema `passpoint_profile` shape
+ * @param {object} options Optional `identifier`, `organization`, `displayName`
+ *   and `description` for the top-level payload
+ * @returns {string} The profile as an XML plist
+ */
+function buildMobileConfig(profile, options = {}) {
+  const domainName = profile.home_domain || (profile.nai_realm && profile.nai_realm.name);
+  if (!domainName) {
+    throw new Error('Profile needs a home domain or NAI realm');
+  }
+
+  const identifier = options.identifier || `com.passpoint.${domainName.split('.').reverse().join('.')}`;
+  const displayName = options.displayName || profile.home_friendly_name || domainName;
+  console.log('[MobileConfigService] Building profile:', identifier);
+
+  const { payloads, anchorUUID, clientUUID } = buildCertificatePayloads(profile, identifier);
+
+  const roamingConsortiumOIs = [...(profile.home_ois || []), ...(profile.roaming_consortiums || [])]
+    .map(oi => String(oi.value || oi).toUpperCase())
+    .filter((oi, index, all) => oi && all.indexOf(oi) === index);
+
+  const naiRealmNames = [profile.nai_realm && profile.nai_realm.name, profile.credential && profile.credential.realm]
+    .filter((realm, index, all) => realm && all.indexOf(realm) === index);
+
+  const wifiIdentifier = `${identifier}.wifi`;
+  const wifiPayload = {
+    PayloadType: 'com.apple.wifi.managed',
+    PayloadVersion: 1,
+    PayloadIdentifier: wifiIdentifier,
+    PayloadUUID: payloadUUID(wifiIdentifier),
+    PayloadDisplayName: `Wi-Fi (${displayName})`,
+    AutoJoin: true,
+    EncryptionType: 'WPA2',
+    HIDDEN_NETWORK: false,
+    IsHotspot: true,
+    ServiceProviderRoamingEnabled: true,
+    DomainName: domainName,
+    DisplayedOperatorName: profile.home_friendly_name || domainName,
+    EAPClientConfiguration: buildEapClientConfiguration(profile, anchorUUID),
+  };
+  if (roamingConsortiumOIs.length > 0) {
+    wifiPayload.RoamingConsortiumOIs = roamingConsortiumOIs;
+  }
+  if (naiRealmNames.length > 0) {
+    wifiPayload.NAIRealmNames = naiRealmNames;
+  }
+  if (Array.isArray(profile.plmn_list) && profile.plmn_list.length > 0) {
+    wifiPayload.MCCAndMNCs = profile.plmn_list.map(plmn => `${plmn.mcc}${plmn.mnc}`);
+  }
+  if (clientUUID) {
+    wifiPayload.PayloadCertificateUUID = clientUUID;
+  }
+
+  payloads.push(wifiPayload);
+
+  const mobileConfig = {
+    PayloadType: 'Configuration',
+    PayloadVersion: 1,
+    PayloadIdentifier: identifier,
+    PayloadUUID: payloadUUID(identifier),
+    PayloadDisplayName: displayName,
+    PayloadDescription: options.description || `Passpoint profile for ${domainName}`,
+    PayloadOrganization: options.organization || profile.home_friendly_name || domainName,
+    PayloadRemovalDisallowed: false,
+    PayloadContent: payloads,
+  };
+
+  return plist.build(mobileConfig);
+}
+
+module.exports = {
+  MOBILECONFIG_CONTENT_TYPE,
+  buildMobileConfig,
+};
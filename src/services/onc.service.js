@@ -0,0 +1,246 @@
+/**
+ * ONC service
+ * Reads Open Network Configuration (ONC) JSON, as used by ChromeOS device
+ * policies and the Android Management API, into networks with resolved
+ * certificate references and substitution variables
+ */
+const crypto = require('crypto');
+const certService = require('./cert.service');
+
+// ONC substitution variables, e.g. "${LOGIN_EMAIL}" in WiFi.EAP.Identity
+const SUBSTITUTION_PATTERN = /\$\{([A-Z0-9_]+)\}/g;
+
+const asList = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+/**
+ * Check whether JSON is an ONC document
+ * @param {object|string} input The parsed JSON or its text
+ * @returns {boolean} True for UnencryptedConfiguration/EncryptedConfiguration
+ *   documents and documents with NetworkConfigurations or Certificates lists
+ */
+function isOncDocument(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      return false;
+    }
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return false;
+  }
+  return data.Type === 'UnencryptedConfiguration'
+    || data.Type === 'EncryptedConfiguration'
+    || Array.isArray(data.NetworkConfigurations)
+    || Array.isArray(data.Certificates);
+}
+
+// Subject CN and SAN e-mail/UPN of a certificate, for the CERT_* variables
+function certificateVariables(pem, warnings, label) {
+  try {
+    const cert = new crypto.X509Certificate(pem);
+    const commonName = (cert.subject.match(/^CN=(.*)$/m) || [])[1];
+    const san = cert.subjectAltName || '';
+    const email = (san.match(/email:([^,\s]+)/) || [])[1];
+    const upn = (san.match(/othername:\s*UPN::([^,\s]+)/i) || [])[1];
+    return {
+      ...(commonName ? { CERT_SUBJECT_COMMON_NAME: commonName } : {}),
+      ...(email ? { CERT_SAN_EMAIL: email } : {}),
+      ...(upn ? { CERT_SAN_UPN: upn } : {}),
+    };
+  } catch (error) {
+    warnings.push(`${label}: the client certificate cannot be read, so the CERT_* variables have no value (${error.message})`);
+    return {};
+  }
+}
+
+function readCertificate(entry, index, warnings) {
+  const certificate = {
+    guid: entry.GUID || null,
+    type: entry.Type || null,
+    trust_bits: asList(entry.TrustBits),
+    x509: null,
+    pkcs12: null,
+    certificates: [],
+  };
+  if (!certificate.guid) {
+    warnings.push(`Certificates[${index}] has no GUID and cannot be referenced`);
+  }
+  if (entry.Remove) {
+    certificate.remove = true;
+    return certificate;
+  }
+
+  if (entry.X509) {
+    const der = certService.toDer(entry.X509);
+    if (der) {
+      certificate.x509 = certService.toPem(der);
+    } else {
+      warnings.push(`Certificates[${index}] (${certificate.guid}): X509 is not a PEM or base64 certificate`);
+    }
+  }
+  if (entry.PKCS12) {
+    certificate.pkcs12 = String(entry.PKCS12).replace(/\s/g, '');
+    try {
+      // ONC client certificates are imported with an empty password
+      certificate.certificates = certService.getPkcs12Certificates(certificate.pkcs12, '').map(der => certService.toPem(der));
+      certificate.encrypted = false;
+    } catch (error) {
+      // forge reports a wrong password as a MAC mismatch; any other failure means the data is damaged
+      certificate.encrypted = /Invalid password/i.test(error.message);
+      warnings.push(certificate.encrypted
+        ? `Certificates[${index}] (${certificate.guid}): PKCS12 cannot be opened without a password`
+        : `Certificates[${index}] (${certificate.guid}): PKCS12 cannot be read (${error.message})`);
+    }
+  }
+  return certificate;
+}
+
+// Replace ${NAME} in every string of a value; names without a value are left in place
+function substitute(value, variables, used) {
+  if (typeof value === 'string') {
+    return value.replace(SUBSTITUTION_PATTERN, (match, name) => {
+      const resolved = variables[name] !== undefined && variables[name] !== null;
+      used[name] = used[name] || resolved;
+      return resolved ? String(variables[name]) : match;
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, variables, used));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, variables, used)]));
+  }
+  return value;
+}
+
+function readEap(eap, certificatesByGuid, variables, warnings, label) {
+  const resolveRef = (guid, role) => {
+    const certificate = certificatesByGuid.get(guid);
+    if (!certificate) {
+      warnings.push(`${label}: ${role} ${guid} is not in Certificates`);
+      return { guid, type: null, found: false };
+    }
+    const pem = certificate.x509 || certificate.certificates[0];
+    return {
+      guid,
+      type: certificate.type,
+      found: true,
+      subject: pem ? certService.extractCertInfo(pem).subject : null,
+    };
+  };
+
+  // ServerCARef is the deprecated single-reference form of ServerCARefs
+  const serverCaRefs = [...asList(eap.ServerCARefs), ...asList(eap.ServerCARef)]
+    .filter((guid, index, all) => all.indexOf(guid) === index);
+  const clientCertType = eap.ClientCertType || (eap.ClientCertRef ? 'Ref' : 'None');
+  const clientCert = clientCertType === 'Ref' && eap.ClientCertRef
+    ? resolveRef(eap.ClientCertRef, 'ClientCertRef')
+    : null;
+
+  // The client certificate fills in the CERT_* variables when the caller did not
+  const clientPem = clientCert && clientCert.found
+    ? (certificatesByGuid.get(clientCert.guid).certificates[0] || certificatesByGuid.get(clientCert.guid).x509)
+    : null;
+  const allVariables = { ...(clientPem ? certificateVariables(clientPem, warnings, label) : {}), ...variables };
+
+  const used = {};
+  const fields = substitute({
+    identity: eap.Identity || null,
+    anonymous_identity: eap.AnonymousIdentity || null,
+    password: eap.Password || null,
+  }, allVariables, used);
+
+  return {
+    outer: eap.Outer || null,
+    inner: eap.Inner || null,
+    ...fields,
+    save_credentials: eap.SaveCredentials === undefined ? null : Boolean(eap.SaveCredentials),
+    use_system_cas: eap.UseSystemCAs === undefined ? null : Boolean(eap.UseSystemCAs),
+    server_ca_refs: serverCaRefs.map(guid => resolveRef(guid, 'ServerCARef')),
+    client_cert_type: clientCertType,
+    client_cert_ref: clientCert,
+    client_cert_pattern: eap.ClientCertPattern || null,
+    subject_match: eap.SubjectMatch || null,
+    subject_alternative_name_match: asList(eap.SubjectAlternativeNameMatch).map(match => ({ type: match.Type, value: match.Value })),
+    domain_suffix_match: asList(eap.DomainSuffixMatch),
+    // Lists rather than a name map, so a variable named PASSWORD is not taken for a password field
+    resolved_variables: Object.keys(used).filter(name => used[name]),
+    unresolved_variables: Object.keys(used).filter(name => !used[name]),
+  };
+}
+
+function readNetwork(entry, index, certificatesByGuid, variables, warnings) {
+  const label = `NetworkConfigurations[${index}] (${entry.Name || entry.GUID || 'unnamed'})`;
+  const network = {
+    guid: entry.GUID || null,
+    name: entry.Name || null,
+    type: entry.Type || null,
+  };
+  if (entry.Remove) {
+    return { ...network, remove: true };
+  }
+
+  const settings = entry[entry.Type] || {};
+  if (entry.Type === 'WiFi') {
+    network.ssid = settings.SSID || (settings.HexSSID ? Buffer.from(settings.HexSSID, 'hex').toString('utf8') : null);
+    network.security = settings.Security || null;
+    network.auto_connect = settings.AutoConnect === undefined ? null : Boolean(settings.AutoConnect);
+    network.hidden_ssid = settings.HiddenSSID === undefined ? null : Boolean(settings.HiddenSSID);
+    if (settings.Passphrase) {
+      network.passphrase = settings.Passphrase;
+    }
+  } else if (entry.Type !== 'Ethernet') {
+    warnings.push(`${label}: ${entry.Type} networks are listed but not read`);
+    return network;
+  }
+
+  if (settings.EAP) {
+    network.eap = readEap(settings.EAP, certificatesByGuid, variables, warnings, label);
+    network.eap.unresolved_variables
+      .forEach(name => warnings.push(`${label}: \${${name}} has no value and is left in place`));
+  }
+  return network;
+}
+
+/**
+ * Read an ONC document
+ * Certificate references (ServerCARefs, ServerCARef, ClientCertRef) are
+ * resolved against the Certificates list, and substitution variables such as
+ * ${LOGIN_EMAIL} are replaced with the given values. LOGIN_ID defaults to the
+ * part of LOGIN_EMAIL before the @, and the CERT_* variables come from the
+ * referenced client certificate
+ * @param {object|string} input The ONC JSON, parsed or as text
+ * @param {object} variables Substitution values keyed by variable name
+ * @returns {{type: string, networks: object[], certificates: object[], warnings: string[]}}
+ *   Certificates carry PEM `x509`, base64 `pkcs12` and the PEM `certificates` read from it
+ */
+function parseOnc(input, variables = {}) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!isOncDocument(data)) {
+    throw new Error('Document is not an ONC configuration');
+  }
+  if (data.Type === 'EncryptedConfiguration') {
+    throw new Error('Encrypted ONC files are not supported; export the configuration without a passphrase');
+  }
+
+  const values = { ...variables };
+  if (values.LOGIN_EMAIL && values.LOGIN_ID === undefined) {
+    values.LOGIN_ID = String(values.LOGIN_EMAIL).split('@')[0];
+  }
+
+  const warnings = [];
+  const certificates = asList(data.Certificates).map((entry, index) => readCertificate(entry, index, warnings));
+  const certificatesByGuid = new Map(certificates.filter(cert => cert.guid && !cert.remove).map(cert => [cert.guid, cert]));
+  const networks = asList(data.NetworkConfigurations)
+    .map((entry, index) => readNetwork(entry, index, certificatesByGuid, values, warnings));
+
+  console.log('[OncService] Read', networks.length, 'networks and', certificates.length, 'certificates');
+  return { type: data.Type || 'UnencryptedConfiguration', networks, certificates, warnings };
+}
+
+module.exports = {
+  isOncDocument,
+  parseOnc,
+};
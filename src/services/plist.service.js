@@ -0,0 +1,592 @@
+/**
+ * Property list service
+ * Reads and writes XML and binary (bplist00) property lists without losing
+ * plist types, so converted profiles can be saved back as plists.
+ *
+ * JSON and YAML can't tell <data>, <date> and <real> apart from strings and
+ * integers, so parsePlist also returns a `types` map of JSON Pointer -> type
+ * for those values. buildPlist applies the same map to edited data.
+ */
+
+const BPLIST_MAGIC = 'bplist00';
+const PLIST_CONTENT_TYPE = 'application/x-plist';
+
+// Seconds between the Unix epoch and the Core Foundation epoch (2001-01-01)
+const CF_EPOCH_OFFSET = 978307200;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n'
+  + '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">\n'
+  + '<plist version="1.0">\n';
+
+const xmlEntities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const pointerSegment = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+function isBinaryPlist(input) {
+  return Buffer.isBuffer(input) && input.length >= 8 && input.toString('latin1', 0, 8) === BPLIST_MAGIC;
+}
+
+// Integers beyond 2^53 can't be JSON numbers, so they are kept as strings
+function integerValue(bigValue, pointer, types) {
+  if (bigValue >= BigInt(Number.MIN_SAFE_INTEGER) && bigValue <= BigInt(Number.MAX_SAFE_INTEGER)) {
+    return Number(bigValue);
+  }
+  types[pointer] = 'integer';
+  return bigValue.toString();
+}
+
+/* ---------- XML ---------- */
+
+function decodeXmlText(text) {
+  return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, cdata, entity) => {
+    if (cdata !== undefined) return cdata;
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    if (!(entity in xmlEntities)) {
+      throw new Error(`Unknown XML entity &${entity};`);
+    }
+    return xmlEntities[entity];
+  });
+}
+
+function parseXmlPlist(text) {
+  const types = {};
+  // Drop the prolog, doctype and comments; the plist grammar needs nothing else
+  const source = text.replace(/^\uFEFF/, '').replace(/<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!--[\s\S]*?-->/g, '');
+  const tagPattern = /<(\/?)([A-Za-z]+)[^>]*?(\/?)>/g;
+  let position = 0;
+
+  const nextTag = () => {
+    tagPattern.lastIndex = position;
+    const match = tagPattern.exec(source);
+    if (!match) {
+      throw new Error('Unexpected end of plist XML');
+    }
+    if (source.slice(position, match.index).replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, 'x').trim()) {
+      throw new Error(`Unexpected text before <${match[1]}${match[2]}>`);
+    }
+    position = tagPattern.lastIndex;
+    return { closing: match[1] === '/', name: match[2], selfClosing: match[3] === '/' };
+  };
+
+  // Text up to the closing tag, which may contain CDATA sections
+  const readText = (name) => {
+    const closePattern = new RegExp(`</${name}\\s*>`, 'g');
+    let searchFrom = position;
+    let close;
+    for (;;) {
+      closePattern.lastIndex = searchFrom;
+      close = closePattern.exec(source);
+      if (!close) {
+        throw new Error(`Missing </${name}>`);
+      }
+      const cdataStart = source.lastIndexOf('<![CDATA[', close.index);
+      const cdataEnd = cdataStart === -1 ? -1 : source.indexOf(']]>', cdataStart);
+      if (cdataStart >= position && cdataEnd > close.index) {
+        searchFrom = cdataEnd + 3;
+        continue;
+      }
+      break;
+    }
+    const raw = source.slice(position, close.index);
+    position = closePattern.lastIndex;
+    return decodeXmlText(raw);
+  };
+
+  const readValue = (tag, pointer) => {
+    const { name, selfClosing } = tag;
+    switch (name) {
+      case 'dict': {
+        const dict = {};
+        if (selfClosing) return dict;
+        for (;;) {
+          const keyTag = nextTag();
+          if (keyTag.closing && keyTag.name === 'dict') return dict;
+          if (keyTag.name !== 'key') {
+            throw new Error(`Expected <key> in <dict>, found <${keyTag.name}>`);
+          }
+          const key = keyTag.selfClosing ? '' : readText('key');
+          const valueTag = nextTag();
+          if (valueTag.closing) {
+            throw new Error(`Missing value for key "${key}"`);
+          }
+          dict[key] = readValue(valueTag, `${pointer}/${pointerSegment(key)}`);
+        }
+      }
+      case 'array': {
+        const array = [];
+        if (selfClosing) return array;
+        for (;;) {
+          const itemTag = nextTag();
+          if (itemTag.closing && itemTag.name === 'array') return array;
+          array.push(readValue(itemTag, `${pointer}/${array.length}`));
+        }
+      }
+      case 'string':
+        return selfClosing ? '' : readText('string');
+      case 'integer': {
+        const text = readText('integer').trim();
+        if (!/^[-+]?\d+$/.test(text)) {
+          throw new Error(`Invalid <integer> "${text}"`);
+        }
+        return integerValue(BigInt(text), pointer, types);
+      }
+      case 'real': {
+        const text = readText('real').trim().toLowerCase();
+        types[pointer] = 'real';
+        if (text === 'nan') return NaN;
+        if (/^[+]?inf(inity)?$/.test(text)) return Infinity;
+        if (/^-inf(inity)?$/.test(text)) return -Infinity;
+        const number = Number(text);
+        if (text === '' || Number.isNaN(number)) {
+          throw new Error(`Invalid <real> "${text}"`);
+        }
+        return number;
+      }
+      case 'date': {
+        const date = new Date(readText('date').trim());
+        if (Number.isNaN(date.getTime())) {
+          throw new Error('Invalid <date>');
+        }
+        types[pointer] = 'date';
+        return date;
+      }
+      case 'data':
+        types[pointer] = 'data';
+        return Buffer.from(selfClosing ? '' : readText('data').replace(/\s/g, ''), 'base64');
+      case 'true':
+      case 'false':
+        if (!selfClosing) {
+          readText(name);
+        }
+        return name === 'true';
+      default:
+        throw new Error(`Unsupported plist element <${name}>`);
+    }
+  };
+
+  const plistTag = nextTag();
+  if (plistTag.name !== 'plist' || plistTag.closing) {
+    throw new Error('Not an XML property list');
+  }
+  const value = readValue(nextTag(), '');
+  const closeTag = nextTag();
+  if (!closeTag.closing || closeTag.name !== 'plist') {
+    throw new Error('Expected </plist>');
+  }
+  return { value, types };
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function formatReal(number) {
+  if (Number.isNaN(number)) return 'nan';
+  if (number === Infinity) return '+infinity';
+  if (number === -Infinity) return '-infinity';
+  return String(number);
+}
+
+function xmlValue(node, indent) {
+  const pad = '\t'.repeat(indent);
+  switch (node.type) {
+    case 'dict': {
+      if (node.entries.length === 0) return `${pad}<dict/>`;
+      const entries = node.entries.map(([key, child]) => `${pad}\t<key>${escapeXml(key)}</key>\n${xmlValue(child, indent + 1)}`);
+      return `${pad}<dict>\n${entries.join('\n')}\n${pad}</dict>`;
+    }
+    case 'array':
+      if (node.items.length === 0) return `${pad}<array/>`;
+      return `${pad}<array>\n${node.items.map(child => xmlValue(child, indent + 1)).join('\n')}\n${pad}</array>`;
+    case 'string':
+      return `${pad}<string>${escapeXml(node.value)}</string>`;
+    case 'integer':
+      return `${pad}<integer>${node.value.toString()}</integer>`;
+    case 'real':
+      return `${pad}<real>${formatReal(node.value)}</real>`;
+    case 'boolean':
+      return `${pad}<${node.value ? 'true' : 'false'}/>`;
+    case 'date':
+      return `${pad}<date>${node.value.toISOString().replace(/\.\d{3}Z$/, 'Z')}</date>`;
+    case 'data': {
+      const base64 = node.value.toString('base64').match(/.{1,68}/g) || [];
+      return `${pad}<data>\n${base64.map(line => `${pad}${line}`).join('\n')}\n${pad}</data>`;
+    }
+    case 'uid':
+      // XML plists spell UIDs as a CF$UID dictionary
+      return `${pad}<dict>\n${pad}\t<key>CF$UID</key>\n${pad}\t<integer>${node.value}</integer>\n${pad}</dict>`;
+    default:
+      throw new Error(`Cannot write plist type ${node.type}`);
+  }
+}
+
+/* ---------- Binary ---------- */
+
+function readSizedUInt(buffer, offset, size) {
+  let value = 0n;
+  for (let index = 0; index < size; index++) {
+    value = (value << 8n) | BigInt(buffer[offset + index]);
+  }
+  return value;
+}
+
+function parseBinaryPlist(buffer) {
+  const types = {};
+  if (buffer.length < 40) {
+    throw new Error('Binary plist is truncated');
+  }
+
+  const trailer = buffer.length - 32;
+  const offsetSize = buffer[trailer + 6];
+  const refSize = buffer[trailer + 7];
+  const objectCount = Number(readSizedUInt(buffer, trailer + 8, 8));
+  const topObject = Number(readSizedUInt(buffer, trailer + 16, 8));
+  const offsetTable = Number(readSizedUInt(buffer, trailer + 24, 8));
+  if (offsetTable + objectCount * offsetSize > trailer || topObject >= objectCount) {
+    throw new Error('Binary plist trailer is invalid');
+  }
+
+  const objectOffset = (ref) => {
+    if (ref >= objectCount) {
+      throw new Error(`Binary plist object reference ${ref} out of range`);
+    }
+    const offset = Number(readSizedUInt(buffer, offsetTable + ref * offsetSize, offsetSize));
+    if (offset < 8 || offset >= offsetTable) {
+      throw new Error('Binary plist offset out of range');
+    }
+    return offset;
+  };
+
+  // Lengths of 15 or more follow the marker as an integer object
+  const readLength = (offset, info) => {
+    if (info !== 0x0F) return { length: info, start: offset + 1 };
+    const intMarker = buffer[offset + 1];
+    if ((intMarker & 0xF0) !== 0x10) {
+      throw new Error('Binary plist length is not an integer');
+    }
+    const size = 1 << (intMarker & 0x0F);
+    return { length: Number(readSizedUInt(buffer, offset + 2, size)), start: offset + 2 + size };
+  };
+
+  const readRefs = (start, count) => Array.from({ length: count },
+    (unused, index) => Number(readSizedUInt(buffer, start + index * refSize, refSize)));
+
+  const visiting = new Set();
+  const readObject = (ref, pointer) => {
+    if (visiting.has(ref)) {
+      throw new Error('Binary plist contains a reference cycle');
+    }
+    const offset = objectOffset(ref);
+    const marker = buffer[offset];
+    const kind = marker >> 4;
+    const info = marker & 0x0F;
+
+    switch (kind) {
+      case 0x0:
+        if (info === 0x08 || info === 0x09) return info === 0x09;
+        if (info === 0x00) return null;
+        throw new Error(`Unsupported binary plist marker 0x${marker.toString(16)}`);
+      case 0x1: {
+        const size = 1 << info;
+        if (size === 16) {
+          // 128-bit integers carry values above 2^63 in the low 8 bytes
+          return integerValue(readSizedUInt(buffer, offset + 9, 8), pointer, types);
+        }
+        let value = readSizedUInt(buffer, offset + 1, size);
+        if (size === 8) value = BigInt.asIntN(64, value);
+        return integerValue(value, pointer, types);
+      }
+      case 0x2:
+        types[pointer] = 'real';
+        return info === 2 ? buffer.readFloatBE(offset + 1) : buffer.readDoubleBE(offset + 1);
+      case 0x3:
+        types[pointer] = 'date';
+        return new Date((buffer.readDoubleBE(offset + 1) + CF_EPOCH_OFFSET) * 1000);
+      case 0x4: {
+        const { length, start } = readLength(offset, info);
+        types[pointer] = 'data';
+        return Buffer.from(buffer.subarray(start, start + length));
+      }
+      case 0x5: {
+        const { length, start } = readLength(offset, info);
+        return buffer.toString('latin1', start, start + length);
+      }
+      case 0x6: {
+        const { length, start } = readLength(offset, info);
+        const utf16 = Buffer.from(buffer.subarray(start, start + length * 2));
+        return utf16.swap16().toString('utf16le');
+      }
+      case 0x8:
+        types[pointer] = 'uid';
+        return Number(readSizedUInt(buffer, offset + 1, info + 1));
+      case 0xA:
+      case 0xC: {
+        const { length, start } = readLength(offset, info);
+        visiting.add(ref);
+        const array = readRefs(start, length).map((itemRef, index) => readObject(itemRef, `${pointer}/${index}`));
+        visiting.delete(ref);
+        return array;
+      }
+      case 0xD: {
+        const { length, start } = readLength(offset, info);
+        const keyRefs = readRefs(start, length);
+        const valueRefs = readRefs(start + length * refSize, length);
+        visiting.add(ref);
+        const dict = {};
+        keyRefs.forEach((keyRef, index) => {
+          const key = readObject(keyRef, '');
+          if (typeof key !== 'string') {
+            throw new Error('Binary plist dictionary key is not a string');
+          }
+          dict[key] = readObject(valueRefs[index], `${pointer}/${pointerSegment(key)}`);
+        });
+        visiting.delete(ref);
+        return dict;
+      }
+      default:
+        throw new Error(`Unsupported binary plist marker 0x${marker.toString(16)}`);
+    }
+  };
+
+  return { value: readObject(topObject, ''), types };
+}
+
+function sizeForUInt(value) {
+  if (value < 0x100n) return 1;
+  if (value < 0x10000n) return 2;
+  if (value < 0x100000000n) return 4;
+  return 8;
+}
+
+function writeUInt(value, size) {
+  const bytes = Buffer.alloc(size);
+  let remaining = BigInt(value);
+  for (let index = size - 1; index >= 0; index--) {
+    bytes[index] = Number(remaining & 0xFFn);
+    remaining >>= 8n;
+  }
+  return bytes;
+}
+
+function integerBytes(value) {
+  const bigValue = BigInt(value);
+  if (bigValue < 0n) {
+    // Negative integers are always written as 8-byte two's complement
+    return Buffer.concat([Buffer.from([0x13]), writeUInt(BigInt.asUintN(64, bigValue), 8)]);
+  }
+  if (bigValue > 0x7FFFFFFFFFFFFFFFn) {
+    return Buffer.concat([Buffer.from([0x14]), Buffer.alloc(8), writeUInt(bigValue, 8)]);
+  }
+  const size = sizeForUInt(bigValue);
+  return Buffer.concat([Buffer.from([0x10 | Math.log2(size)]), writeUInt(bigValue, size)]);
+}
+
+function markerWithLength(kind, length) {
+  if (length < 0x0F) {
+    return Buffer.from([(kind << 4) | length]);
+  }
+  return Buffer.concat([Buffer.from([(kind << 4) | 0x0F]), integerBytes(length)]);
+}
+
+function buildBinaryFromNode(root) {
+  // Flatten the tree so every node is one object; children refer to objects by index
+  const objects = [];
+  const flatten = (node) => {
+    const index = objects.length;
+    const entry = { node };
+    objects.push(entry);
+    if (node.type === 'dict') {
+      entry.keyRefs = node.entries.map(([key]) => flatten({ type: 'string', value: key }));
+      entry.valueRefs = node.entries.map(([, child]) => flatten(child));
+    } else if (node.type === 'array') {
+      entry.valueRefs = node.items.map(flatten);
+    }
+    return index;
+  };
+  flatten(root);
+
+  const refSize = sizeForUInt(BigInt(objects.length));
+  const refs = (list) => Buffer.concat(list.map(ref => writeUInt(ref, refSize)));
+
+  const chunks = [Buffer.from(BPLIST_MAGIC, 'latin1')];
+  const offsets = [];
+  let offset = chunks[0].length;
+
+  objects.forEach(({ node, keyRefs, valueRefs }) => {
+    let bytes;
+    switch (node.type) {
+      case 'dict':
+        bytes = Buffer.concat([markerWithLength(0xD, keyRefs.length), refs(keyRefs), refs(valueRefs)]);
+        break;
+      case 'array':
+        bytes = Buffer.concat([markerWithLength(0xA, valueRefs.length), refs(valueRefs)]);
+        break;
+      case 'string':
+        // ASCII strings are one byte per character; anything else is written as UTF-16
+        if (Buffer.byteLength(node.value, 'utf8') === node.value.length) {
+          bytes = Buffer.concat([markerWithLength(0x5, node.value.length), Buffer.from(node.value, 'latin1')]);
+        } else {
+          const utf16 = Buffer.from(node.value, 'utf16le').swap16();
+          bytes = Buffer.concat([markerWithLength(0x6, utf16.length / 2), utf16]);
+        }
+        break;
+      case 'integer':
+        bytes = integerBytes(node.value);
+        break;
+      case 'real':
+        bytes = Buffer.alloc(9);
+        bytes[0] = 0x23;
+        bytes.writeDoubleBE(node.value, 1);
+        break;
+      case 'boolean':
+        bytes = Buffer.from([node.value ? 0x09 : 0x08]);
+        break;
+      case 'date':
+        bytes = Buffer.alloc(9);
+        bytes[0] = 0x33;
+        bytes.writeDoubleBE(node.value.getTime() / 1000 - CF_EPOCH_OFFSET, 1);
+        break;
+      case 'data':
+        bytes = Buffer.concat([markerWithLength(0x4, node.value.length), node.value]);
+        break;
+      case 'uid': {
+        const size = sizeForUInt(BigInt(node.value));
+        bytes = Buffer.concat([Buffer.from([0x80 | (size - 1)]), writeUInt(node.value, size)]);
+        break;
+      }
+      default:
+        throw new Error(`Cannot write plist type ${node.type}`);
+    }
+    offsets.push(offset);
+    chunks.push(bytes);
+    offset += bytes.length;
+  });
+
+  const offsetSize = sizeForUInt(BigInt(offset));
+  const offsetTable = Buffer.concat(offsets.map(objectOffset => writeUInt(objectOffset, offsetSize)));
+  const trailer = Buffer.alloc(32);
+  trailer[6] = offsetSize;
+  trailer[7] = refSize;
+  writeUInt(objects.length, 8).copy(trailer, 8);
+  writeUInt(0, 8).copy(trailer, 16);
+  writeUInt(offset, 8).copy(trailer, 24);
+
+  return Buffer.concat([...chunks, offsetTable, trailer]);
+}
+
+/* ---------- Typed tree ---------- */
+
+// Binary data coming back from the JSON output carries the bufferJsonReplacer prefix
+function decodeData(value, pointer) {
+  if (Buffer.isBuffer(value)) return value;
+  if (value && value.type === 'Buffer' && Array.isArray(value.data)) return Buffer.from(value.data);
+  const base64 = String(value).replace(/^base64:/, '').replace(/\s/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64) || base64.length % 4 !== 0) {
+    throw new Error(`Value at ${pointer || '/'} must be base64 <data>; restore or remove redacted binary data before saving`);
+  }
+  return Buffer.from(base64, 'base64');
+}
+
+/**
+ * Resolve every value to its plist type using the value itself and the types map
+ * @param {any} value The value to convert
+ * @param {object} types JSON Pointer -> 'data' | 'date' | 'real' | 'integer' | 'uid'
+ * @param {string} pointer The JSON Pointer of `value`
+ * @returns {object} A `{ type, value }` tree
+ */
+function toNode(value, types, pointer = '') {
+  const declared = types[pointer];
+
+  if (declared === 'data') return { type: 'data', value: decodeData(value, pointer) };
+  if (declared === 'date') {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Value at ${pointer || '/'} is not a valid <date>`);
+    }
+    return { type: 'date', value: date };
+  }
+  if (declared === 'real') {
+    const number = typeof value === 'string' ? Number(formatRealInput(value)) : Number(value);
+    if (typeof value === 'boolean' || (Number.isNaN(number) && !/nan/i.test(String(value)))) {
+      throw new Error(`Value at ${pointer || '/'} is not a valid <real>`);
+    }
+    return { type: 'real', value: number };
+  }
+  if (declared === 'integer' || declared === 'uid') {
+    if (!/^[-+]?\d+$/.test(String(value))) {
+      throw new Error(`Value at ${pointer || '/'} is not a valid <integer>`);
+    }
+    return { type: declared, value: BigInt(String(value)) };
+  }
+
+  if (value === null || value === undefined) {
+    throw new Error(`Value at ${pointer || '/'} is null; property lists have no null`);
+  }
+  if (Buffer.isBuffer(value) || (value.type === 'Buffer' && Array.isArray(value.data))) {
+    return { type: 'data', value: decodeData(value, pointer) };
+  }
+  if (value instanceof Date) return { type: 'date', value };
+  if (Array.isArray(value)) {
+    return { type: 'array', items: value.map((item, index) => toNode(item, types, `${pointer}/${index}`)) };
+  }
+  if (typeof value === 'object') {
+    return {
+      type: 'dict',
+      entries: Object.keys(value).map(key => [key, toNode(value[key], types, `${pointer}/${pointerSegment(key)}`)]),
+    };
+  }
+  if (typeof value === 'boolean') return { type: 'boolean', value };
+  if (typeof value === 'bigint') return { type: 'integer', value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { type: 'integer', value: BigInt(value) } : { type: 'real', value };
+  }
+  return { type: 'string', value: String(value) };
+}
+
+function formatRealInput(text) {
+  const lower = text.trim().toLowerCase();
+  if (/^[+]?inf(inity)?$/.test(lower)) return 'Infinity';
+  if (/^-inf(inity)?$/.test(lower)) return '-Infinity';
+  return lower;
+}
+
+/**
+ * Parse an XML or binary property list, keeping the types JSON would lose
+ * @param {Buffer|string} input The plist bytes or XML text
+ * @returns {{value: any, types: object, format: 'xml'|'binary'}} The parsed value,
+ *   with <data> as Buffers and <date> as Dates, and the types map for buildPlist
+ */
+function parsePlist(input) {
+  if (isBinaryPlist(input)) {
+    return { ...parseBinaryPlist(input), format: 'binary' };
+  }
+  const text = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+  return { ...parseXmlPlist(text), format: 'xml' };
+}
+
+/**
+ * Serialize data as an XML or binary property list
+ * Buffers become <data>, Dates <date>, non-integral numbers <real> and other
+ * numbers <integer>; the types map from parsePlist overrides this for values
+ * that were turned into strings or whole numbers on their way through JSON
+ * @param {any} value The data to write
+ * @param {object} options `format` ('xml' or 'binary', default 'xml') and `types`
+ * @returns {string|Buffer} XML text, or the bplist00 bytes
+ */
+function buildPlist(value, options = {}) {
+  const root = toNode(value, options.types || {});
+  if (options.format === 'binary') {
+    return buildBinaryFromNode(root);
+  }
+  return `${XML_HEADER}${xmlValue(root, 0)}\n</plist>\n`;
+}
+
+module.exports = {
+  BPLIST_MAGIC,
+  PLIST_CONTENT_TYPE,
+  isBinaryPlist,
+  parsePlist,
+  buildPlist,
+};
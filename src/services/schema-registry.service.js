@@ -0,0 +1,226 @@
+/**
+ * Passpoint schema registry
+ * Knows every revision of the Passpoint profile schema (the YAML served by
+ * GET /config and its JSON Schema counterpart), tells which revision a
+ * `passpoint-properties` document was written against, and upgrades documents
+ * to a later revision by applying declarative migration steps, reporting each
+ * change made
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+const SCHEMA_DIR = path.join(__dirname, '..', '..', 'schema');
+
+// Oldest first. `id` is the value documents carry in `$schema`. The latest
+// revision's JSON Schema is schema/passpoint.schema.json, older ones keep
+// their revision in the file name
+const SCHEMA_REVISIONS = [
+  {
+    revision: 'rev0',
+    id: 'https://wballiance.com/passpoint-schema.json',
+    config: 'passpoint_rev0.yml',
+    jsonSchema: 'passpoint-rev0.schema.json',
+    description: 'The original field list, with the credential realm, username and EAP method at the top level',
+  },
+  {
+    revision: 'rev1',
+    id: 'https://wballiance.com/passpoint-schema/rev1.json',
+    config: 'passpoint_rev1.yml',
+    jsonSchema: 'passpoint.schema.json',
+    description: 'Credential fields grouped under credential, with the inner method, password and certificates',
+  },
+];
+
+const LATEST_REVISION = SCHEMA_REVISIONS[SCHEMA_REVISIONS.length - 1].revision;
+
+// Upgrades from each revision to the next. Steps are applied in order; paths
+// are JSON Pointers into the document. Supported ops:
+//   move   { from, to }    - moves a value, leaving an existing target in place
+//   set    { path, value } - sets a value when the path is missing
+//   remove { path }        - drops a value
+// Steps marked `secret` keep their values out of the change report
+const MIGRATIONS = [
+  {
+    from: 'rev0',
+    to: 'rev1',
+    steps: ['realm', 'username', 'password', 'eap-method', 'inner-method', 'outer-identity', 'server-names',
+      'ca-certificate', 'client-certificate', 'client-certificate-password'].map(field => ({
+      op: 'move',
+      from: `/passpoint-properties/${field}`,
+      to: `/passpoint-properties/credential/${field}`,
+      description: `${field} is a credential field`,
+      secret: ['password', 'client-certificate', 'client-certificate-password'].includes(field),
+    })),
+  },
+];
+
+/**
+ * Look up a schema revision
+ * @param {string|number} [revision] 'rev1', 1 or the revision's `$schema` id;
+ *   the latest revision when left out
+ * @returns {object} The SCHEMA_REVISIONS entry
+ * @throws {Error} For revisions the registry does not know
+ */
+function schemaRevision(revision) {
+  if (revision === undefined || revision === null || revision === '') {
+    return schemaRevision(LATEST_REVISION);
+  }
+  const value = String(revision).trim();
+  const name = /^\d+$/.test(value) ? `rev${value}` : value.toLowerCase();
+  const entry = SCHEMA_REVISIONS.find(candidate => candidate.revision === name || candidate.id === value);
+  if (!entry) {
+    throw new Error(`Unknown schema revision "${revision}"; known revisions are ${SCHEMA_REVISIONS.map(candidate => candidate.revision).join(', ')}`);
+  }
+  return entry;
+}
+
+/**
+ * Tell which revision a `passpoint-properties` document was written against
+ * Documents without `$schema` predate revisions and are rev0
+ * @param {object} document The parsed document
+ * @returns {object} The SCHEMA_REVISIONS entry
+ * @throws {Error} When `$schema` names no known revision
+ */
+function documentRevision(document) {
+  const id = document && document.$schema;
+  return schemaRevision(id === undefined || id === null || id === '' ? SCHEMA_REVISIONS[0].revision : id);
+}
+
+/**
+ * Read the YAML schema of a revision, as served by GET /config
+ * @param {string|number} [revision] See schemaRevision
+ * @returns {string} The YAML text
+ */
+function readSchemaConfig(revision) {
+  return fs.readFileSync(path.join(CONFIG_DIR, schemaRevision(revision).config), 'utf8');
+}
+
+/**
+ * Load the JSON Schema of a revision
+ * @param {string|number} [revision] See schemaRevision
+ * @returns {object} The JSON Schema
+ */
+function readJsonSchema(revision) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, schemaRevision(revision).jsonSchema), 'utf8'));
+}
+
+// JSON Pointer segments, with ~1 and ~0 unescaped
+const segments = (pointer) => pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+// The value at a list of keys, undefined when any of them is missing
+const valueAt = (document, keys) => keys.reduce((value, key) => (
+  value !== undefined && value !== null && typeof value === 'object' ? value[key] : undefined
+), document);
+
+const getPointer = (document, pointer) => valueAt(document, segments(pointer));
+
+function setPointer(document, pointer, value) {
+  const keys = segments(pointer);
+  const parent = keys.slice(0, -1).reduce((object, key) => {
+    if (!object[key] || typeof object[key] !== 'object') {
+      object[key] = {};
+    }
+    return object[key];
+  }, document);
+  parent[keys[keys.length - 1]] = value;
+}
+
+function removePointer(document, pointer) {
+  const keys = segments(pointer);
+  const parent = valueAt(document, keys.slice(0, -1));
+  if (parent && typeof parent === 'object') {
+    delete parent[keys[keys.length - 1]];
+  }
+}
+
+// Applies one step, returning the change it made or null when there was nothing to change
+function applyStep(document, step) {
+  const reported = (value) => (step.secret ? '[REDACTED]' : value);
+  if (step.op === 'move') {
+    const value = getPointer(document, step.from);
+    if (value === undefined) {
+      return null;
+    }
+    const existing = getPointer(document, step.to);
+    removePointer(document, step.from);
+    if (existing !== undefined) {
+      return { op: 'remove', path: step.from, value: reported(value), description: `${step.description}; ${step.to} is already set, so ${step.from} was dropped` };
+    }
+    setPointer(document, step.to, value);
+    return { op: 'move', from: step.from, path: step.to, value: reported(value), description: step.description };
+  }
+  if (step.op === 'set') {
+    if (getPointer(document, step.path) !== undefined) {
+      return null;
+    }
+    setPointer(document, step.path, step.value);
+    return { op: 'set', path: step.path, value: reported(step.value), description: step.description };
+  }
+  if (step.op === 'remove') {
+    const value = getPointer(document, step.path);
+    if (value === undefined) {
+      return null;
+    }
+    removePointer(document, step.path);
+    return { op: 'remove', path: step.path, value: reported(value), description: step.description };
+  }
+  throw new Error(`Unknown migration op "${step.op}"`);
+}
+
+/**
+ * Upgrade a `passpoint-properties` document to a later schema revision
+ * Each migration between consecutive revisions is applied in turn, and the
+ * document's `$schema` is set to the target revision. The input is not changed
+ * @param {object} document The parsed document
+ * @param {string|number} [toRevision] The target revision, the latest by default
+ * @returns {{document: object, from: string, to: string, changes: object[]}}
+ *   `changes` hold `{ revision, op, from, path, value, description }`, in the order made
+ * @throws {Error} For unknown revisions, or a target older than the document
+ */
+function migrateDocument(document, toRevision) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('Profile document must be an object');
+  }
+  const from = documentRevision(document);
+  const to = schemaRevision(toRevision);
+  const fromIndex = SCHEMA_REVISIONS.indexOf(from);
+  const toIndex = SCHEMA_REVISIONS.indexOf(to);
+  if (toIndex < fromIndex) {
+    throw new Error(`Cannot migrate a ${from.revision} document back to ${to.revision}`);
+  }
+
+  const migrated = JSON.parse(JSON.stringify(document));
+  if (toIndex === fromIndex) {
+    return { document: migrated, from: from.revision, to: to.revision, changes: [] };
+  }
+
+  const changes = [];
+  for (let index = fromIndex; index < toIndex; index += 1) {
+    const migration = MIGRATIONS.find(candidate => candidate.from === SCHEMA_REVISIONS[index].revision);
+    const revision = SCHEMA_REVISIONS[index + 1].revision;
+    (migration ? migration.steps : []).forEach(step => {
+      const change = applyStep(migrated, step);
+      if (change) {
+        changes.push({ revision, ...change });
+      }
+    });
+  }
+  changes.push({ revision: to.revision, op: 'set', path: '/$schema', value: to.id, description: `The document is written against ${to.revision}` });
+
+  console.log(`[SchemaRegistry] Migrated document from ${from.revision} to ${to.revision} (${changes.length} changes)`);
+  // $schema goes first, as in the schema files
+  delete migrated.$schema;
+  return { document: { $schema: to.id, ...migrated }, from: from.revision, to: to.revision, changes };
+}
+
+module.exports = {
+  LATEST_REVISION,
+  MIGRATIONS,
+  SCHEMA_REVISIONS,
+  documentRevision,
+  migrateDocument,
+  readJsonSchema,
+  readSchemaConfig,
+  schemaRevision,
+};
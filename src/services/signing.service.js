@@ -0,0 +1,467 @@
+/**
+ * Profile signing service
+ * Holds the identity used to sign exported profiles, and creates and verifies
+ * CMS SignedData envelopes
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const forge = require('node-forge');
+
+const DEFAULT_CERT_PATH = path.join(__dirname, '../../certs/cert.pem');
+const DEFAULT_KEY_PATH = path.join(__dirname, '../../certs/key.pem');
+
+const OID_SIGNED_DATA = forge.pki.oids.signedData;
+const OID_CONTENT_TYPE = forge.pki.oids.contentType;
+const OID_MESSAGE_DIGEST = forge.pki.oids.messageDigest;
+const OID_SIGNING_TIME = forge.pki.oids.signingTime;
+
+const { asn1 } = forge;
+
+// Split PEM text into the DER bytes of each CERTIFICATE block
+function pemCertificates(text) {
+  const blocks = String(text || '').match(/-----BEGIN CERTIFICATE-----[\s\S]*?-----END CERTIFICATE-----/g) || [];
+  return blocks.map(block => Buffer.from(block.replace(/-----[^-]+-----|\s/g, ''), 'base64'));
+}
+
+function toForgeAsn1(der) {
+  return asn1.fromDer(forge.util.createBuffer(der.toString('binary')));
+}
+
+function asn1ToBuffer(node) {
+  return Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+}
+
+// OCTET STRING content may be split into constructed chunks in BER encodings
+function octetStringBytes(node) {
+  if (Array.isArray(node.value)) {
+    return node.value.map(octetStringBytes).join('');
+  }
+  return node.value;
+}
+
+function stripLeadingZeros(hex) {
+  return hex.toUpperCase().replace(/^0+(?=.)/, '');
+}
+
+function isSelfSigned(certificate) {
+  return certificate.checkIssued(certificate) && certificate.verify(certificate.publicKey);
+}
+
+/**
+ * Summarise a certificate for API responses; never includes key material
+ * @param {crypto.X509Certificate} certificate The certificate
+ * @returns {object} Subject, issuer, validity and fingerprints
+ */
+function describeCertificate(certificate) {
+  const now = Date.now();
+  return {
+    subject: certificate.subject,
+    issuer: certificate.issuer,
+    serialNumber: certificate.serialNumber,
+    validFrom: certificate.validFrom,
+    validTo: certificate.validTo,
+    fingerprint: certificate.fingerprint,
+    fingerprint256: certificate.fingerprint256,
+    selfSigned: isSelfSigned(certificate),
+    expired: new Date(certificate.validTo).getTime() < now,
+    notYetValid: new Date(certificate.validFrom).getTime() > now,
+  };
+}
+
+// Walk from a certificate up through the issuers found in `pool`
+function buildChain(certificate, pool) {
+  const chain = [certificate];
+  let current = certificate;
+  while (!isSelfSigned(current) && chain.length <= pool.length) {
+    const issuer = pool.find(candidate => !chain.includes(candidate)
+      && current.checkIssued(candidate) && current.verify(candidate.publicKey));
+    if (!issuer) {
+      break;
+    }
+    chain.push(issuer);
+    current = issuer;
+  }
+  return chain;
+}
+
+function parseSignedAttributes(node) {
+  const attributes = {};
+  (node.value || []).forEach(attribute => {
+    const oid = asn1.derToOid(attribute.value[0].value);
+    const value = attribute.value[1].value[0];
+    if (oid === OID_CONTENT_TYPE) {
+      attributes.contentType = asn1.derToOid(value.value);
+    } else if (oid === OID_MESSAGE_DIGEST) {
+      attributes.messageDigest = Buffer.from(octetStringBytes(value), 'binary');
+    } else if (oid === OID_SIGNING_TIME) {
+      attributes.signingTime = value.type === asn1.Type.UTCTIME
+        ? asn1.utcTimeToDate(value.value)
+        : asn1.generalizedTimeToDate(value.value);
+    }
+  });
+  return attributes;
+}
+
+function parseSignerInfo(node) {
+  const fields = node.value;
+  const signerInfo = { version: fields[0].value.charCodeAt(0) };
+  let index = 1;
+
+  const sid = fields[index++];
+  if (sid.tagClass === asn1.Class.UNIVERSAL) {
+    signerInfo.serialNumber = stripLeadingZeros(forge.util.bytesToHex(sid.value[1].value));
+  }
+  signerInfo.digestAlgorithm = forge.pki.oids[asn1.derToOid(fields[index++].value[0].value)];
+
+  if (fields[index].tagClass === asn1.Class.CONTEXT_SPECIFIC && fields[index].type === 0) {
+    const signedAttributes = fields[index++];
+    signerInfo.signedAttributes = parseSignedAttributes(signedAttributes);
+    // The signature covers the attributes re-tagged as a SET OF
+    signerInfo.signedAttributesDer = asn1ToBuffer(signedAttributes);
+    signerInfo.signedAttributesDer[0] = 0x31;
+  }
+  index++; // signatureAlgorithm, implied by the signer's key
+  signerInfo.signature = Buffer.from(fields[index].value, 'binary');
+  return signerInfo;
+}
+
+/**
+ * Parse a DER CMS ContentInfo holding SignedData
+ * @param {Buffer} der The DER bytes
+ * @returns {{contentType: string, content: Buffer, certificates: crypto.X509Certificate[], signerInfos: object[]}}
+ */
+function parseSignedData(der) {
+  const contentInfo = toForgeAsn1(der);
+  if (asn1.derToOid(contentInfo.value[0].value) !== OID_SIGNED_DATA) {
+    throw new Error('CMS content is not SignedData');
+  }
+
+  const signedData = contentInfo.value[1].value[0].value;
+  const encapsulated = signedData[2];
+  const contentType = asn1.derToOid(encapsulated.value[0].value);
+  const content = encapsulated.value[1]
+    ? Buffer.from(octetStringBytes(encapsulated.value[1].value[0]), 'binary')
+    : null;
+
+  let certificates = [];
+  let signerInfos = [];
+  signedData.slice(3).forEach(field => {
+    if (field.tagClass === asn1.Class.CONTEXT_SPECIFIC && field.type === 0) {
+      certificates = field.value.map(certificate => new crypto.X509Certificate(asn1ToBuffer(certificate)));
+    } else if (field.tagClass === asn1.Class.UNIVERSAL && field.type === asn1.Type.SET) {
+      signerInfos = field.value.map(parseSignerInfo);
+    }
+  });
+
+  return { contentType, content, certificates, signerInfos };
+}
+
+function verifySigner(signerInfo, content, certificates) {
+  const result = {
+    digestAlgorithm: signerInfo.digestAlgorithm,
+    signingTime: signerInfo.signedAttributes && signerInfo.signedAttributes.signingTime
+      ? signerInfo.signedAttributes.signingTime.toISOString()
+      : null,
+    digestValid: false,
+    signatureValid: false,
+    certificate: null,
+    chain: [],
+  };
+
+  const signedBytes = signerInfo.signedAttributesDer || content;
+  if (signerInfo.signedAttributes) {
+    const digest = crypto.createHash(signerInfo.digestAlgorithm).update(content).digest();
+    result.digestValid = Boolean(signerInfo.signedAttributes.messageDigest)
+      && digest.equals(signerInfo.signedAttributes.messageDigest);
+  } else {
+    result.digestValid = true;
+  }
+
+  // Prefer the certificate named by issuer and serial, then any whose key verifies
+  const candidates = [
+    ...certificates.filter(certificate => stripLeadingZeros(certificate.serialNumber) === signerInfo.serialNumber),
+    ...certificates,
+  ];
+  const signer = candidates.find(certificate => {
+    try {
+      return crypto.verify(signerInfo.digestAlgorithm, signedBytes, certificate.publicKey, signerInfo.signature);
+    } catch {
+      return false;
+    }
+  });
+
+  if (signer) {
+    result.signatureValid = true;
+    result.certificate = describeCertificate(signer);
+    result.chain = buildChain(signer, certificates).map(describeCertificate);
+  }
+  return result;
+}
+
+class SigningService {
+  constructor() {
+    this.uploadedIdentity = null;
+    this.configuredIdentity = undefined;
+  }
+
+  /**
+   * Read an identity from PEM certificate/key text or from a PKCS#12 bundle
+   * @param {object} source `{ certificate, privateKey, chain, password }` with PEM
+   *   text, or `{ pkcs12, password }` with base64 or raw PKCS#12 bytes
+   * @returns {object} The identity: signer certificate, chain and private key
+   */
+  parseIdentity(source) {
+    let certificates;
+    let privateKey;
+
+    if (source.pkcs12) {
+      const der = Buffer.isBuffer(source.pkcs12)
+        ? source.pkcs12
+        : Buffer.from(String(source.pkcs12).replace(/\s/g, ''), 'base64');
+      const p12 = forge.pkcs12.pkcs12FromAsn1(toForgeAsn1(der), source.password || '');
+      const keyBags = [
+        ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+        ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || []),
+      ];
+      if (keyBags.length === 0 || !keyBags[0].key) {
+        throw new Error('PKCS#12 bundle has no private key');
+      }
+      privateKey = crypto.createPrivateKey(forge.pki.privateKeyToPem(keyBags[0].key));
+      const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+      certificates = certBags
+        .filter(bag => bag.cert)
+        .map(bag => asn1ToBuffer(forge.pki.certificateToAsn1(bag.cert)));
+    } else {
+      if (!source.certificate || !source.privateKey) {
+        throw new Error('A signing identity needs a certificate and a private key, or a PKCS#12 bundle');
+      }
+      privateKey = crypto.createPrivateKey({ key: source.privateKey, passphrase: source.password || undefined });
+      certificates = [...pemCertificates(source.certificate), ...pemCertificates(source.chain)];
+    }
+
+    if (privateKey.asymmetricKeyType !== 'rsa') {
+      throw new Error(`Signing keys must be RSA, got ${privateKey.asymmetricKeyType}`);
+    }
+
+    const publicKeyDer = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+    const x509s = certificates.map(der => new crypto.X509Certificate(der));
+    const signer = x509s.find(certificate => certificate.publicKey.export({ type: 'spki', format: 'der' }).equals(publicKeyDer));
+    if (!signer) {
+      throw new Error('No certificate matches the private key');
+    }
+
+    return {
+      certificate: signer,
+      chain: buildChain(signer, x509s).slice(1),
+      privateKey,
+    };
+  }
+
+  /**
+   * Load the identity configured through SIGNING_PKCS12 (+ SIGNING_PKCS12_PASSWORD)
+   * or SIGNING_CERT/SIGNING_KEY/SIGNING_CHAIN, falling back to certs/cert.pem and
+   * certs/key.pem
+   * @returns {object|null} The identity, or null when none is configured
+   */
+  loadConfiguredIdentity() {
+    try {
+      if (process.env.SIGNING_PKCS12) {
+        return {
+          ...this.parseIdentity({
+            pkcs12: fs.readFileSync(process.env.SIGNING_PKCS12),
+            password: process.env.SIGNING_PKCS12_PASSWORD,
+          }),
+          source: 'config',
+        };
+      }
+
+      const certPath = process.env.SIGNING_CERT || DEFAULT_CERT_PATH;
+      const keyPath = process.env.SIGNING_KEY || DEFAULT_KEY_PATH;
+      if (!fs.existsSync(certPath) || !fs.existsSync(keyPath)) {
+        return null;
+      }
+      return {
+        ...this.parseIdentity({
+          certificate: fs.readFileSync(certPath, 'utf8'),
+          privateKey: fs.readFileSync(keyPath, 'utf8'),
+          chain: process.env.SIGNING_CHAIN ? fs.readFileSync(process.env.SIGNING_CHAIN, 'utf8') : '',
+          password: process.env.SIGNING_KEY_PASSWORD,
+        }),
+        source: 'config',
+      };
+    } catch (error) {
+      console.error('[SigningService] Could not load configured signing identity:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * The active identity: an uploaded one if set, otherwise the configured one
+   * @returns {object|null}
+   */
+  getIdentity() {
+    if (this.uploadedIdentity) {
+      return this.uploadedIdentity;
+    }
+    if (this.configuredIdentity === undefined) {
+      this.configuredIdentity = this.loadConfiguredIdentity();
+    }
+    return this.configuredIdentity;
+  }
+
+  /**
+   * Replace the active identity until the server restarts or it is reset
+   * The identity is test-signed before it is accepted
+   * @param {object} source See parseIdentity
+   * @returns {object} The identity description
+   */
+  setIdentity(source) {
+    const identity = { ...this.parseIdentity(source), source: 'upload' };
+    this.signWith(identity, Buffer.from('signing identity check'));
+    this.uploadedIdentity = identity;
+    console.log('[SigningService] Signing identity uploaded:', identity.certificate.subject);
+    return this.describeIdentity();
+  }
+
+  /**
+   * Drop an uploaded identity and go back to the configured one
+   * @returns {object} The identity description
+   */
+  resetIdentity() {
+    this.uploadedIdentity = null;
+    this.configuredIdentity = undefined;
+    console.log('[SigningService] Signing identity reset to configuration');
+    return this.describeIdentity();
+  }
+
+  /**
+   * Describe the active identity without exposing the private key
+   * @returns {object} `{ configured, source, certificate, chain }`
+   */
+  describeIdentity() {
+    const identity = this.getIdentity();
+    if (!identity) {
+      return { configured: false };
+    }
+    return {
+      configured: true,
+      source: identity.source,
+      keyType: identity.privateKey.asymmetricKeyType,
+      certificate: describeCertificate(identity.certificate),
+      chain: identity.chain.map(describeCertificate),
+    };
+  }
+
+  signWith(identity, content) {
+    const p7 = forge.pkcs7.createSignedData();
+    p7.content = forge.util.createBuffer(content.toString('binary'));
+
+    const toForgeCertificate = certificate => forge.pki.certificateFromAsn1(toForgeAsn1(certificate.raw));
+    const signerCertificate = toForgeCertificate(identity.certificate);
+    p7.addCertificate(signerCertificate);
+    identity.chain.forEach(certificate => p7.addCertificate(toForgeCertificate(certificate)));
+
+    p7.addSigner({
+      key: forge.pki.privateKeyFromPem(identity.privateKey.export({ type: 'pkcs8', format: 'pem' })),
+      certificate: signerCertificate,
+      digestAlgorithm: forge.pki.oids.sha256,
+      authenticatedAttributes: [
+        { type: OID_CONTENT_TYPE, value: forge.pki.oids.data },
+        { type: OID_MESSAGE_DIGEST },
+        { type: OID_SIGNING_TIME, value: new Date() },
+      ],
+    });
+    p7.sign();
+    const signed = asn1ToBuffer(p7.toAsn1());
+
+    // Self-check: the envelope must verify, carry the content unchanged and name our certificate
+    const verification = this.verifySignedData(signed);
+    const signer = verification.signers[0];
+    if (!verification.valid || !verification.content.equals(content)
+      || !signer || signer.certificate.fingerprint256 !== identity.certificate.fingerprint256) {
+      throw new Error(`Signature self-check failed${verification.errors.length ? `: ${verification.errors.join('; ')}` : ''}`);
+    }
+    return { signed, verification };
+  }
+
+  /**
+   * Sign content with the active identity
+   * @param {Buffer|string} content The bytes to wrap, e.g. the mobileconfig XML
+   * @returns {{signed: Buffer, verification: object, warnings: string[]}} The DER
+   *   SignedData, the self-check result and warnings such as an expired signer
+   */
+  sign(content) {
+    const identity = this.getIdentity();
+    if (!identity) {
+      throw new Error('No signing identity is configured');
+    }
+
+    const { signed, verification } = this.signWith(identity, Buffer.from(content));
+    const warnings = [];
+    [identity.certificate, ...identity.chain].map(describeCertificate).forEach(certificate => {
+      if (certificate.expired) warnings.push(`Certificate ${certificate.subject} expired on ${certificate.validTo}`);
+      if (certificate.notYetValid) warnings.push(`Certificate ${certificate.subject} is not valid before ${certificate.validFrom}`);
+    });
+    if (identity.chain.length === 0 && !isSelfSigned(identity.certificate)) {
+      warnings.push('Signing chain is incomplete; devices may not trust the signer');
+    }
+    warnings.forEach(warning => console.warn('[SigningService]', warning));
+
+    console.log('[SigningService] Signed', Buffer.byteLength(content), 'bytes as', identity.certificate.subject);
+    return { signed, verification, warnings };
+  }
+
+  /**
+   * Check whether bytes are a DER CMS SignedData envelope, e.g. a signed mobileconfig
+   * @param {Buffer} der The file bytes
+   * @returns {boolean} True if the ContentInfo holds SignedData
+   */
+  isSignedData(der) {
+    if (!Buffer.isBuffer(der) || der.length < 16 || der[0] !== 0x30) {
+      return false;
+    }
+    try {
+      const contentInfo = toForgeAsn1(der);
+      return asn1.derToOid(contentInfo.value[0].value) === OID_SIGNED_DATA;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Verify a DER CMS SignedData envelope
+   * Checks the content digest and signature of every signer and rebuilds each
+   * signer's chain from the embedded certificates. Trust in the chain's root
+   * is left to the caller.
+   * @param {Buffer} der The DER bytes
+   * @returns {object} `{ valid, contentType, content, signers, certificates, errors }`
+   */
+  verifySignedData(der) {
+    const errors = [];
+    const { contentType, content, certificates, signerInfos } = parseSignedData(der);
+    if (!content) {
+      errors.push('SignedData is detached; no content to verify');
+    }
+    if (signerInfos.length === 0) {
+      errors.push('SignedData has no signers');
+    }
+
+    const signers = content ? signerInfos.map(signerInfo => verifySigner(signerInfo, content, certificates)) : [];
+    signers.forEach((signer, index) => {
+      if (!signer.digestValid) errors.push(`Signer ${index + 1}: content digest does not match`);
+      if (!signer.signatureValid) errors.push(`Signer ${index + 1}: signature does not verify against any embedded certificate`);
+    });
+
+    return {
+      valid: errors.length === 0,
+      contentType,
+      content,
+      signers,
+      certificates: certificates.map(describeCertificate),
+      errors,
+    };
+  }
+}
+
+module.exports = new SigningService();
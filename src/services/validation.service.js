@@ -0,0 +1,147 @@
+/**
+ * Passpoint profile validation service
+ * Compiles the JSON Schema 2020-12 of each schema revision (the
+ * passpoint_rev<n>.yml fields; schema/passpoint.schema.json for the latest,
+ * schema/passpoint-rev<n>.schema.json for older ones) with Ajv and reports each violation with
+ * the JSON Pointer of the offending value, the value itself and the
+ * description of the schema field it breaks
+ */
+const Ajv2020 = require('ajv/dist/2020');
+const { mapProfileToPasspointProperties } = require('./mapping.service');
+const { documentRevision, readJsonSchema, schemaRevision } = require('./schema-registry.service');
+
+// Where each passpoint-properties field of the latest revision is kept in the canonical profile document
+const PROFILE_POINTERS = {
+  'home-friendly-name': '/passpoint_profile/home_friendly_name',
+  'home-ois': '/passpoint_profile/home_ois',
+  'roaming-consortiums': '/passpoint_profile/roaming_consortiums',
+  'home-domain': '/passpoint_profile/home_domain',
+  'other-home-partner-fqdns': '/passpoint_profile/other_home_partner_fqdns',
+  'preferred-roaming-partners': '/passpoint_profile/preferred_roaming_partners',
+  'credential-priority': '/passpoint_profile/credential_priority',
+  'aaa-server-check': '/passpoint_profile/aaa_server_check',
+  'credential/realm': '/passpoint_profile/nai_realm/name',
+  'credential/username': '/passpoint_profile/credential/username',
+  'credential/password': '/passpoint_profile/credential/password',
+  'credential/eap-method': '/passpoint_profile/nai_realm/eap_methods/0/eap_type',
+  'credential/inner-method': '/passpoint_profile/nai_realm/eap_methods/0/inner_auth',
+  'credential/outer-identity': '/passpoint_profile/credential/outer_identity',
+  'credential/server-names': '/passpoint_profile/credential/server_names',
+  'credential/ca-certificate': '/passpoint_profile/credential/ca_certificate',
+  'credential/client-certificate': '/passpoint_profile/credential/client_certificate',
+  'credential/client-certificate-password': '/passpoint_profile/credential/client_certificate_password',
+};
+
+// Validators by revision, each compiled on first use so the service costs nothing unless validation is asked for
+const compiledSchemas = {};
+
+function compiledSchema(revision) {
+  if (!compiledSchemas[revision]) {
+    const ajv = new Ajv2020({ allErrors: true, verbose: true });
+    compiledSchemas[revision] = ajv.compile(readJsonSchema(revision));
+  }
+  return compiledSchemas[revision];
+}
+
+/**
+ * Translate a pointer into the passpoint-properties document into the
+ * matching pointer of the canonical profile document
+ * @param {string} pointer JSON Pointer into a latest-revision `{ 'passpoint-properties': ... }`
+ * @returns {string|undefined} Undefined for fields the profile does not have
+ */
+function profilePointer(pointer) {
+  const [, root, ...rest] = pointer.split('/');
+  // Credential fields sit one level down
+  const field = rest[0] === 'credential' ? rest.splice(0, 2).join('/') : rest.shift();
+  if (root !== 'passpoint-properties' || !PROFILE_POINTERS[field]) {
+    return undefined;
+  }
+  // OIs are kept as { name, value, ... } objects in the profile
+  const tail = rest.map(segment => (segment === 'home-oi' ? 'value' : segment));
+  if (field === 'roaming-consortiums' && tail.length === 1) {
+    tail.push('value');
+  }
+  return [PROFILE_POINTERS[field], ...tail].join('/');
+}
+
+function toViolation(error) {
+  let pointer = error.instancePath;
+  let value = error.data;
+  let description = error.parentSchema && error.parentSchema.description;
+
+  // Missing properties are reported against their parent; point at the property itself
+  if (error.keyword === 'required') {
+    const missing = error.params.missingProperty;
+    const property = error.parentSchema.properties && error.parentSchema.properties[missing];
+    pointer = `${pointer}/${missing.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    value = undefined;
+    description = property && property.description;
+  }
+
+  return {
+    pointer,
+    value,
+    message: error.message,
+    description,
+    keyword: error.keyword
+  };
+}
+
+/**
+ * Validate a `passpoint-properties` document against the schema revision it
+ * names in `$schema` (rev0 when it has none)
+ * @param {object} document `{ $schema, 'passpoint-properties': { ... } }`
+ * @returns {{valid: boolean, violations: object[], revision: string}}
+ *   `violations` hold `{ pointer, value, message, description, keyword }`
+ */
+function validatePasspointDocument(document) {
+  const { revision } = documentRevision(document);
+  const validate = compiledSchema(revision);
+  const valid = validate(document);
+  const violations = valid ? [] : validate.errors.map(toViolation);
+  console.log(`[ValidationService] Document is ${valid ? 'valid' : `invalid (${violations.length} violations)`} against ${revision}`);
+  return { valid, violations, revision };
+}
+
+/**
+ * Validate a canonical profile
+ * The profile is written in the shape of the latest schema revision first;
+ * each violation also gets `profilePointer`, where the value sits in the
+ * `{ passpoint_profile }` document
+ * @param {object} profile The passpoint_profile of a mapToYamlSchema document
+ * @returns {{valid: boolean, violations: object[], revision: string, document: object}}
+ */
+function validateProfile(profile) {
+  const document = mapProfileToPasspointProperties(profile);
+  const { valid, violations } = validatePasspointDocument(document);
+  return {
+    valid,
+    violations: violations.map(violation => ({ ...violation, profilePointer: profilePointer(violation.pointer) })),
+    revision: schemaRevision().revision,
+    document
+  };
+}
+
+/**
+ * Turn violations into response alerts
+ * @param {object[]} violations From validatePasspointDocument or validateProfile
+ * @returns {object[]} Alerts of type 'schema_violation'
+ */
+function validationAlerts(violations) {
+  return violations.map(violation => ({
+    type: 'schema_violation',
+    severity: 'error',
+    // Converted profiles are shown as filteredYaml, so point into that when we can
+    message: `${violation.profilePointer || violation.pointer || '/'} ` +
+      (violation.keyword === 'pattern' ? 'has an invalid format' : violation.message) +
+      (violation.value !== undefined ? ` (got ${JSON.stringify(violation.value)})` : '') +
+      (violation.description ? `. ${violation.description}` : ''),
+    details: violation
+  }));
+}
+
+module.exports = {
+  validatePasspointDocument,
+  validateProfile,
+  validationAlerts,
+};
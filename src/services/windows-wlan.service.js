@@ -0,0 +1,398 @@
+/**
+ * Windows WLAN profile service
+ * Builds `netsh wlan add profile` XML with a Hotspot2 element and an
+ * EapHostConfig from a profile in the mapToYamlSchema shape, and reads
+ * `netsh wlan export profile` XML back
+ */
+const crypto = require('crypto');
+const xml2js = require('xml2js');
+const certService = require('./cert.service');
+const eapRegistry = require('./eap-registry.service');
+
+const WLAN_PROFILE_NS = 'http://www.microsoft.com/networking/WLAN/profile/v1';
+const ONEX_NS = 'http://www.microsoft.com/networking/OneX/v1';
+const EAP_HOST_CONFIG_NS = 'http://www.microsoft.com/provisioning/EapHostConfig';
+const EAP_COMMON_NS = 'http://www.microsoft.com/provisioning/EapCommon';
+const BASE_EAP_NS = 'http://www.microsoft.com/provisioning/BaseEapConnectionPropertiesV1';
+const EAP_TLS_NS = 'http://www.microsoft.com/provisioning/EapTlsConnectionPropertiesV1';
+const EAP_TLS_V2_NS = 'http://www.microsoft.com/provisioning/EapTlsConnectionPropertiesV2';
+const MS_PEAP_NS = 'http://www.microsoft.com/provisioning/MsPeapConnectionPropertiesV1';
+const MS_PEAP_V2_NS = 'http://www.microsoft.com/provisioning/MsPeapConnectionPropertiesV2';
+const MS_CHAPV2_NS = 'http://www.microsoft.com/provisioning/MsChapV2ConnectionPropertiesV1';
+const EAP_TTLS_NS = 'http://www.microsoft.com/provisioning/EapTtlsConnectionPropertiesV1';
+
+// EAP methods Windows profiles are built for, by registry name, and the EapHost
+// method author (311 is Microsoft's TTLS, 0 the IETF methods)
+const windowsEapAuthors = {
+  TLS: 0,
+  TTLS: 311,
+  PEAP: 0,
+};
+
+// Content of the TTLS Phase2Authentication elements the EAP registry names, where it is not empty
+const ttlsPhase2Content = {
+  MSCHAPV2: { UseWinlogonCredentials: 'false' },
+};
+
+const withNs = (ns, value) => ({ $: { xmlns: ns }, _: String(value) });
+
+// Windows identifies trusted roots by SHA-1 thumbprint written as spaced hex bytes
+function rootCaThumbprint(credential) {
+  if (!credential.ca_certificate) {
+    return null;
+  }
+  const der = certService.toDer(credential.ca_certificate);
+  if (!der) {
+    throw new Error('credential.ca_certificate is not a PEM or base64 certificate');
+  }
+  return crypto.createHash('sha1').update(der).digest('hex').match(/../g).join(' ');
+}
+
+function serverNames(credential) {
+  return Array.isArray(credential.server_names) ? credential.server_names.join(';') : '';
+}
+
+function buildTtlsConfig(method, credential, thumbprint) {
+  const inner = eapRegistry.innerMethod('TTLS', method.inner_auth);
+  if (!inner || inner.eap) {
+    throw new Error(`Inner method "${method.inner_auth}" is not supported by Windows TTLS`);
+  }
+
+  const serverValidation = { ServerNames: serverNames(credential) };
+  if (thumbprint) {
+    serverValidation.TrustedRootCAHash = thumbprint;
+  }
+  serverValidation.DisablePrompt = 'false';
+
+  const ttls = {
+    $: { xmlns: EAP_TTLS_NS },
+    ServerValidation: serverValidation,
+    Phase2Authentication: { [inner.method.windows]: ttlsPhase2Content[inner.name] || '' },
+    Phase1Identity: credential.outer_identity
+      ? { IdentityPrivacy: 'true', AnonymousIdentity: credential.outer_identity }
+      : { IdentityPrivacy: 'false' },
+  };
+  return { EapTtls: ttls };
+}
+
+function buildServerValidation(credential, thumbprint) {
+  const serverValidation = {
+    DisableUserPromptForServerValidation: 'false',
+    ServerNames: serverNames(credential),
+  };
+  if (thumbprint) {
+    serverValidation.TrustedRootCA = thumbprint;
+  }
+  return serverValidation;
+}
+
+function buildTlsConfig(credential, thumbprint) {
+  return {
+    Eap: {
+      $: { xmlns: BASE_EAP_NS },
+      Type: eapRegistry.eapMethod('TLS').type,
+      EapType: {
+        $: { xmlns: EAP_TLS_NS },
+        CredentialsSource: { CertificateStore: { SimpleCertSelection: 'true' } },
+        ServerValidation: buildServerValidation(credential, thumbprint),
+        DifferentUsername: 'false',
+        PerformServerValidation: withNs(EAP_TLS_V2_NS, 'true'),
+        AcceptServerName: withNs(EAP_TLS_V2_NS, Boolean(serverNames(credential))),
+      },
+    },
+  };
+}
+
+function buildPeapConfig(credential, thumbprint) {
+  return {
+    Eap: {
+      $: { xmlns: BASE_EAP_NS },
+      Type: eapRegistry.eapMethod('PEAP').type,
+      EapType: {
+        $: { xmlns: MS_PEAP_NS },
+        ServerValidation: buildServerValidation(credential, thumbprint),
+        FastReconnect: 'true',
+        InnerEapOptional: 'false',
+        Eap: {
+          $: { xmlns: BASE_EAP_NS },
+          Type: eapRegistry.eapMethod('MSCHAPV2').type,
+          EapType: {
+            $: { xmlns: MS_CHAPV2_NS },
+            UseWinLogonCredentials: 'false',
+          },
+        },
+        EnableQuarantineChecks: 'false',
+        RequireCryptoBinding: 'false',
+        PeapExtensions: {
+          PerformServerValidation: withNs(MS_PEAP_V2_NS, 'true'),
+          AcceptServerName: withNs(MS_PEAP_V2_NS, Boolean(serverNames(credential))),
+        },
+      },
+    },
+  };
+}
+
+function buildEapHostConfig(profile) {
+  const credential = profile.credential || {};
+  const eapMethods = (profile.nai_realm && profile.nai_realm.eap_methods) || [];
+  if (eapMethods.length === 0) {
+    throw new Error('Profile has no EAP method (nai_realm.eap_methods is empty)');
+  }
+
+  const method = eapMethods[0];
+  const windowsMethod = eapRegistry.eapMethod(method.eap_type);
+  const eapType = windowsMethod && windowsMethod.name;
+  if (!(eapType in windowsEapAuthors)) {
+    throw new Error(`EAP method "${method.eap_type}" is not supported by Windows WLAN profiles`);
+  }
+
+  const thumbprint = rootCaThumbprint(credential);
+  let config;
+  if (eapType === 'TTLS') {
+    config = buildTtlsConfig(method, credential, thumbprint);
+  } else if (eapType === 'TLS') {
+    config = buildTlsConfig(credential, thumbprint);
+  } else {
+    config = buildPeapConfig(credential, thumbprint);
+  }
+
+  return {
+    $: { xmlns: EAP_HOST_CONFIG_NS },
+    EapMethod: {
+      Type: withNs(EAP_COMMON_NS, windowsMethod.type),
+      VendorId: withNs(EAP_COMMON_NS, 0),
+      VendorType: withNs(EAP_COMMON_NS, 0),
+      AuthorId: withNs(EAP_COMMON_NS, windowsEapAuthors[eapType]),
+    },
+    Config: { $: { xmlns: EAP_HOST_CONFIG_NS }, ...config },
+  };
+}
+
+function buildHotspot2(profile) {
+  const domainName = profile.home_domain || (profile.nai_realm && profile.nai_realm.name);
+  if (!domainName) {
+    throw new Error('Profile needs a home domain or NAI realm');
+  }
+
+  const hotspot2 = { DomainName: domainName };
+  const realms = [profile.nai_realm && profile.nai_realm.name, profile.credential && profile.credential.realm]
+    .filter((realm, index, all) => realm && all.indexOf(realm) === index);
+  if (realms.length > 0) {
+    hotspot2.NAIRealm = { name: realms };
+  }
+  if (Array.isArray(profile.plmn_list) && profile.plmn_list.length > 0) {
+    hotspot2.Network3GPP = { PLMNID: profile.plmn_list.map(plmn => `${plmn.mcc}${plmn.mnc}`) };
+  }
+
+  const ouis = [...(profile.home_ois || []), ...(profile.roaming_consortiums || [])]
+    .map(oi => String(oi.value || oi).toUpperCase())
+    .filter((oi, index, all) => oi && all.indexOf(oi) === index);
+  if (ouis.length > 0) {
+    hotspot2.RoamingConsortium = { OUI: ouis };
+  }
+  return hotspot2;
+}
+
+/**
+ * Build a Windows WLAN profile for a Passpoint profile
+ * The EAP method is the first one in the NAI realm; TTLS, TLS and PEAP are
+ * supported. Credentials are not stored in the profile, Windows asks for them
+ * on first connect
+ * @param {object} profile A profile in the mapToYamlSchema `passpoint_profile` shape
+ * @param {object} options Optional `name` for the profile and `ssid` to add an SSIDConfig
+ * @returns {string} The WLANProfile XML
+ */
+function buildWlanProfile(profile, options = {}) {
+  const hotspot2 = buildHotspot2(profile);
+  const name = options.name || profile.home_friendly_name || hotspot2.DomainName;
+  console.log('[WindowsWlanService] Building WLAN profile:', name);
+
+  // Element order follows the WLANProfile schema
+  const wlanProfile = { $: { xmlns: WLAN_PROFILE_NS }, name };
+  if (options.ssid) {
+    wlanProfile.SSIDConfig = { SSID: { name: options.ssid } };
+  }
+  wlanProfile.Hotspot2 = hotspot2;
+  wlanProfile.connectionType = 'ESS';
+  wlanProfile.connectionMode = 'auto';
+  wlanProfile.autoSwitch = 'false';
+  wlanProfile.MSM = {
+    security: {
+      authEncryption: {
+        authentication: 'WPA2',
+        encryption: 'AES',
+        useOneX: 'true',
+      },
+      OneX: {
+        $: { xmlns: ONEX_NS },
+        authMode: 'user',
+        EAPConfig: { EapHostConfig: buildEapHostConfig(profile) },
+      },
+    },
+  };
+
+  const builder = new xml2js.Builder({
+    xmldec: { version: '1.0', encoding: 'UTF-8' },
+    renderOpts: { pretty: true, indent: '  ', newline: '\n' },
+  });
+  return builder.buildObject({ WLANProfile: wlanProfile });
+}
+
+// Elements repeat or not depending on the profile; explicitArray is off, so normalise here
+const asList = (value) => (value === undefined || value === null ? [] : [].concat(value));
+const text = (value) => (value === undefined || value === null ? null : String(value).trim());
+const flag = (value) => (value === undefined || value === null ? null : String(value).trim().toLowerCase() === 'true');
+
+// Thumbprints are written as spaced hex bytes; report them as plain lower-case hex
+const normalizeThumbprint = (value) => String(value).replace(/[^0-9A-Fa-f]/g, '').toLowerCase();
+
+const splitServerNames = (value) => String(value || '').split(';').map(name => name.trim()).filter(Boolean);
+
+
+/**
+ * Check whether an XML document is a Windows WLAN profile
+ * @param {string|Buffer} content The file content
+ * @returns {boolean} True when the root element is a WLANProfile in the WLAN profile namespace
+ */
+function isWlanProfile(content) {
+  const head = String(content).slice(0, 4096);
+  return /<(?:\w+:)?WLANProfile[\s>]/.test(head) && head.includes(WLAN_PROFILE_NS);
+}
+
+function readServerValidation(serverValidation, extensions) {
+  const validation = serverValidation || {};
+  const prompt = validation.DisablePrompt !== undefined ? validation.DisablePrompt : validation.DisableUserPromptForServerValidation;
+  return {
+    server_names: splitServerNames(validation.ServerNames),
+    trusted_root_ca_hashes: asList(validation.TrustedRootCAHash || validation.TrustedRootCA).map(normalizeThumbprint).filter(Boolean),
+    disable_user_prompt: flag(prompt),
+    perform_server_validation: flag(extensions && extensions.PerformServerValidation),
+    accept_server_name: flag(extensions && extensions.AcceptServerName),
+  };
+}
+
+function readTtlsConfig(ttls) {
+  const phase2 = ttls.Phase2Authentication || {};
+  const nonEapInner = eapRegistry.NON_EAP_INNER_METHODS.find(method => phase2[method.windows] !== undefined);
+  const identity = ttls.Phase1Identity || {};
+  const innerEapType = phase2.EapHostConfig && phase2.EapHostConfig.EapMethod && text(phase2.EapHostConfig.EapMethod.Type);
+  const eapInner = innerEapType ? eapRegistry.innerMethod('TTLS', `EAP-${innerEapType}`) : null;
+  return {
+    inner_method: nonEapInner ? nonEapInner.name : (eapInner ? eapInner.name : null),
+    identity_privacy: flag(identity.IdentityPrivacy),
+    outer_identity: text(identity.AnonymousIdentity),
+    server_validation: readServerValidation(ttls.ServerValidation),
+  };
+}
+
+function readTlsConfig(eapType) {
+  const source = eapType.CredentialsSource || {};
+  return {
+    credentials_source: Object.keys(source)[0] || null,
+    different_username: flag(eapType.DifferentUsername),
+    server_validation: readServerValidation(eapType.ServerValidation, eapType),
+  };
+}
+
+function readPeapConfig(eapType) {
+  const extensions = eapType.PeapExtensions || {};
+  const privacy = extensions.IdentityPrivacy || {};
+  const innerType = eapType.Eap && text(eapType.Eap.Type);
+  const innerMethod = innerType ? eapRegistry.eapMethod(Number(innerType)) : null;
+  return {
+    inner_method: innerMethod ? innerMethod.name : null,
+    identity_privacy: flag(privacy.EnableIdentityPrivacy),
+    outer_identity: text(privacy.AnonymousUserName),
+    fast_reconnect: flag(eapType.FastReconnect),
+    server_validation: readServerValidation(eapType.ServerValidation, extensions),
+  };
+}
+
+function readEapHostConfig(eapHostConfig) {
+  const method = eapHostConfig.EapMethod || {};
+  const type = Number(text(method.Type));
+  const vendorId = Number(text(method.VendorId) || 0);
+  const vendorType = Number(text(method.VendorType) || 0);
+  const eapMethod = eapRegistry.eapMethod(type, { vendorId, vendorType });
+  const eap = {
+    method: eapMethod ? eapMethod.name : null,
+    type,
+    vendor_id: vendorId,
+    vendor_type: vendorType,
+    author_id: Number(text(method.AuthorId) || 0),
+  };
+
+  const config = eapHostConfig.Config || {};
+  if (config.EapTtls) {
+    return { ...eap, ...readTtlsConfig(config.EapTtls) };
+  }
+  const eapType = config.Eap && config.Eap.EapType;
+  if (eapType && eap.method === 'TLS') {
+    return { ...eap, ...readTlsConfig(eapType) };
+  }
+  if (eapType && eap.method === 'PEAP') {
+    return { ...eap, ...readPeapConfig(eapType) };
+  }
+  return eap;
+}
+
+/**
+ * Read a Windows WLAN profile, as written by `netsh wlan export profile`
+ * Namespace prefixes are dropped, so profiles using prefixed elements
+ * (`<eapCommon:Type>`) read the same as the default-namespace ones
+ * @param {string|Buffer} xml The WLANProfile XML
+ * @returns {Promise<object>} `{ name, ssids, connection_type, connection_mode,
+ *   authentication, encryption, shared_key, hotspot2, eap }`; hotspot2 and eap are
+ *   null when the profile has no Hotspot2 element or no 802.1X configuration
+ */
+async function parseWlanProfile(xml) {
+  const parser = new xml2js.Parser({
+    explicitArray: false,
+    ignoreAttrs: true,
+    tagNameProcessors: [xml2js.processors.stripPrefix],
+  });
+  const parsed = await parser.parseStringPromise(String(xml));
+  const wlanProfile = parsed && parsed.WLANProfile;
+  if (!wlanProfile) {
+    throw new Error('Document is not a WLANProfile');
+  }
+
+  const security = (wlanProfile.MSM && wlanProfile.MSM.security) || {};
+  const authEncryption = security.authEncryption || {};
+  const hotspot2 = wlanProfile.Hotspot2;
+  const eapConfig = security.OneX && security.OneX.EAPConfig;
+
+  const profile = {
+    name: text(wlanProfile.name),
+    ssids: asList(wlanProfile.SSIDConfig && wlanProfile.SSIDConfig.SSID).map(ssid => text(ssid.name)).filter(Boolean),
+    connection_type: text(wlanProfile.connectionType),
+    connection_mode: text(wlanProfile.connectionMode),
+    authentication: text(authEncryption.authentication),
+    encryption: text(authEncryption.encryption),
+    shared_key: security.sharedKey
+      ? {
+          key_type: text(security.sharedKey.keyType),
+          protected: flag(security.sharedKey.protected),
+          passphrase: text(security.sharedKey.keyMaterial),
+        }
+      : null,
+    hotspot2: hotspot2
+      ? {
+          domain_name: text(hotspot2.DomainName),
+          nai_realms: asList(hotspot2.NAIRealm && hotspot2.NAIRealm.name).map(text).filter(Boolean),
+          plmn_ids: asList(hotspot2.Network3GPP && hotspot2.Network3GPP.PLMNID).map(text).filter(Boolean),
+          roaming_consortium_ois: asList(hotspot2.RoamingConsortium && hotspot2.RoamingConsortium.OUI).map(text).filter(Boolean),
+        }
+      : null,
+    eap: eapConfig && eapConfig.EapHostConfig ? readEapHostConfig(eapConfig.EapHostConfig) : null,
+  };
+
+  console.log('[WindowsWlanService] Read WLAN profile:', profile.name, profile.eap ? profile.eap.method || profile.eap.type : 'no EAP');
+  return profile;
+}
+
+module.exports = {
+  buildWlanProfile,
+  isWlanProfile,
+  parseWlanProfile,
+};
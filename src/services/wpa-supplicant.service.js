@@ -0,0 +1,288 @@
+/**
+ * wpa_supplicant service
+ * Builds wpa_supplicant.conf interworking fragments (cred blocks) from a
+ * profile in the mapToYamlSchema shape, and reads wpa_supplicant.conf files
+ * back into their global settings, network blocks and cred blocks
+ */
+const certService = require('./cert.service');
+const eapRegistry = require('./eap-registry.service');
+
+// EAP methods accepted in a cred block, by registry name; the eap value is the same name
+const credEapMethods = ['TTLS', 'TLS', 'SIM', 'AKA', "AKA'"];
+
+/**
+ * Quote a value for wpa_supplicant.conf
+ * Plain quoted strings have no escapes, so values with quotes, backslashes or
+ * control characters use the printf-style P"..." form
+ * @param {string} value The value to quote
+ * @returns {string} The quoted value
+ */
+function quote(value) {
+  const text = String(value);
+  if (!/["\\]|[^\x20-\x7E]/.test(text)) {
+    return `"${text}"`;
+  }
+  const escaped = text.replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+  return `P"${escaped}"`;
+}
+
+function hexOI(oi) {
+  return String(oi.value || oi).toLowerCase();
+}
+
+function fileBaseName(profile) {
+  return String(profile.home_domain || (profile.nai_realm && profile.nai_realm.name) || 'passpoint')
+    .replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+/**
+ * Build a wpa_supplicant.conf fragment with a cred block for a Passpoint profile
+ * Certificates are returned as sidecar files and referenced from the cred block
+ * by their path under `options.certDir`
+ * @param {object} profile A profile in the mapToYamlSchema `passpoint_profile` shape
+ * @param {object} options Optional `certDir` (default /etc/wpa_supplicant) and
+ *   `globals` (false to leave out interworking=1 / hs20=1)
+ * @returns {{config: string, files: Array<{fileName: string, content: string|Buffer}>}}
+ */
+function buildWpaSupplicantConfig(profile, options = {}) {
+  const credential = profile.credential || {};
+  const realm = credential.realm || (profile.nai_realm && profile.nai_realm.name);
+  if (!realm) {
+    throw new Error('Profile needs a credential realm');
+  }
+
+  const eapMethods = (profile.nai_realm && profile.nai_realm.eap_methods) || [];
+  if (eapMethods.length === 0) {
+    throw new Error('Profile has no EAP method (nai_realm.eap_methods is empty)');
+  }
+  const eapMethod = eapRegistry.eapMethod(eapMethods[0].eap_type);
+  const eapType = eapMethod && eapMethod.name;
+  if (!credEapMethods.includes(eapType)) {
+    throw new Error(`EAP method "${eapMethods[0].eap_type}" is not supported in wpa_supplicant cred blocks`);
+  }
+
+  console.log('[WpaSupplicantService] Building cred block for:', realm);
+
+  const certDir = String(options.certDir || '/etc/wpa_supplicant').replace(/\/+$/, '');
+  const baseName = fileBaseName(profile);
+  const files = [];
+  const lines = [];
+  const add = (key, value) => lines.push(`\t${key}=${value}`);
+
+  add('realm', quote(realm));
+  [profile.home_domain, ...(profile.other_home_partner_fqdns || [])]
+    .filter(Boolean)
+    .forEach(domain => add('domain', quote(domain)));
+
+  const homeOIs = profile.home_ois || [];
+  const roamingConsortiums = [...homeOIs, ...(profile.roaming_consortiums || [])]
+    .map(hexOI)
+    .filter((oi, index, all) => oi && all.indexOf(oi) === index);
+  if (roamingConsortiums.length > 0) {
+    add('roaming_consortiums', quote(roamingConsortiums.join(',')));
+  }
+  const requiredOI = homeOIs.find(oi => oi.required);
+  if (requiredOI) {
+    add('required_roaming_consortium', hexOI(requiredOI));
+  }
+
+  add('eap', eapType);
+  if (eapType === 'TTLS') {
+    // auth= takes a non-EAP inner method, autheap= an EAP method inside the tunnel
+    const inner = eapRegistry.innerMethod(eapType, eapMethods[0].inner_auth);
+    if (!inner || (inner.eap && !inner.method.assigned)) {
+      throw new Error(`Inner method "${eapMethods[0].inner_auth}" is not supported by wpa_supplicant TTLS`);
+    }
+    add('phase2', quote(inner.eap ? `autheap=${inner.method.name}` : `auth=${inner.method.wpaSupplicant}`));
+  }
+
+  if (credential.ca_certificate) {
+    const der = certService.toDer(credential.ca_certificate);
+    if (!der) {
+      throw new Error('credential.ca_certificate is not a PEM or base64 certificate');
+    }
+    const fileName = `${baseName}-ca.pem`;
+    files.push({ fileName, content: certService.toPem(der) });
+    add('ca_cert', quote(`${certDir}/${fileName}`));
+  }
+  if (Array.isArray(credential.server_names) && credential.server_names.length > 0) {
+    add('domain_suffix_match', quote(credential.server_names[0]));
+  }
+
+  if (eapType === 'TLS') {
+    if (!credential.client_certificate) {
+      throw new Error('TLS credentials need credential.client_certificate (base64 PKCS#12)');
+    }
+    // wpa_supplicant reads certificate and key from the PKCS#12, so client_cert stays unset
+    const fileName = `${baseName}-client.p12`;
+    files.push({ fileName, content: Buffer.from(String(credential.client_certificate).replace(/\s/g, ''), 'base64') });
+    add('private_key', quote(`${certDir}/${fileName}`));
+    if (credential.client_certificate_password) {
+      add('private_key_passwd', quote(credential.client_certificate_password));
+    }
+  } else if (eapType === 'TTLS') {
+    if (!credential.username) {
+      throw new Error('TTLS credentials need a username');
+    }
+    add('username', quote(credential.username));
+    if (credential.password) {
+      add('password', quote(credential.password));
+    }
+  } else {
+    if (!credential.imsi) {
+      throw new Error('SIM credentials need credential.imsi');
+    }
+    add('imsi', quote(credential.imsi));
+  }
+
+  (profile.preferred_roaming_partners || []).forEach(partner => {
+    // wpa_supplicant's second field is 1 for an exact match, the profile's match is 1 for subdomains
+    const exactMatch = Number(partner.match) === 1 ? 0 : 1;
+    const priority = partner.priority === undefined ? 128 : partner.priority;
+    add('roaming_partner', quote(`${partner.fqdn},${exactMatch},${priority},${partner.country || '*'}`));
+  });
+
+  if (profile.credential_priority !== null && profile.credential_priority !== undefined) {
+    add('sp_priority', profile.credential_priority);
+  }
+  if (profile.home_domain) {
+    add('provisioning_sp', quote(profile.home_domain));
+  }
+
+  const header = [`# Passpoint credential for ${profile.home_friendly_name || realm}`];
+  if (options.globals !== false && options.globals !== 'false') {
+    header.push('interworking=1', 'hs20=1');
+  }
+  const config = `${header.join('\n')}\n\ncred={\n${lines.join('\n')}\n}\n`;
+
+  return { config, files };
+}
+
+// String fields that wpa_supplicant also accepts unquoted as hex-encoded bytes
+const hexStringFields = [
+  'ssid', 'identity', 'anonymous_identity', 'password', 'realm', 'username', 'domain',
+  'domain_match', 'domain_suffix_match', 'provisioning_sp', 'phase1', 'phase2',
+  'ca_cert', 'client_cert', 'private_key', 'private_key_passwd', 'imsi', 'milenage',
+];
+
+const printfEscapes = { n: '\n', r: '\r', t: '\t', e: '\x1b', '\\': '\\', '"': '"' };
+
+// Undo the P"..." form written by quote(), including \xHH escapes
+function unescapePrintf(text) {
+  return text.replace(/\\(x[0-9A-Fa-f]{2}|.)/g, (match, escape) => (
+    escape[0] === 'x' && escape.length === 3 ? String.fromCharCode(parseInt(escape.slice(1), 16)) : (printfEscapes[escape] || escape)
+  ));
+}
+
+/**
+ * Decode a wpa_supplicant.conf value
+ * @param {string} key The field name
+ * @param {string} raw The text after the `=`
+ * @returns {{value: string, hex: boolean}} The value, and whether it was hex-encoded
+ */
+function decodeValue(key, raw) {
+  if (raw.startsWith('"') && raw.endsWith('"') && raw.length >= 2) {
+    return { value: raw.slice(1, -1), hex: false };
+  }
+  if (raw.startsWith('P"') && raw.endsWith('"') && raw.length >= 3) {
+    return { value: unescapePrintf(raw.slice(2, -1)), hex: false };
+  }
+  if (hexStringFields.includes(key) && /^(?:[0-9A-Fa-f]{2})+$/.test(raw)) {
+    const decoded = Buffer.from(raw, 'hex').toString('utf8');
+    // Binary values (e.g. non-UTF-8 SSIDs or control characters) stay hex
+    if (!decoded.includes('\uFFFD') && ![...decoded].some(char => char.charCodeAt(0) < 0x20)) {
+      return { value: decoded, hex: true };
+    }
+  }
+  return { value: raw, hex: false };
+}
+
+/**
+ * Check whether a text file is a wpa_supplicant configuration
+ * @param {string} content The file content
+ * @returns {boolean} True when it has a network={...} or cred={...} block
+ */
+function isWpaSupplicantConfig(content) {
+  return /^[ \t]*(?:network|cred)[ \t]*=[ \t]*\{[ \t]*$/m.test(String(content));
+}
+
+/**
+ * Read a wpa_supplicant.conf file
+ * Keys repeated inside a block (domain, roaming_partner, ...) become arrays,
+ * and unquoted hex values of string fields are decoded
+ * @param {string} content The configuration text
+ * @returns {{globals: object, networks: object[], creds: object[], warnings: string[]}}
+ *   Each block is a key to value map; `hex_encoded` lists the keys that were decoded
+ */
+function parseWpaSupplicantConfig(content) {
+  const result = { globals: {}, networks: [], creds: [], warnings: [] };
+  let block = null;
+  let blockType = null;
+  let blockStart = 0;
+
+  const assign = (target, key, value) => {
+    if (target[key] === undefined) {
+      target[key] = value;
+    } else {
+      target[key] = [].concat(target[key], value);
+    }
+  };
+
+  String(content).split(/\r?\n/).forEach((line, index) => {
+    const lineNumber = index + 1;
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const open = trimmed.match(/^(network|cred)\s*=\s*\{$/);
+    if (open) {
+      if (block) {
+        result.warnings.push(`Line ${lineNumber}: ${open[1]} block opened inside the ${blockType} block from line ${blockStart}`);
+      }
+      block = {};
+      blockType = open[1];
+      blockStart = lineNumber;
+      return;
+    }
+    if (trimmed === '}') {
+      if (!block) {
+        result.warnings.push(`Line ${lineNumber}: unmatched }`);
+        return;
+      }
+      (blockType === 'network' ? result.networks : result.creds).push(block);
+      block = null;
+      return;
+    }
+
+    const separator = trimmed.indexOf('=');
+    if (separator <= 0) {
+      result.warnings.push(`Line ${lineNumber}: not a key=value line`);
+      return;
+    }
+    const key = trimmed.slice(0, separator).trim();
+    const { value, hex } = decodeValue(key, trimmed.slice(separator + 1).trim());
+    if (!block) {
+      assign(result.globals, key, value);
+      return;
+    }
+    assign(block, key, value);
+    if (hex) {
+      block.hex_encoded = [...(block.hex_encoded || []), key];
+    }
+  });
+
+  if (block) {
+    result.warnings.push(`The ${blockType} block from line ${blockStart} is not closed`);
+    (blockType === 'network' ? result.networks : result.creds).push(block);
+  }
+
+  console.log('[WpaSupplicantService] Read', result.networks.length, 'network and', result.creds.length, 'cred blocks');
+  return result;
+}
+
+module.exports = {
+  buildWpaSupplicantConfig,
+  isWpaSupplicantConfig,
+  parseWpaSupplicantConfig,
+};
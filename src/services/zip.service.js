@@ -0,0 +1,200 @@
+/**
+ * ZIP archive service
+ * Reads the entries of a ZIP archive in memory, with the limits needed for
+ * untrusted uploads: entry count, per-entry and total uncompressed size,
+ * compression ratio, and entry names that would escape the archive.
+ * Only stored and deflated entries are read; nothing is written to disk
+ */
+const zlib = require('zlib');
+
+const ZIP_LIMITS = {
+  maxEntries: 200,                     // More entries than this rejects the archive
+  maxEntrySize: 10 * 1024 * 1024,      // Larger entries are skipped
+  maxTotalSize: 100 * 1024 * 1024,     // Declared total above this rejects the archive
+  maxRatio: 100,                       // Uncompressed/compressed above this (for entries over 1MB) rejects the archive
+};
+
+// `code` of the errors readZipArchive throws, so routes can tell rejected archives from failures
+const ZIP_ERRORS = {
+  limit: 'ERR_ZIP_LIMIT',             // Too many entries, too large, or a likely zip bomb
+  unsupported: 'ERR_ZIP_UNSUPPORTED', // ZIP64
+  malformed: 'ERR_ZIP_MALFORMED',     // Not a ZIP archive, or a corrupt central directory
+};
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+/**
+ * Check for the ZIP local file header (or the end record of an empty archive)
+ * @param {Buffer} buffer The uploaded file
+ * @returns {boolean}
+ */
+function isZipArchive(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+    return false;
+  }
+  const signature = buffer.readUInt32LE(0);
+  return signature === LOCAL_HEADER || signature === END_OF_CENTRAL_DIRECTORY;
+}
+
+/**
+ * Why an entry name is unsafe to use as a path, or null when it is fine
+ * @param {string} name The entry name as stored in the archive
+ * @returns {string|null}
+ */
+function unsafeEntryName(name) {
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.includes('\0')) {
+    return 'the name contains a NUL character';
+  }
+  if (normalized.startsWith('/') || /^[A-Za-z]:/.test(normalized)) {
+    return 'the name is an absolute path';
+  }
+  if (normalized.split('/').includes('..')) {
+    return 'the name contains ".." and would escape the archive';
+  }
+  return null;
+}
+
+function archiveError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64KB at the end of the file
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw archiveError(ZIP_ERRORS.malformed, 'Not a ZIP archive: end of central directory not found');
+}
+
+/**
+ * Read the entries of a ZIP archive
+ * Directories and macOS metadata (`__MACOSX/`, `.DS_Store`) are left out.
+ * Entries that cannot or should not be read (unsafe names, encryption,
+ * unsupported compression, symlinks, nested archives, oversized entries)
+ * are returned in `skipped` with the reason
+ * @param {Buffer} buffer The archive
+ * @param {object} [limits] Overrides for ZIP_LIMITS
+ * @returns {{entries: object[], skipped: object[]}} `entries` hold
+ *   `{ name, size, compressedSize, data }`, `skipped` hold `{ name, size, compressedSize, reason, unsafe }`
+ * @throws {Error} For malformed archives, ZIP64, too many entries or likely zip bombs,
+ *   with `code` from ZIP_ERRORS
+ */
+function readZipArchive(buffer, limits = {}) {
+  const { maxEntries, maxEntrySize, maxTotalSize, maxRatio } = { ...ZIP_LIMITS, ...limits };
+  const end = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw archiveError(ZIP_ERRORS.unsupported, 'ZIP64 archives are not supported');
+  }
+  if (entryCount > maxEntries) {
+    throw archiveError(ZIP_ERRORS.limit, `ZIP archive has ${entryCount} entries; at most ${maxEntries} are read`);
+  }
+
+  // Read the whole central directory first so the limits apply before anything is inflated
+  const headers = [];
+  let offset = directoryOffset;
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw archiveError(ZIP_ERRORS.malformed, `ZIP central directory is corrupt at entry ${index + 1}`);
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const nameBytes = buffer.subarray(offset + 46, offset + 46 + nameLength);
+    headers.push({
+      // Bit 11 marks UTF-8 names; older tools write CP437, read here as latin1
+      name: nameBytes.toString(flags & 0x800 ? 'utf8' : 'latin1'),
+      flags,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      unixMode: buffer.readUInt32LE(offset + 38) >>> 16,
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  const totalSize = headers.reduce((total, header) => total + header.size, 0);
+  if (totalSize > maxTotalSize) {
+    throw archiveError(ZIP_ERRORS.limit, `ZIP archive expands to ${totalSize} bytes; at most ${maxTotalSize} are read`);
+  }
+  const bomb = headers.find(header => header.size > 1024 * 1024 && header.size > header.compressedSize * maxRatio);
+  if (bomb) {
+    throw archiveError(ZIP_ERRORS.limit, `ZIP entry ${bomb.name} expands ${Math.round(bomb.size / Math.max(bomb.compressedSize, 1))} times; the archive looks like a zip bomb`);
+  }
+
+  const entries = [];
+  const skipped = [];
+  headers.forEach(header => {
+    const { name, size, compressedSize } = header;
+    const baseName = name.replace(/\\/g, '/').split('/').pop();
+    if (name.endsWith('/') || name.startsWith('__MACOSX/') || baseName === '.DS_Store') {
+      return;
+    }
+
+    const skip = (reason, unsafe = false) => skipped.push({ name, size, compressedSize, reason, unsafe });
+    const unsafe = unsafeEntryName(name);
+    if (unsafe) {
+      return skip(`Unsafe entry name: ${unsafe}`, true);
+    }
+    if ((header.unixMode & 0o170000) === 0o120000) {
+      return skip('Symbolic links are not followed', true);
+    }
+    if (header.flags & 0x1) {
+      return skip('Encrypted entries are not supported');
+    }
+    if (header.method !== 0 && header.method !== 8) {
+      return skip(`Compression method ${header.method} is not supported`);
+    }
+    if (/\.zip$/i.test(baseName)) {
+      return skip('Nested archives are not opened');
+    }
+    if (size > maxEntrySize) {
+      return skip(`Entry is ${size} bytes; at most ${maxEntrySize} are read`);
+    }
+
+    const local = header.localOffset;
+    if (local + 30 > buffer.length || buffer.readUInt32LE(local) !== LOCAL_HEADER) {
+      return skip('Local header is missing or corrupt');
+    }
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const compressed = buffer.subarray(start, start + compressedSize);
+    if (compressed.length !== compressedSize) {
+      return skip('Entry data is truncated');
+    }
+
+    let data;
+    try {
+      // Never inflate past the size the directory declared, whatever the stream says
+      data = header.method === 0 ? compressed : zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+      return skip(error.code === 'ERR_BUFFER_TOO_LARGE' ? 'Entry expands past its declared size' : `Entry cannot be inflated: ${error.message}`, error.code === 'ERR_BUFFER_TOO_LARGE');
+    }
+    if (data.length !== size) {
+      return skip(`Entry holds ${data.length} bytes but its header declares ${size}`);
+    }
+    entries.push({ name, size, compressedSize, data });
+  });
+
+  console.log('[ZipService] Read', entries.length, 'entries,', skipped.length, 'skipped');
+  return { entries, skipped };
+}
+
+module.exports = {
+  ZIP_ERRORS,
+  ZIP_LIMITS,
+  isZipArchive,
+  readZipArchive,
+  unsafeEntryName,
+};
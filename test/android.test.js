@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const { buildPpsMo, buildWifiConfigBundle, flattenPpsMo, parsePpsMo, parseWifiConfigBundle, WIFI_CONFIG_CONTENT_TYPE } = require('../src/services/android.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { createCertificate, createPkcs12 } = require('./helpers/certificates');
+const { TTLS_PROFILE, ttlsProfile } = require('./helpers/profiles');
+
+describe('buildPpsMo', () => {
+  it('writes HomeSP and a UsernamePassword credential', async () => {
+    const { instance, paths } = flattenPpsMo(await parsePpsMo(buildPpsMo(ttlsProfile())));
+    assert.equal(instance, 'i001');
+    assert.equal(paths['HomeSP/FQDN'], 'example.com');
+    assert.equal(paths['HomeSP/FriendlyName'], 'Example Wi-Fi');
+    assert.equal(paths['HomeSP/RoamingConsortiumOI'], '5a03ba0000');
+    assert.equal(paths['HomeSP/HomeOIList/h001/HomeOI'], '001bc50460');
+    assert.equal(paths['HomeSP/HomeOIList/h001/HomeOIRequired'], 'TRUE');
+    assert.equal(paths['HomeSP/OtherHomePartners/o001/FQDN'], 'partner.example.net');
+    assert.equal(paths['Credential/Realm'], 'example.com');
+    assert.equal(paths['Credential/UsernamePassword/Username'], 'alice@example.com');
+    assert.equal(Buffer.from(paths['Credential/UsernamePassword/Password'], 'base64').toString('utf8'), 's3cret-Passw0rd');
+    assert.equal(paths['Credential/UsernamePassword/EAPMethod/EAPType'], '21');
+    assert.equal(paths['Credential/UsernamePassword/EAPMethod/InnerMethod'], 'MS-CHAP-V2');
+  });
+
+  it('rejects methods Android cannot install', () => {
+    assert.throws(() => buildPpsMo(ttlsProfile(profile => { profile.nai_realm.eap_methods = [{ eap_type: 'PEAP' }]; })), /not supported by Android Passpoint/);
+    assert.throws(() => buildPpsMo(ttlsProfile(profile => { profile.nai_realm.eap_methods[0].inner_auth = 'CHAP'; })), /Inner method "CHAP" is not supported/);
+    assert.throws(() => buildPpsMo(ttlsProfile(profile => { profile.nai_realm.eap_methods = [{ eap_type: 'TLS' }]; })), /need credential.client_certificate/);
+    assert.throws(() => buildPpsMo(ttlsProfile(profile => { profile.credential.username = ''; })), /need a username/);
+  });
+});
+
+describe('buildWifiConfigBundle', () => {
+  it('bundles the PPS MO with the CA certificate', async () => {
+    const ca = createCertificate({ commonName: 'Example AAA CA' });
+    const bundle = await parseWifiConfigBundle(buildWifiConfigBundle(ttlsProfile(profile => { profile.credential.ca_certificate = ca.pem; })));
+    assert.equal(bundle.encoding, 'base64');
+    assert.deepEqual(bundle.parts.map(part => part.role), ['pps_mo', 'ca_certificate']);
+    assert.deepEqual(bundle.caCertificates, [ca.pem.replace(/\r\n/g, '\n')]);
+    assert.equal(flattenPpsMo(bundle.ppsMo).paths['HomeSP/FQDN'], 'example.com');
+    assert.deepEqual(bundle.warnings, []);
+  });
+});
+
+describe('POST /api/export/android', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/export.routes')); });
+  after(() => server.close());
+
+  it('sends the base64 x-wifi-config bundle', async () => {
+    const response = await fetch(`${server.base}/export/android`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: TTLS_PROFILE });
+    assert.equal(response.status, 200);
+    assert.ok(response.headers.get('content-type').startsWith(WIFI_CONFIG_CONTENT_TYPE));
+    assert.ok((await parseWifiConfigBundle(await response.text())).ppsMo);
+  });
+
+  it('sends the PPS MO alone as XML', async () => {
+    const response = await fetch(`${server.base}/export/android/pps-mo`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: TTLS_PROFILE });
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /^<\?xml[^>]*>\n<MgmtTree/);
+  });
+
+  it('answers 400 for an EAP method Android does not take', async () => {
+    const response = await fetch(`${server.base}/export/android`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/yaml' },
+      body: TTLS_PROFILE.replace('eap-method: 21', 'eap-method: 25'),
+    });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).details, /not supported by Android Passpoint/);
+  });
+});
+
+// A raw MIME bundle; every part is base64 encoded
+const mimeBundle = (parts, { closed = true } = {}) => [
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary={boundary}',
+  '',
+  ...parts.map(({ contentType, body }) => `--{boundary}\r\nContent-Type: ${contentType}\r\nContent-Transfer-Encoding: base64\r\n\r\n${Buffer.from(body).toString('base64')}\r\n`),
+  closed ? '--{boundary}--' : '',
+].join('\r\n');
+
+describe('parseWifiConfigBundle', () => {
+  it('reads each part by its Content-Type and reports the ones Android skips', async () => {
+    const client = createCertificate({ commonName: 'alice' });
+    const bundle = await parseWifiConfigBundle(mimeBundle([
+      { contentType: 'application/x-passpoint-profile', body: buildPpsMo(ttlsProfile()) },
+      { contentType: 'application/x-pkcs12', body: createPkcs12(client, 'locked') },
+      { contentType: 'text/plain', body: 'hello' },
+    ]));
+    assert.equal(bundle.encoding, 'mime');
+    assert.deepEqual(bundle.parts.map(part => part.role), ['pps_mo', 'pkcs12', 'unknown']);
+    assert.equal(flattenPpsMo(bundle.ppsMo).paths['Credential/Realm'], 'example.com');
+    assert.equal(bundle.pkcs12.encrypted, true);
+    assert.deepEqual(bundle.warnings, [
+      'Part 1: PKCS#12 cannot be opened without a password; Android will not install it',
+      'Part 2: text/plain is not used by Android and was skipped',
+    ]);
+  });
+
+  it('reports why a damaged PKCS#12 part cannot be read', async () => {
+    const bundle = await parseWifiConfigBundle(mimeBundle([
+      { contentType: 'application/x-passpoint-profile', body: buildPpsMo(ttlsProfile()) },
+      { contentType: 'application/x-pkcs12', body: Buffer.from([0x30, 0x03, 0x02, 0x01]) },
+    ]));
+    assert.equal(bundle.pkcs12.encrypted, false);
+    assert.match(bundle.warnings[0], /^Part 1: PKCS#12 cannot be read \(.+\); Android will not install it$/);
+  });
+
+  it('warns about truncated bundles and a missing PPS MO', async () => {
+    const bundle = await parseWifiConfigBundle(mimeBundle([{ contentType: 'application/x-passpoint-profile', body: 'not xml' }], { closed: false }));
+    assert.equal(bundle.ppsMo, null);
+    assert.equal(bundle.warnings[0], 'Bundle has no closing boundary; it may be truncated');
+    assert.equal(bundle.warnings[bundle.warnings.length - 1], 'Bundle has no readable application/x-passpoint-profile part');
+  });
+
+  it('rejects content that is not a MIME bundle', async () => {
+    await assert.rejects(parseWifiConfigBundle('home-domain: example.com'), /Not an application\/x-wifi-config bundle/);
+    await assert.rejects(parseWifiConfigBundle('Content-Type: text/plain\r\n\r\nhello'), /Bundle is text\/plain, expected multipart\/mixed/);
+  });
+});
+
+describe('POST /api/upload-and-convert with an x-wifi-config bundle', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  it('maps the PPS MO and the CA part into the Passpoint profile', async () => {
+    const ca = createCertificate({ commonName: 'Example AAA CA' });
+    const { status, body } = await uploadAndConvert(server.base, 'passpoint.config', buildWifiConfigBundle(ttlsProfile(profile => { profile.credential.ca_certificate = ca.pem; })));
+    assert.equal(status, 200);
+    assert.equal(body.fileType, 'android-wifi-config');
+    const { passpoint_profile: profile } = yaml.load(body.data.filteredYaml);
+    assert.equal(profile.home_domain, 'example.com');
+    assert.deepEqual(profile.nai_realm.eap_methods.map(method => [method.eap_type, method.inner_auth]), [['TTLS', 'MSCHAPV2']]);
+    assert.equal(profile.credential.ca_certificate, ca.pem.replace(/\r\n/g, '\n'));
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const forge = require('node-forge');
+const certService = require('../src/services/cert.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { createCertificate } = require('./helpers/certificates');
+
+const root = createCertificate({ commonName: 'Example Root CA' });
+const intermediate = createCertificate({ commonName: 'Example Issuing CA', issuer: root, ca: true });
+const leaf = createCertificate({ commonName: 'aaa.example.com', issuer: intermediate });
+
+// A degenerate SignedData holding only certificates, as .p7b files do
+function pkcs7(...certificates) {
+  const p7 = forge.pkcs7.createSignedData();
+  certificates.forEach(entry => p7.addCertificate(entry.certificate));
+  return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+}
+
+describe('certService.readCertificateFile', () => {
+  it('reads PEM bundles and skips other PEM blocks', () => {
+    const { format, certificates, skipped } = certService.readCertificateFile(`${leaf.pem}${leaf.keyPem}${intermediate.pem}`);
+    assert.equal(format, 'pem');
+    assert.deepEqual(certificates, [leaf.der, intermediate.der]);
+    assert.deepEqual(skipped, ['PRIVATE KEY']);
+  });
+
+  it('reads DER, base64 DER and PKCS#7', () => {
+    assert.deepEqual(certService.readCertificateFile(root.der), { format: 'der', certificates: [root.der], skipped: [] });
+    assert.deepEqual(certService.readCertificateFile(root.der.toString('base64')).certificates, [root.der]);
+    const { format, certificates } = certService.readCertificateFile(pkcs7(leaf, intermediate, root));
+    assert.equal(format, 'pkcs7');
+    assert.deepEqual(certificates, [leaf.der, intermediate.der, root.der]);
+  });
+
+  it('rejects files without a certificate', () => {
+    assert.throws(() => certService.readCertificateFile(leaf.keyPem), /No certificate in PEM file \(found PRIVATE KEY\)/);
+    assert.throws(() => certService.readCertificateFile(Buffer.from([0x30, 0x03, 0x02, 0x01, 0x01])), /Not a PEM, DER or PKCS#7 certificate file \(DER: .+; PKCS#7: .+\)$/);
+  });
+});
+
+describe('certService.describeCertificateChain', () => {
+  it('orders the chain by issuer whatever the file order', () => {
+    const { certificates, chains } = certService.describeCertificateChain([root.der, leaf.der, intermediate.der]);
+    assert.deepEqual(certificates.map(entry => entry.role), ['root', 'leaf', 'intermediate']);
+    assert.deepEqual(certificates.map(entry => entry.issuer_index), [null, 2, 0]);
+    assert.deepEqual(chains, [[1, 2, 0]]);
+  });
+});
+
+describe('POST /api/upload-and-convert with certificate files', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  it('lists a .p7b chain', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'chain.p7b', pkcs7(root, intermediate, leaf));
+    assert.equal(status, 200);
+    const { certificate_file: file } = yaml.load(body.data.yaml);
+    assert.equal(file.format, 'pkcs7');
+    assert.deepEqual(file.chains, [[2, 1, 0]]);
+    assert.equal(body.alerts, undefined);
+  });
+
+  it('warns about an incomplete chain and skipped keys', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'server.pem', `${leaf.pem}${leaf.keyPem}${root.pem}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.alerts.map(alert => alert.message), [
+      'The issuer of certificate 0 (CN=Example Issuing CA) is not in the file, so its chain is incomplete.',
+      'Skipped PEM blocks that are not certificates: PRIVATE KEY. Their content is not shown.',
+    ]);
+    assert.ok(!body.data.yaml.includes('PRIVATE KEY-----'));
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const { configFormatFor, parseEnv, parseIni, parseProperties, parseToml } = require('../src/services/config-file.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+
+describe('parseIni', () => {
+  it('nests sections and dotted keys and types bare values', () => {
+    const { data, warnings } = parseIni([
+      '; RADIUS settings',
+      'debug',
+      '[radius.auth]',
+      'host = radius.example.com ; inline comment',
+      'port = 1812',
+      'plmn = 001010',
+      'enabled = true',
+      'server[] = a.example.com',
+      'server[] = b.example.com',
+      'secret = "line\\none"',
+      'log = INFO',
+      'log.file = radius.log',
+    ].join('\n'));
+    assert.deepEqual(data, {
+      debug: true,
+      radius: {
+        auth: {
+          host: 'radius.example.com',
+          port: 1812,
+          plmn: '001010',
+          enabled: true,
+          server: ['a.example.com', 'b.example.com'],
+          secret: 'line\none',
+          log: 'INFO',
+          'log.file': 'radius.log',
+        },
+      },
+    });
+    assert.deepEqual(warnings, []);
+  });
+
+  it('warns about unclosed quotes', () => {
+    assert.deepEqual(parseIni('name = "open').warnings, ['Line 1: missing closing "; the rest of the line is used as the value']);
+  });
+});
+
+describe('parseProperties', () => {
+  it('reads continuations and escapes and keeps values as strings', () => {
+    const { data } = parseProperties([
+      '! Java style comment',
+      'realm.name=example.com',
+      'realm.port : 1812',
+      'greeting = Hello \\',
+      '    World',
+      'unicode=Caf\\u00e9',
+      'key\\ with\\ spaces value',
+    ].join('\n'));
+    assert.deepEqual(data, {
+      realm: { name: 'example.com', port: '1812' },
+      greeting: 'Hello World',
+      unicode: 'Café',
+      'key with spaces': 'value',
+    });
+  });
+});
+
+describe('parseToml', () => {
+  it('reads tables, arrays of tables, inline tables and typed values', () => {
+    const { data, warnings } = parseToml([
+      '\uFEFF# Passpoint',
+      'title = "Example"',
+      'count = 1_000',
+      'mask = 0xff',
+      'when = 2024-01-02T03:04:05Z',
+      "path = 'C:\\certs'",
+      'big = 9007199254740993',
+      '[credential]',
+      'realm = "example.com"',
+      'server-names = ["aaa.example.com", "bbb.example.com"]',
+      'eap = { method = 21, inner = "MSCHAPV2" }',
+      '[[roaming]]',
+      'oi = "5a03ba0000"',
+      '[[roaming]]',
+      'oi = "001bc50460"',
+    ].join('\n'));
+    assert.deepEqual(data, {
+      title: 'Example',
+      count: 1000,
+      mask: 255,
+      when: '2024-01-02T03:04:05Z',
+      path: 'C:\\certs',
+      big: '9007199254740993',
+      credential: {
+        realm: 'example.com',
+        'server-names': ['aaa.example.com', 'bbb.example.com'],
+        eap: { method: 21, inner: 'MSCHAPV2' },
+      },
+      roaming: [{ oi: '5a03ba0000' }, { oi: '001bc50460' }],
+    });
+    assert.deepEqual(warnings, ['Line 7: 9007199254740993 is too large for a JSON number and is kept as text']);
+  });
+
+  it('names the line of invalid TOML', () => {
+    assert.throws(() => parseToml('a = 1\na = 2'), /^Error: TOML line 2: a is defined twice$/);
+    assert.throws(() => parseToml('name = "open'), /TOML line 1: unterminated string/);
+    assert.throws(() => parseToml('[t]\n[t]'), /TOML line 2: table \[t\] is defined twice/);
+  });
+});
+
+describe('parseEnv and configFormatFor', () => {
+  it('reads .env files flat', () => {
+    assert.deepEqual(parseEnv('export DB_USER=radius\nDB_PASSWORD="p@ss word"\n# comment\n').data, { DB_USER: 'radius', DB_PASSWORD: 'p@ss word' });
+    assert.deepEqual(parseEnv('just text').warnings, ['No KEY=value lines were found']);
+  });
+
+  it('leaves XML and JSON .config files to the other readers', () => {
+    assert.equal(configFormatFor('.config', '[section]\nkey=value'), 'ini');
+    assert.equal(configFormatFor('.config', '<?xml version="1.0"?><configuration/>'), null);
+    assert.equal(configFormatFor('.toml', ''), 'toml');
+    assert.equal(configFormatFor('.yaml', 'a: 1'), null);
+  });
+});
+
+describe('POST /api/upload-and-convert with config files', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  it('redacts secrets named by the last key segment', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'app.env', 'DB_USER=radius\nDB_PASSWORD=hunter2\nAPI_KEY=abc123\nclientSecret=shh\n', { obfuscationLevel: 'mask' });
+    assert.equal(status, 200);
+    assert.equal(body.fileType, 'env');
+    const data = yaml.load(body.data.yaml);
+    assert.equal(data.DB_USER, 'radius');
+    ['hunter2', 'abc123', 'shh'].forEach(secret => assert.ok(!body.data.yaml.includes(secret), secret));
+  });
+
+  it('maps a TOML passpoint-properties document', async () => {
+    const toml = [
+      '[passpoint-properties]',
+      'home-friendly-name = "Example Wi-Fi"',
+      'home-domain = "example.com"',
+      '[passpoint-properties.credential]',
+      'realm = "example.com"',
+      'username = "alice@example.com"',
+      'password = "s3cret-Passw0rd"',
+      'eap-method = 21',
+    ].join('\n');
+    const { status, body } = await uploadAndConvert(server.base, 'profile.toml', toml);
+    assert.equal(status, 200);
+    assert.equal(yaml.load(body.data.filteredYaml).passpoint_profile.home_domain, 'example.com');
+  });
+});
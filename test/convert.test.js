@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const yaml = require('js-yaml');
+const { buildWpaSupplicantConfig } = require('../src/services/wpa-supplicant.service');
+const { startServer } = require('./helpers/server');
+const { createCertificate } = require('./helpers/certificates');
+const { ttlsProfile } = require('./helpers/profiles');
+
+// /convert reads the files /upload leaves in the uploads directory, named <timestamp>-<name>
+const UPLOAD_DIR = path.join(__dirname, '..', 'src', 'config', 'uploads');
+
+describe('POST /api/convert', () => {
+  let server;
+  const written = [];
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(async () => {
+    written.forEach(filePath => fs.rmSync(filePath, { force: true }));
+    await server.close();
+  });
+
+  const convert = async (fileName, content, fields = {}) => {
+    const filePath = `${Date.now()}${written.length}-${fileName}`;
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    fs.writeFileSync(path.join(UPLOAD_DIR, filePath), content);
+    written.push(path.join(UPLOAD_DIR, filePath));
+    const response = await fetch(`${server.base}/convert`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filePath, ...fields }),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('answers with the file, its mapped profile and the obfuscation applied', async () => {
+    const { config } = buildWpaSupplicantConfig(ttlsProfile());
+    const { status, body } = await convert('wpa_supplicant.conf', config, { obfuscationLevel: 'mask', validate: true, streamId: 'convert-test' });
+    assert.equal(status, 200);
+    assert.deepEqual([body.success, body.fileType, body.streamId], [true, 'wpa-supplicant', 'convert-test']);
+    assert.equal(body.yamlOutput, body.comprehensiveYaml);
+    assert.ok(!body.yamlOutput.includes('s3cret-Passw0rd'));
+    assert.deepEqual(body.data, body.originalData);
+    assert.equal(yaml.load(body.filteredYaml).passpoint_profile.credential.username, 'alice@example.com');
+    assert.deepEqual(body.obfuscationInfo, { level: 'mask', applied: true, note: "Passwords obfuscated using 'mask' method" });
+    assert.equal(body.validation.valid, true);
+    assert.match(body.suggestedFilenames.yaml, /^wpa_supplicant/);
+  });
+
+  it('leaves the obfuscation out for files without a profile', async () => {
+    const { status, body } = await convert('aaa.pem', createCertificate({ commonName: 'aaa.example.com' }).pem, { validate: 'true' });
+    assert.equal(status, 200);
+    assert.equal(body.fileType, 'certificate');
+    assert.equal(body.filteredYaml, null);
+    assert.equal(body.obfuscationInfo, undefined);
+    assert.deepEqual(Object.keys(body.certificateInfo), ['certificate_file.certificates[0]']);
+    assert.equal(body.validation.valid, null);
+    assert.ok(body.alerts.some(alert => alert.type === 'schema_validation'));
+  });
+
+  it('answers 400 without a file path and 404 for a missing file', async () => {
+    const missingPath = await fetch(`${server.base}/convert`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    assert.equal(missingPath.status, 400);
+    assert.equal((await missingPath.json()).error, 'No file path provided');
+    const missingFile = await fetch(`${server.base}/convert`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ filePath: 'missing.conf' }) });
+    assert.equal(missingFile.status, 404);
+  });
+});
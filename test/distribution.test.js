@@ -0,0 +1,102 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const distributionService = require('../src/services/distribution.service');
+const { startServer } = require('./helpers/server');
+const { TTLS_PROFILE, ttlsProfile } = require('./helpers/profiles');
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)';
+
+describe('distribution tokens', () => {
+  let entry;
+  afterEach(() => distributionService.revoke(entry.id));
+
+  it('resolves a published token', () => {
+    ({ entry } = distributionService.publish(ttlsProfile(), { ttl: 60 }));
+    assert.deepEqual(entry.platforms, ['ios', 'android']);
+    assert.equal(distributionService.resolve(entry.token).reason, null);
+  });
+
+  it('refuses tampered tokens', () => {
+    ({ entry } = distributionService.publish(ttlsProfile(), { ttl: 60 }));
+    const [linkId, expires, signature] = entry.token.split('.');
+    const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+    const forged = crypto.createHmac('sha256', 'another key').update(`${linkId}.${expires}`).digest('base64url');
+    [
+      `${linkId}.${Number(expires) + 3600}.${signature}`, // Extended expiry
+      `${linkId}.${expires}.${flipped}`, // Altered signature
+      `${linkId}.${expires}.${forged}`, // Signed with another key
+      `x${linkId}.${expires}.${signature}`, // Other link
+      `${linkId}.${expires}`, // No signature
+      'not-a-token',
+    ].forEach(token => assert.equal(distributionService.resolve(token).reason, 'invalid', token));
+  });
+
+  it('refuses expired, revoked and used links', () => {
+    ({ entry } = distributionService.publish(ttlsProfile(), { ttl: 60, singleUse: true }));
+    const expired = Math.floor(Date.now() / 1000) - 1;
+    assert.equal(distributionService.resolve(`${entry.linkId}.${expired}.${distributionService.signature(entry.linkId, expired)}`).reason, 'expired');
+
+    distributionService.recordDownload(entry, { platform: 'ios', outcome: 'delivered' });
+    assert.equal(distributionService.resolve(entry.token).reason, 'used');
+    assert.deepEqual(entry.variants, {});
+
+    distributionService.revoke(entry.id);
+    assert.equal(distributionService.resolve(entry.token).reason, 'revoked');
+  });
+
+  it('rejects a ttl out of range', () => {
+    assert.throws(() => distributionService.publish(ttlsProfile(), { ttl: 8 * 24 * 60 * 60 }), /ttl must be a whole number of seconds/);
+    assert.throws(() => distributionService.publish(ttlsProfile(), { ttl: 'soon' }), /ttl must be a whole number of seconds/);
+    ({ entry } = distributionService.publish(ttlsProfile(), { ttl: 1 }));
+  });
+});
+
+describe('distribution routes', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/distribution.routes')); });
+  after(() => server.close());
+
+  const publish = async (query = '') => {
+    const response = await fetch(`${server.base}/distribution${query}`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: TTLS_PROFILE });
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+
+  it('publishes a link and serves the variant for the device once', async () => {
+    const published = await publish('?singleUse=true');
+    assert.equal(published.status, 'active');
+    assert.match(published.qr.png, /^data:image\/png;base64,/);
+
+    const download = await fetch(published.url, { headers: { 'User-Agent': IPHONE } });
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get('cache-control'), 'no-store');
+    assert.match(await download.text(), /<key>PayloadType<\/key>/);
+
+    const again = await fetch(published.url, { headers: { 'User-Agent': IPHONE } });
+    assert.equal(again.status, 410);
+    assert.equal((await again.json()).error, 'Download link already used');
+
+    const status = await (await fetch(`${server.base}/distribution/${published.id}`)).json();
+    assert.equal(status.status, 'used');
+    assert.deepEqual(status.downloads.map(download => download.outcome), ['delivered', 'used']);
+  });
+
+  it('asks unknown devices to pick a platform', async () => {
+    const published = await publish();
+    const response = await fetch(published.url, { headers: { 'User-Agent': 'curl/8.0' } });
+    assert.equal(response.status, 300);
+    assert.deepEqual(Object.keys((await response.json()).links), ['ios', 'android']);
+    await fetch(`${server.base}/distribution/${published.id}`, { method: 'DELETE' });
+  });
+
+  it('answers 403 for a tampered link and 410 for a revoked one', async () => {
+    const published = await publish();
+    const tampered = published.url.slice(0, -1) + (published.url.endsWith('A') ? 'B' : 'A');
+    assert.equal((await fetch(`${tampered}?platform=ios`)).status, 403);
+
+    const revoked = await fetch(`${server.base}/distribution/${published.id}`, { method: 'DELETE' });
+    assert.equal((await revoked.json()).status, 'revoked');
+    assert.equal((await fetch(`${published.url}?platform=ios`)).status, 410);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const xml2js = require('xml2js');
+const { buildEapConfig } = require('../src/services/eap-config.service');
+const { mapToYamlSchema } = require('../src/services/mapping.service');
+const { startServer } = require('./helpers/server');
+const { TTLS_PROFILE, ttlsProfile } = require('./helpers/profiles');
+
+// The route parses .eap-config files the same way
+const parseEapConfig = (xml) => new xml2js.Parser({ explicitArray: false }).parseStringPromise(xml);
+
+describe('buildEapConfig', () => {
+  it('writes an EAPIdentityProvider for the realm', async () => {
+    const { EAPIdentityProviderList: list } = await parseEapConfig(buildEapConfig(ttlsProfile(), { ssids: 'eduroam' }));
+    const provider = list.EAPIdentityProvider;
+    assert.equal(provider.$.ID, 'example.com');
+    const method = provider.AuthenticationMethods.AuthenticationMethod;
+    assert.equal(method.EAPMethod.Type, '21');
+    assert.equal(method.InnerAuthenticationMethod.NonEAPAuthMethod.Type, '3');
+    assert.equal(method.ClientSideCredential.OuterIdentity, 'anonymous@example.com');
+    assert.equal(method.ServerSideCredential.ServerID, 'aaa.example.com');
+    assert.deepEqual(provider.CredentialApplicability.IEEE80211.map(network => network.ConsortiumOID || network.SSID),
+      ['001bc50460', '5a03ba0000', 'eduroam']);
+  });
+
+  it('reads back into the same profile', async () => {
+    const { passpoint_profile: profile } = mapToYamlSchema(await parseEapConfig(buildEapConfig(ttlsProfile())), 'eap-config');
+    assert.equal(profile.nai_realm.name, 'example.com');
+    assert.deepEqual(profile.nai_realm.eap_methods.map(method => [method.eap_type, method.inner_auth]), [['TTLS', 'MSCHAPV2']]);
+    assert.equal(profile.credential.username, 'alice@example.com');
+    assert.equal(profile.credential.outer_identity, 'anonymous@example.com');
+    assert.deepEqual(profile.credential.server_names, ['aaa.example.com']);
+    assert.deepEqual(profile.roaming_consortiums.map(oi => oi.value), ['001bc50460', '5a03ba0000']);
+  });
+
+  it('rejects profiles it cannot express', () => {
+    assert.throws(() => buildEapConfig(ttlsProfile(profile => { profile.nai_realm.eap_methods = [{ eap_type: 'PWD' }]; })), /not supported in .eap-config files/);
+    assert.throws(() => buildEapConfig(ttlsProfile(profile => { profile.nai_realm.eap_methods[0].inner_auth = 'CHAP'; })), /Inner method "CHAP" is not supported/);
+    assert.throws(() => buildEapConfig(ttlsProfile(profile => {
+      profile.home_ois = [];
+      profile.roaming_consortiums = [];
+    })), /roaming consortium OIs or an SSID/);
+    assert.throws(() => buildEapConfig(ttlsProfile(profile => {
+      profile.credential.realm = '';
+      profile.nai_realm.name = '';
+    })), /needs a credential realm/);
+  });
+});
+
+describe('POST /api/export/eap-config', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/export.routes')); });
+  after(() => server.close());
+
+  it('sends the .eap-config as a download', async () => {
+    const response = await fetch(`${server.base}/export/eap-config?lang=nl`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: TTLS_PROFILE });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="example.com.eap-config"');
+    const { EAPIdentityProviderList: list } = await parseEapConfig(await response.text());
+    assert.equal(list.EAPIdentityProvider.$.lang, 'nl');
+  });
+
+  it('answers 400 for an outer method .eap-config does not take', async () => {
+    const response = await fetch(`${server.base}/export/eap-config`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/yaml' },
+      body: TTLS_PROFILE.replace('eap-method: 21', 'eap-method: 52'),
+    });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).details, /not supported in .eap-config files/);
+  });
+});
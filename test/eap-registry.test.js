@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const eapRegistry = require('../src/services/eap-registry.service');
+const { mapToYamlSchema } = require('../src/services/mapping.service');
+
+const nameOf = (value, expanded) => {
+  const method = eapRegistry.eapMethod(value, expanded);
+  return method && method.name;
+};
+
+describe('eapRegistry.eapMethod', () => {
+  it('follows the IANA numbers', () => {
+    assert.deepEqual([13, 18, 21, 23, 25, 26, 50].map(type => nameOf(type)), ['TLS', 'SIM', 'TTLS', 'AKA', 'PEAP', 'MSCHAPV2', "AKA'"]);
+    assert.deepEqual(eapRegistry.eapMethod('21'), {
+      type: 21, name: 'TTLS', description: 'EAP-TTLS', vendor_id: 0, vendor_type: 0, credential: 'username_password', tunnel: true, assigned: true,
+    });
+  });
+
+  it('reads the spellings of each platform', () => {
+    ['EAP-TTLS', 'ttls', 'Eap_Ttls'].forEach(name => assert.equal(nameOf(name), 'TTLS', name));
+    ["EAP-AKA'", 'AKA_PRIME', "aka'"].forEach(name => assert.equal(nameOf(name), "AKA'", name));
+    ['MS-CHAP-V2', 'MSCHAPv2', 'MSCHAP2'].forEach(name => assert.equal(nameOf(name), 'MSCHAPV2', name));
+    assert.equal(eapRegistry.eapMethod('NOT-A-METHOD'), null);
+    assert.equal(eapRegistry.eapMethod(256), null);
+    assert.equal(eapRegistry.eapMethod(''), null);
+  });
+
+  it('keeps unassigned types instead of dropping them', () => {
+    const method = eapRegistry.eapMethod(99);
+    assert.deepEqual([method.name, method.assigned], ['EAP-99', false]);
+  });
+
+  it('resolves expanded types by vendor ID and vendor type', () => {
+    assert.deepEqual(eapRegistry.eapMethod(254, { vendorId: 40808, vendorType: 13 }), {
+      type: 254, name: 'UNAUTH-TLS', description: 'Unauthenticated EAP-TLS (Wi-Fi Alliance)', vendor_id: 40808, vendor_type: 13, credential: null, tunnel: false, assigned: true,
+    });
+    assert.equal(nameOf('UNAUTH_TLS'), 'UNAUTH-TLS');
+    assert.equal(nameOf(254, { vendorId: 0, vendorType: 21 }), 'TTLS');
+    const unknown = eapRegistry.eapMethod('EXPANDED-12345-7');
+    assert.deepEqual([unknown.type, unknown.name, unknown.vendor_id, unknown.vendor_type], [254, 'EXPANDED-12345-7', 12345, 7]);
+    assert.equal(nameOf(254), 'EXPANDED');
+  });
+});
+
+describe('eapRegistry.innerMethod', () => {
+  const inner = (outer, innerAuth) => {
+    const result = eapRegistry.innerMethod(outer, innerAuth);
+    return result && [result.eap, result.name];
+  };
+
+  it('tells TTLS non-EAP inner methods from EAP ones', () => {
+    assert.deepEqual(inner('TTLS', 'PAP'), [false, 'PAP']);
+    assert.deepEqual(inner('TTLS', 'MSCHAPv2'), [false, 'MSCHAPV2']);
+    assert.deepEqual(inner('TTLS', 'EAP-MSCHAPV2'), [true, 'EAP-MSCHAPV2']);
+    assert.deepEqual(inner('TTLS', 'EAP'), [true, 'EAP-MSCHAPV2']);
+    assert.deepEqual(inner('TTLS', 'GTC'), [true, 'EAP-GTC']);
+    assert.deepEqual(inner('TTLS'), [false, 'MSCHAPV2']);
+  });
+
+  it('only carries EAP in PEAP, FAST and TEAP', () => {
+    assert.deepEqual(inner('PEAP', 'MSCHAPV2'), [true, 'MSCHAPV2']);
+    assert.deepEqual(inner(43, 'GTC'), [true, 'GTC']);
+    assert.equal(inner('TLS', 'PAP'), null);
+    assert.equal(inner('TTLS', 'NOT-A-METHOD'), null);
+  });
+
+  it('maps each format code of the non-EAP methods', () => {
+    assert.equal(eapRegistry.nonEapInnerMethod('MS-CHAP-V2', 'ppsMo').name, 'MSCHAPV2');
+    assert.equal(eapRegistry.nonEapInnerMethod('PAPAuthentication', 'windows').name, 'PAP');
+    assert.equal(eapRegistry.nonEapInnerMethod(3, 'naiRealm').name, 'MSCHAP');
+    assert.equal(eapRegistry.nonEapInnerMethod(2, 'eapConfig').name, 'MSCHAP');
+    assert.equal(eapRegistry.nonEapInnerMethod('CHAP', 'eapConfig'), null);
+  });
+});
+
+describe('mappers resolve EAP types through the registry', () => {
+  it('reads 18 as SIM and 25 as PEAP in a mobileconfig', () => {
+    const mobileconfig = (types) => ({
+      PayloadContent: [{ PayloadType: 'com.apple.wifi.managed', IsHotspot: true, DomainName: 'example.com', EAPClientConfiguration: { AcceptEAPTypes: types } }],
+    });
+    const { passpoint_profile: sim } = mapToYamlSchema(mobileconfig([18, 23]), 'mobileconfig');
+    assert.deepEqual(sim.nai_realm.eap_methods.map(method => method.eap_type), ['SIM', 'AKA']);
+    const { passpoint_profile: peap } = mapToYamlSchema(mobileconfig([25, 99]), 'mobileconfig');
+    assert.deepEqual(peap.nai_realm.eap_methods.map(method => method.eap_type), ['PEAP', 'EAP-99']);
+  });
+});
@@ -0,0 +1,64 @@
+// Certificates and PKCS#12 bundles generated for the tests, so no key material is checked in
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+let serial = 1;
+
+/**
+ * Create an RSA certificate
+ * @param {object} options `{ commonName, organization, issuer, ca, notBefore, notAfter }`;
+ *   `issuer` is another createCertificate result, self-signed when left out, and
+ *   `ca` marks the certificate as a CA (by default only self-signed ones are).
+ *   Names may hold non-ASCII characters, which are written as UTF8String
+ * @returns {object} `{ certificate, privateKey, pem, keyPem, der }`, the first two as node-forge objects
+ */
+function createCertificate({ commonName = 'Test CA', organization, issuer, ca = !issuer, notBefore, notAfter } = {}) {
+  const { privateKey: keyPem } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+  });
+  const privateKey = forge.pki.privateKeyFromPem(keyPem);
+
+  const certificate = forge.pki.createCertificate();
+  certificate.publicKey = forge.pki.setRsaPublicKey(privateKey.n, privateKey.e);
+  certificate.serialNumber = String(serial++).padStart(2, '0');
+  certificate.validity.notBefore = notBefore || new Date(Date.now() - 60 * 1000);
+  certificate.validity.notAfter = notAfter || new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+  const attribute = (name, value) => ({ name, value, valueTagClass: forge.asn1.Type.UTF8 });
+  const subject = [attribute('commonName', commonName)];
+  if (organization) {
+    subject.push(attribute('organizationName', organization));
+  }
+  certificate.setSubject(subject);
+  certificate.setIssuer(issuer ? issuer.certificate.subject.attributes : subject);
+  certificate.setExtensions([{ name: 'basicConstraints', cA: ca }]);
+  certificate.sign(issuer ? issuer.privateKey : privateKey, forge.md.sha256.create());
+
+  const der = Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes(), 'binary');
+  return { certificate, privateKey, pem: forge.pki.certificateToPem(certificate), keyPem, der };
+}
+
+/**
+ * Bundle a certificate and its key as PKCS#12
+ * @param {object} identity A createCertificate result
+ * @param {string} password The bundle password
+ * @param {object[]} [chain] More createCertificate results to include
+ * @returns {Buffer} The DER bytes
+ */
+function createPkcs12(identity, password, chain = []) {
+  const asn1 = forge.pkcs12.toPkcs12Asn1(
+    identity.privateKey,
+    [identity.certificate, ...chain.map(entry => entry.certificate)],
+    password,
+    { algorithm: '3des' }
+  );
+  return Buffer.from(forge.asn1.toDer(asn1).getBytes(), 'binary');
+}
+
+module.exports = {
+  createCertificate,
+  createPkcs12,
+};
@@ -0,0 +1,55 @@
+// Passpoint profile documents the tests export, import and round-trip
+
+const { readProfile } = require('../../src/services/mapping.service');
+
+// A username/password EAP-TTLS profile, as a rev1 passpoint-properties document
+const TTLS_PROFILE = `$schema: https://wballiance.com/passpoint-schema/rev1.json
+passpoint-properties:
+  home-friendly-name: Example Wi-Fi
+  home-domain: example.com
+  home-ois:
+    - home-oi: "001bc50460"
+      required: true
+  roaming-consortiums:
+    - "5a03ba0000"
+  other-home-partner-fqdns:
+    - partner.example.net
+  credential:
+    realm: example.com
+    username: alice@example.com
+    password: s3cret-Passw0rd
+    eap-method: 21
+    inner-method: MSCHAPV2
+    outer-identity: anonymous@example.com
+    server-names:
+      - aaa.example.com
+`;
+
+// The same profile written against rev0, with the credential fields at the top level
+const REV0_PROFILE = `passpoint-properties:
+  home-friendly-name: Example Wi-Fi
+  home-domain: example.com
+  realm: example.com
+  username: alice@example.com
+  password: s3cret-Passw0rd
+  eap-method: 21
+`;
+
+/**
+ * The TTLS profile in the mapToYamlSchema `passpoint_profile` shape
+ * @param {Function} [edit] Called with the profile to change it
+ * @returns {object} A fresh profile
+ */
+function ttlsProfile(edit) {
+  const profile = readProfile(TTLS_PROFILE);
+  if (edit) {
+    edit(profile);
+  }
+  return profile;
+}
+
+module.exports = {
+  REV0_PROFILE,
+  TTLS_PROFILE,
+  ttlsProfile,
+};
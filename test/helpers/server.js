@@ -0,0 +1,49 @@
+// Serves route modules on an ephemeral port, mounted under /api as src/app.js does
+
+const express = require('express');
+
+/**
+ * Start a server for a test file
+ * @param {...express.Router} routers The routers to mount under /api
+ * @returns {Promise<{base: string, close: Function}>} The /api base URL and a
+ *   close function for the `after` hook
+ */
+async function startServer(...routers) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true }));
+  routers.forEach(router => app.use('/api', router));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    base: `http://127.0.0.1:${server.address().port}/api`,
+    // fetch keeps connections alive, which would hold close() open
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+/**
+ * Upload a file to /upload-and-convert as the frontend does
+ * @param {string} base The /api base URL from startServer
+ * @param {string} fileName The file name; its extension picks the reader
+ * @param {string|Buffer} content The file content
+ * @param {object} [fields] Other form fields, e.g. `{ password, validate: 'true' }`
+ * @returns {Promise<{status: number, body: object}>} The status and JSON body
+ */
+async function uploadAndConvert(base, fileName, content, fields = {}) {
+  const form = new FormData();
+  form.append('yamlFile', new Blob([content]), fileName);
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  const response = await fetch(`${base}/upload-and-convert`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+module.exports = {
+  startServer,
+  uploadAndConvert,
+};
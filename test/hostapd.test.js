@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const { buildHostapdConfig, parseHostapdConfig } = require('../src/services/hostapd.service');
+const { mapToYamlSchema } = require('../src/services/mapping.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { TTLS_PROFILE, ttlsProfile } = require('./helpers/profiles');
+
+// An AP-side profile: venue, WAN metrics and connection capabilities on top of the TTLS one
+const apProfile = () => ttlsProfile(profile => {
+  profile.venue_info = { group: 'Business', type: 'Research and Development Facility', name: 'Example Lab', language: 'eng' };
+  profile.wan_metrics = { link_status: 'Up', symmetric_link: 'Symmetric', at_capacity: false, downlink_speed: 100000, uplink_speed: 50000, downlink_load: 50, uplink_load: 0, lmd: 1000 };
+  profile.connection_capability = [{ protocol: 'TCP', port_number: 443, status: 'Open' }];
+});
+
+describe('buildHostapdConfig', () => {
+  it('writes the interworking and hs20 directives', () => {
+    const config = buildHostapdConfig(apProfile());
+    assert.match(config, /^interworking=1$/m);
+    assert.match(config, /^access_network_type=2$/m);
+    assert.match(config, /^venue_group=2$/m);
+    assert.match(config, /^venue_type=8$/m);
+    assert.match(config, /^venue_name=eng:Example Lab$/m);
+    assert.match(config, /^roaming_consortium=001bc50460$/m);
+    assert.match(config, /^roaming_consortium=5a03ba0000$/m);
+    assert.match(config, /^domain_name=example.com,partner.example.net$/m);
+    assert.match(config, /^nai_realm=0,example.com,21\[2:4\]\[5:7\]$/m);
+    assert.match(config, /^hs20_oper_friendly_name=eng:Example Wi-Fi$/m);
+    assert.match(config, /^hs20_wan_metrics=05:100000:50000:128:0:10$/m);
+    assert.match(config, /^hs20_conn_capab=6:443:1$/m);
+  });
+
+  it('reads back into the same advertisement', () => {
+    const { bsses, warnings } = parseHostapdConfig(buildHostapdConfig(apProfile()));
+    assert.deepEqual(warnings, []);
+    const { interworking, hs20 } = bsses[0];
+    assert.equal(interworking.venue.type_name, 'Research and Development Facility');
+    assert.deepEqual(interworking.roaming_consortiums, ['001bc50460', '5a03ba0000']);
+    assert.deepEqual(interworking.domain_names, ['example.com', 'partner.example.net']);
+    assert.deepEqual(interworking.nai_realms[0].realms, ['example.com']);
+    assert.deepEqual(interworking.nai_realms[0].eap_methods[0].auth_params.map(param => param.value_name), ['MSCHAPV2', 'Username/Password']);
+    assert.equal(hs20.wan_metrics.downlink_load, 50);
+    assert.equal(hs20.wan_metrics.lmd, 1000);
+    assert.deepEqual(hs20.connection_capabilities, [{ protocol: 'TCP', port_number: 443, status: 'Open' }]);
+  });
+
+  it('rejects profiles an AP cannot advertise', () => {
+    assert.throws(() => buildHostapdConfig(ttlsProfile(profile => { profile.nai_realm.eap_methods = [{ eap_type: 'NOT-A-METHOD' }]; })), /cannot be advertised in the NAI realm list/);
+    assert.throws(() => buildHostapdConfig(ttlsProfile(profile => { profile.connection_capability = [{ protocol: 'TCP', port_number: 443, status: 'Maybe' }]; })), /Open\/Closed\/Unknown status/);
+    assert.throws(() => buildHostapdConfig(ttlsProfile(profile => {
+      profile.home_domain = '';
+      profile.other_home_partner_fqdns = [];
+      profile.nai_realm.name = '';
+      profile.credential.realm = '';
+    })), /home domain or NAI realm/);
+  });
+});
+
+describe('POST /api/export/hostapd', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/export.routes')); });
+  after(() => server.close());
+
+  it('sends the hostapd.conf fragment', async () => {
+    const response = await fetch(`${server.base}/export/hostapd?accessNetworkType=0`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: TTLS_PROFILE });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="example.com.conf"');
+    assert.match(await response.text(), /^access_network_type=0$/m);
+  });
+});
+
+// A dual-BSS AP: a WPA2-PSK network on the interface and a Passpoint one on a second BSS
+const DUAL_BSS = `interface=wlan0
+hw_mode=g
+channel=6
+ssid=Office
+wpa=2
+wpa_key_mgmt=WPA-PSK
+wpa_passphrase=office-passphrase
+
+bss=wlan0_1
+ssid=Example Passpoint
+wpa=2
+wpa_key_mgmt=WPA-EAP
+ieee8021x=1
+auth_server_addr=192.0.2.10
+auth_server_shared_secret=radius-secret
+interworking=1
+access_network_type=2
+anqp_3gpp_cell_net=310,026;001,01
+domain_name=example.com
+nai_realm=0,example.com,21[2:4][5:7],13[5:6]
+nai_realm=0,broken.example,21[oops
+hs20=1
+hs20_oper_friendly_name=eng:Example Operator
+hs20_oper_friendly_name=fra:Opérateur Exemple
+this line has no separator
+`;
+
+describe('parseHostapdConfig', () => {
+  it('reads each BSS and the radio settings', () => {
+    const { radio, bsses, warnings } = parseHostapdConfig(DUAL_BSS);
+    assert.deepEqual(radio, { hw_mode: 'g', channel: '6' });
+    assert.deepEqual(bsses.map(bss => [bss.bss, bss.ssid]), [['wlan0', 'Office'], ['wlan0_1', 'Example Passpoint']]);
+    assert.equal(bsses[0].security.passphrase, 'office-passphrase');
+    assert.equal(bsses[0].interworking.enabled, null);
+
+    const { interworking, security } = bsses[1];
+    assert.deepEqual(security.auth_server, { address: '192.0.2.10', port: 1812, secret: 'radius-secret' });
+    assert.deepEqual(interworking.plmns, [{ mcc: '310', mnc: '026' }, { mcc: '001', mnc: '01' }]);
+    assert.deepEqual(interworking.nai_realms[0].eap_methods.map(method => method.method), ['TTLS', 'TLS']);
+    assert.deepEqual(warnings, [
+      'Line 25: not a key=value line',
+      'wlan0_1: nai_realm=0,broken.example,21[oops: "21[oops" is not <EAP method>[<auth id>:<auth value>]',
+    ]);
+  });
+});
+
+describe("mapToYamlSchema 'hostapd'", () => {
+  it('maps the first interworking BSS', () => {
+    const { passpoint_profile: profile } = mapToYamlSchema(parseHostapdConfig(DUAL_BSS), 'hostapd');
+    assert.equal(profile.home_friendly_name, 'Example Operator');
+    assert.equal(profile.home_domain, 'example.com');
+    assert.deepEqual(profile.plmn_list, [{ mcc: '310', mnc: '026' }, { mcc: '001', mnc: '01' }]);
+    assert.deepEqual(profile.nai_realm.eap_methods.map(method => [method.eap_type, method.inner_auth]), [['TTLS', 'MSCHAPV2'], ['TLS', undefined]]);
+    assert.equal(profile.credential.username, '');
+  });
+
+  it('reads back the advertisement the exporter writes', () => {
+    const { passpoint_profile: profile } = mapToYamlSchema(parseHostapdConfig(buildHostapdConfig(apProfile())), 'hostapd');
+    assert.deepEqual(profile.roaming_consortiums.map(oi => oi.value), ['001bc50460', '5a03ba0000']);
+    assert.deepEqual(profile.other_home_partner_fqdns, ['partner.example.net']);
+    assert.equal(profile.venue_info.type, 'Research and Development Facility');
+    assert.deepEqual(profile.connection_capability, [{ protocol: 'TCP', port_number: 443, status: 'Open' }]);
+  });
+});
+
+describe('POST /api/upload-and-convert with a hostapd.conf', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  it('obfuscates the passphrase and the RADIUS secret', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'hostapd.conf', DUAL_BSS, { obfuscationLevel: 'mask' });
+    assert.equal(status, 200);
+    assert.equal(body.fileType, 'hostapd');
+    assert.ok(!body.data.yaml.includes('office-passphrase'));
+    assert.ok(!body.data.yaml.includes('radius-secret'));
+    assert.equal(yaml.load(body.data.filteredYaml).passpoint_profile.home_domain, 'example.com');
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const plist = require('plist');
+const yaml = require('js-yaml');
+const { lintAlerts, lintProfile } = require('../src/services/lint.service');
+const { buildMobileConfig } = require('../src/services/mobileconfig.service');
+const { readProfile } = require('../src/services/mapping.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { TTLS_PROFILE, ttlsProfile } = require('./helpers/profiles');
+
+const rules = (findings) => findings.map(finding => finding.rule);
+
+// The TTLS profile as a parsed mobileconfig, with its Wi-Fi payload changed by `edit`
+const mobileconfig = (edit = () => {}, profile = ttlsProfile()) => {
+  const parsed = plist.parse(buildMobileConfig(profile));
+  edit(parsed.PayloadContent.find(payload => payload.PayloadType === 'com.apple.wifi.managed'), parsed);
+  return parsed;
+};
+
+// The TTLS profile without its inner method, as YAML and as a mobileconfig
+const NO_INNER_YAML = TTLS_PROFILE.replace('    inner-method: MSCHAPV2\n', '');
+const NO_INNER_MOBILECONFIG = plist.build(mobileconfig(wifi => { delete wifi.EAPClientConfiguration.TTLSInnerAuthentication; }));
+
+describe('lintProfile', () => {
+  it('finds nothing wrong with the TTLS profile', () => {
+    assert.deepEqual(lintProfile({ profile: readProfile(TTLS_PROFILE) }), []);
+    assert.deepEqual(lintProfile({ mobileconfig: mobileconfig() }), []);
+  });
+
+  it('checks the client identity of EAP-TLS and certificate references', () => {
+    const tls = mobileconfig(wifi => {
+      wifi.EAPClientConfiguration.AcceptEAPTypes = [13];
+      wifi.EAPClientConfiguration.PayloadCertificateAnchorUUID = ['00000000-0000-4000-8000-00000000dead'];
+    });
+    assert.deepEqual(rules(lintProfile({ mobileconfig: tls })), ['tls-client-identity', 'certificate-reference']);
+
+    const wrongTarget = mobileconfig((wifi, parsed) => { wifi.PayloadCertificateUUID = parsed.PayloadUUID; });
+    const [finding] = lintProfile({ mobileconfig: { ...wrongTarget, PayloadContent: [...wrongTarget.PayloadContent, { PayloadType: 'com.apple.security.root', PayloadUUID: wrongTarget.PayloadUUID }] } });
+    assert.equal(finding.rule, 'certificate-reference');
+    assert.match(finding.message, /which is a com\.apple\.security\.root payload rather than a client identity$/);
+
+    const profile = ttlsProfile(edit => { edit.nai_realm.eap_methods = [{ eap_type: 'TLS' }]; });
+    assert.deepEqual(lintProfile({ profile }).map(({ rule, pointer }) => [rule, pointer]), [['tls-client-identity', '/passpoint_profile/credential/client_certificate']]);
+  });
+
+  it('checks OI lengths and the trusted server names', () => {
+    const profile = ttlsProfile(edit => {
+      edit.roaming_consortiums[0].value = '5a03ba00';
+      edit.credential.server_names = ['radius.example.net'];
+    });
+    assert.deepEqual(lintProfile({ profile }).map(({ rule, message }) => [rule, message]), [
+      ['oi-length', 'Roaming consortium OI 5a03ba00 is 4 octets'],
+      ['domain-trusted-server-name', 'The home domain example.com is not covered by the server names (radius.example.net)'],
+    ]);
+    const covered = ttlsProfile(edit => { edit.credential.server_names = ['*.example.com']; });
+    assert.deepEqual(lintProfile({ profile: covered }), []);
+  });
+
+  it('turns findings into profile_lint alerts', () => {
+    const [alert] = lintAlerts(lintProfile({ profile: readProfile(NO_INNER_YAML) }));
+    assert.deepEqual(alert, {
+      type: 'profile_lint',
+      severity: 'warning',
+      message: '[ttls-inner-authentication] The EAP-TTLS method has no inner_auth',
+      details: {
+        rule: 'ttls-inner-authentication',
+        pointer: '/passpoint_profile/nai_realm/eap_methods/0/inner_auth',
+        suggestion: 'Set inner_auth to PAP, CHAP, MSCHAP, MSCHAPV2 or EAP-<method>',
+      },
+    });
+    assert.throws(() => lintProfile({}), /Nothing to lint/);
+  });
+});
+
+describe('username-realm', () => {
+  const yamlWith = (credential) => TTLS_PROFILE.replace('    realm: example.com\n    username: alice@example.com\n', credential);
+
+  it('fires for a YAML username outside the realm as written, or the home domain without one', () => {
+    const written = lintProfile({ profile: readProfile(yamlWith('    realm: example.com\n    username: alice@example.org\n')) });
+    assert.deepEqual(written.map(({ rule, message }) => [rule, message]), [['username-realm', 'The username is in realm example.org, but the NAI realm is example.com']]);
+    const unwritten = lintProfile({ profile: readProfile(yamlWith('    username: alice@example.org\n')) });
+    assert.deepEqual(rules(unwritten), ['username-realm']);
+  });
+
+  it('does not fire for a username in the realm', () => {
+    assert.deepEqual(lintProfile({ profile: readProfile(yamlWith('    username: alice@Example.com\n')) }), []);
+    assert.deepEqual(lintProfile({ profile: readProfile(yamlWith('    realm: example.org\n    username: alice@example.org\n')) }), []);
+    assert.deepEqual(lintProfile({ profile: readProfile(yamlWith('    username: alice\n')) }), []);
+  });
+
+  it('compares a mobileconfig username with NAIRealmNames', () => {
+    const outside = mobileconfig(wifi => { wifi.EAPClientConfiguration.UserName = 'alice@example.org'; });
+    assert.deepEqual(rules(lintProfile({ mobileconfig: outside })), ['username-realm']);
+    const listed = mobileconfig(wifi => {
+      wifi.EAPClientConfiguration.UserName = 'alice@example.org';
+      wifi.NAIRealmNames = ['example.com', 'example.org'];
+    });
+    assert.deepEqual(lintProfile({ mobileconfig: listed }), []);
+  });
+});
+
+describe('TTLS without an inner method', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  const lintUpload = async (fileName, content) => {
+    const form = new FormData();
+    form.append('yamlFile', new Blob([content]), fileName);
+    const response = await fetch(`${server.base}/lint`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('is mapped and linted the same from YAML and mobileconfig input', async () => {
+    const converted = await Promise.all([
+      uploadAndConvert(server.base, 'profile.yml', NO_INNER_YAML),
+      uploadAndConvert(server.base, 'profile.mobileconfig', NO_INNER_MOBILECONFIG),
+    ]);
+    converted.forEach(({ status, body }) => {
+      assert.equal(status, 200);
+      assert.deepEqual(yaml.load(body.data.filteredYaml).passpoint_profile.nai_realm.eap_methods.map(method => method.inner_auth), [undefined]);
+      assert.deepEqual(body.alerts.filter(alert => alert.type === 'profile_lint').map(alert => alert.details.rule), ['ttls-inner-authentication']);
+    });
+
+    const linted = await Promise.all([lintUpload('profile.yml', NO_INNER_YAML), lintUpload('profile.mobileconfig', NO_INNER_MOBILECONFIG)]);
+    assert.deepEqual(linted.map(({ body }) => [rules(body.findings), body.warnings]), [[['ttls-inner-authentication'], 1], [['ttls-inner-authentication'], 1]]);
+    assert.equal(linted[1].body.findings[0].pointer, '/PayloadContent/0/EAPClientConfiguration/TTLSInnerAuthentication');
+  });
+
+  it('is exported with the MSCHAPv2 devices fall back to', () => {
+    const wifi = plist.parse(buildMobileConfig(readProfile(NO_INNER_YAML))).PayloadContent.find(payload => payload.PayloadType === 'com.apple.wifi.managed');
+    assert.equal(wifi.EAPClientConfiguration.TTLSInnerAuthentication, 'MSCHAPv2');
+  });
+
+  it('lists the rules and answers 400 for a body without a profile', async () => {
+    const { rules: listed } = await (await fetch(`${server.base}/lint/rules`)).json();
+    assert.ok(listed.some(rule => rule.id === 'username-realm' && rule.severity === 'warning'));
+    const response = await fetch(`${server.base}/lint`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: '42' });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Failed to lint profile');
+  });
+});
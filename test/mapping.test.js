@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const {
+  createEmptyProfile,
+  isProfileDocument,
+  mapPasspointPropertiesToProfile,
+  mapProfileToPasspointProperties,
+  mapToYamlSchema,
+  readProfile,
+} = require('../src/services/mapping.service');
+const { buildMobileConfig } = require('../src/services/mobileconfig.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { TTLS_PROFILE, ttlsProfile } = require('./helpers/profiles');
+
+describe('passpoint-properties mapping', () => {
+  it('maps the credential group into the canonical profile', () => {
+    const profile = readProfile(TTLS_PROFILE);
+    assert.equal(profile.home_domain, 'example.com');
+    assert.deepEqual(profile.home_ois.map(oi => [oi.value, oi.required]), [['001bc50460', true]]);
+    assert.deepEqual(profile.roaming_consortiums.map(oi => oi.value), ['5a03ba0000']);
+    assert.equal(profile.nai_realm.name, 'example.com');
+    assert.deepEqual(profile.nai_realm.eap_methods.map(method => [method.eap_type, method.inner_auth]), [['TTLS', 'MSCHAPV2']]);
+    assert.equal(profile.credential.type, 'UsernamePassword');
+    assert.equal(profile.credential.outer_identity, 'anonymous@example.com');
+    assert.deepEqual(profile.credential.server_names, ['aaa.example.com']);
+  });
+
+  it('writes the profile back as a latest-revision document that reads the same', () => {
+    const profile = readProfile(TTLS_PROFILE);
+    const document = mapProfileToPasspointProperties(profile);
+    assert.equal(document.$schema, yaml.load(TTLS_PROFILE).$schema);
+    assert.deepEqual(document['passpoint-properties'].credential, yaml.load(TTLS_PROFILE)['passpoint-properties'].credential);
+    assert.deepEqual(readProfile(document), profile);
+  });
+
+  it('reads older filteredYaml downloads with top-level, wrapped fields', () => {
+    const profile = mapPasspointPropertiesToProfile({
+      'home-friendly-name': { type: 'string', description: 'Friendly name', value: 'Example Wi-Fi' },
+      'home-domain': { type: 'string', value: 'example.com' },
+      username: 'bob@example.org',
+      'eap-method': 'TTLS',
+      'inner-method': 'PAP',
+    });
+    assert.equal(profile.home_friendly_name, 'Example Wi-Fi');
+    assert.equal(profile.nai_realm.name, 'example.com');
+    assert.deepEqual(profile.nai_realm.eap_methods.map(method => [method.eap_type, method.inner_auth]), [['TTLS', 'PAP']]);
+    assert.throws(() => mapPasspointPropertiesToProfile(['not', 'a', 'document']), /Profile document must be an object/);
+  });
+
+  it('takes canonical documents as they are', () => {
+    const document = { passpoint_profile: ttlsProfile(profile => { profile.home_domain = 'example.net'; }) };
+    assert.ok(isProfileDocument(document));
+    assert.ok(!isProfileDocument({ server: { port: 8080 } }));
+    assert.equal(readProfile(document).home_domain, 'example.net');
+    assert.deepEqual(Object.keys(readProfile({ passpoint_profile: {} })), Object.keys(createEmptyProfile()));
+  });
+
+  it('leaves the profile empty for an unknown format', () => {
+    const { passpoint_profile: profile, schema_revision: revision } = mapToYamlSchema({ anything: true }, 'unknown');
+    assert.deepEqual(profile, createEmptyProfile());
+    assert.equal(revision, 'rev1');
+  });
+});
+
+describe('filteredYaml across input formats', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  it('is the same canonical profile for YAML and mobileconfig input', async () => {
+    const fromYaml = await uploadAndConvert(server.base, 'profile.yml', TTLS_PROFILE, { obfuscationLevel: 'none' });
+    const fromMobileconfig = await uploadAndConvert(server.base, 'profile.mobileconfig', buildMobileConfig(ttlsProfile()), { obfuscationLevel: 'none' });
+    const [a, b] = [fromYaml, fromMobileconfig].map(({ status, body }) => {
+      assert.equal(status, 200);
+      return yaml.load(body.data.filteredYaml).passpoint_profile;
+    });
+    // A mobileconfig has no other home partners and lists home OIs with the roaming consortiums
+    ['home_friendly_name', 'home_domain', 'nai_realm'].forEach(key => assert.deepEqual(b[key], a[key], key));
+    const ois = (profile) => [...profile.home_ois, ...profile.roaming_consortiums].map(oi => oi.value.toLowerCase()).sort();
+    assert.deepEqual(ois(b), ois(a));
+    ['type', 'username', 'password', 'outer_identity', 'server_names'].forEach(key => assert.deepEqual(b.credential[key], a.credential[key], key));
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const plist = require('plist');
+const { buildMobileConfig, MOBILECONFIG_CONTENT_TYPE } = require('../src/services/mobileconfig.service');
+const { mapToYamlSchema } = require('../src/services/mapping.service');
+const { startServer } = require('./helpers/server');
+const { createCertificate } = require('./helpers/certificates');
+const { TTLS_PROFILE, ttlsProfile } = require('./helpers/profiles');
+
+const wifiPayload = (mobileconfig) => mobileconfig.PayloadContent.find(payload => payload.PayloadType === 'com.apple.wifi.managed');
+
+describe('buildMobileConfig', () => {
+  it('writes a Passpoint Wi-Fi payload', () => {
+    const wifi = wifiPayload(plist.parse(buildMobileConfig(ttlsProfile())));
+    assert.equal(wifi.DomainName, 'example.com');
+    assert.equal(wifi.IsHotspot, true);
+    assert.deepEqual(wifi.NAIRealmNames, ['example.com']);
+    assert.deepEqual(wifi.RoamingConsortiumOIs, ['001BC50460', '5A03BA0000']);
+    assert.deepEqual(wifi.EAPClientConfiguration.AcceptEAPTypes, [21]);
+    assert.equal(wifi.EAPClientConfiguration.TTLSInnerAuthentication, 'MSCHAPv2');
+    assert.equal(wifi.EAPClientConfiguration.UserName, 'alice@example.com');
+    assert.deepEqual(wifi.EAPClientConfiguration.TLSTrustedServerNames, ['aaa.example.com']);
+  });
+
+  it('gives the same payload UUIDs for the same profile', () => {
+    assert.equal(buildMobileConfig(ttlsProfile()), buildMobileConfig(ttlsProfile()));
+  });
+
+  it('adds a trust anchor payload for the CA certificate', () => {
+    const ca = createCertificate({ commonName: 'Example AAA CA' });
+    const mobileconfig = plist.parse(buildMobileConfig(ttlsProfile(profile => { profile.credential.ca_certificate = ca.pem; })));
+    const anchor = mobileconfig.PayloadContent.find(payload => payload.PayloadType === 'com.apple.security.root');
+    assert.ok(Buffer.from(anchor.PayloadContent).equals(ca.der));
+    assert.deepEqual(wifiPayload(mobileconfig).EAPClientConfiguration.PayloadCertificateAnchorUUID, [anchor.PayloadUUID]);
+  });
+
+  it('reads back into the same profile', () => {
+    const { passpoint_profile: profile } = mapToYamlSchema(plist.parse(buildMobileConfig(ttlsProfile())), 'mobileconfig');
+    assert.equal(profile.home_domain, 'example.com');
+    assert.equal(profile.home_friendly_name, 'Example Wi-Fi');
+    assert.equal(profile.nai_realm.name, 'example.com');
+    assert.deepEqual(profile.nai_realm.eap_methods.map(method => [method.eap_type, method.inner_auth]), [['TTLS', 'MSCHAPV2']]);
+    assert.equal(profile.credential.username, 'alice@example.com');
+    assert.equal(profile.credential.password, 's3cret-Passw0rd');
+    assert.deepEqual(profile.roaming_consortiums.map(oi => oi.value), ['001BC50460', '5A03BA0000']);
+  });
+
+  it('rejects profiles it cannot express', () => {
+    assert.throws(() => buildMobileConfig(ttlsProfile(profile => { profile.nai_realm.eap_methods = []; })), /no EAP method/);
+    assert.throws(() => buildMobileConfig(ttlsProfile(profile => { profile.nai_realm.eap_methods = [{ eap_type: 'PWD' }]; })), /not supported by Apple/);
+    assert.throws(() => buildMobileConfig(ttlsProfile(profile => {
+      profile.home_domain = '';
+      profile.nai_realm.name = '';
+    })), /home domain or NAI realm/);
+    assert.throws(() => buildMobileConfig(ttlsProfile(profile => { profile.credential.ca_certificate = '-----BEGIN CERTIFICATE-----\n%%%\n-----END CERTIFICATE-----'; })), /not a PEM or base64 certificate/);
+  });
+});
+
+describe('POST /api/export/mobileconfig', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/export.routes')); });
+  after(() => server.close());
+
+  it('sends the profile as a download', async () => {
+    const response = await fetch(`${server.base}/export/mobileconfig`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: TTLS_PROFILE });
+    assert.equal(response.status, 200);
+    assert.ok(response.headers.get('content-type').startsWith(MOBILECONFIG_CONTENT_TYPE));
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="example.com.mobileconfig"');
+    assert.equal(wifiPayload(plist.parse(await response.text())).DomainName, 'example.com');
+  });
+
+  it('answers 400 for a body without a profile', async () => {
+    const response = await fetch(`${server.base}/export/mobileconfig`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: '- just a list' });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Invalid profile');
+  });
+
+  it('answers 400 for a profile the exporter rejects', async () => {
+    const response = await fetch(`${server.base}/export/mobileconfig`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ profile: { 'passpoint-properties': { 'home-domain': 'example.com' } } }),
+    });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).details, /no EAP method/);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const { isOncDocument, parseOnc } = require('../src/services/onc.service');
+const { mapToYamlSchema } = require('../src/services/mapping.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { createCertificate, createPkcs12 } = require('./helpers/certificates');
+
+const ca = createCertificate({ commonName: 'Example AAA CA' });
+const client = createCertificate({ commonName: 'alice', issuer: ca });
+
+// A ChromeOS device policy: a TTLS network with substitution variables, a TLS network and a PSK network
+const onc = () => ({
+  Type: 'UnencryptedConfiguration',
+  Certificates: [
+    { GUID: 'ca', Type: 'Authority', X509: ca.pem },
+    { GUID: 'client', Type: 'Client', PKCS12: createPkcs12(client, '').toString('base64') },
+  ],
+  NetworkConfigurations: [
+    {
+      GUID: 'ttls',
+      Name: 'Example Wi-Fi',
+      Type: 'WiFi',
+      WiFi: {
+        SSID: 'Example',
+        Security: 'WPA-EAP',
+        EAP: {
+          Outer: 'EAP-TTLS',
+          Inner: 'MSCHAPv2',
+          Identity: '${LOGIN_ID}@example.com',
+          AnonymousIdentity: 'anonymous@example.com',
+          Password: '${PASSWORD}',
+          ServerCARef: 'ca',
+          ServerCARefs: ['ca', 'missing'],
+          DomainSuffixMatch: ['aaa.example.com'],
+        },
+      },
+    },
+    {
+      GUID: 'tls',
+      Name: 'Example TLS',
+      Type: 'WiFi',
+      WiFi: { SSID: 'Example-TLS', Security: 'WPA-EAP', EAP: { Outer: 'EAP-TLS', Identity: '${CERT_SUBJECT_COMMON_NAME}@example.com', ClientCertRef: 'client' } },
+    },
+    { GUID: 'psk', Name: 'Office', Type: 'WiFi', WiFi: { SSID: 'Office', Security: 'WPA-PSK', Passphrase: 'office-passphrase' } },
+  ],
+});
+
+describe('parseOnc', () => {
+  it('resolves certificate references and substitution variables', () => {
+    const { networks, certificates, warnings } = parseOnc(JSON.stringify(onc()), { LOGIN_EMAIL: 'alice@example.com' });
+    const [ttls, tls, psk] = networks;
+    assert.equal(ttls.eap.identity, 'alice@example.com');
+    assert.equal(ttls.eap.password, '${PASSWORD}');
+    assert.deepEqual(ttls.eap.server_ca_refs.map(ref => [ref.guid, ref.found]), [['ca', true], ['missing', false]]);
+    assert.equal(tls.eap.identity, 'alice@example.com');
+    assert.equal(tls.eap.client_cert_ref.found, true);
+    assert.equal(psk.passphrase, 'office-passphrase');
+    assert.equal(certificates[1].encrypted, false);
+    assert.equal(certificates[1].certificates.length, 1);
+    assert.deepEqual(warnings, [
+      'NetworkConfigurations[0] (Example Wi-Fi): ServerCARef missing is not in Certificates',
+      'NetworkConfigurations[0] (Example Wi-Fi): ${PASSWORD} has no value and is left in place',
+    ]);
+  });
+
+  it('reports why a certificate cannot be read', () => {
+    const { certificates, warnings } = parseOnc({
+      Certificates: [
+        { GUID: 'damaged', Type: 'Client', PKCS12: 'MAMCAQ==' },
+        { GUID: 'not-x509', Type: 'Client', X509: 'AAAA' },
+      ],
+      NetworkConfigurations: [{ Name: 'TLS', Type: 'WiFi', WiFi: { EAP: { Outer: 'EAP-TLS', ClientCertRef: 'not-x509' } } }],
+    });
+    assert.equal(certificates[0].encrypted, false);
+    assert.match(warnings[0], /^Certificates\[0\] \(damaged\): PKCS12 cannot be read \(.+\)$/);
+    assert.match(warnings[1], /^NetworkConfigurations\[0\] \(TLS\): the client certificate cannot be read, so the CERT_\* variables have no value \(.+\)$/);
+  });
+
+  it('rejects documents it cannot read', () => {
+    assert.equal(isOncDocument('{ not json'), false);
+    assert.equal(isOncDocument({ SSID: 'Office' }), false);
+    assert.throws(() => parseOnc({ SSID: 'Office' }), /not an ONC configuration/);
+    assert.throws(() => parseOnc({ Type: 'EncryptedConfiguration', Ciphertext: 'x' }), /Encrypted ONC files are not supported/);
+  });
+});
+
+describe("mapToYamlSchema 'onc'", () => {
+  it('maps the first EAP network with its CA certificate', () => {
+    const { passpoint_profile: profile } = mapToYamlSchema(parseOnc(onc(), { LOGIN_ID: 'alice', PASSWORD: 'pw' }), 'onc');
+    assert.equal(profile.home_friendly_name, 'Example Wi-Fi');
+    assert.equal(profile.home_domain, 'example.com');
+    assert.equal(profile.credential.username, 'alice@example.com');
+    assert.equal(profile.credential.password, 'pw');
+    assert.equal(profile.credential.ca_certificate.replace(/\r\n/g, '\n'), ca.pem.replace(/\r\n/g, '\n'));
+    assert.deepEqual(profile.credential.server_names, ['aaa.example.com']);
+    assert.deepEqual(profile.nai_realm.eap_methods.map(method => [method.eap_type, method.inner_auth]), [['TTLS', 'MSCHAPV2']]);
+  });
+});
+
+describe('POST /api/upload-and-convert with an ONC file', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  it('takes oncVariables as a JSON form field', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'policy.onc', JSON.stringify(onc()), {
+      oncVariables: JSON.stringify({ LOGIN_EMAIL: 'alice@example.com', PASSWORD: 'pw' }),
+    });
+    assert.equal(status, 200);
+    assert.equal(body.fileType, 'onc');
+    assert.equal(yaml.load(body.data.filteredYaml).passpoint_profile.credential.username, 'alice@example.com');
+    assert.ok(body.alerts.some(alert => /ServerCARef missing/.test(alert.message)));
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const certService = require('../src/services/cert.service');
+const { buildPlist } = require('../src/services/plist.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { createCertificate, createPkcs12 } = require('./helpers/certificates');
+
+const ca = createCertificate({ commonName: 'Example Issuing CA' });
+const client = createCertificate({ commonName: 'alice@example.com', issuer: ca });
+const bundle = createPkcs12(client, 'p12-pass', [ca]);
+
+// A mobileconfig carrying the identity as a com.apple.security.pkcs12 payload
+const mobileconfigWith = (payload) => buildPlist({
+  PayloadContent: [{ PayloadType: 'com.apple.security.pkcs12', PayloadUUID: 'A1B2C3D4-0000-4000-8000-000000000001', PayloadContent: bundle, ...payload }],
+  PayloadDisplayName: 'Example identity',
+  PayloadIdentifier: 'com.example.identity',
+  PayloadType: 'Configuration',
+  PayloadUUID: 'A1B2C3D4-0000-4000-8000-000000000000',
+  PayloadVersion: 1,
+});
+
+describe('certService.readPkcs12', () => {
+  it('lists the bags and pairs the key with its certificate', () => {
+    const { mac, bags } = certService.readPkcs12(bundle, 'p12-pass');
+    assert.equal(mac, true);
+    const keyBag = bags.find(bag => bag.key);
+    assert.deepEqual(keyBag.key, { algorithm: 'rsa', bits: 2048 });
+    assert.match(bags[keyBag.certificate_bag].certificate.subject, /alice@example.com/);
+    assert.equal(bags.filter(bag => bag.certificate).length, 2);
+    assert.ok(!JSON.stringify(bags).includes('PRIVATE KEY'));
+  });
+
+  it('tells a wrong or missing password from a damaged file', () => {
+    assert.throws(() => certService.readPkcs12(bundle, 'wrong'), { code: 'ERR_PKCS12_PASSWORD', message: 'PKCS#12 password is incorrect' });
+    assert.throws(() => certService.readPkcs12(bundle, ''), { code: 'ERR_PKCS12_PASSWORD', message: 'PKCS#12 file is password protected; supply its password' });
+    assert.throws(() => certService.readPkcs12(Buffer.from('not a pkcs12 file')), error => error.code === undefined && /Not a readable PKCS#12 file/.test(error.message));
+  });
+});
+
+describe('POST /api/upload-and-convert with PKCS#12', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  it('lists a .p12 opened with its password', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'alice.p12', bundle, { password: 'p12-pass' });
+    assert.equal(status, 200);
+    assert.equal(body.fileType, 'pkcs12');
+    assert.equal(yaml.load(body.data.yaml).pkcs12.bags.length, 3);
+    assert.equal(body.alerts, undefined);
+  });
+
+  it('answers 400 with a password alert for a wrong password', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'alice.p12', bundle, { password: 'wrong' });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Conversion failed: PKCS#12 password is incorrect');
+    assert.equal(body.alerts[0].details.field, 'password');
+  });
+
+  it('opens mobileconfig pkcs12 payloads with their own or the request password', async () => {
+    const own = await uploadAndConvert(server.base, 'identity.mobileconfig', mobileconfigWith({ Password: 'p12-pass' }));
+    assert.equal(own.status, 200);
+    assert.equal(own.body.pkcs12Payloads[0].password_source, 'payload');
+    assert.equal(own.body.pkcs12Payloads[0].bags.length, 3);
+
+    const requested = await uploadAndConvert(server.base, 'identity.mobileconfig', mobileconfigWith({}), { password: 'p12-pass' });
+    assert.equal(requested.body.pkcs12Payloads[0].password_source, 'request');
+    assert.equal(requested.body.pkcs12Payloads[0].bags.length, 3);
+  });
+
+  it('reports a payload it cannot open as an alert', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'identity.mobileconfig', mobileconfigWith({ Password: 'wrong' }));
+    assert.equal(status, 200);
+    assert.equal(body.pkcs12Payloads[0].error, 'PKCS#12 password is incorrect');
+    assert.ok(body.alerts.some(alert => alert.message === 'PayloadContent[0]: PKCS#12 password is incorrect'));
+  });
+});
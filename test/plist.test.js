@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPlist, isBinaryPlist, parsePlist } = require('../src/services/plist.service');
+const { startServer } = require('./helpers/server');
+
+const PLIST = {
+  PayloadDisplayName: 'Café Wi-Fi',
+  PayloadVersion: 1,
+  Ratio: 0.5,
+  Whole: 2,
+  Big: '9007199254740993',
+  Enabled: true,
+  Created: new Date('2024-03-01T12:00:00Z'),
+  Certificate: Buffer.from([0x30, 0x82, 0x00, 0xff]),
+  Nested: { OIs: ['001BC50460', '5A03BA0000'], Empty: {} },
+};
+const TYPES = { '/Whole': 'real', '/Big': 'integer' };
+
+// What the value looks like after /convert sent it through JSON
+const throughJson = (value) => JSON.parse(JSON.stringify(value, (key, item) => (
+  item && item.type === 'Buffer' && Array.isArray(item.data) ? `base64:${Buffer.from(item.data).toString('base64')}` : item
+)));
+
+describe('plist round trips', () => {
+  ['xml', 'binary'].forEach(format => {
+    it(`keeps every type through ${format}`, () => {
+      const built = buildPlist(PLIST, { types: TYPES, format });
+      assert.equal(isBinaryPlist(Buffer.from(built)), format === 'binary');
+      const { value, types, format: parsedFormat } = parsePlist(format === 'binary' ? built : Buffer.from(built, 'utf8'));
+      assert.equal(parsedFormat, format);
+      assert.deepEqual(value, { ...PLIST, Whole: 2 });
+      assert.deepEqual(types, { '/Created': 'date', '/Certificate': 'data', '/Whole': 'real', '/Big': 'integer', '/Ratio': 'real' });
+    });
+  });
+
+  it('restores types lost on the way through JSON', () => {
+    const { value, types } = parsePlist(buildPlist(PLIST, { types: TYPES, format: 'binary' }));
+    const rebuilt = parsePlist(buildPlist(throughJson(value), { types }));
+    assert.deepEqual(rebuilt.value, { ...PLIST, Whole: 2 });
+    assert.deepEqual(rebuilt.types, types);
+  });
+
+  it('rejects values a plist cannot hold', () => {
+    assert.throws(() => buildPlist({ Missing: null }), /Value at \/Missing is null/);
+    assert.throws(() => buildPlist({ Certificate: '[REDACTED]' }, { types: { '/Certificate': 'data' } }), /must be base64 <data>/);
+    assert.throws(() => buildPlist({ Created: 'yesterday' }, { types: { '/Created': 'date' } }), /not a valid <date>/);
+    assert.throws(() => parsePlist('<plist version="1.0"><string>&nbsp;</string></plist>'), /Unknown XML entity &nbsp;/);
+  });
+});
+
+describe('POST /api/export/plist', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/export.routes')); });
+  after(() => server.close());
+
+  it('writes a binary plist from data and its types', async () => {
+    const { value, types } = parsePlist(buildPlist(PLIST, { types: TYPES }));
+    const response = await fetch(`${server.base}/export/plist`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ data: throughJson(value), types, options: { format: 'binary', fileName: 'wifi.mobileconfig' } }),
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="wifi.mobileconfig"');
+    assert.deepEqual(parsePlist(Buffer.from(await response.arrayBuffer())).value, { ...PLIST, Whole: 2 });
+  });
+
+  it('answers 400 when there is no data', async () => {
+    const response = await fetch(`${server.base}/export/plist`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Invalid data');
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const { buildPpsMo, flattenPpsMo, parsePpsMo } = require('../src/services/android.service');
+const { mapToYamlSchema } = require('../src/services/mapping.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { ttlsProfile } = require('./helpers/profiles');
+
+// A DDS/OMA-DM Node: children for interior nodes, a value for leaves
+const node = (name, content) => (Array.isArray(content)
+  ? `<Node><NodeName>${name}</NodeName>${content.join('')}</Node>`
+  : `<Node><NodeName>${name}</NodeName><Value>${content}</Value></Node>`);
+
+const SIM_PPS_MO = `<MgmtTree xmlns="syncml:dmddf1.2"><VerDTD>1.2</VerDTD>${node('PerProviderSubscription', [
+  node('UpdateIdentifier', '3'),
+  node('x1', [
+    node('CredentialPriority', '1'),
+    node('HomeSP', [node('FQDN', 'mobile.example.com'), node('FriendlyName', 'Example Mobile'), node('RoamingConsortiumOI', '001BC5,5A03BA0000')]),
+    node('Policy', [node('PreferredRoamingPartnerList', [
+      node('p2', [node('FQDN_Match', 'other.example.org,exactMatch'), node('Priority', '20'), node('Country', '*')]),
+      node('p1', [node('FQDN_Match', 'partner.example.net,includeSubdomains'), node('Priority', '10'), node('Country', 'US')]),
+    ])]),
+    node('Credential', [node('Realm', 'wlan.mnc001.mcc001.3gppnetwork.org'), node('SIM', [node('IMSI', '00101*'), node('EAPType', '23')])]),
+  ]),
+])}</MgmtTree>`;
+
+describe('flattenPpsMo', () => {
+  it('flattens the first subscription into paths', async () => {
+    const { instance, updateIdentifier, paths } = flattenPpsMo(await parsePpsMo(SIM_PPS_MO));
+    assert.equal(instance, 'x1');
+    assert.equal(updateIdentifier, '3');
+    assert.equal(paths['HomeSP/FQDN'], 'mobile.example.com');
+    assert.equal(paths['Policy/PreferredRoamingPartnerList/p1/Priority'], '10');
+    assert.equal(paths['Credential/SIM/IMSI'], '00101*');
+  });
+
+  it('rejects XML without a PerProviderSubscription', async () => {
+    await assert.rejects(parsePpsMo('<MgmtTree/>'), /PPS MO has no MgmtTree\/Node/);
+    await assert.rejects(parsePpsMo(`<MgmtTree>${node('Other', [node('x1', [])])}</MgmtTree>`), /no PerProviderSubscription node/);
+  });
+});
+
+describe("mapToYamlSchema 'pps-mo'", () => {
+  it('maps a SIM subscription with roaming partners', async () => {
+    const { passpoint_profile: profile } = mapToYamlSchema(flattenPpsMo(await parsePpsMo(SIM_PPS_MO)).paths, 'pps-mo');
+    assert.equal(profile.home_domain, 'mobile.example.com');
+    assert.equal(profile.credential_priority, 1);
+    assert.deepEqual(profile.roaming_consortiums.map(oi => oi.value), ['001bc5', '5a03ba0000']);
+    assert.deepEqual(profile.preferred_roaming_partners, [
+      { fqdn: 'partner.example.net', match: 1, priority: 10, country: 'US' },
+      { fqdn: 'other.example.org', match: 0, priority: 20, country: '*' },
+    ]);
+    assert.equal(profile.credential.type, 'SIM');
+    assert.equal(profile.credential.imsi, '00101*');
+    assert.equal(profile.nai_realm.name, 'wlan.mnc001.mcc001.3gppnetwork.org');
+    assert.deepEqual(profile.nai_realm.eap_methods.map(method => method.eap_type), ['AKA']);
+  });
+
+  it('reads back the PPS MO the Android exporter writes', async () => {
+    const { passpoint_profile: profile } = mapToYamlSchema(flattenPpsMo(await parsePpsMo(buildPpsMo(ttlsProfile()))).paths, 'pps-mo');
+    assert.equal(profile.home_friendly_name, 'Example Wi-Fi');
+    assert.deepEqual(profile.home_ois.map(oi => [oi.value, oi.required]), [['001bc50460', true]]);
+    assert.deepEqual(profile.other_home_partner_fqdns, ['partner.example.net']);
+    assert.equal(profile.credential.username, 'alice@example.com');
+    assert.equal(profile.credential.password, 's3cret-Passw0rd');
+    assert.deepEqual(profile.nai_realm.eap_methods.map(method => [method.eap_type, method.inner_auth]), [['TTLS', 'MSCHAPV2']]);
+  });
+});
+
+describe('POST /api/upload-and-convert with a PPS MO', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  it('returns the paths and the mapped profile with the password obfuscated', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'pps.xml', buildPpsMo(ttlsProfile()), { obfuscationLevel: 'mask' });
+    assert.equal(status, 200);
+    assert.equal(body.fileType, 'pps-mo');
+    assert.equal(yaml.load(body.data.yaml).pps_mo.instance, 'i001');
+    const { passpoint_profile: profile } = yaml.load(body.data.filteredYaml);
+    assert.equal(profile.credential.username, 'alice@example.com');
+    assert.ok(!body.data.filteredYaml.includes('s3cret-Passw0rd'));
+  });
+});
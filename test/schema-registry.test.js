@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const { documentRevision, migrateDocument, readJsonSchema, schemaRevision } = require('../src/services/schema-registry.service');
+const { startServer } = require('./helpers/server');
+const { TTLS_PROFILE, REV0_PROFILE } = require('./helpers/profiles');
+
+const REV1_ID = 'https://wballiance.com/passpoint-schema/rev1.json';
+
+describe('schema revisions', () => {
+  it('looks revisions up by name, number and $schema id', () => {
+    assert.equal(schemaRevision().revision, 'rev1');
+    assert.equal(schemaRevision(0).revision, 'rev0');
+    assert.equal(schemaRevision('REV1').revision, 'rev1');
+    assert.equal(schemaRevision(REV1_ID).revision, 'rev1');
+    assert.throws(() => schemaRevision('rev9'), /Unknown schema revision "rev9"; known revisions are rev0, rev1/);
+    assert.equal(documentRevision(yaml.load(REV0_PROFILE)).revision, 'rev0');
+  });
+
+  it('keeps the latest JSON Schema in schema/passpoint.schema.json', () => {
+    assert.equal(schemaRevision().jsonSchema, 'passpoint.schema.json');
+    assert.equal(readJsonSchema().$id, REV1_ID);
+    assert.equal(readJsonSchema('rev0').$id, 'https://wballiance.com/passpoint-schema.json');
+  });
+});
+
+describe('migrateDocument', () => {
+  it('moves rev0 credential fields under credential and reports each change', () => {
+    const rev0 = yaml.load(REV0_PROFILE);
+    const { document, from, to, changes } = migrateDocument(rev0);
+    assert.deepEqual([from, to], ['rev0', 'rev1']);
+    assert.equal(Object.keys(document)[0], '$schema');
+    assert.deepEqual(document, {
+      $schema: REV1_ID,
+      'passpoint-properties': {
+        'home-friendly-name': 'Example Wi-Fi',
+        'home-domain': 'example.com',
+        credential: { realm: 'example.com', username: 'alice@example.com', password: 's3cret-Passw0rd', 'eap-method': 21 },
+      },
+    });
+    assert.deepEqual(changes.map(change => [change.op, change.path, change.value]), [
+      ['move', '/passpoint-properties/credential/realm', 'example.com'],
+      ['move', '/passpoint-properties/credential/username', 'alice@example.com'],
+      ['move', '/passpoint-properties/credential/password', '[REDACTED]'],
+      ['move', '/passpoint-properties/credential/eap-method', 21],
+      ['set', '/$schema', REV1_ID],
+    ]);
+    assert.deepEqual(rev0, yaml.load(REV0_PROFILE));
+  });
+
+  it('drops a rev0 field whose credential field is already set', () => {
+    const { document, changes } = migrateDocument({ 'passpoint-properties': { realm: 'old.example.com', credential: { realm: 'example.com' } } });
+    assert.deepEqual(document['passpoint-properties'], { credential: { realm: 'example.com' } });
+    assert.match(changes[0].description, /\/credential\/realm is already set, so \/passpoint-properties\/realm was dropped$/);
+  });
+
+  it('leaves latest documents alone and does not migrate backwards', () => {
+    assert.deepEqual(migrateDocument(yaml.load(TTLS_PROFILE)).changes, []);
+    assert.throws(() => migrateDocument(yaml.load(TTLS_PROFILE), 'rev0'), /Cannot migrate a rev1 document back to rev0/);
+  });
+});
+
+describe('schema routes', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/schema.routes')); });
+  after(() => server.close());
+
+  it('serves each revision of the YAML schema', async () => {
+    const latest = await fetch(`${server.base}/config`);
+    assert.equal(latest.headers.get('x-schema-revision'), 'rev1');
+    const rev0 = await fetch(`${server.base}/config?rev=0`);
+    assert.equal(rev0.headers.get('x-schema-revision'), 'rev0');
+    assert.ok(yaml.load(await rev0.text()));
+    const unknown = await fetch(`${server.base}/config?rev=rev9`);
+    assert.equal(unknown.status, 400);
+    assert.equal((await unknown.json()).error, 'Invalid schema revision');
+
+    const { latest: name, revisions } = await (await fetch(`${server.base}/config/revisions`)).json();
+    assert.equal(name, 'rev1');
+    assert.deepEqual(revisions.map(revision => revision.revision), ['rev0', 'rev1']);
+  });
+
+  it('migrates a posted rev0 document', async () => {
+    const response = await fetch(`${server.base}/migrate`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: REV0_PROFILE });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.to, 'rev1');
+    assert.equal(yaml.load(body.yaml)['passpoint-properties'].credential.username, 'alice@example.com');
+
+    const rejected = await fetch(`${server.base}/migrate`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ passpoint_profile: {} }) });
+    assert.equal(rejected.status, 400);
+    assert.equal((await rejected.json()).details, 'Only passpoint-properties documents carry a schema revision');
+  });
+});
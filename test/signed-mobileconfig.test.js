@@ -0,0 +1,63 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const signingService = require('../src/services/signing.service');
+const { buildMobileConfig } = require('../src/services/mobileconfig.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { createCertificate } = require('./helpers/certificates');
+const { ttlsProfile } = require('./helpers/profiles');
+
+const ca = createCertificate({ commonName: 'Example Signing CA' });
+const signer = createCertificate({ commonName: 'Example Profile Signer', issuer: ca });
+
+// The TTLS mobileconfig as a CMS-signed DER blob, the way MDMs ship it
+function signedMobileconfig(identity = signer, chain = [ca]) {
+  signingService.setIdentity({ certificate: identity.pem, privateKey: identity.keyPem, chain: chain.map(entry => entry.pem).join('') });
+  return signingService.sign(Buffer.from(buildMobileConfig(ttlsProfile()))).signed;
+}
+
+describe('POST /api/upload-and-convert with a signed mobileconfig', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  afterEach(() => signingService.resetIdentity());
+  after(() => server.close());
+
+  it('unwraps the plist and reports the signer chain', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'signed.mobileconfig', signedMobileconfig());
+    assert.equal(status, 200);
+    assert.equal(body.fileType, 'mobileconfig');
+    assert.equal(body.signature.signed, true);
+    assert.equal(body.signature.valid, true);
+    const [entry] = body.signature.signers;
+    assert.deepEqual(entry.chain.map(certificate => certificate.subject), ['CN=Example Profile Signer', 'CN=Example Signing CA']);
+    assert.ok(!Number.isNaN(Date.parse(entry.signingTime)));
+    assert.ok(!body.alerts || !body.alerts.some(alert => alert.type === 'profile_signature'));
+    assert.equal(yaml.load(body.data.filteredYaml).passpoint_profile.home_domain, 'example.com');
+    assert.match(body.data.original, /^<\?xml/);
+  });
+
+  it('flags a tampered signature', async () => {
+    const tampered = signedMobileconfig();
+    // The signature is the last field of the last SignerInfo
+    tampered[tampered.length - 1] ^= 0xff;
+    const { status, body } = await uploadAndConvert(server.base, 'signed.mobileconfig', tampered);
+    assert.equal(status, 200);
+    assert.equal(body.signature.valid, false);
+    const alert = body.alerts.find(entry => entry.type === 'profile_signature');
+    assert.equal(alert.severity, 'error');
+    assert.equal(alert.message, 'Profile signature is invalid: Signer 1: signature does not verify against any embedded certificate');
+  });
+
+  it('warns about an expired signer', async () => {
+    const expired = createCertificate({
+      commonName: 'Expired Profile Signer',
+      notBefore: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+      notAfter: new Date(Date.now() - 24 * 60 * 60 * 1000),
+    });
+    const { body } = await uploadAndConvert(server.base, 'signed.mobileconfig', signedMobileconfig(expired, []));
+    assert.equal(body.signature.valid, true);
+    const alert = body.alerts.find(entry => entry.type === 'profile_signature');
+    assert.equal(alert.severity, 'warning');
+    assert.match(alert.message, /^Signer certificate CN=Expired Profile Signer expired on /);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const signingService = require('../src/services/signing.service');
+const { startServer } = require('./helpers/server');
+const { createCertificate, createPkcs12 } = require('./helpers/certificates');
+const { TTLS_PROFILE } = require('./helpers/profiles');
+
+const CONTENT = Buffer.from('<?xml version="1.0" encoding="UTF-8"?>\n<plist version="1.0"><dict/></plist>\n');
+
+describe('signingService', () => {
+  const signer = createCertificate({ commonName: 'Example Profile Signer', organization: 'Example' });
+  afterEach(() => signingService.resetIdentity());
+
+  it('wraps content in SignedData that verifies', () => {
+    signingService.setIdentity({ certificate: signer.pem, privateKey: signer.keyPem });
+    const { signed, verification, warnings } = signingService.sign(CONTENT);
+    assert.ok(signingService.isSignedData(signed));
+    assert.ok(!signingService.isSignedData(CONTENT));
+    assert.equal(verification.valid, true);
+    assert.deepEqual(warnings, []);
+
+    const reverified = signingService.verifySignedData(signed);
+    assert.equal(reverified.valid, true);
+    assert.ok(reverified.content.equals(CONTENT));
+    assert.match(reverified.signers[0].certificate.subject, /CN=Example Profile Signer/);
+  });
+
+  it('detects a tampered signature and tampered content', () => {
+    signingService.setIdentity({ certificate: signer.pem, privateKey: signer.keyPem });
+    const { signed } = signingService.sign(CONTENT);
+
+    // The signature is the last field of the last SignerInfo
+    const badSignature = Buffer.from(signed);
+    badSignature[badSignature.length - 1] ^= 0xff;
+    const signatureCheck = signingService.verifySignedData(badSignature);
+    assert.equal(signatureCheck.valid, false);
+    assert.deepEqual(signatureCheck.errors, ['Signer 1: signature does not verify against any embedded certificate']);
+
+    const badContent = Buffer.from(signed);
+    badContent[signed.indexOf('<dict/>') + 1] = 'D'.charCodeAt(0);
+    const contentCheck = signingService.verifySignedData(badContent);
+    assert.equal(contentCheck.valid, false);
+    assert.deepEqual(contentCheck.errors, ['Signer 1: content digest does not match']);
+  });
+
+  it('takes a PKCS#12 identity and warns about an incomplete chain', () => {
+    const ca = createCertificate({ commonName: 'Example Signing CA' });
+    const leaf = createCertificate({ commonName: 'Example Leaf Signer', issuer: ca });
+    signingService.setIdentity({ pkcs12: createPkcs12(leaf, 'bundle-pass').toString('base64'), password: 'bundle-pass' });
+    assert.deepEqual(signingService.sign(CONTENT).warnings, ['Signing chain is incomplete; devices may not trust the signer']);
+
+    signingService.setIdentity({ pkcs12: createPkcs12(leaf, 'bundle-pass', [ca]), password: 'bundle-pass' });
+    assert.deepEqual(signingService.sign(CONTENT).warnings, []);
+  });
+
+  it('rejects identities it cannot sign with', () => {
+    const other = createCertificate({ commonName: 'Someone Else' });
+    assert.throws(() => signingService.setIdentity({ pkcs12: createPkcs12(signer, 'right'), password: 'wrong' }), /Invalid password/);
+    assert.throws(() => signingService.setIdentity({ certificate: other.pem, privateKey: signer.keyPem }), /No certificate matches the private key/);
+    assert.throws(() => signingService.setIdentity({ certificate: signer.pem }), /needs a certificate and a private key/);
+  });
+});
+
+describe('signing routes', () => {
+  const signer = createCertificate({ commonName: 'Example Profile Signer' });
+  let server;
+  before(async () => {
+    process.env.SIGNING_ADMIN_TOKEN = 'test-admin-token';
+    server = await startServer(require('../src/routes/signing.routes'), require('../src/routes/export.routes'));
+  });
+  after(async () => {
+    delete process.env.SIGNING_ADMIN_TOKEN;
+    signingService.resetIdentity();
+    await server.close();
+  });
+
+  const putIdentity = (authorization) => fetch(`${server.base}/signing/identity`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: authorization },
+    body: JSON.stringify({ certificate: signer.pem, privateKey: signer.keyPem }),
+  });
+
+  it('needs the admin token to replace the identity', async () => {
+    assert.equal((await putIdentity('Bearer wrong-admin-token')).status, 401);
+    const response = await putIdentity('Bearer test-admin-token');
+    assert.equal(response.status, 200);
+    assert.match((await response.json()).identity.certificate.subject, /CN=Example Profile Signer/);
+  });
+
+  it('sends a signed mobileconfig with sign=true', async () => {
+    const response = await fetch(`${server.base}/export/mobileconfig?sign=true`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: TTLS_PROFILE });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-profile-signed'), 'true');
+    const verification = signingService.verifySignedData(Buffer.from(await response.arrayBuffer()));
+    assert.equal(verification.valid, true);
+    assert.match(verification.content.toString('utf8'), /<key>PayloadType<\/key>\s*<string>Configuration<\/string>/);
+  });
+
+  it('percent-encodes a non-ASCII signer and its warnings', async () => {
+    const cafe = createCertificate({
+      commonName: 'Café Wi-Fi',
+      organization: 'Café',
+      notBefore: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+      notAfter: new Date(Date.now() - 24 * 60 * 60 * 1000),
+    });
+    signingService.setIdentity({ certificate: cafe.pem, privateKey: cafe.keyPem });
+    const response = await fetch(`${server.base}/export/mobileconfig?sign=true`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: TTLS_PROFILE });
+    assert.equal(response.status, 200);
+    assert.equal(decodeURIComponent(response.headers.get('x-profile-signer')), 'CN=Café Wi-Fi, O=Café');
+    assert.match(decodeURIComponent(response.headers.get('x-signing-warnings')), /^Certificate CN=Café Wi-Fi\nO=Café expired on /);
+  });
+});
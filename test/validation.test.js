@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const { validatePasspointDocument, validateProfile, validationAlerts } = require('../src/services/validation.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { TTLS_PROFILE, REV0_PROFILE, ttlsProfile } = require('./helpers/profiles');
+
+// The TTLS document with a 4-digit home OI, a credential priority out of range and no home domain
+const invalidDocument = () => {
+  const document = yaml.load(TTLS_PROFILE);
+  const properties = document['passpoint-properties'];
+  properties['home-ois'][0]['home-oi'] = '001b';
+  properties['credential-priority'] = 300;
+  delete properties['home-domain'];
+  return document;
+};
+
+describe('validatePasspointDocument', () => {
+  it('accepts valid documents against the revision they name', () => {
+    assert.deepEqual(validatePasspointDocument(yaml.load(TTLS_PROFILE)), { valid: true, violations: [], revision: 'rev1' });
+    assert.deepEqual(validatePasspointDocument(yaml.load(REV0_PROFILE)), { valid: true, violations: [], revision: 'rev0' });
+  });
+
+  it('points at each violation with its value and schema description', () => {
+    const { valid, violations } = validatePasspointDocument(invalidDocument());
+    assert.equal(valid, false);
+    const byPointer = Object.fromEntries(violations.map(violation => [violation.pointer, violation]));
+    assert.deepEqual(Object.keys(byPointer).sort(), [
+      '/passpoint-properties/credential-priority',
+      '/passpoint-properties/home-domain',
+      '/passpoint-properties/home-ois/0/home-oi',
+    ]);
+    const oi = byPointer['/passpoint-properties/home-ois/0/home-oi'];
+    assert.deepEqual([oi.keyword, oi.value], ['pattern', '001b']);
+    assert.match(oi.description, /3 or 5 octets/);
+    assert.deepEqual([byPointer['/passpoint-properties/home-domain'].keyword, byPointer['/passpoint-properties/home-domain'].value], ['required', undefined]);
+  });
+});
+
+describe('validateProfile', () => {
+  it('also points into the canonical profile', () => {
+    const { valid, violations } = validateProfile(ttlsProfile(profile => {
+      profile.home_ois[0].value = '001b';
+      profile.aaa_server_check = 3;
+    }));
+    assert.equal(valid, false);
+    assert.deepEqual(violations.map(violation => violation.profilePointer).sort(), [
+      '/passpoint_profile/aaa_server_check',
+      '/passpoint_profile/home_ois/0/value',
+    ]);
+  });
+
+  it('turns violations into schema_violation alerts', () => {
+    const [alert] = validationAlerts(validateProfile(ttlsProfile(profile => { profile.home_ois[0].value = '001b'; })).violations);
+    assert.equal(alert.type, 'schema_violation');
+    assert.equal(alert.severity, 'error');
+    assert.match(alert.message, /^\/passpoint_profile\/home_ois\/0\/value has an invalid format \(got "001b"\)\. Organizational Identifier/);
+  });
+});
+
+describe('POST /api/validate and validate=true', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/validation.routes'), require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  const validate = async (body, contentType = 'application/json') => {
+    const response = await fetch(`${server.base}/validate`, { method: 'POST', headers: { 'Content-Type': contentType }, body });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('validates posted YAML and JSON documents', async () => {
+    const valid = await validate(TTLS_PROFILE, 'text/yaml');
+    assert.equal(valid.status, 200);
+    assert.deepEqual([valid.body.valid, valid.body.revision, valid.body.alerts], [true, 'rev1', undefined]);
+
+    const invalid = await validate(JSON.stringify(invalidDocument()));
+    assert.equal(invalid.body.valid, false);
+    assert.equal(invalid.body.alerts.length, 3);
+    assert.ok(invalid.body.violations.some(violation => violation.pointer === '/passpoint-properties/credential-priority' && violation.value === 300));
+  });
+
+  it('answers 400 for a body without a profile', async () => {
+    const { status, body } = await validate('42', 'text/yaml');
+    assert.equal(status, 400);
+    assert.deepEqual(body, { error: 'Invalid profile', details: 'No profile found in request body' });
+  });
+
+  it('validates the converted profile of an upload', async () => {
+    const broken = TTLS_PROFILE.replace('"001bc50460"', '"001b"');
+    const { status, body } = await uploadAndConvert(server.base, 'profile.yml', broken, { validate: 'true' });
+    assert.equal(status, 200);
+    assert.equal(body.validation.valid, false);
+    assert.deepEqual(body.validation.violations.map(violation => violation.profilePointer), ['/passpoint_profile/home_ois/0/value']);
+    assert.ok(body.alerts.some(alert => alert.type === 'schema_violation'));
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { buildWlanProfile, parseWlanProfile } = require('../src/services/windows-wlan.service');
+const { mapToYamlSchema } = require('../src/services/mapping.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { createCertificate } = require('./helpers/certificates');
+const { TTLS_PROFILE, ttlsProfile } = require('./helpers/profiles');
+
+describe('buildWlanProfile', () => {
+  it('writes Hotspot2 and a TTLS EapHostConfig', async () => {
+    const ca = createCertificate({ commonName: 'Example AAA CA' });
+    const wlanProfile = await parseWlanProfile(buildWlanProfile(ttlsProfile(profile => { profile.credential.ca_certificate = ca.pem; }), { ssid: 'Example' }));
+    assert.equal(wlanProfile.name, 'Example Wi-Fi');
+    assert.deepEqual(wlanProfile.ssids, ['Example']);
+    assert.equal(wlanProfile.authentication, 'WPA2');
+    assert.deepEqual(wlanProfile.hotspot2, {
+      domain_name: 'example.com',
+      nai_realms: ['example.com'],
+      plmn_ids: [],
+      roaming_consortium_ois: ['001BC50460', '5A03BA0000'],
+    });
+    assert.equal(wlanProfile.eap.method, 'TTLS');
+    assert.equal(wlanProfile.eap.author_id, 311);
+    assert.equal(wlanProfile.eap.inner_method, 'MSCHAPV2');
+    assert.equal(wlanProfile.eap.outer_identity, 'anonymous@example.com');
+    assert.deepEqual(wlanProfile.eap.server_validation.server_names, ['aaa.example.com']);
+    assert.deepEqual(wlanProfile.eap.server_validation.trusted_root_ca_hashes, [crypto.createHash('sha1').update(ca.der).digest('hex')]);
+  });
+
+  it('writes PEAP with MSCHAPv2 inside', async () => {
+    const wlanProfile = await parseWlanProfile(buildWlanProfile(ttlsProfile(profile => { profile.nai_realm.eap_methods = [{ eap_type: 'PEAP' }]; })));
+    assert.equal(wlanProfile.eap.method, 'PEAP');
+    assert.equal(wlanProfile.eap.inner_method, 'MSCHAPV2');
+  });
+
+  it('leaves the username and password out', () => {
+    const xml = buildWlanProfile(ttlsProfile());
+    assert.ok(!xml.includes('alice@example.com'));
+    assert.ok(!xml.includes('s3cret-Passw0rd'));
+  });
+
+  it('rejects profiles Windows cannot express', () => {
+    assert.throws(() => buildWlanProfile(ttlsProfile(profile => { profile.nai_realm.eap_methods = [{ eap_type: 'SIM' }]; })), /not supported by Windows WLAN profiles/);
+    assert.throws(() => buildWlanProfile(ttlsProfile(profile => { profile.nai_realm.eap_methods[0].inner_auth = 'EAP-MSCHAPV2'; })), /not supported by Windows TTLS/);
+    assert.throws(() => buildWlanProfile(ttlsProfile(profile => { profile.nai_realm.eap_methods = []; })), /no EAP method/);
+  });
+});
+
+describe('POST /api/export/windows', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/export.routes')); });
+  after(() => server.close());
+
+  it('sends the WLANProfile XML', async () => {
+    const response = await fetch(`${server.base}/export/windows?name=Lab`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: TTLS_PROFILE });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="example.com.xml"');
+    assert.equal((await parseWlanProfile(await response.text())).name, 'Lab');
+  });
+
+  it('answers 400 for an EAP method Windows profiles do not take', async () => {
+    const response = await fetch(`${server.base}/export/windows`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/yaml' },
+      body: TTLS_PROFILE.replace('eap-method: 21', 'eap-method: 18'),
+    });
+    assert.equal(response.status, 400);
+  });
+});
+
+// `netsh wlan export profile key=clear` output for a PSK network
+const PSK_PROFILE = `<?xml version="1.0"?>
+<WLANProfile xmlns="http://www.microsoft.com/networking/WLAN/profile/v1">
+  <name>Office</name>
+  <SSIDConfig><SSID><name>Office</name></SSID></SSIDConfig>
+  <connectionType>ESS</connectionType>
+  <connectionMode>auto</connectionMode>
+  <MSM><security>
+    <authEncryption><authentication>WPA2PSK</authentication><encryption>AES</encryption><useOneX>false</useOneX></authEncryption>
+    <sharedKey><keyType>passPhrase</keyType><protected>false</protected><keyMaterial>office-passphrase</keyMaterial></sharedKey>
+  </security></MSM>
+</WLANProfile>`;
+
+describe("mapToYamlSchema 'windows-wlan'", () => {
+  it('reads back the profile the Windows exporter writes', async () => {
+    const { passpoint_profile: profile } = mapToYamlSchema(await parseWlanProfile(buildWlanProfile(ttlsProfile())), 'windows-wlan');
+    assert.equal(profile.home_friendly_name, 'Example Wi-Fi');
+    assert.equal(profile.home_domain, 'example.com');
+    assert.deepEqual(profile.roaming_consortiums.map(oi => oi.value), ['001bc50460', '5a03ba0000']);
+    assert.equal(profile.credential.realm, 'example.com');
+    assert.equal(profile.credential.outer_identity, 'anonymous@example.com');
+    assert.deepEqual(profile.nai_realm.eap_methods.map(method => [method.eap_type, method.inner_auth]), [['TTLS', 'MSCHAPV2']]);
+  });
+
+  it('rejects XML that is not a WLANProfile', async () => {
+    await assert.rejects(parseWlanProfile('<EapHostConfig/>'), /Document is not a WLANProfile/);
+  });
+});
+
+describe('POST /api/upload-and-convert with a WLANProfile', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  it('flags a PSK profile and obfuscates its key material', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'Wi-Fi-Office.xml', PSK_PROFILE, { obfuscationLevel: 'mask' });
+    assert.equal(status, 200);
+    assert.equal(body.fileType, 'windows-wlan');
+    const { windows_wlan_profile: wlanProfile } = yaml.load(body.data.yaml);
+    assert.equal(wlanProfile.authentication, 'WPA2PSK');
+    assert.ok(!body.data.yaml.includes('office-passphrase'));
+    assert.ok(body.alerts.some(alert => /no Hotspot2 element/.test(alert.message)));
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const { buildWpaSupplicantConfig, parseWpaSupplicantConfig } = require('../src/services/wpa-supplicant.service');
+const { mapToYamlSchema } = require('../src/services/mapping.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { createCertificate } = require('./helpers/certificates');
+const { TTLS_PROFILE, ttlsProfile } = require('./helpers/profiles');
+
+describe('buildWpaSupplicantConfig', () => {
+  it('writes an interworking cred block', () => {
+    const { config, files } = buildWpaSupplicantConfig(ttlsProfile());
+    const { globals, creds } = parseWpaSupplicantConfig(config);
+    assert.deepEqual(globals, { interworking: '1', hs20: '1' });
+    assert.equal(creds.length, 1);
+    assert.equal(creds[0].realm, 'example.com');
+    assert.deepEqual(creds[0].domain, ['example.com', 'partner.example.net']);
+    assert.equal(creds[0].roaming_consortiums, '001bc50460,5a03ba0000');
+    assert.equal(creds[0].required_roaming_consortium, '001bc50460');
+    assert.equal(creds[0].eap, 'TTLS');
+    assert.equal(creds[0].phase2, 'auth=MSCHAPV2');
+    assert.equal(creds[0].username, 'alice@example.com');
+    assert.equal(creds[0].password, 's3cret-Passw0rd');
+    assert.equal(creds[0].domain_suffix_match, 'aaa.example.com');
+    assert.deepEqual(files, []);
+  });
+
+  it('quotes values with quotes and backslashes so they read back unchanged', () => {
+    const password = 'pa"ss\\word\twith tab';
+    const { creds } = parseWpaSupplicantConfig(buildWpaSupplicantConfig(ttlsProfile(profile => { profile.credential.password = password; })).config);
+    assert.equal(creds[0].password, password);
+  });
+
+  it('writes the CA certificate as a sidecar file under certDir', () => {
+    const ca = createCertificate({ commonName: 'Example AAA CA' });
+    const { config, files } = buildWpaSupplicantConfig(ttlsProfile(profile => { profile.credential.ca_certificate = ca.pem; }), { certDir: '/etc/certs/' });
+    assert.deepEqual(files.map(file => file.fileName), ['example.com-ca.pem']);
+    assert.equal(files[0].content.replace(/\r\n/g, '\n'), ca.pem.replace(/\r\n/g, '\n'));
+    assert.equal(parseWpaSupplicantConfig(config).creds[0].ca_cert, '/etc/certs/example.com-ca.pem');
+  });
+
+  it('rejects profiles a cred block cannot express', () => {
+    assert.throws(() => buildWpaSupplicantConfig(ttlsProfile(profile => { profile.nai_realm.eap_methods = [{ eap_type: 'PEAP' }]; })), /not supported in wpa_supplicant cred blocks/);
+    assert.throws(() => buildWpaSupplicantConfig(ttlsProfile(profile => { profile.credential.username = ''; })), /need a username/);
+    assert.throws(() => buildWpaSupplicantConfig(ttlsProfile(profile => {
+      profile.credential.realm = '';
+      profile.nai_realm.name = '';
+    })), /needs a credential realm/);
+  });
+});
+
+describe('POST /api/export/wpa-supplicant', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/export.routes')); });
+  after(() => server.close());
+
+  it('sends the configuration and its files as JSON', async () => {
+    const response = await fetch(`${server.base}/export/wpa-supplicant?globals=false`, { method: 'POST', headers: { 'Content-Type': 'text/yaml' }, body: TTLS_PROFILE });
+    assert.equal(response.status, 200);
+    const { files } = await response.json();
+    assert.equal(files[0].fileName, 'example.com.conf');
+    assert.equal(files[0].encoding, 'utf8');
+    assert.deepEqual(parseWpaSupplicantConfig(files[0].content).globals, {});
+  });
+
+  it('answers 400 for an EAP method cred blocks do not take', async () => {
+    const response = await fetch(`${server.base}/export/wpa-supplicant`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/yaml' },
+      body: TTLS_PROFILE.replace('eap-method: 21', 'eap-method: 25'),
+    });
+    assert.equal(response.status, 400);
+  });
+});
+
+// A hand-written config: hex SSID, a SIM cred with roaming partners, and a stray brace
+const HANDWRITTEN = `ctrl_interface=/var/run/wpa_supplicant
+interworking=1
+
+network={
+    ssid=4f6666696365
+    psk="office-passphrase"
+}
+
+cred={
+    imsi="310026-000000000"
+    milenage="90dca4eda45b53cf0f12d7c9c3bc6a89:cb9cccc4b9258e6dca4760379fb82581:000000000123"
+    domain="mobile.example.com"
+    roaming_partner="partner.example.net,1,10,US"
+    roaming_partner="other.example.org,0,20,*"
+    sp_priority=2
+}
+}
+`;
+
+describe('parseWpaSupplicantConfig', () => {
+  it('reads globals, network and cred blocks', () => {
+    const { globals, networks, creds, warnings } = parseWpaSupplicantConfig(HANDWRITTEN);
+    assert.deepEqual(globals, { ctrl_interface: '/var/run/wpa_supplicant', interworking: '1' });
+    assert.equal(networks[0].ssid, 'Office');
+    assert.deepEqual(networks[0].hex_encoded, ['ssid']);
+    assert.deepEqual(creds[0].roaming_partner, ['partner.example.net,1,10,US', 'other.example.org,0,20,*']);
+    assert.deepEqual(warnings, ['Line 17: unmatched }']);
+  });
+
+  it('keeps binary hex values as hex', () => {
+    const { networks } = parseWpaSupplicantConfig('network={\n    ssid=00ff10\n}\n');
+    assert.equal(networks[0].ssid, '00ff10');
+    assert.equal(networks[0].hex_encoded, undefined);
+  });
+
+  it('warns about blocks that are never closed', () => {
+    const { creds, warnings } = parseWpaSupplicantConfig('cred={\n    realm="example.com"\n');
+    assert.equal(creds[0].realm, 'example.com');
+    assert.deepEqual(warnings, ['The cred block from line 1 is not closed']);
+  });
+});
+
+describe("mapToYamlSchema 'wpa-supplicant'", () => {
+  it('reads back the cred block the exporter writes', () => {
+    const { passpoint_profile: profile } = mapToYamlSchema(parseWpaSupplicantConfig(buildWpaSupplicantConfig(ttlsProfile()).config), 'wpa-supplicant');
+    assert.equal(profile.home_domain, 'example.com');
+    assert.deepEqual(profile.other_home_partner_fqdns, ['partner.example.net']);
+    assert.deepEqual(profile.home_ois.map(oi => [oi.value, oi.required]), [['001bc50460', true]]);
+    assert.deepEqual(profile.roaming_consortiums.map(oi => oi.value), ['5a03ba0000']);
+    assert.equal(profile.credential.password, 's3cret-Passw0rd');
+    assert.deepEqual(profile.credential.server_names, ['aaa.example.com']);
+    assert.deepEqual(profile.nai_realm.eap_methods.map(method => [method.eap_type, method.inner_auth]), [['TTLS', 'MSCHAPV2']]);
+  });
+
+  it('maps a SIM cred with its roaming partners', () => {
+    const { passpoint_profile: profile } = mapToYamlSchema(parseWpaSupplicantConfig(HANDWRITTEN), 'wpa-supplicant');
+    assert.equal(profile.credential.type, 'SIM');
+    assert.equal(profile.credential.imsi, '310026-000000000');
+    assert.equal(profile.credential_priority, 2);
+    assert.deepEqual(profile.preferred_roaming_partners, [
+      { fqdn: 'partner.example.net', match: 0, priority: 10, country: 'US' },
+      { fqdn: 'other.example.org', match: 1, priority: 20, country: '*' },
+    ]);
+    assert.deepEqual(profile.nai_realm.eap_methods.map(method => method.eap_type), ['SIM']);
+  });
+});
+
+describe('POST /api/upload-and-convert with a wpa_supplicant.conf', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  it('obfuscates PSKs and Milenage keys', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'wpa_supplicant.conf', HANDWRITTEN, { obfuscationLevel: 'mask' });
+    assert.equal(status, 200);
+    assert.equal(body.fileType, 'wpa-supplicant');
+    assert.ok(!body.data.yaml.includes('office-passphrase'));
+    assert.ok(!body.data.yaml.includes('90dca4eda45b53cf0f12d7c9c3bc6a89'));
+    assert.equal(yaml.load(body.data.filteredYaml).passpoint_profile.home_domain, 'mobile.example.com');
+  });
+});
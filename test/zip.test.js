@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const yaml = require('js-yaml');
+const { ZIP_ERRORS, isZipArchive, readZipArchive } = require('../src/services/zip.service');
+const { startServer, uploadAndConvert } = require('./helpers/server');
+const { TTLS_PROFILE } = require('./helpers/profiles');
+
+/**
+ * Build a ZIP archive in memory
+ * Entries are `{ name, data, symlink, declaredSize }`; `declaredSize` overrides
+ * the uncompressed size written to the headers, to fake oversized entries
+ */
+function buildZip(entries, { zip64 = false } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  entries.forEach(({ name, data = Buffer.alloc(0), symlink = false, declaredSize }) => {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const size = declaredSize === undefined ? data.length : declaredSize;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4); // Made by Unix, so the external attributes hold the file mode
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(((symlink ? 0o120777 : 0o100644) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(zip64 ? 0xffff : entries.length, 8);
+  end.writeUInt16LE(zip64 ? 0xffff : entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const rejects = (buffer, code, pattern, limits) => assert.throws(() => readZipArchive(buffer, limits), error => error.code === code && pattern.test(error.message));
+
+describe('readZipArchive', () => {
+  it('reads entries in memory', () => {
+    const archive = buildZip([{ name: 'profiles/ttls.yml', data: Buffer.from(TTLS_PROFILE) }]);
+    assert.ok(isZipArchive(archive));
+    const { entries, skipped } = readZipArchive(archive);
+    assert.deepEqual(entries.map(entry => [entry.name, entry.data.toString('utf8')]), [['profiles/ttls.yml', TTLS_PROFILE]]);
+    assert.deepEqual(skipped, []);
+  });
+
+  it('skips traversal and absolute names as unsafe', () => {
+    const { entries, skipped } = readZipArchive(buildZip([
+      { name: '../../etc/passwd', data: Buffer.from('root') },
+      { name: 'profiles/../../escape.yml', data: Buffer.from('a: 1') },
+      { name: '/etc/shadow', data: Buffer.from('x') },
+      { name: 'C:\\Windows\\win.ini', data: Buffer.from('x') },
+      { name: 'ok/profile.yml', data: Buffer.from('home-domain: example.com') },
+    ]));
+    assert.deepEqual(entries.map(entry => entry.name), ['ok/profile.yml']);
+    assert.equal(skipped.length, 4);
+    assert.ok(skipped.every(entry => entry.unsafe && /Unsafe entry name/.test(entry.reason)));
+  });
+
+  it('skips symlinks and entries that inflate past their declared size', () => {
+    const { entries, skipped } = readZipArchive(buildZip([
+      { name: 'link.yml', data: Buffer.from('/etc/passwd'), symlink: true },
+      { name: 'liar.yml', data: Buffer.alloc(4096, 0x61), declaredSize: 16 },
+    ]));
+    assert.equal(entries.length, 0);
+    assert.ok(skipped.every(entry => entry.unsafe));
+    assert.match(skipped[0].reason, /Symbolic links/);
+    assert.match(skipped[1].reason, /past its declared size/);
+  });
+
+  it('rejects archives over the limits', () => {
+    rejects(buildZip([{ name: 'bomb.txt', data: Buffer.alloc(2 * 1024 * 1024) }]), ZIP_ERRORS.limit, /zip bomb/);
+    rejects(buildZip([
+      { name: 'a.yml', data: Buffer.from('a: 1'), declaredSize: 600 },
+      { name: 'b.yml', data: Buffer.from('b: 1'), declaredSize: 600 },
+    ]), ZIP_ERRORS.limit, /expands to 1200 bytes/, { maxTotalSize: 1000 });
+    const many = Array.from({ length: 5 }, (_, index) => ({ name: `${index}.yml`, data: Buffer.from('a: 1') }));
+    rejects(buildZip(many), ZIP_ERRORS.limit, /5 entries/, { maxEntries: 4 });
+  });
+
+  it('rejects ZIP64 and malformed archives', () => {
+    rejects(buildZip([{ name: 'a.yml', data: Buffer.from('a: 1') }], { zip64: true }), ZIP_ERRORS.unsupported, /ZIP64/);
+    rejects(Buffer.alloc(64), ZIP_ERRORS.malformed, /Not a ZIP archive/);
+  });
+});
+
+describe('POST /api/upload-and-convert with a ZIP archive', () => {
+  let server;
+  before(async () => { server = await startServer(require('../src/routes/yaml.routes')); });
+  after(() => server.close());
+
+  it('converts each entry and alerts about unsafe ones', async () => {
+    const { status, body } = await uploadAndConvert(server.base, 'bundle.zip', buildZip([
+      { name: 'ttls.yml', data: Buffer.from(TTLS_PROFILE) },
+      { name: '../escape.yml', data: Buffer.from(TTLS_PROFILE) },
+    ]));
+    assert.equal(status, 200);
+    assert.equal(body.fileType, 'zip');
+    assert.deepEqual([body.manifest.converted, body.manifest.skipped], [1, 1]);
+    assert.deepEqual(yaml.load(body.data.yaml).archive.entries.map(entry => entry.status), ['converted', 'skipped']);
+    assert.ok(body.alerts.some(alert => alert.type === 'zip_entry' && alert.details.entry === '../escape.yml'));
+  });
+
+  it('answers 413 for a zip bomb and 422 for ZIP64', async () => {
+    const bomb = await uploadAndConvert(server.base, 'bomb.zip', buildZip([{ name: 'bomb.txt', data: Buffer.alloc(2 * 1024 * 1024) }]));
+    assert.equal(bomb.status, 413);
+    assert.equal(bomb.body.alerts[0].details.code, ZIP_ERRORS.limit);
+
+    const zip64 = await uploadAndConvert(server.base, 'big.zip', buildZip([{ name: 'a.yml', data: Buffer.from('a: 1') }], { zip64: true }));
+    assert.equal(zip64.status, 422);
+    assert.equal(zip64.body.alerts[0].details.code, ZIP_ERRORS.unsupported);
+  });
+});